@@ -5,9 +5,50 @@ let reconnectInterval = null;
 // State
 const state = {
     isProcessing: false,
-    currentSettings: null
+    currentSettings: null,
+    lastEventSeq: 0, // Last status event seen, so a reconnect only replays what was missed
+    lastBatchJobId: null // For the batch report download
 };
 
+// API key auth - send this browser's key with every API request
+const originalFetch = window.fetch.bind(window);
+let apiKeyPromptOpen = false;
+
+window.fetch = async (url, options = {}) => {
+    const isApiRequest = typeof url === 'string' && url.startsWith('/api');
+    const apiKey = localStorage.getItem('apiKey');
+
+    if (isApiRequest && apiKey) {
+        options = {
+            ...options,
+            headers: { ...(options.headers || {}), 'Authorization': `Bearer ${apiKey}` }
+        };
+    }
+
+    const response = await originalFetch(url, options);
+
+    if (isApiRequest && response.status === 401) {
+        promptForApiKey();
+    }
+
+    return response;
+};
+
+function promptForApiKey() {
+    if (apiKeyPromptOpen) return;
+    apiKeyPromptOpen = true;
+
+    const apiKey = prompt('This server requires an API key. Enter your key:');
+    if (apiKey) {
+        localStorage.setItem('apiKey', apiKey.trim());
+        window.location.reload();
+    } else {
+        showNotification('API key required - requests will fail until one is entered in Settings', 'error');
+    }
+
+    apiKeyPromptOpen = false;
+}
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     initializeApp();
@@ -55,10 +96,8 @@ async function checkServerStatus() {
 
         if (data.isProcessing) {
             state.isProcessing = true;
-            const createBtn = document.getElementById('createBtn');
-            if (createBtn) {
-                createBtn.disabled = true;
-            }
+            setProcessControls(true);
+            setPausedControls(data.isPaused);
         }
     } catch (error) {
         console.error('Error checking server status:', error);
@@ -79,7 +118,16 @@ function connectWebSocket() {
     }
 
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const apiKey = localStorage.getItem('apiKey');
+    const params = new URLSearchParams();
+    if (apiKey) {
+        params.set('apiKey', apiKey);
+    }
+    if (state.lastEventSeq) {
+        params.set('since', state.lastEventSeq);
+    }
+    const query = params.toString();
+    const wsUrl = `${protocol}//${window.location.host}${query ? `?${query}` : ''}`;
 
     ws = new WebSocket(wsUrl);
 
@@ -92,6 +140,15 @@ function connectWebSocket() {
         try {
             const data = JSON.parse(event.data);
 
+            if (data.status === 'snapshot') {
+                applySnapshot(data);
+                return;
+            }
+
+            if (data.seq) {
+                state.lastEventSeq = data.seq;
+            }
+
             // Check if this is a login step update
             if (data.type === 'login_step') {
                 addLoginStepToUI(data.step, data.message, data.status);
@@ -121,6 +178,29 @@ function connectWebSocket() {
     };
 }
 
+// Sent on every (re)connect: the server's current state plus the events this tab missed
+function applySnapshot({ state: serverState, history, seq }) {
+    history.forEach(event => {
+        addLogEntry(event.status, event.message || event.error || event.status, event.timestamp);
+    });
+    state.lastEventSeq = seq;
+
+    const lastEvent = history[history.length - 1];
+    if (lastEvent) {
+        updateCurrentStatus(lastEvent.status, lastEvent.message);
+    }
+
+    if (serverState.isProcessing) {
+        state.isProcessing = true;
+        setProcessControls(true);
+        setPausedControls(serverState.isPaused);
+    } else if (state.isProcessing) {
+        // Finished while this tab was disconnected
+        state.isProcessing = false;
+        setProcessControls(false);
+    }
+}
+
 function updateConnectionStatus(connected) {
     const statusDot = document.getElementById('statusDot');
     const statusText = document.getElementById('connectionStatus');
@@ -138,12 +218,12 @@ function updateConnectionStatus(connected) {
 function handleStatusUpdate(data) {
     console.log('Status update:', data);
 
-    const { status, message, error, waitMinutes, estimatedReadyTime } = data;
+    const { status, message, error, waitMinutes } = data;
 
     // Update current status with additional info
     let displayMessage = message;
     if (status === 'waiting_for_generation' && waitMinutes) {
-        displayMessage = `Waiting ${waitMinutes} minute(s) for song generation. Ready around ${estimatedReadyTime}`;
+        displayMessage = `Waiting for song generation (downloads as soon as it's ready, gives up after ${waitMinutes} minute(s))`;
     }
 
     // Update current status
@@ -155,6 +235,34 @@ function handleStatusUpdate(data) {
     // Update progress
     updateProgress(status);
 
+    // Pause / resume
+    if (status === 'paused' || status === 'pause_requested') {
+        setPausedControls(true);
+    } else if (status === 'resumed') {
+        setPausedControls(false);
+    } else if (status === 'batch_progress' || (status === 'job_started' && data.jobType !== 'publish-song')) {
+        setProcessControls(true);
+    } else if (status === 'batch_complete') {
+        state.isProcessing = false;
+        setProcessControls(false);
+        showBatchReportButton(data.jobId);
+    } else if (status === 'batch_refused' || status === 'batch_out_of_credits') {
+        state.isProcessing = false;
+        setProcessControls(false);
+        showNotification(message, 'warning');
+        loadResumableBatches();
+    }
+
+    // Login attempts and credit reads update the accounts list
+    if (status === 'authenticated' || status === 'auth_failed' || status === 'credits') {
+        loadAccounts();
+    }
+
+    // Scheduled runs change the schedule's history
+    if (status === 'schedule_fired' || status === 'schedule_run_finished') {
+        loadSchedules();
+    }
+
     // Handle completion
     if (status === 'complete' || status === 'publish_complete') {
         state.isProcessing = false;
@@ -162,14 +270,8 @@ function handleStatusUpdate(data) {
             loadPublishedVideos();
         }
         showNotification(status === 'complete' ? 'Song created successfully!' : 'Published to YouTube successfully!', 'success');
-        // Hide stop button, show create button
-        const stopBtn = document.getElementById('stopBtn');
-        const createBtn = document.getElementById('createBtn');
-        stopBtn.classList.add('hidden');
-        stopBtn.classList.remove('flex');
-        createBtn.classList.remove('hidden');
-        createBtn.classList.add('flex');
-        createBtn.disabled = false;
+        // Hide process controls, show create button
+        setProcessControls(false);
     }
 
     if (status === 'error' || status === 'failed' || status === 'stopped' || status === 'publish_error') {
@@ -179,14 +281,8 @@ function handleStatusUpdate(data) {
         } else {
             showNotification('Process failed: ' + (error || message), 'error');
         }
-        // Hide stop button, show create button
-        const stopBtn = document.getElementById('stopBtn');
-        const createBtn = document.getElementById('createBtn');
-        stopBtn.classList.add('hidden');
-        stopBtn.classList.remove('flex');
-        createBtn.classList.remove('hidden');
-        createBtn.classList.add('flex');
-        createBtn.disabled = false;
+        // Hide process controls, show create button
+        setProcessControls(false);
     }
 }
 
@@ -204,12 +300,20 @@ function updateCurrentStatus(status, message) {
         'waiting_for_generation': 'Waiting for Suno to generate song...',
         'waiting_for_completion': 'Waiting for song generation...',
         'song_completed': 'Song generation completed',
+        'generation_failed': 'Generation failed',
+        'completion_timeout': 'Generation timed out',
         'downloading': 'Downloading MP3...',
         'download_complete': 'Download complete',
         'complete': 'Complete!',
         'error': 'Error',
         'failed': 'Failed',
-        'stopped': 'Stopped'
+        'stopping': 'Stopping after current step...',
+        'stopped': 'Stopped',
+        'pause_requested': 'Pausing before next song...',
+        'paused': 'Paused',
+        'resumed': 'Resumed',
+        'batch_refused': 'Not enough credits',
+        'batch_out_of_credits': 'Out of credits'
     };
 
     const displayStatus = statusMap[status] || message || status;
@@ -221,7 +325,7 @@ function updateCurrentStatus(status, message) {
         statusValue.classList.add('processing');
     } else if (['complete', 'download_complete'].includes(status)) {
         statusValue.classList.add('success');
-    } else if (['error', 'failed'].includes(status)) {
+    } else if (['error', 'failed', 'generation_failed', 'completion_timeout'].includes(status)) {
         statusValue.classList.add('error');
     }
 }
@@ -230,8 +334,6 @@ function updateProgress(status) {
     const progressContainer = document.getElementById('progressContainer');
     const progressFill = document.getElementById('progressFill');
     const progressText = document.getElementById('progressText');
-    const createBtn = document.getElementById('createBtn');
-    const stopBtn = document.getElementById('stopBtn');
 
     const progressSteps = {
         'loading_config': { percent: 5, text: 'Loading configuration...' },
@@ -263,18 +365,9 @@ function updateProgress(status) {
 
         state.isProcessing = step.percent < 100;
 
-        if (state.isProcessing) {
-            createBtn.classList.add('hidden');
-            createBtn.classList.remove('flex');
-            createBtn.disabled = true;
-            stopBtn.classList.remove('hidden');
-            stopBtn.classList.add('flex');
-        } else {
-            createBtn.classList.remove('hidden');
-            createBtn.classList.add('flex');
-            createBtn.disabled = false;
-            stopBtn.classList.add('hidden');
-            stopBtn.classList.remove('flex');
+        setProcessControls(state.isProcessing);
+
+        if (!state.isProcessing) {
 
             // Hide progress after completion
             setTimeout(() => {
@@ -285,7 +378,7 @@ function updateProgress(status) {
     }
 }
 
-function addLogEntry(status, message) {
+function addLogEntry(status, message, timestamp = null) {
     const logContent = document.getElementById('logContent');
     const entry = document.createElement('div');
 
@@ -301,7 +394,7 @@ function addLogEntry(status, message) {
 
     entry.className = `log-entry ${logType}`;
 
-    const time = new Date().toLocaleTimeString();
+    const time = (timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString();
     entry.innerHTML = `
         <span class="log-time">[${time}]</span>
         <span class="log-message">${message}</span>
@@ -318,6 +411,109 @@ function addLogEntry(status, message) {
     }
 }
 
+// Server Logs tab - polls /api/logs while it is open
+const serverLogs = {
+    lastTime: null, // Time of the newest entry shown, so each poll only fetches new ones
+    timer: null
+};
+
+function showLogTab(tab) {
+    const showServer = tab === 'server';
+
+    document.getElementById('logContent').classList.toggle('hidden', showServer);
+    document.getElementById('serverLogContent').classList.toggle('hidden', !showServer);
+    document.getElementById('serverLogLevel').classList.toggle('hidden', !showServer);
+
+    const activeClasses = ['bg-bg-hover', 'text-text-primary'];
+    const inactiveClasses = ['text-text-secondary', 'hover:bg-bg-hover'];
+    const [activeBtn, inactiveBtn] = showServer
+        ? ['serverLogsTabBtn', 'activityTabBtn']
+        : ['activityTabBtn', 'serverLogsTabBtn'];
+    document.getElementById(activeBtn).classList.remove(...inactiveClasses);
+    document.getElementById(activeBtn).classList.add(...activeClasses);
+    document.getElementById(inactiveBtn).classList.remove(...activeClasses);
+    document.getElementById(inactiveBtn).classList.add(...inactiveClasses);
+
+    clearInterval(serverLogs.timer);
+    serverLogs.timer = null;
+
+    if (showServer) {
+        loadServerLogs();
+        serverLogs.timer = setInterval(() => {
+            if (!document.hidden) {
+                loadServerLogs();
+            }
+        }, 5000);
+    }
+}
+
+function reloadServerLogs() {
+    document.getElementById('serverLogContent').innerHTML = '';
+    serverLogs.lastTime = null;
+    loadServerLogs();
+}
+
+async function loadServerLogs() {
+    try {
+        const params = new URLSearchParams({
+            level: document.getElementById('serverLogLevel').value,
+            limit: '200'
+        });
+        if (serverLogs.lastTime) {
+            params.set('since', serverLogs.lastTime);
+        }
+
+        const response = await fetch(`/api/logs?${params}`);
+        const data = await response.json();
+
+        if (!data.success || data.entries.length === 0) return;
+
+        // Entries come newest first
+        serverLogs.lastTime = data.entries[0].time;
+        data.entries.reverse().forEach(addServerLogEntry);
+
+        const container = document.getElementById('serverLogContent');
+        while (container.children.length > 500) {
+            container.removeChild(container.firstChild);
+        }
+        container.parentElement.scrollTop = container.parentElement.scrollHeight;
+    } catch (error) {
+        console.error('Error loading server logs:', error);
+    }
+}
+
+function addServerLogEntry(logEntry) {
+    const logType = {
+        error: 'log-error',
+        warn: 'log-warning',
+        debug: 'log-debug'
+    }[logEntry.level] || 'log-info';
+
+    const entry = document.createElement('div');
+    entry.className = `log-entry ${logType}`;
+
+    // Built with textContent - log messages can contain text scraped from Suno pages
+    const time = document.createElement('span');
+    time.className = 'log-time';
+    time.textContent = `[${new Date(logEntry.time).toLocaleTimeString()}]`;
+
+    const module = document.createElement('span');
+    module.className = 'log-module';
+    module.textContent = logEntry.song ? `${logEntry.module} #${logEntry.song}` : logEntry.module;
+
+    const message = document.createElement('span');
+    message.className = 'log-message';
+    message.textContent = logEntry.error && !logEntry.message.includes(logEntry.error)
+        ? `${logEntry.message} ${logEntry.error}`
+        : logEntry.message;
+    if (logEntry.jobId) {
+        message.title = `Job ${logEntry.jobId}`;
+    }
+
+    entry.append(time, module, message);
+    document.getElementById('serverLogContent').appendChild(entry);
+}
+
 // Credential Management
 async function loadCredentials() {
     try {
@@ -488,7 +684,17 @@ async function loadSettings() {
         // Populate form
         document.getElementById('authMethod').value = settings.authMethod || 'google';
         document.getElementById('downloadPath').value = settings.downloadPath || './downloads';
-        document.getElementById('maxWaitMinutes').value = settings.suno?.maxWaitMinutes || 3;
+        document.getElementById('maxWaitMinutes').value = settings.suno?.maxWaitMinutes || 10;
+
+        // The batch form starts from the default formats
+        const formats = settings.downloads?.formats || ['mp3'];
+        setCheckedFormats('downloadFormat', formats);
+        setCheckedFormats('batchFormat', formats);
+
+        const tags = settings.downloads?.tags || {};
+        document.getElementById('tagsEnabled').checked = tags.enabled !== false;
+        document.getElementById('tagArtist').value = tags.artist || '';
+        document.getElementById('tagAlbum').value = tags.album || '';
 
         if (settings.credentials) {
             document.getElementById('email').value = settings.credentials.email || '';
@@ -505,7 +711,13 @@ async function loadSettings() {
 }
 
 async function saveSettings() {
-    const maxWaitMinutes = parseInt(document.getElementById('maxWaitMinutes').value) || 3;
+    const maxWaitMinutes = parseInt(document.getElementById('maxWaitMinutes').value) || 10;
+    const formats = getCheckedFormats('downloadFormat');
+
+    if (formats.length === 0) {
+        showNotification('Select at least one download format', 'warning');
+        return;
+    }
 
     const settings = {
         authMethod: document.getElementById('authMethod').value,
@@ -517,6 +729,14 @@ async function saveSettings() {
         suno: {
             maxWaitMinutes: maxWaitMinutes,
             maxWaitTime: maxWaitMinutes * 60 * 1000  // Convert to milliseconds
+        },
+        downloads: {
+            formats,
+            tags: {
+                enabled: document.getElementById('tagsEnabled').checked,
+                artist: document.getElementById('tagArtist').value.trim(),
+                album: document.getElementById('tagAlbum').value.trim()
+            }
         }
     };
 
@@ -541,6 +761,48 @@ async function saveSettings() {
     }
 }
 
+// Download format checkboxes (name="downloadFormat" in Settings, "batchFormat" in the batch form)
+function getCheckedFormats(name) {
+    return [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+}
+
+function setCheckedFormats(name, formats) {
+    document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+        input.checked = formats.includes(input.value);
+    });
+}
+
+async function retagDownloads() {
+    const button = document.getElementById('retagDownloadsBtn');
+    button.disabled = true;
+    button.textContent = 'Tagging...';
+
+    try {
+        const response = await fetch('/api/downloads/tags', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const result = await response.json();
+
+        if (!Array.isArray(result.tagged)) {
+            throw new Error(result.error || 'Re-tagging failed');
+        }
+
+        result.failed.forEach(f => addLogEntry('error', `Could not tag ${f.filename}: ${f.error}`));
+        showNotification(
+            `Tagged ${result.count} MP3s` + (result.failed.length > 0 ? `, ${result.failed.length} failed (see Activity Log)` : ''),
+            result.failed.length > 0 ? 'warning' : 'success'
+        );
+    } catch (error) {
+        console.error('Error re-tagging downloads:', error);
+        showNotification('Failed to re-tag downloads: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Re-tag All MP3s';
+    }
+}
+
 async function testAuthentication() {
     if (state.isProcessing) {
         showNotification('Another process is running', 'warning');
@@ -654,20 +916,21 @@ async function stopProcess() {
         const result = await response.json();
 
         if (result.success) {
+            // A running job stops at its next step; the 'stopped' update resets the UI then
+            if (result.jobId) {
+                showNotification('Stop requested - finishing the current step...', 'info');
+                document.getElementById('stopBtn').disabled = true;
+                return;
+            }
+
             showNotification('Process stopped', 'info');
             state.isProcessing = false;
 
             // Reset UI
-            const createBtn = document.getElementById('createBtn');
-            const stopBtn = document.getElementById('stopBtn');
             const progressContainer = document.getElementById('progressContainer');
             const progressFill = document.getElementById('progressFill');
 
-            createBtn.classList.remove('hidden');
-            createBtn.classList.add('flex');
-            createBtn.disabled = false;
-            stopBtn.classList.add('hidden');
-            stopBtn.classList.remove('flex');
+            setProcessControls(false);
 
             // Reset progress bar
             progressContainer.classList.add('hidden');
@@ -682,6 +945,81 @@ async function stopProcess() {
     }
 }
 
+async function pauseProcess() {
+    try {
+        const response = await fetch('/api/pause', {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        setPausedControls(true);
+        showNotification('Pause requested - the batch will hold before the next song', 'info');
+    } catch (error) {
+        console.error('Error pausing process:', error);
+        showNotification('Error pausing process: ' + error.message, 'error');
+    }
+}
+
+async function resumeProcess() {
+    try {
+        const response = await fetch('/api/resume', {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        setPausedControls(false);
+    } catch (error) {
+        console.error('Error resuming process:', error);
+        showNotification('Error resuming process: ' + error.message, 'error');
+    }
+}
+
+// Show Pause/Stop while a job runs, and the create button (if present) otherwise
+function setProcessControls(processing) {
+    const controls = document.getElementById('processControls');
+    const createBtn = document.getElementById('createBtn');
+    const stopBtn = document.getElementById('stopBtn');
+
+    if (controls) {
+        controls.classList.toggle('hidden', !processing);
+        controls.classList.toggle('flex', processing);
+    }
+
+    if (stopBtn) {
+        stopBtn.disabled = false;
+    }
+
+    if (createBtn) {
+        createBtn.classList.toggle('hidden', processing);
+        createBtn.classList.toggle('flex', !processing);
+        createBtn.disabled = processing;
+    }
+
+    if (!processing) {
+        setPausedControls(false);
+    }
+}
+
+function setPausedControls(paused) {
+    const pauseBtn = document.getElementById('pauseBtn');
+    const resumeBtn = document.getElementById('resumeBtn');
+
+    if (pauseBtn && resumeBtn) {
+        pauseBtn.classList.toggle('hidden', paused);
+        resumeBtn.classList.toggle('hidden', !paused);
+    }
+}
+
 // Folder Picker for Download Path
 function setupFolderPicker() {
     const browseFolderBtn = document.getElementById('browseFolderBtn');
@@ -761,6 +1099,9 @@ function setupEventListeners() {
 function openSettingsModal() {
     const modal = document.getElementById('settingsModal');
     modal.classList.remove('hidden');
+    loadAccounts();
+    loadApiKeys();
+    loadWebhooks();
     // Prevent body scroll when modal is open
     document.body.style.overflow = 'hidden';
 }
@@ -1013,6 +1354,18 @@ function populateStyleDropdowns() {
             ${options}
         `;
     }
+
+    // Populate schedule style preset dropdown
+    const scheduleDropdown = document.getElementById('scheduleStylePreset');
+    if (scheduleDropdown) {
+        const options = savedStyles.map(preset =>
+            `<option value="${preset.id}">${preset.favorite ? '⭐ ' : ''}${preset.name}</option>`
+        ).join('');
+        scheduleDropdown.innerHTML = `
+            <option value="">Select style for schedule...</option>
+            ${options}
+        `;
+    }
 }
 
 function useStylePresetFromDropdown(presetId) {
@@ -1236,6 +1589,9 @@ async function startBatchGeneration() {
     const numberOfSongs = parseInt(document.getElementById('batchNumberOfSongs').value);
     const lyrics = document.getElementById('batchLyrics').value.trim();
     const randomStylePresets = document.getElementById('randomStylePresets').checked;
+    const accountChoice = document.getElementById('batchAccount')?.value || '';
+    const rotateAccounts = accountChoice === ROTATE_ACCOUNTS;
+    const formats = getCheckedFormats('batchFormat');
 
     if (!stylePresetId) {
         showNotification('Please select a style preset for batch generation', 'warning');
@@ -1247,6 +1603,11 @@ async function startBatchGeneration() {
         return;
     }
 
+    if (formats.length === 0) {
+        showNotification('Select at least one download format', 'warning');
+        return;
+    }
+
     const preset = savedStyles.find(p => p.id === stylePresetId);
 
     // Count presets in the same category for random mode info
@@ -1262,8 +1623,9 @@ async function startBatchGeneration() {
         `Category: ${preset?.category || 'Unknown'}` +
         `${randomModeText}\n` +
         `Songs: ${numberOfSongs}\n` +
-        `Each song will have 2 MP3 versions (1 round)\n\n` +
-        `Total files: ${numberOfSongs * 2} MP3s\n` +
+        `Account: ${rotateAccounts ? `Rotating across ${accounts.length} accounts` : (accounts.find(a => a.id === accountChoice)?.name || 'Default')}\n` +
+        `Each song will have 2 versions (1 round), downloaded as ${formats.join(', ')}\n\n` +
+        `Total files: ${numberOfSongs * 2 * formats.length}\n` +
         `Estimated time: ${Math.ceil(numberOfSongs * 5)} minutes\n\n` +
         `Continue?`
     );
@@ -1278,7 +1640,10 @@ async function startBatchGeneration() {
                 stylePresetId,
                 numberOfSongs,
                 lyrics,
-                randomStylePresets
+                randomStylePresets,
+                accountId: rotateAccounts ? null : (accountChoice || null),
+                rotateAccounts,
+                formats
             })
         });
 
@@ -1286,8 +1651,9 @@ async function startBatchGeneration() {
 
         if (result.success) {
             const modeInfo = randomStylePresets ? ' (Random mode enabled)' : '';
-            showNotification(`Batch generation started: ${numberOfSongs} songs${modeInfo}`, 'success');
-            addLogEntry('info', `Batch generation started: ${numberOfSongs} songs with style "${preset?.name}"${modeInfo}`);
+            const queueInfo = result.queuePosition > 1 ? ` - ${result.queuePosition - 1} job(s) ahead in queue` : '';
+            showNotification(`Batch generation queued: ${numberOfSongs} songs${modeInfo}${queueInfo}`, 'success');
+            addLogEntry('info', `Batch job ${result.jobId} queued: ${numberOfSongs} songs with style "${preset?.name}"${modeInfo}`);
         } else {
             throw new Error(result.error || 'Failed to start batch');
         }
@@ -1297,13 +1663,1061 @@ async function startBatchGeneration() {
     }
 }
 
-// Initialize style management on page load
-const originalInitializeApp = initializeApp;
-initializeApp = function() {
-    originalInitializeApp();
+// ========================================
+// Manifest Batches
+// ========================================
+
+function importBatchManifest() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,.json';
+
+    input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const accountChoice = document.getElementById('batchAccount')?.value || '';
+        const rotateAccounts = accountChoice === ROTATE_ACCOUNTS;
+        const formats = getCheckedFormats('batchFormat');
+        const request = {
+            content: await file.text(),
+            format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+            accountId: rotateAccounts ? null : (accountChoice || null),
+            rotateAccounts,
+            // Rows with a formats column keep their own; none checked means the settings default
+            formats: formats.length > 0 ? formats : undefined
+        };
+
+        try {
+            // Check every row first, so a bad spreadsheet queues nothing
+            const check = await postManifest({ ...request, dryRun: true });
+            if (!check) return;
+
+            const publishing = check.songs.filter(song => song.publish).length;
+            const confirmed = confirm(
+                `Queue ${check.count} songs from ${file.name}?\n\n` +
+                check.songs.slice(0, 10).map(song => `${song.row}. ${song.title} (${song.presetName || song.style})`).join('\n') +
+                (check.count > 10 ? `\n... and ${check.count - 10} more` : '') +
+                `\n\nPublish to YouTube: ${publishing} of ${check.count}\n` +
+                `Account: ${rotateAccounts ? `Rotating across ${accounts.length} accounts` : (accounts.find(a => a.id === accountChoice)?.name || 'Default')}`
+            );
+            if (!confirmed) return;
+
+            const result = await postManifest(request);
+            if (!result) return;
+
+            const queueInfo = result.queuePosition > 1 ? ` - ${result.queuePosition - 1} job(s) ahead in queue` : '';
+            showNotification(`Manifest batch queued: ${result.count} songs${queueInfo}`, 'success');
+            addLogEntry('info', `Batch job ${result.jobId} queued from ${file.name}: ${result.count} songs`);
+        } catch (error) {
+            console.error('Error importing manifest:', error);
+            showNotification('Failed to import manifest: ' + error.message, 'error');
+        }
+    };
+
+    input.click();
+}
+
+// POST a manifest; shows the row errors and returns null if it was rejected
+async function postManifest(body) {
+    const response = await fetch('/api/batch-manifest', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    const container = document.getElementById('manifestErrors');
+    const list = document.getElementById('manifestErrorList');
+
+    if (response.status === 400 && result.errors) {
+        list.innerHTML = '';
+        result.errors.forEach(({ field, message }) => {
+            const item = document.createElement('li');
+            item.textContent = `${field}: ${message}`;
+            list.appendChild(item);
+        });
+        container.classList.remove('hidden');
+        showNotification(`Manifest rejected: ${result.errors.length} problem(s)`, 'error');
+        return null;
+    }
+
+    container.classList.add('hidden');
+    if (!result.success) {
+        throw new Error(result.error || 'Failed to queue manifest');
+    }
+    return result;
+}
+
+function showBatchReportButton(jobId) {
+    if (!jobId) return;
+    state.lastBatchJobId = jobId;
+    document.getElementById('batchReportBtn')?.classList.remove('hidden');
+}
+
+async function downloadBatchReport(jobId = state.lastBatchJobId) {
+    if (!jobId) return;
+
+    try {
+        const response = await fetch(`/api/batches/${jobId}/report`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Report not available');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `batch-${jobId}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error downloading batch report:', error);
+        showNotification('Failed to download report: ' + error.message, 'error');
+    }
+}
+
+// ========================================
+// Batch Resume
+// ========================================
+
+async function loadResumableBatches() {
+    try {
+        const response = await fetch('/api/batches/resumable');
+        const data = await response.json();
+
+        const container = document.getElementById('resumeBatchesContainer');
+        const list = document.getElementById('resumeBatchesList');
+        if (!container || !list) return;
+
+        const batches = data.batches || [];
+        if (batches.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        list.innerHTML = batches.map(batch => {
+            const preset = savedStyles.find(p => p.id === batch.stylePresetId);
+            return `
+                <div class="flex items-center justify-between gap-3 p-3 bg-bg-tertiary rounded-lg">
+                    <div class="min-w-0">
+                        <div class="text-sm text-text-primary truncate">${preset?.name || batch.stylePresetId || 'Manifest batch'}${batch.randomStylePresets ? ' (Random)' : ''}</div>
+                        <div class="text-xs text-text-tertiary">
+                            ${batch.success}/${batch.total} done${batch.failed ? `, ${batch.failed} failed` : ''} • ${batch.status} ${formatDate(batch.finishedAt || batch.createdAt)}
+                        </div>
+                    </div>
+                    <div class="flex gap-2">
+                        <button onclick="downloadBatchReport('${batch.jobId}')"
+                                class="px-3 py-1.5 bg-transparent border border-border-dark hover:bg-bg-hover text-text-primary text-xs font-medium rounded transition-colors whitespace-nowrap">
+                            Report
+                        </button>
+                        <button onclick="resumeBatch('${batch.jobId}')"
+                                class="px-3 py-1.5 bg-youtube-blue hover:bg-youtube-light-blue text-white text-xs font-medium rounded transition-colors whitespace-nowrap">
+                            Resume from song ${batch.resumeFrom}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error loading resumable batches:', error);
+    }
+}
+
+async function resumeBatch(jobId) {
+    try {
+        const response = await fetch(`/api/jobs/${jobId}/resume`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showNotification(result.message, 'success');
+            await loadResumableBatches();
+        } else {
+            throw new Error(result.error || 'Failed to resume batch');
+        }
+    } catch (error) {
+        console.error('Error resuming batch:', error);
+        showNotification('Failed to resume batch: ' + error.message, 'error');
+    }
+}
+
+function dismissResumableBatches() {
+    const container = document.getElementById('resumeBatchesContainer');
+    if (container) {
+        container.classList.add('hidden');
+    }
+}
+
+// ========================================
+// Suno Accounts
+// ========================================
+
+const ROTATE_ACCOUNTS = '__rotate__';
+let accounts = [];
+
+async function loadAccounts() {
+    try {
+        const response = await fetch('/api/accounts');
+        const data = await response.json();
+
+        if (data.success) {
+            accounts = data.accounts;
+            renderAccounts(data.activeAccountId);
+            populateAccountDropdown();
+        }
+    } catch (error) {
+        console.error('Error loading accounts:', error);
+    }
+}
+
+function renderAccounts(activeAccountId) {
+    const container = document.getElementById('accountsList');
+    if (!container) return;
+
+    const statusBadge = {
+        'logged_in': '<span class="text-xs px-2 py-0.5 rounded bg-green-500 bg-opacity-10 text-green-500">Logged in</span>',
+        'failed': '<span class="text-xs px-2 py-0.5 rounded bg-red-500 bg-opacity-10 text-red-500">Login failed</span>',
+        'unknown': '<span class="text-xs px-2 py-0.5 rounded bg-bg-hover text-text-tertiary">Not checked</span>'
+    };
+
+    container.innerHTML = accounts.map(account => `
+        <div class="flex items-center gap-3 p-3 bg-bg-primary rounded-lg">
+            <div class="flex-1 min-w-0">
+                <div class="flex items-center gap-2 text-sm text-text-primary">
+                    <span class="font-medium truncate">${account.name}</span>
+                    ${account.isDefault ? '<span class="text-xs text-youtube-blue">Default</span>' : ''}
+                    ${account.id === activeAccountId ? '<span class="text-xs text-text-tertiary">(browser open)</span>' : ''}
+                </div>
+                <div class="text-xs text-text-tertiary truncate">
+                    ${account.email || 'No saved credentials - manual login'}
+                    ${account.creditBalance !== null && account.creditBalance !== undefined ? ` • ${account.creditBalance} credits` : ''}
+                    ${account.loginCheckedAt ? ` • checked ${formatDate(account.loginCheckedAt)}` : ''}
+                </div>
+            </div>
+            <span title="${account.loginError || ''}">${statusBadge[account.loginStatus] || statusBadge.unknown}</span>
+            <div class="flex gap-2 flex-shrink-0">
+                <button onclick="testAccount('${account.id}')"
+                        class="px-3 py-1.5 bg-transparent border border-border-dark hover:bg-bg-hover text-text-primary text-xs rounded transition-colors">
+                    Test
+                </button>
+                ${account.isDefault ? '' : `
+                <button onclick="setDefaultAccount('${account.id}')"
+                        class="px-3 py-1.5 bg-transparent border border-border-dark hover:bg-bg-hover text-text-primary text-xs rounded transition-colors">
+                    Make default
+                </button>
+                <button onclick="deleteAccount('${account.id}')"
+                        class="px-3 py-1.5 bg-transparent hover:bg-red-500 hover:bg-opacity-20 text-red-500 text-xs rounded transition-colors">
+                    ✕
+                </button>`}
+            </div>
+        </div>
+    `).join('');
+}
+
+function populateAccountDropdown() {
+    const dropdown = document.getElementById('batchAccount');
+    if (!dropdown) return;
+
+    const selected = dropdown.value;
+    const options = accounts.map(account =>
+        `<option value="${account.id}">${account.name}${account.isDefault ? ' (default)' : ''}</option>`
+    ).join('');
+
+    dropdown.innerHTML = `
+        <option value="">Default account</option>
+        ${options}
+        ${accounts.length > 1 ? `<option value="${ROTATE_ACCOUNTS}">Rotate across all accounts</option>` : ''}
+    `;
+    dropdown.value = [...dropdown.options].some(o => o.value === selected) ? selected : '';
+}
+
+async function createAccount() {
+    const name = document.getElementById('newAccountName').value.trim();
+    const email = document.getElementById('newAccountEmail').value.trim();
+    const password = document.getElementById('newAccountPassword').value;
+
+    if (!name) {
+        showNotification('Please enter an account name', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/accounts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, email, password })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showNotification(`Account "${result.account.name}" added`, 'success');
+            document.getElementById('newAccountName').value = '';
+            document.getElementById('newAccountEmail').value = '';
+            document.getElementById('newAccountPassword').value = '';
+            await loadAccounts();
+        } else {
+            throw new Error(result.error || 'Failed to add account');
+        }
+    } catch (error) {
+        console.error('Error adding account:', error);
+        showNotification('Failed to add account: ' + error.message, 'error');
+    }
+}
+
+async function testAccount(id) {
+    showNotification('Testing login - this waits for any running job to finish', 'info');
+
+    try {
+        const response = await fetch('/api/test-auth', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ accountId: id })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showNotification('Authentication successful!', 'success');
+        } else {
+            throw new Error(result.error);
+        }
+    } catch (error) {
+        console.error('Account test failed:', error);
+        showNotification('Authentication failed: ' + error.message, 'error');
+    } finally {
+        await loadAccounts();
+    }
+}
+
+async function setDefaultAccount(id) {
+    try {
+        const response = await fetch(`/api/accounts/${id}/default`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        await loadAccounts();
+    } catch (error) {
+        console.error('Error setting default account:', error);
+        showNotification('Failed to set default account: ' + error.message, 'error');
+    }
+}
+
+async function deleteAccount(id) {
+    const account = accounts.find(a => a.id === id);
+    if (!confirm(`Delete account "${account?.name || id}"?\n\nIts browser profile stays on disk.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/accounts/${id}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showNotification('Account deleted', 'success');
+            await loadAccounts();
+        } else {
+            throw new Error(result.error);
+        }
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        showNotification('Failed to delete account: ' + error.message, 'error');
+    }
+}
+
+// ========================================
+// API Keys
+// ========================================
+
+async function loadApiKeys() {
+    try {
+        const response = await fetch('/api/auth/keys');
+        const data = await response.json();
+
+        if (!data.success) return;
+
+        document.getElementById('apiAuthEnabled').checked = data.enabled;
+        document.getElementById('apiAuthHost').textContent = `Listening on ${data.host}`;
+        document.getElementById('browserApiKey').value = localStorage.getItem('apiKey') || '';
+
+        const list = document.getElementById('apiKeysList');
+        if (data.keys.length === 0) {
+            list.innerHTML = '<p class="text-xs text-text-tertiary">No API keys yet</p>';
+            return;
+        }
+
+        list.innerHTML = data.keys.map(key => `
+            <div class="flex items-center gap-3 p-3 bg-bg-primary rounded-lg">
+                <div class="flex-1 min-w-0">
+                    <div class="text-sm text-text-primary truncate">${key.name}</div>
+                    <div class="text-xs text-text-tertiary">
+                        <span class="font-mono">${key.preview}</span> • created ${formatDate(key.createdAt)}${key.lastUsedAt ? ` • last used ${formatDate(key.lastUsedAt)}` : ''}
+                    </div>
+                </div>
+                <button onclick="deleteApiKey('${key.id}')"
+                        class="px-3 py-1.5 bg-transparent hover:bg-red-500 hover:bg-opacity-20 text-red-500 text-xs rounded transition-colors">
+                    ✕
+                </button>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+    }
+}
+
+async function createApiKey() {
+    const name = document.getElementById('newApiKeyName').value.trim();
+
+    try {
+        const response = await fetch('/api/auth/keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        // Show the key once and use it in this browser
+        document.getElementById('newApiKeyValue').textContent = result.key;
+        document.getElementById('newApiKeyBox').classList.remove('hidden');
+        document.getElementById('newApiKeyName').value = '';
+        localStorage.setItem('apiKey', result.key);
+
+        await loadApiKeys();
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        showNotification('Failed to create API key: ' + error.message, 'error');
+    }
+}
+
+async function deleteApiKey(id) {
+    if (!confirm('Delete this API key? Anything using it will lose access.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/auth/keys/${id}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        showNotification('API key deleted', 'success');
+        await loadApiKeys();
+    } catch (error) {
+        console.error('Error deleting API key:', error);
+        showNotification('Failed to delete API key: ' + error.message, 'error');
+    }
+}
+
+async function setApiAuthEnabled(enabled) {
+    try {
+        const response = await fetch('/api/auth/enabled', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        showNotification(result.message, 'success');
+    } catch (error) {
+        console.error('Error changing API auth:', error);
+        showNotification('Failed to change API key auth: ' + error.message, 'error');
+    } finally {
+        await loadApiKeys();
+    }
+}
+
+function saveBrowserApiKey(apiKey) {
+    if (apiKey.trim()) {
+        localStorage.setItem('apiKey', apiKey.trim());
+    } else {
+        localStorage.removeItem('apiKey');
+    }
+
+    // Reconnect the live status feed with the new key
+    connectWebSocket();
+}
+
+// ========================================
+// Webhooks
+// ========================================
+
+async function loadWebhooks() {
+    try {
+        const response = await fetch('/api/webhooks');
+        const data = await response.json();
+
+        if (!data.success) return;
+
+        // Event checkboxes for new webhooks (none ticked = all events)
+        const eventsContainer = document.getElementById('newWebhookEvents');
+        if (!eventsContainer.children.length) {
+            eventsContainer.innerHTML = data.events.map(event => `
+                <label class="flex items-center text-xs text-text-secondary cursor-pointer select-none">
+                    <input type="checkbox" value="${event}" class="w-4 h-4 mr-1.5 bg-bg-primary border-border-dark rounded text-youtube-blue focus:ring-youtube-blue focus:ring-2">
+                    ${event}
+                </label>
+            `).join('');
+        }
+
+        const list = document.getElementById('webhooksList');
+        if (data.webhooks.length === 0) {
+            list.innerHTML = '<p class="text-xs text-text-tertiary">No webhooks yet</p>';
+        } else {
+            list.innerHTML = data.webhooks.map(webhook => `
+                <div class="flex items-center gap-3 p-3 bg-bg-primary rounded-lg">
+                    <input type="checkbox" ${webhook.enabled ? 'checked' : ''} onchange="toggleWebhook('${webhook.id}', this.checked)"
+                           title="Enabled" class="w-4 h-4 bg-bg-primary border-border-dark rounded text-youtube-blue focus:ring-youtube-blue focus:ring-2">
+                    <div class="flex-1 min-w-0">
+                        <div class="text-sm text-text-primary truncate">${webhook.name}</div>
+                        <div class="text-xs text-text-tertiary truncate">
+                            <span class="font-mono">${webhook.url}</span> • ${webhook.events.length ? webhook.events.join(', ') : 'all events'}
+                        </div>
+                    </div>
+                    <button onclick="testWebhook('${webhook.id}')"
+                            class="px-3 py-1.5 bg-transparent border border-border-dark hover:bg-bg-hover text-text-primary text-xs rounded transition-colors">
+                        Test
+                    </button>
+                    <button onclick="deleteWebhook('${webhook.id}')"
+                            class="px-3 py-1.5 bg-transparent hover:bg-red-500 hover:bg-opacity-20 text-red-500 text-xs rounded transition-colors">
+                        ✕
+                    </button>
+                </div>
+            `).join('');
+        }
+
+        await loadWebhookDeliveries();
+    } catch (error) {
+        console.error('Error loading webhooks:', error);
+    }
+}
+
+async function loadWebhookDeliveries() {
+    try {
+        const response = await fetch('/api/webhooks/deliveries?limit=50');
+        const data = await response.json();
+
+        if (!data.success) return;
+
+        const list = document.getElementById('webhookDeliveriesList');
+        if (data.deliveries.length === 0) {
+            list.innerHTML = '<p class="text-xs text-text-tertiary">No deliveries yet</p>';
+            return;
+        }
+
+        const statusClasses = {
+            delivered: 'text-green-500',
+            failed: 'text-red-500',
+            retrying: 'text-yellow-500',
+            pending: 'text-text-tertiary'
+        };
+
+        list.innerHTML = data.deliveries.map(delivery => {
+            const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+            const detail = delivery.status === 'retrying'
+                ? `${delivery.error} • next try ${formatDate(delivery.nextAttemptAt)}`
+                : (delivery.error || (lastAttempt ? `HTTP ${lastAttempt.statusCode} in ${lastAttempt.durationMs}ms` : ''));
+
+            return `
+                <div class="flex items-center gap-3 px-3 py-2 bg-bg-primary rounded text-xs">
+                    <span class="w-16 flex-shrink-0 font-medium ${statusClasses[delivery.status] || ''}">${delivery.status}</span>
+                    <div class="flex-1 min-w-0">
+                        <div class="text-text-primary truncate">${delivery.event} → ${delivery.webhookName}</div>
+                        <div class="text-text-tertiary truncate">
+                            ${formatDate(delivery.createdAt)} • ${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}${detail ? ` • ${detail}` : ''}
+                        </div>
+                    </div>
+                    ${delivery.status === 'failed' ? `
+                        <button onclick="redeliverWebhook('${delivery.id}')" class="text-youtube-blue hover:underline flex-shrink-0">Retry</button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading webhook deliveries:', error);
+    }
+}
+
+async function createWebhook() {
+    const name = document.getElementById('newWebhookName').value.trim();
+    const url = document.getElementById('newWebhookUrl').value.trim();
+    const secret = document.getElementById('newWebhookSecret').value;
+    const events = Array.from(document.querySelectorAll('#newWebhookEvents input:checked')).map(input => input.value);
+
+    if (!url) {
+        showNotification('Please enter a webhook URL', 'warning');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, url, events, secret })
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        // A generated secret is only shown once
+        if (!secret) {
+            document.getElementById('newWebhookSecretValue').textContent = result.secret;
+            document.getElementById('newWebhookSecretBox').classList.remove('hidden');
+        }
+
+        document.getElementById('newWebhookName').value = '';
+        document.getElementById('newWebhookUrl').value = '';
+        document.getElementById('newWebhookSecret').value = '';
+        document.querySelectorAll('#newWebhookEvents input').forEach(input => { input.checked = false; });
+
+        showNotification('Webhook added', 'success');
+        await loadWebhooks();
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        showNotification('Failed to add webhook: ' + error.message, 'error');
+    }
+}
+
+async function toggleWebhook(id, enabled) {
+    try {
+        const response = await fetch(`/api/webhooks/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        showNotification('Failed to update webhook: ' + error.message, 'error');
+        await loadWebhooks();
+    }
+}
+
+async function testWebhook(id) {
+    try {
+        const response = await fetch(`/api/webhooks/${id}/test`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        if (result.delivery.status === 'delivered') {
+            showNotification('Test event delivered', 'success');
+        } else {
+            showNotification(`Test delivery failed: ${result.delivery.error} (will retry)`, 'warning');
+        }
+
+        await loadWebhookDeliveries();
+    } catch (error) {
+        console.error('Error testing webhook:', error);
+        showNotification('Failed to test webhook: ' + error.message, 'error');
+    }
+}
+
+async function deleteWebhook(id) {
+    if (!confirm('Delete this webhook? Pending retries to it are dropped.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/webhooks/${id}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        showNotification('Webhook deleted', 'success');
+        await loadWebhooks();
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        showNotification('Failed to delete webhook: ' + error.message, 'error');
+    }
+}
+
+async function redeliverWebhook(deliveryId) {
+    try {
+        const response = await fetch(`/api/webhooks/deliveries/${deliveryId}/redeliver`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        showNotification(result.delivery.status === 'delivered' ? 'Delivered' : `Delivery failed again: ${result.delivery.error}`,
+            result.delivery.status === 'delivered' ? 'success' : 'warning');
+        await loadWebhookDeliveries();
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        showNotification('Failed to redeliver: ' + error.message, 'error');
+    }
+}
+
+// ========================================
+// Selector Check
+// ========================================
+
+async function runSelectorCheck() {
+    const button = document.getElementById('runSelectorCheck');
+    const results = document.getElementById('selectorCheckResults');
+
+    button.disabled = true;
+    button.textContent = 'Checking...';
+    results.innerHTML = '<p class="text-xs text-text-tertiary">Waiting for the browser - this waits for any running job to finish</p>';
+
+    try {
+        const response = await fetch('/api/diagnostics/selectors', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        renderSelectorCheck(result);
+        showNotification(
+            result.passed ? 'All selectors found' : 'Some selectors were not found - see Selector Check in Settings',
+            result.passed ? 'success' : 'error'
+        );
+    } catch (error) {
+        console.error('Selector check failed:', error);
+        results.innerHTML = `<p class="text-xs text-red-500">Selector check failed: ${error.message}</p>`;
+        showNotification('Selector check failed: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Run Check';
+    }
+}
+
+function renderSelectorCheck(report) {
+    const statusClasses = {
+        pass: 'bg-green-500',
+        warn: 'bg-yellow-500',
+        fail: 'bg-red-500',
+        skipped: 'bg-gray-500'
+    };
+    const { pass, warn, fail, skipped } = report.summary;
+
+    const header = `
+        <div class="text-sm p-3 rounded-lg mb-2 ${report.passed ? 'bg-green-500 bg-opacity-10 border border-green-500 text-green-500' : 'bg-red-500 bg-opacity-10 border border-red-500 text-red-500'}">
+            ${report.passed ? 'Ready' : 'Not ready'} - ${pass} passed, ${warn} warnings, ${fail} failed, ${skipped} skipped
+            <span class="text-text-tertiary text-xs ml-2">selectors v${report.registryVersion} • ${formatDate(report.checkedAt)}</span>
+        </div>
+    `;
+
+    const pages = report.pages.map(page => `
+        <div class="flex items-center gap-3 px-3 py-2 bg-bg-primary rounded text-xs">
+            <span class="font-medium text-text-primary w-16 flex-shrink-0">${page.name}</span>
+            <span class="flex-1 min-w-0 truncate ${page.error ? 'text-red-500' : 'text-text-tertiary'}">${page.error || page.finalUrl}</span>
+            ${page.screenshot ? `<button onclick="openDiagnosticScreenshot('${page.screenshot}')" class="text-youtube-blue hover:underline flex-shrink-0">Screenshot</button>` : ''}
+        </div>
+    `).join('');
+
+    const targets = report.targets.map(target => {
+        const tried = target.selectors.map(s => `
+            <div class="font-mono truncate ${s.visible > 0 ? 'text-green-500' : 'text-text-tertiary'}">${s.visible}/${s.count} ${s.selector}${s.error ? ` (${s.error})` : ''}</div>
+        `).join('');
+
+        return `
+            <details class="px-3 py-2 bg-bg-primary rounded text-xs">
+                <summary class="flex items-center gap-3 cursor-pointer">
+                    <span class="w-2.5 h-2.5 rounded-full flex-shrink-0 ${statusClasses[target.status]}"></span>
+                    <span class="w-36 flex-shrink-0 font-medium text-text-primary">${target.target}</span>
+                    <span class="flex-1 min-w-0 truncate text-text-tertiary">${target.message || target.selector}</span>
+                    ${target.source === 'override' ? '<span class="text-yellow-500 flex-shrink-0">override</span>' : ''}
+                </summary>
+                ${tried ? `<div class="mt-2 pl-5 space-y-0.5">${tried}</div>` : ''}
+            </details>
+        `;
+    }).join('');
+
+    document.getElementById('selectorCheckResults').innerHTML = header + pages + targets;
+}
+
+// Screenshots are served from the download folder, which needs the API key header
+async function openDiagnosticScreenshot(file) {
+    try {
+        const response = await fetch(`/api/download/${encodeURIComponent(file)}`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Screenshot not available');
+        }
+
+        window.open(URL.createObjectURL(await response.blob()), '_blank');
+    } catch (error) {
+        console.error('Error opening screenshot:', error);
+        showNotification('Failed to open screenshot: ' + error.message, 'error');
+    }
+}
+
+// ========================================
+// Schedules
+// ========================================
+
+let schedules = [];
+const expandedScheduleHistory = new Set();
+
+async function loadSchedules() {
+    try {
+        const response = await fetch('/api/schedules');
+        const data = await response.json();
+
+        if (data.success) {
+            schedules = data.schedules;
+            renderSchedules();
+        }
+    } catch (error) {
+        console.error('Error loading schedules:', error);
+    }
+}
+
+function renderSchedules() {
+    const container = document.getElementById('schedulesList');
+    if (!container) return;
+
+    if (schedules.length === 0) {
+        container.innerHTML = '<p class="text-center py-6 text-sm text-text-tertiary">No schedules yet</p>';
+        return;
+    }
+
+    container.innerHTML = schedules.map(schedule => {
+        const preset = savedStyles.find(p => p.id === schedule.params.stylePresetId);
+        const lastRun = schedule.history[0];
+        const showHistory = expandedScheduleHistory.has(schedule.id);
+
+        return `
+            <div class="p-3 bg-bg-tertiary rounded-lg">
+                <div class="flex items-center gap-3">
+                    <input type="checkbox" ${schedule.enabled ? 'checked' : ''}
+                           onchange="toggleSchedule('${schedule.id}', this.checked)"
+                           class="w-4 h-4 bg-bg-primary border-border-dark rounded text-youtube-blue focus:ring-youtube-blue focus:ring-2"
+                           title="${schedule.enabled ? 'Disable schedule' : 'Enable schedule'}">
+                    <div class="flex-1 min-w-0">
+                        <div class="font-medium text-sm text-text-primary truncate">${schedule.name}</div>
+                        <div class="text-xs text-text-tertiary truncate">
+                            <span class="font-mono">${schedule.cron}</span> •
+                            ${schedule.params.numberOfSongs} songs from ${preset?.name || schedule.params.stylePresetId}${schedule.params.randomStylePresets ? ' (Random)' : ''}
+                        </div>
+                        <div class="text-xs text-text-tertiary mt-1">
+                            ${schedule.enabled && schedule.nextRunAt ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}` : 'Disabled'}
+                            ${lastRun ? ` • Last run ${formatDate(lastRun.firedAt)}: ${lastRun.status}` : ''}
+                        </div>
+                    </div>
+                    <div class="flex gap-2 flex-shrink-0">
+                        <button onclick="runScheduleNow('${schedule.id}')"
+                                class="px-3 py-1.5 bg-youtube-blue hover:bg-youtube-light-blue text-white text-xs font-medium rounded transition-colors">
+                            Run now
+                        </button>
+                        <button onclick="toggleScheduleHistory('${schedule.id}')"
+                                class="px-3 py-1.5 bg-transparent border border-border-dark hover:bg-bg-hover text-text-primary text-xs rounded transition-colors">
+                            History (${schedule.history.length})
+                        </button>
+                        <button onclick="deleteSchedule('${schedule.id}')"
+                                class="px-3 py-1.5 bg-transparent hover:bg-red-500 hover:bg-opacity-20 text-red-500 text-xs rounded transition-colors">
+                            ✕
+                        </button>
+                    </div>
+                </div>
+                ${showHistory ? renderScheduleHistory(schedule) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderScheduleHistory(schedule) {
+    if (schedule.history.length === 0) {
+        return '<div class="mt-3 text-xs text-text-tertiary">No runs yet</div>';
+    }
+
+    return `
+        <div class="mt-3 space-y-1 border-t border-border-dark pt-3">
+            ${schedule.history.map(run => `
+                <div class="flex justify-between gap-3 text-xs">
+                    <span class="text-text-secondary">${new Date(run.firedAt).toLocaleString()}${run.trigger === 'manual' ? ' (manual)' : ''}</span>
+                    <span class="text-text-tertiary truncate" title="${run.error || ''}">
+                        ${run.status}${run.success !== undefined ? ` • ${run.success} done, ${run.failed} failed` : ''}${run.error ? ` • ${run.error}` : ''}
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function toggleScheduleHistory(id) {
+    if (expandedScheduleHistory.has(id)) {
+        expandedScheduleHistory.delete(id);
+    } else {
+        expandedScheduleHistory.add(id);
+    }
+    renderSchedules();
+}
+
+async function createSchedule() {
+    const name = document.getElementById('scheduleName').value.trim();
+    const cron = document.getElementById('scheduleCron').value.trim();
+    const stylePresetId = document.getElementById('scheduleStylePreset').value;
+    const numberOfSongs = parseInt(document.getElementById('scheduleNumberOfSongs').value);
+    const randomStylePresets = document.getElementById('scheduleRandomStylePresets').checked;
+
+    if (!cron || !stylePresetId) {
+        showNotification('Please enter a cron expression and select a style preset', 'error');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/schedules', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, cron, stylePresetId, numberOfSongs, randomStylePresets })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showNotification(`Schedule "${result.schedule.name}" added`, 'success');
+            document.getElementById('scheduleName').value = '';
+            await loadSchedules();
+        } else {
+            throw new Error(result.error || 'Failed to add schedule');
+        }
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        showNotification('Failed to add schedule: ' + error.message, 'error');
+    }
+}
+
+async function toggleSchedule(id, enabled) {
+    try {
+        const response = await fetch(`/api/schedules/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to update schedule');
+        }
+
+        await loadSchedules();
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        showNotification('Failed to update schedule: ' + error.message, 'error');
+    }
+}
+
+async function runScheduleNow(id) {
+    try {
+        const response = await fetch(`/api/schedules/${id}/run`, {
+            method: 'POST'
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showNotification('Scheduled batch queued', 'success');
+        } else {
+            throw new Error(result.error || 'Failed to run schedule');
+        }
+
+        await loadSchedules();
+    } catch (error) {
+        console.error('Error running schedule:', error);
+        showNotification('Failed to run schedule: ' + error.message, 'error');
+    }
+}
+
+async function deleteSchedule(id) {
+    if (!confirm('Delete this schedule? Batches it already started are kept.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/schedules/${id}`, {
+            method: 'DELETE'
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            expandedScheduleHistory.delete(id);
+            showNotification('Schedule deleted', 'success');
+            await loadSchedules();
+        } else {
+            throw new Error(result.error || 'Failed to delete schedule');
+        }
+    } catch (error) {
+        console.error('Error deleting schedule:', error);
+        showNotification('Failed to delete schedule: ' + error.message, 'error');
+    }
+}
+
+// Initialize style management on page load
+const originalInitializeApp = initializeApp;
+initializeApp = function() {
+    originalInitializeApp();
+
+    // Load style presets, then offer to resume any unfinished batches
+    loadStylePresets().then(() => {
+        loadResumableBatches();
+        loadSchedules();
+    });
 
-    // Load style presets
-    loadStylePresets();
+    // Load Suno accounts for the batch account picker
+    loadAccounts();
 
     // Restore last used style
     const lastUsedStyle = localStorage.getItem('lastUsedStyle');
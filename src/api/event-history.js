@@ -0,0 +1,67 @@
+// Status events kept for clients that connect (or reconnect) mid-job
+const MAX_EVENTS = 500;
+
+/**
+ * EventHistory - Ring buffer of recent status events
+ *
+ * Every event sent over the WebSocket is stamped with an increasing `seq`
+ * and a timestamp and kept here, so a client that reloads mid-batch can be
+ * sent what it missed. A reconnecting client passes the last seq it saw and
+ * only gets the events after it. Once full, the oldest events are dropped.
+ */
+export class EventHistory {
+  constructor(capacity = MAX_EVENTS) {
+    this.capacity = capacity;
+    this.buffer = new Array(capacity);
+    this.start = 0; // Index of the oldest event
+    this.size = 0;
+    this.seq = 0;
+  }
+
+  /**
+   * Stamp an event and add it to the history
+   * @param {Object} event - Status event ({ status, message, jobId, ... })
+   * @returns {Object} The stamped event, as it should be sent
+   */
+  record(event) {
+    const stamped = {
+      ...event,
+      seq: ++this.seq,
+      timestamp: event.timestamp || new Date().toISOString()
+    };
+
+    const index = (this.start + this.size) % this.capacity;
+    this.buffer[index] = stamped;
+
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+
+    return stamped;
+  }
+
+  /**
+   * Recent events, oldest first
+   * @param {Object} filters
+   * @param {number} filters.since - Only events after this seq
+   * @param {string} filters.jobId - Only events of this job
+   * @param {number} filters.limit - Only the newest N matching events
+   */
+  getEvents({ since = 0, jobId = null, limit = null } = {}) {
+    const events = [];
+
+    for (let i = 0; i < this.size; i++) {
+      const event = this.buffer[(this.start + i) % this.capacity];
+      if (event.seq > since && (!jobId || event.jobId === jobId)) {
+        events.push(event);
+      }
+    }
+
+    return limit ? events.slice(-limit) : events;
+  }
+}
+
+// Export singleton instance
+export default new EventHistory();
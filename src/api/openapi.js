@@ -0,0 +1,1326 @@
+/**
+ * OpenAPI 3 description of every /api route
+ *
+ * This document is the single source of truth for request validation:
+ * the validation middleware checks path parameters, query strings and JSON
+ * bodies against it before a route runs, and (outside production) checks
+ * JSON responses against it too. Add new routes here as well as in server.js.
+ */
+
+import { CONFIG_SCHEMA } from '../config/schema.js';
+import { FORMATS_SCHEMA } from '../automation/download-formats.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const idParam = (name = 'id', description = 'Resource id') => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1 }
+});
+
+const queryParam = (name, schema, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema
+});
+
+// Responses every route can produce
+const errors = (...codes) => {
+  const responses = {
+    400: { $ref: '#/components/responses/ValidationError' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    500: { $ref: '#/components/responses/Error' }
+  };
+  for (const code of codes) {
+    responses[code] = { $ref: '#/components/responses/Error' };
+  }
+  return responses;
+};
+
+const operation = (tag, summary, { params, body, response, errorCodes = [] } = {}) => ({
+  tags: [tag],
+  summary,
+  ...(params ? { parameters: params } : {}),
+  ...(body ? { requestBody: body } : {}),
+  responses: {
+    200: response || jsonResponse('Success', ref('Success')),
+    ...errors(...errorCodes)
+  }
+});
+
+const successWith = (properties, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: {
+    success: { type: 'boolean' },
+    ...properties
+  }
+});
+
+// ========================================
+// Shared Fields
+// ========================================
+
+const numberOfSongs = { type: 'integer', minimum: 1, maximum: 50, description: 'Songs to create (2 clips each)' };
+const accountId = { type: 'string', nullable: true, description: 'Suno account to use (default: the default account)' };
+const accountIds = { type: 'array', nullable: true, items: { type: 'string' }, description: 'Accounts to rotate across (default: all)' };
+const email = { type: 'string', format: 'email' };
+// The settings modal sends an empty string when no email is entered
+const optionalEmail = { type: 'string', nullable: true, anyOf: [{ format: 'email' }, { maxLength: 0 }] };
+
+const webhookEvents = {
+  type: 'array',
+  items: { type: 'string', enum: ['batch_complete', 'batch_song_error', 'download_complete', 'publish_complete', 'publish_error', 'captcha_detected'] },
+  description: 'Events to send (empty: all of them)'
+};
+const webhookUrl = { type: 'string', format: 'uri', pattern: '^https?://' };
+const formats = { ...FORMATS_SCHEMA, description: 'Formats to download each clip in (default: downloads.formats in settings)' };
+
+const batchParams = {
+  stylePresetId: { type: 'string', minLength: 1 },
+  numberOfSongs,
+  lyrics: { type: 'string', description: 'Lyrics for every song (empty for instrumental)' },
+  randomStylePresets: { type: 'boolean', description: 'Pick a random preset from the same category for each song' },
+  accountId,
+  rotateAccounts: { type: 'boolean', description: 'Split the songs across accounts in equal blocks' },
+  accountIds,
+  formats
+};
+
+// ========================================
+// Document
+// ========================================
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Suno Automation API',
+    version: '1.0.0',
+    description: 'Queue song creation, batches and YouTube publishing, and manage presets, schedules, accounts and API keys.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  tags: [
+    { name: 'Settings' },
+    { name: 'Songs' },
+    { name: 'Jobs' },
+    { name: 'Downloads' },
+    { name: 'Credentials' },
+    { name: 'Accounts' },
+    { name: 'API Keys' },
+    { name: 'Webhooks' },
+    { name: 'Publishing' },
+    { name: 'Style Presets' },
+    { name: 'Schedules' },
+    { name: 'System' }
+  ],
+
+  paths: {
+    // Settings
+    '/api/settings': {
+      get: operation('Settings', 'Current settings (password masked)', {
+        response: jsonResponse('Settings', ref('Settings'))
+      }),
+      post: operation('Settings', 'Update settings (deep-merged into config.json, then validated as a whole)', {
+        body: jsonBody(CONFIG_SCHEMA)
+      })
+    },
+
+    '/api/test-auth': {
+      post: operation('Settings', 'Log in to Suno and report whether it worked', {
+        body: jsonBody({
+          type: 'object',
+          properties: { accountId }
+        }, false),
+        errorCodes: [404]
+      })
+    },
+
+    // Songs
+    '/api/create-song': {
+      post: operation('Songs', 'Queue a song (created, generated and downloaded once per round)', {
+        body: jsonBody({
+          type: 'object',
+          required: ['style'],
+          properties: {
+            title: { type: 'string' },
+            lyrics: { type: 'string' },
+            style: { type: 'string', minLength: 1 },
+            numberOfRounds: { type: 'integer', minimum: 1, maximum: 50, default: 2 },
+            accountId,
+            formats
+          }
+        }),
+        response: jsonResponse('Queued', ref('JobQueued')),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/batch-create': {
+      post: operation('Songs', 'Queue a batch with a locked style preset', {
+        body: jsonBody({
+          type: 'object',
+          required: ['stylePresetId', 'numberOfSongs'],
+          properties: {
+            ...batchParams,
+            allowPartial: { type: 'boolean', description: 'Start even if the credits only cover part of the batch' }
+          }
+        }),
+        response: jsonResponse('Queued', ref('JobQueued')),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/batch-manifest': {
+      post: operation('Songs', 'Queue a batch from a CSV or JSON manifest (one song per row)', {
+        body: jsonBody({
+          type: 'object',
+          required: ['content'],
+          properties: {
+            content: { type: 'string', minLength: 1, description: 'CSV with a header row, or JSON: [rows] or { "songs": [rows] }. Columns: title, lyrics, style or presetId, publish, privacy, formats' },
+            format: { type: 'string', enum: ['csv', 'json'], description: 'Default: JSON if the content starts with [ or {, otherwise CSV' },
+            accountId,
+            rotateAccounts: batchParams.rotateAccounts,
+            accountIds,
+            allowPartial: { type: 'boolean', description: 'Start even if the credits only cover part of the batch' },
+            formats: { ...formats, description: 'Formats for rows without a formats column (default: downloads.formats in settings)' },
+            dryRun: { type: 'boolean', description: 'Only validate the rows, queue nothing' }
+          }
+        }),
+        response: jsonResponse('Validated rows, and the job when queued', successWith({
+          jobId: { type: 'string' },
+          queuePosition: { type: 'integer' },
+          message: { type: 'string' },
+          count: { type: 'integer' },
+          songs: { type: 'array', items: ref('ManifestSong') }
+        }, ['count', 'songs'])),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/status': {
+      get: operation('Songs', 'Whether a Suno job is running', {
+        response: jsonResponse('Status', {
+          type: 'object',
+          required: ['isProcessing', 'isPaused', 'hasActiveBot', 'currentJobId', 'queuedJobs'],
+          properties: {
+            isProcessing: { type: 'boolean' },
+            isPaused: { type: 'boolean' },
+            hasActiveBot: { type: 'boolean' },
+            currentJobId: { type: 'string', nullable: true },
+            queuedJobs: { type: 'integer' }
+          }
+        })
+      })
+    },
+
+    '/api/events': {
+      get: operation('Songs', 'Recent status events, oldest first (the history WebSocket clients get on connect)', {
+        params: [
+          queryParam('since', { type: 'integer', minimum: 0 }, 'Only events after this seq'),
+          queryParam('jobId', { type: 'string' }, 'Only events of this job'),
+          queryParam('limit', { type: 'integer', minimum: 1 }, 'Only the newest N events')
+        ],
+        response: jsonResponse('Events', successWith({
+          count: { type: 'integer' },
+          seq: { type: 'integer', description: 'Seq of the newest event sent so far' },
+          events: { type: 'array', items: ref('StatusEvent') }
+        }, ['events']))
+      })
+    },
+
+    '/api/stop': {
+      post: operation('Songs', 'Stop the running job after its current step', {
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            force: { type: 'boolean', description: 'Also close the browser right away' }
+          }
+        }, false),
+        response: jsonResponse('Stopped', successWith({
+          jobId: { type: 'string', nullable: true },
+          message: { type: 'string' }
+        }))
+      })
+    },
+
+    '/api/pause': {
+      post: operation('Songs', 'Hold the running batch before its next song', {
+        response: jsonResponse('Pause requested', successWith({
+          jobId: { type: 'string' },
+          message: { type: 'string' }
+        })),
+        errorCodes: [409]
+      })
+    },
+
+    '/api/resume': {
+      post: operation('Songs', 'Continue a paused batch', {
+        response: jsonResponse('Resumed', successWith({
+          jobId: { type: 'string' },
+          message: { type: 'string' }
+        })),
+        errorCodes: [409]
+      })
+    },
+
+    // Jobs
+    '/api/jobs': {
+      get: operation('Jobs', 'List jobs, newest first', {
+        params: [
+          queryParam('status', { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'] }),
+          queryParam('type', { type: 'string', enum: ['test-auth', 'check-selectors', 'create-song', 'batch-create', 'publish-song'] }),
+          queryParam('limit', { type: 'integer', minimum: 1 })
+        ],
+        response: jsonResponse('Jobs', successWith({
+          count: { type: 'integer' },
+          jobs: { type: 'array', items: ref('Job') }
+        }, ['jobs']))
+      })
+    },
+
+    '/api/jobs/{id}': {
+      get: operation('Jobs', 'Job details and result', {
+        params: [idParam('id', 'Job id')],
+        response: jsonResponse('Job', ref('Job')),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/jobs/{id}/resume': {
+      post: operation('Jobs', 'Resume an unfinished batch from its first incomplete song', {
+        params: [idParam('id', 'Job id')],
+        response: jsonResponse('Re-queued', successWith({
+          jobId: { type: 'string' },
+          resumeFrom: { type: 'integer' },
+          message: { type: 'string' }
+        })),
+        errorCodes: [404, 409]
+      })
+    },
+
+    '/api/batches/resumable': {
+      get: operation('Jobs', 'Unfinished batches left by a crash, stop or restart', {
+        response: jsonResponse('Batches', successWith({
+          count: { type: 'integer' },
+          batches: { type: 'array', items: ref('ResumableBatch') }
+        }, ['batches']))
+      })
+    },
+
+    '/api/batches/{id}/report': {
+      get: {
+        tags: ['Jobs'],
+        summary: 'Per-song outcome of a batch as CSV (row, title, status, files, publish result)',
+        parameters: [idParam('id', 'Batch job id')],
+        responses: {
+          200: { description: 'CSV report', content: { 'text/csv': { schema: { type: 'string' } } } },
+          ...errors(404)
+        }
+      }
+    },
+
+    // Downloads
+    '/api/downloads': {
+      get: operation('Downloads', 'Downloaded files in every format, newest first', {
+        response: jsonResponse('Files', {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['filename', 'size'],
+            properties: {
+              filename: { type: 'string' },
+              format: { type: 'string', enum: FORMATS_SCHEMA.items.enum },
+              size: { type: 'integer' },
+              created: { type: 'string' },
+              modified: { type: 'string' }
+            }
+          }
+        })
+      })
+    },
+
+    '/api/downloads/tags': {
+      post: operation('Downloads', 'Write ID3 tags into downloaded MP3s again (title, artist, album, genre, style, lyrics, cover)', {
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            filenames: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Files in the download folder (default: every MP3)' }
+          }
+        }, false),
+        response: jsonResponse('Files tagged, and those that could not be', successWith({
+          count: { type: 'integer' },
+          tagged: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['filename', 'title'],
+              properties: {
+                filename: { type: 'string' },
+                title: { type: 'string' },
+                artist: { type: 'string', nullable: true },
+                album: { type: 'string', nullable: true },
+                genre: { type: 'string', nullable: true },
+                cover: { type: 'string', nullable: true }
+              }
+            }
+          },
+          failed: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['filename', 'error'],
+              properties: { filename: { type: 'string' }, error: { type: 'string' } }
+            }
+          }
+        }, ['count', 'tagged', 'failed']))
+      })
+    },
+
+    '/api/download/{filename}': {
+      get: {
+        tags: ['Downloads'],
+        summary: 'Download a file from the download folder',
+        parameters: [
+          idParam('filename', 'File name'),
+          queryParam('apiKey', { type: 'string' }, 'API key, for links that cannot send headers')
+        ],
+        responses: {
+          200: { description: 'The file', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          ...errors(403, 404)
+        }
+      }
+    },
+
+    // Credentials
+    '/api/credentials/save': {
+      post: operation('Credentials', 'Save Google credentials for the default account (encrypted)', {
+        body: jsonBody({
+          type: 'object',
+          required: ['email', 'password'],
+          properties: {
+            email,
+            password: { type: 'string', minLength: 1 }
+          }
+        })
+      })
+    },
+
+    '/api/credentials/load': {
+      get: operation('Credentials', 'Saved Google email for the default account (never the password)', {
+        response: jsonResponse('Credentials', {
+          type: 'object',
+          required: ['hasCredentials'],
+          properties: {
+            hasCredentials: { type: 'boolean' },
+            email: { type: 'string', nullable: true },
+            savedAt: { type: 'string' }
+          }
+        })
+      })
+    },
+
+    '/api/credentials/clear': {
+      delete: operation('Credentials', 'Forget the saved Google credentials')
+    },
+
+    // Accounts
+    '/api/accounts': {
+      get: operation('Accounts', 'Suno accounts with their login status', {
+        response: jsonResponse('Accounts', successWith({
+          accounts: { type: 'array', items: ref('Account') },
+          defaultAccountId: { type: 'string' },
+          activeAccountId: { type: 'string', nullable: true }
+        }, ['accounts']))
+      }),
+      post: operation('Accounts', 'Add an account with its own Chrome profile', {
+        body: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1, pattern: '\\S' },
+            email: optionalEmail,
+            password: { type: 'string', nullable: true }
+          }
+        }),
+        response: jsonResponse('Account', successWith({ account: ref('Account') }, ['account']))
+      })
+    },
+
+    '/api/accounts/{id}': {
+      put: operation('Accounts', 'Rename an account or replace its credentials', {
+        params: [idParam('id', 'Account id')],
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            email: optionalEmail,
+            password: { type: 'string', nullable: true }
+          }
+        }),
+        response: jsonResponse('Account', successWith({ account: ref('Account') }, ['account'])),
+        errorCodes: [404]
+      }),
+      delete: operation('Accounts', 'Delete an account (its profile directory is kept)', {
+        params: [idParam('id', 'Account id')],
+        errorCodes: [404, 409]
+      })
+    },
+
+    '/api/accounts/{id}/default': {
+      post: operation('Accounts', 'Use this account when a request does not name one', {
+        params: [idParam('id', 'Account id')],
+        response: jsonResponse('Default account', successWith({ defaultAccountId: { type: 'string' } })),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/accounts/{id}/credentials': {
+      delete: operation('Accounts', 'Forget an account\'s saved credentials', {
+        params: [idParam('id', 'Account id')],
+        errorCodes: [404]
+      })
+    },
+
+    '/api/account/credits': {
+      get: operation('Accounts', 'Last credit balance read from the Suno UI', {
+        params: [
+          queryParam('accountId', { type: 'string' }, 'Account (default: the open browser\'s account, else the default account)'),
+          queryParam('refresh', { type: 'string', enum: ['true', 'false'] }, 'Read the balance again (browser must be idle)')
+        ],
+        response: jsonResponse('Credits', successWith({
+          accountId: { type: 'string' },
+          credits: { type: 'integer', nullable: true },
+          checkedAt: { type: 'string', nullable: true },
+          live: { type: 'boolean' },
+          creditsPerSong: { type: 'integer' }
+        }, ['accountId', 'credits'])),
+        errorCodes: [404, 409]
+      })
+    },
+
+    // API keys
+    '/api/auth/keys': {
+      get: operation('API Keys', 'API keys and whether auth is on', {
+        response: jsonResponse('Keys', successWith({
+          enabled: { type: 'boolean' },
+          host: { type: 'string' },
+          keys: { type: 'array', items: ref('ApiKey') }
+        }, ['enabled', 'keys']))
+      }),
+      post: operation('API Keys', 'Create a key (returned only in this response)', {
+        body: jsonBody({
+          type: 'object',
+          properties: { name: { type: 'string' } }
+        }, false),
+        response: jsonResponse('Created', successWith({
+          key: { type: 'string' },
+          info: ref('ApiKey')
+        }, ['key', 'info']))
+      })
+    },
+
+    '/api/auth/keys/{id}': {
+      delete: operation('API Keys', 'Delete a key (deleting the last one turns auth off)', {
+        params: [idParam('id', 'Key id')],
+        response: jsonResponse('Deleted', successWith({ enabled: { type: 'boolean' } })),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/auth/enabled': {
+      post: operation('API Keys', 'Turn API key auth on or off', {
+        body: jsonBody({
+          type: 'object',
+          required: ['enabled'],
+          properties: { enabled: { type: 'boolean' } }
+        }),
+        response: jsonResponse('Changed', successWith({
+          enabled: { type: 'boolean' },
+          message: { type: 'string' }
+        }))
+      })
+    },
+
+    // Webhooks
+    '/api/webhooks': {
+      get: operation('Webhooks', 'Webhooks and the events they can subscribe to', {
+        response: jsonResponse('Webhooks', successWith({
+          events: { type: 'array', items: { type: 'string' } },
+          webhooks: { type: 'array', items: ref('Webhook') }
+        }, ['webhooks']))
+      }),
+      post: operation('Webhooks', 'Add a webhook (a generated secret is returned only in this response)', {
+        body: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            name: { type: 'string' },
+            url: webhookUrl,
+            events: webhookEvents,
+            secret: { type: 'string', description: 'HMAC secret (generated when empty)' },
+            enabled: { type: 'boolean', default: true }
+          }
+        }),
+        response: jsonResponse('Created', successWith({
+          webhook: ref('Webhook'),
+          secret: { type: 'string' }
+        }, ['webhook', 'secret']))
+      })
+    },
+
+    '/api/webhooks/{id}': {
+      put: operation('Webhooks', 'Change a webhook', {
+        params: [idParam('id', 'Webhook id')],
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            url: webhookUrl,
+            events: webhookEvents,
+            secret: { type: 'string', description: 'New HMAC secret (empty: keep the current one)' },
+            enabled: { type: 'boolean' }
+          }
+        }),
+        response: jsonResponse('Webhook', successWith({ webhook: ref('Webhook') }, ['webhook'])),
+        errorCodes: [404]
+      }),
+      delete: operation('Webhooks', 'Delete a webhook (pending retries to it are dropped)', {
+        params: [idParam('id', 'Webhook id')],
+        errorCodes: [404]
+      })
+    },
+
+    '/api/webhooks/{id}/test': {
+      post: operation('Webhooks', 'Send a "ping" event and report the first attempt', {
+        params: [idParam('id', 'Webhook id')],
+        response: jsonResponse('Delivery', successWith({ delivery: ref('WebhookDelivery') }, ['delivery'])),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/webhooks/deliveries': {
+      get: operation('Webhooks', 'Delivery log, newest first', {
+        params: [
+          queryParam('webhookId', { type: 'string' }, 'Only deliveries to this webhook'),
+          queryParam('limit', { type: 'integer', minimum: 1 })
+        ],
+        response: jsonResponse('Deliveries', successWith({
+          count: { type: 'integer' },
+          deliveries: { type: 'array', items: ref('WebhookDelivery') }
+        }, ['deliveries']))
+      })
+    },
+
+    '/api/webhooks/deliveries/{id}/redeliver': {
+      post: operation('Webhooks', 'Send a logged delivery again', {
+        params: [idParam('id', 'Delivery id')],
+        response: jsonResponse('Delivery', successWith({ delivery: ref('WebhookDelivery') }, ['delivery'])),
+        errorCodes: [404]
+      })
+    },
+
+    // Publishing
+    '/api/publish-song': {
+      post: operation('Publishing', 'Queue a song for rendering and upload to YouTube', {
+        body: jsonBody({
+          type: 'object',
+          required: ['audioPath'],
+          properties: {
+            audioPath: { type: 'string', minLength: 1 },
+            title: { type: 'string', description: 'Default: from the download\'s metadata sidecar, else "Untitled Song"' },
+            lyrics: { type: 'string', description: 'Default: from the metadata sidecar' },
+            style: { type: 'string', description: 'Default: from the metadata sidecar, else "Music"' },
+            imagePath: { type: 'string', nullable: true, description: 'Background image (default: the cover art saved with the download)' },
+            privacy: { type: 'string', enum: ['public', 'unlisted', 'private'] }
+          }
+        }),
+        response: jsonResponse('Queued', ref('JobQueued'))
+      })
+    },
+
+    '/api/published': {
+      get: operation('Publishing', 'Songs published to YouTube', {
+        response: jsonResponse('Published songs', successWith({
+          count: { type: 'integer' },
+          songs: { type: 'array', items: { type: 'object' } }
+        }, ['songs']))
+      })
+    },
+
+    '/api/published/{videoId}': {
+      get: operation('Publishing', 'Publish record of one video', {
+        params: [idParam('videoId', 'YouTube video id')],
+        response: jsonResponse('Published song', { type: 'object' }),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/publish-status': {
+      get: operation('Publishing', 'Whether publishing or song creation is running', {
+        response: jsonResponse('Status', {
+          type: 'object',
+          required: ['isPublishing', 'isProcessing', 'canPublish', 'queuedPublishes'],
+          properties: {
+            isPublishing: { type: 'boolean' },
+            isProcessing: { type: 'boolean' },
+            canPublish: { type: 'boolean' },
+            queuedPublishes: { type: 'integer' }
+          }
+        })
+      })
+    },
+
+    // Style presets
+    '/api/style-presets': {
+      get: operation('Style Presets', 'All style presets', {
+        response: jsonResponse('Presets', successWith({
+          presets: { type: 'array', items: ref('StylePreset') }
+        }, ['presets']))
+      }),
+      post: operation('Style Presets', 'Create a preset', {
+        body: jsonBody({
+          type: 'object',
+          required: ['name', 'style'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            style: { type: 'string', minLength: 1 },
+            category: { type: 'string' }
+          }
+        }),
+        response: jsonResponse('Preset', successWith({ preset: ref('StylePreset') }, ['preset']))
+      })
+    },
+
+    '/api/style-presets/{id}': {
+      put: operation('Style Presets', 'Update a preset', {
+        params: [idParam('id', 'Preset id')],
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            style: { type: 'string', minLength: 1 },
+            category: { type: 'string' }
+          }
+        }),
+        response: jsonResponse('Preset', successWith({ preset: ref('StylePreset') }, ['preset'])),
+        errorCodes: [404]
+      }),
+      delete: operation('Style Presets', 'Delete a preset', {
+        params: [idParam('id', 'Preset id')],
+        errorCodes: [404]
+      })
+    },
+
+    '/api/style-presets/{id}/favorite': {
+      post: operation('Style Presets', 'Toggle favorite', {
+        params: [idParam('id', 'Preset id')],
+        response: jsonResponse('Favorite', successWith({ favorite: { type: 'boolean' } })),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/style-presets/{id}/use': {
+      post: operation('Style Presets', 'Count a use of the preset', {
+        params: [idParam('id', 'Preset id')],
+        errorCodes: [404]
+      })
+    },
+
+    '/api/style-presets/export': {
+      get: operation('Style Presets', 'Export all presets as JSON', {
+        response: jsonResponse('Export', {
+          type: 'object',
+          required: ['presets'],
+          properties: {
+            presets: { type: 'array', items: ref('StylePreset') }
+          }
+        })
+      })
+    },
+
+    '/api/style-presets/import': {
+      post: operation('Style Presets', 'Import presets from an export', {
+        body: jsonBody({
+          type: 'object',
+          required: ['data'],
+          properties: {
+            data: {
+              type: 'object',
+              required: ['presets'],
+              properties: {
+                presets: { type: 'array', items: { type: 'object' } }
+              }
+            },
+            merge: { type: 'boolean', default: true, description: 'Merge with existing presets instead of replacing them' }
+          }
+        }),
+        response: jsonResponse('Imported', successWith({ count: { type: 'integer' } }))
+      })
+    },
+
+    // Schedules
+    '/api/schedules': {
+      get: operation('Schedules', 'All schedules', {
+        response: jsonResponse('Schedules', successWith({
+          count: { type: 'integer' },
+          schedules: { type: 'array', items: ref('Schedule') }
+        }, ['schedules']))
+      }),
+      post: operation('Schedules', 'Create a recurring batch', {
+        body: jsonBody({
+          type: 'object',
+          required: ['cron', 'stylePresetId', 'numberOfSongs'],
+          properties: {
+            name: { type: 'string' },
+            cron: { type: 'string', minLength: 1, description: '5-field cron expression in server time, e.g. "0 2 * * *"' },
+            enabled: { type: 'boolean', default: true },
+            ...batchParams
+          }
+        }),
+        response: jsonResponse('Schedule', successWith({ schedule: ref('Schedule') }, ['schedule']))
+      })
+    },
+
+    '/api/schedules/{id}': {
+      get: operation('Schedules', 'One schedule with its run history', {
+        params: [idParam('id', 'Schedule id')],
+        response: jsonResponse('Schedule', successWith({ schedule: ref('Schedule') }, ['schedule'])),
+        errorCodes: [404]
+      }),
+      put: operation('Schedules', 'Update a schedule', {
+        params: [idParam('id', 'Schedule id')],
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            cron: { type: 'string', minLength: 1 },
+            enabled: { type: 'boolean' },
+            ...batchParams
+          }
+        }),
+        response: jsonResponse('Schedule', successWith({ schedule: ref('Schedule') }, ['schedule'])),
+        errorCodes: [404]
+      }),
+      delete: operation('Schedules', 'Delete a schedule (its past jobs are kept)', {
+        params: [idParam('id', 'Schedule id')],
+        errorCodes: [404]
+      })
+    },
+
+    '/api/schedules/{id}/run': {
+      post: operation('Schedules', 'Run a schedule now', {
+        params: [idParam('id', 'Schedule id')],
+        response: jsonResponse('Run', successWith({
+          run: ref('ScheduleRun'),
+          jobId: { type: 'string' }
+        }, ['run'])),
+        errorCodes: [404, 409]
+      })
+    },
+
+    '/api/schedules/{id}/history': {
+      get: operation('Schedules', 'Run history of a schedule, newest first', {
+        params: [idParam('id', 'Schedule id')],
+        response: jsonResponse('History', successWith({
+          count: { type: 'integer' },
+          history: { type: 'array', items: ref('ScheduleRun') }
+        }, ['history'])),
+        errorCodes: [404]
+      })
+    },
+
+    // System
+    '/api/logs': {
+      get: operation('System', 'Server log entries, newest first', {
+        params: [
+          queryParam('level', { type: 'string', enum: ['debug', 'info', 'warn', 'error'] }, 'Minimum level'),
+          queryParam('module', { type: 'string' }, 'Only this module (e.g. DownloadManager)'),
+          queryParam('jobId', { type: 'string' }, 'Only entries logged while this job ran'),
+          queryParam('song', { type: 'integer', minimum: 1 }, 'Only entries of this batch song'),
+          queryParam('since', { type: 'string' }, 'Only entries after this ISO time'),
+          queryParam('search', { type: 'string' }, 'Text the message must contain'),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 200 }, 'Max entries')
+        ],
+        response: jsonResponse('Log entries', successWith({
+          count: { type: 'integer' },
+          entries: { type: 'array', items: ref('LogEntry') },
+          modules: { type: 'array', items: { type: 'string' } }
+        }, ['entries']))
+      })
+    },
+
+    '/api/logs/levels': {
+      get: operation('System', 'Log levels in effect', {
+        response: jsonResponse('Log levels', ref('LogLevels'))
+      }),
+      put: operation('System', 'Change log levels (saved to the settings file)', {
+        body: jsonBody({
+          type: 'object',
+          properties: {
+            level: { type: 'string', enum: ['debug', 'info', 'warn', 'error', 'silent'] },
+            modules: {
+              type: 'object',
+              additionalProperties: { type: 'string', enum: ['debug', 'info', 'warn', 'error', 'silent'] }
+            }
+          }
+        }),
+        response: jsonResponse('Log levels', ref('LogLevels'))
+      })
+    },
+
+    '/api/selectors': {
+      get: operation('System', 'Selector registry in effect (shipped chains plus config/selectors.json overrides)', {
+        response: jsonResponse('Selector registry', ref('SelectorRegistry'))
+      })
+    },
+
+    '/api/selectors/reload': {
+      post: operation('System', 'Re-read config/selectors.json now instead of on the next lookup', {
+        response: jsonResponse('Selector registry', ref('SelectorRegistry'))
+      })
+    },
+
+    '/api/diagnostics/selectors': {
+      post: operation('System', 'Try every selector on /create and /me in the Suno browser (waits for any running job; nothing is created)', {
+        body: jsonBody({
+          type: 'object',
+          properties: { accountId }
+        }, false),
+        response: jsonResponse('Selector check', ref('SelectorCheck')),
+        errorCodes: [404]
+      })
+    },
+
+    '/api/health': {
+      get: {
+        tags: ['System'],
+        summary: 'Health check (never needs an API key)',
+        security: [],
+        responses: {
+          200: jsonResponse('Healthy', {
+            type: 'object',
+            required: ['status'],
+            properties: {
+              status: { type: 'string' },
+              version: { type: 'string' },
+              timestamp: { type: 'string' }
+            }
+          })
+        }
+      }
+    },
+
+    '/api/openapi.json': {
+      get: {
+        tags: ['System'],
+        summary: 'This document',
+        responses: {
+          200: jsonResponse('OpenAPI document', { type: 'object' })
+        }
+      }
+    }
+  },
+
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+
+    responses: {
+      Error: jsonResponse('Error', ref('Error')),
+      ValidationError: jsonResponse('Invalid request', ref('ValidationError')),
+      Unauthorized: jsonResponse('Missing or invalid API key', ref('Error'))
+    },
+
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: { type: 'string' }
+        }
+      },
+
+      ValidationError: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: { type: 'string', example: 'Validation failed' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field', 'message'],
+              properties: {
+                field: { type: 'string', example: 'body.numberOfRounds' },
+                message: { type: 'string', example: 'must be integer' }
+              }
+            }
+          }
+        }
+      },
+
+      Success: {
+        type: 'object',
+        required: ['success'],
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' }
+        }
+      },
+
+      Settings: {
+        type: 'object',
+        required: ['authMethod', 'credentials', 'downloadPath'],
+        properties: {
+          authMethod: { type: 'string' },
+          credentials: {
+            type: 'object',
+            properties: {
+              email: { type: 'string' },
+              password: { type: 'string' }
+            }
+          },
+          downloadPath: { type: 'string' },
+          playwright: { type: 'object' },
+          suno: { type: 'object' },
+          logging: { type: 'object' },
+          envOverrides: {
+            type: 'array',
+            description: 'Settings currently set by SUNO_* environment variables (not saved to config.json)',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                key: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+
+      ManifestSong: {
+        type: 'object',
+        required: ['row', 'title', 'style'],
+        properties: {
+          row: { type: 'integer', description: 'Row number in the manifest, counting songs from 1' },
+          title: { type: 'string' },
+          lyrics: { type: 'string' },
+          style: { type: 'string' },
+          presetId: { type: 'string', nullable: true },
+          presetName: { type: 'string', nullable: true },
+          publish: {
+            type: 'object',
+            nullable: true,
+            properties: { privacy: { type: 'string', enum: ['public', 'unlisted', 'private'] } }
+          },
+          formats: { ...FORMATS_SCHEMA, nullable: true, description: 'Own download formats (null: the batch\'s)' }
+        }
+      },
+
+      StatusEvent: {
+        type: 'object',
+        required: ['status', 'seq', 'timestamp'],
+        properties: {
+          status: { type: 'string' },
+          message: { type: 'string' },
+          seq: { type: 'integer' },
+          timestamp: { type: 'string' },
+          jobId: { type: 'string', nullable: true },
+          accountId: { type: 'string', nullable: true }
+        }
+      },
+
+      LogEntry: {
+        type: 'object',
+        required: ['time', 'level', 'module', 'message'],
+        properties: {
+          time: { type: 'string' },
+          level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+          module: { type: 'string' },
+          message: { type: 'string' },
+          jobId: { type: 'string' },
+          jobType: { type: 'string' },
+          song: { type: 'integer', description: 'Batch song number (1-based)' },
+          accountId: { type: 'string' },
+          error: { type: 'string' },
+          stack: { type: 'string' },
+          data: {}
+        }
+      },
+
+      LogLevels: successWith({
+        level: { type: 'string' },
+        modules: { type: 'object', additionalProperties: { type: 'string' } }
+      }, ['level', 'modules']),
+
+      SelectorRegistry: successWith({
+        version: { type: ['string', 'null'] },
+        overridesVersion: { type: ['string', 'null'] },
+        overridesFile: { type: ['string', 'null'] },
+        targets: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['selectors', 'source'],
+            properties: {
+              description: { type: 'string' },
+              selectors: { type: 'array', items: { type: 'string' } },
+              source: { type: 'string', enum: ['default', 'override'] }
+            }
+          }
+        }
+      }, ['version', 'targets']),
+
+      SelectorCheck: successWith({
+        jobId: { type: 'string' },
+        accountId: { type: 'string' },
+        passed: { type: 'boolean' },
+        checkedAt: { type: 'string' },
+        registryVersion: { type: ['string', 'null'] },
+        summary: {
+          type: 'object',
+          properties: {
+            pass: { type: 'integer' },
+            warn: { type: 'integer' },
+            fail: { type: 'integer' },
+            skipped: { type: 'integer' }
+          }
+        },
+        pages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'url'],
+            properties: {
+              name: { type: 'string' },
+              url: { type: 'string' },
+              finalUrl: { type: 'string' },
+              screenshot: { type: ['string', 'null'], description: 'Path in the download folder, for /api/download/{filename}' },
+              error: { type: ['string', 'null'] }
+            }
+          }
+        },
+        targets: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['target', 'page', 'status'],
+            properties: {
+              target: { type: 'string' },
+              page: { type: 'string' },
+              description: { type: ['string', 'null'] },
+              source: { type: ['string', 'null'] },
+              status: { type: 'string', enum: ['pass', 'warn', 'fail', 'skipped'] },
+              index: { type: 'integer', description: 'Position in the chain of the selector that would be used (-1: none)' },
+              selector: { type: ['string', 'null'] },
+              message: { type: ['string', 'null'] },
+              selectors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['selector', 'count', 'visible'],
+                  properties: {
+                    selector: { type: 'string' },
+                    count: { type: 'integer' },
+                    visible: { type: 'integer' },
+                    error: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }, ['passed', 'targets']),
+
+      JobQueued: successWith({
+        jobId: { type: 'string' },
+        queuePosition: { type: 'integer' },
+        message: { type: 'string' }
+      }, ['jobId']),
+
+      Job: {
+        type: 'object',
+        required: ['id', 'type', 'lane', 'status', 'params', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          lane: { type: 'string' },
+          status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'] },
+          params: { type: 'object' },
+          result: {},
+          error: { type: 'string', nullable: true },
+          checkpoint: { type: 'object', description: 'Batch progress, one entry per song' },
+          paused: { type: 'boolean' },
+          attempts: { type: 'integer' },
+          createdAt: { type: 'string' },
+          startedAt: { type: 'string', nullable: true },
+          finishedAt: { type: 'string', nullable: true }
+        }
+      },
+
+      ResumableBatch: {
+        type: 'object',
+        required: ['jobId', 'status', 'resumeFrom', 'total'],
+        properties: {
+          jobId: { type: 'string' },
+          status: { type: 'string' },
+          createdAt: { type: 'string' },
+          finishedAt: { type: 'string', nullable: true },
+          stylePresetId: { type: 'string', nullable: true, description: 'null for manifest batches' },
+          randomStylePresets: { type: 'boolean' },
+          resumeFrom: { type: 'integer' },
+          total: { type: 'integer' },
+          success: { type: 'integer' },
+          failed: { type: 'integer' },
+          remaining: { type: 'integer' }
+        }
+      },
+
+      Account: {
+        type: 'object',
+        required: ['id', 'name', 'loginStatus', 'hasCredentials', 'isDefault'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          email: { type: 'string', nullable: true },
+          profileDir: { type: 'string' },
+          loginStatus: { type: 'string', enum: ['unknown', 'logged_in', 'failed'] },
+          loginCheckedAt: { type: 'string', nullable: true },
+          loginError: { type: 'string', nullable: true },
+          lastUsedAt: { type: 'string', nullable: true },
+          creditBalance: { type: 'integer', nullable: true },
+          creditsCheckedAt: { type: 'string', nullable: true },
+          hasCredentials: { type: 'boolean' },
+          isDefault: { type: 'boolean' },
+          createdAt: { type: 'string' }
+        }
+      },
+
+      ApiKey: {
+        type: 'object',
+        required: ['id', 'name', 'preview', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          preview: { type: 'string', description: 'Start and end of the key, for recognizing it' },
+          createdAt: { type: 'string' },
+          lastUsedAt: { type: 'string', nullable: true }
+        }
+      },
+
+      Webhook: {
+        type: 'object',
+        required: ['id', 'name', 'url', 'events', 'enabled', 'hasSecret'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          url: { type: 'string' },
+          events: { type: 'array', items: { type: 'string' } },
+          enabled: { type: 'boolean' },
+          hasSecret: { type: 'boolean' },
+          createdAt: { type: 'string' },
+          updatedAt: { type: 'string' }
+        }
+      },
+
+      WebhookDelivery: {
+        type: 'object',
+        required: ['id', 'webhookId', 'event', 'status', 'attempts'],
+        properties: {
+          id: { type: 'string' },
+          webhookId: { type: 'string' },
+          webhookName: { type: 'string' },
+          url: { type: 'string' },
+          event: { type: 'string' },
+          status: { type: 'string', enum: ['pending', 'retrying', 'delivered', 'failed'] },
+          attempts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                at: { type: 'string' },
+                statusCode: { type: 'integer', nullable: true },
+                error: { type: 'string', nullable: true },
+                durationMs: { type: 'integer' }
+              }
+            }
+          },
+          nextAttemptAt: { type: 'string', nullable: true },
+          error: { type: 'string', nullable: true },
+          createdAt: { type: 'string' }
+        }
+      },
+
+      StylePreset: {
+        type: 'object',
+        required: ['id', 'name', 'style'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          style: { type: 'string' },
+          category: { type: 'string' },
+          favorite: { type: 'boolean' },
+          usageCount: { type: 'integer' },
+          createdAt: { type: 'string' }
+        }
+      },
+
+      ScheduleRun: {
+        type: 'object',
+        required: ['firedAt', 'trigger', 'status'],
+        properties: {
+          firedAt: { type: 'string' },
+          trigger: { type: 'string', enum: ['schedule', 'manual'] },
+          jobId: { type: 'string', nullable: true },
+          status: { type: 'string', nullable: true },
+          error: { type: 'string', nullable: true },
+          finishedAt: { type: 'string', nullable: true },
+          success: { type: 'integer' },
+          failed: { type: 'integer' }
+        }
+      },
+
+      Schedule: {
+        type: 'object',
+        required: ['id', 'name', 'cron', 'enabled', 'params', 'history'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          cron: { type: 'string' },
+          enabled: { type: 'boolean' },
+          params: {
+            type: 'object',
+            properties: batchParams
+          },
+          nextRunAt: { type: 'string', nullable: true },
+          lastRunAt: { type: 'string', nullable: true },
+          history: { type: 'array', items: ref('ScheduleRun') },
+          createdAt: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+export default openApiSpec;
@@ -0,0 +1,280 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import openApiSpec from './openapi.js';
+import { createLogger } from '../logging/logger.js';
+
+const logger = createLogger('Validation');
+
+// Key the spec is registered under, so operations can $ref into it
+const SPEC_ID = 'openapi';
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+function createAjv(options = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema(openApiSpec, SPEC_ID);
+  return ajv;
+}
+
+// Bodies get schema defaults filled in; path and query values are always
+// strings, so they are coerced to the types the spec declares
+const bodyAjv = createAjv({ useDefaults: true });
+const paramsAjv = createAjv({ coerceTypes: true, useDefaults: true });
+const responseAjv = createAjv();
+
+/**
+ * JSON pointer into the spec, for $ref
+ */
+function pointer(...segments) {
+  return `${SPEC_ID}#/` + segments
+    .map(s => String(s).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('/');
+}
+
+/**
+ * Build a matcher for every operation in the spec. Literal paths are tried
+ * before templated ones, so /api/style-presets/export wins over
+ * /api/style-presets/{id}.
+ */
+function buildOperations() {
+  const operations = [];
+
+  for (const [template, pathItem] of Object.entries(openApiSpec.paths)) {
+    const paramNames = [];
+    const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (_, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    });
+
+    for (const method of METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        operation,
+        regex: new RegExp(`^${pattern}/?$`),
+        paramNames,
+        validators: compileRequestValidators(template, method, operation)
+      });
+    }
+  }
+
+  return operations.sort((a, b) => a.paramNames.length - b.paramNames.length);
+}
+
+function compileRequestValidators(template, method, operation) {
+  const validators = {};
+
+  for (const location of ['path', 'query']) {
+    const parameters = (operation.parameters || [])
+      .map((param, index) => ({ param, index }))
+      .filter(({ param }) => param.in === location);
+
+    if (parameters.length === 0) {
+      continue;
+    }
+
+    validators[location] = paramsAjv.compile({
+      type: 'object',
+      properties: Object.fromEntries(parameters.map(({ param, index }) => [
+        param.name,
+        { $ref: pointer('paths', template, method, 'parameters', index, 'schema') }
+      ])),
+      required: parameters.filter(({ param }) => param.required).map(({ param }) => param.name)
+    });
+  }
+
+  if (operation.requestBody?.content?.['application/json']) {
+    validators.body = bodyAjv.compile({
+      $ref: pointer('paths', template, method, 'requestBody', 'content', 'application/json', 'schema')
+    });
+  }
+
+  return validators;
+}
+
+const operations = buildOperations();
+
+function findOperation(method, fullPath) {
+  for (const entry of operations) {
+    if (entry.method !== method) {
+      continue;
+    }
+
+    const match = fullPath.match(entry.regex);
+    if (match) {
+      const params = {};
+      entry.paramNames.forEach((name, i) => {
+        params[name] = decodeURIComponent(match[i + 1]);
+      });
+      return { entry, params };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turn Ajv errors into { field, message } pairs, one per field,
+ * e.g. { field: 'body.numberOfRounds', message: 'must be integer' }
+ * @param {string|null} location - Prefix for the field paths (null for none)
+ */
+export function formatErrors(location, ajvErrors) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const error of ajvErrors || []) {
+    const parts = error.instancePath.split('/').slice(1).map(p => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (error.keyword === 'required') {
+      parts.push(error.params.missingProperty);
+    } else if (error.keyword === 'additionalProperties') {
+      parts.push(error.params.additionalProperty);
+    }
+
+    const field = [location, ...parts].filter(Boolean).join('.');
+    if (seen.has(field)) {
+      continue;
+    }
+    seen.add(field);
+
+    let message = error.message;
+    if (error.keyword === 'required') {
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+      message = 'is unknown';
+    } else if (error.keyword === 'pattern' && error.params.pattern === '\\S') {
+      message = 'must not be blank';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    errors.push({ field, message });
+  }
+
+  return errors;
+}
+
+/**
+ * Send a 400 in the same shape as schema validation failures, for checks
+ * the schema can't express (e.g. "email and password are required together")
+ * @param {Object} res - Express response
+ * @param {Array<Object>} errors - [{ field, message }]
+ * @param {string} message - Top-level error (default: the first field's message)
+ */
+export function sendValidationError(res, errors, message = null) {
+  return res.status(400).json({
+    error: message || `${errors[0].field}: ${errors[0].message}`,
+    errors
+  });
+}
+
+/**
+ * Validate path parameters, query string and JSON body of every /api request
+ * against the OpenAPI document. Mount on '/api' after auth. Requests for
+ * paths the spec doesn't describe are passed through untouched.
+ */
+export function validateRequest(req, res, next) {
+  let found = null;
+  try {
+    found = findOperation(req.method, req.baseUrl + req.path);
+  } catch (error) {
+    // Malformed percent-encoding - let Express answer it
+  }
+
+  if (!found) {
+    return next();
+  }
+
+  const { entry, params } = found;
+  const { validators } = entry;
+  const errors = [];
+
+  if (validators.path && !validators.path(params)) {
+    errors.push(...formatErrors('path', validators.path.errors));
+  }
+
+  if (validators.query && !validators.query(req.query)) {
+    errors.push(...formatErrors('query', validators.query.errors));
+  }
+
+  // express.json() leaves an empty object when nothing was sent, which
+  // passes the optional bodies and fails the required fields of the rest
+  if (validators.body && !validators.body(req.body ?? {})) {
+    errors.push(...formatErrors('body', validators.body.errors));
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors, 'Validation failed');
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    checkResponses(req, res, entry);
+  }
+
+  next();
+}
+
+// ========================================
+// Response Validation (development only)
+// ========================================
+
+const responseValidators = new Map();
+
+function getResponseValidator(entry, status) {
+  const responses = entry.operation.responses || {};
+  const code = responses[status] ? String(status) : (status < 300 && responses[200] ? '200' : null);
+  if (!code) {
+    return null;
+  }
+
+  const key = `${entry.method} ${entry.template} ${code}`;
+  if (responseValidators.has(key)) {
+    return responseValidators.get(key);
+  }
+
+  let response = responses[code];
+  let base = ['paths', entry.template, entry.method.toLowerCase(), 'responses', code];
+
+  // Shared responses live under components/responses
+  if (response.$ref) {
+    const name = response.$ref.split('/').pop();
+    response = openApiSpec.components.responses[name];
+    base = ['components', 'responses', name];
+  }
+
+  const validator = response?.content?.['application/json']
+    ? responseAjv.compile({ $ref: pointer(...base, 'content', 'application/json', 'schema') })
+    : null;
+
+  responseValidators.set(key, validator);
+  return validator;
+}
+
+/**
+ * Warn when a route answers with a body the spec doesn't describe.
+ * Never blocks the response - the spec is what needs fixing.
+ */
+function checkResponses(req, res, entry) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    try {
+      const validator = getResponseValidator(entry, res.statusCode);
+      if (validator && !validator(body)) {
+        const fields = formatErrors('response', validator.errors)
+          .map(e => `${e.field} ${e.message}`)
+          .join('; ');
+        logger.warn(`⚠️  ${req.method} ${req.originalUrl} → ${res.statusCode} does not match the OpenAPI spec: ${fields}`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not validate response of ${req.method} ${req.originalUrl}:`, error.message);
+    }
+
+    return json(body);
+  };
+}
@@ -2,10 +2,15 @@ import { chromium } from 'playwright';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/logger.js';
+import { isOnSite } from './utils.js';
+import selectors from './selector-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('AuthManagerPersistent');
+
 const USER_DATA_DIR = path.join(__dirname, '../../playwright/.auth/chrome-profile');
 
 /**
@@ -16,8 +21,17 @@ const USER_DATA_DIR = path.join(__dirname, '../../playwright/.auth/chrome-profil
  * since it looks like a real browser session.
  */
 export class AuthManagerPersistent {
-  constructor(config) {
+  /**
+   * @param {Object} config - Settings
+   * @param {Object} account - Account from the AccountManager; each account has its
+   *   own profile directory and credentials (default: the original single profile)
+   */
+  constructor(config, account = null) {
     this.config = config;
+    this.account = account;
+    this.userDataDir = account?.profileDir
+      ? path.resolve(__dirname, '../..', account.profileDir)
+      : USER_DATA_DIR;
     this.context = null;
     this.page = null;
     this.statusCallback = null;
@@ -32,13 +46,13 @@ export class AuthManagerPersistent {
   }
 
   async initialize() {
-    console.log('Initializing browser with persistent context...');
+    logger.info('Initializing browser with persistent context...');
 
     // Ensure user data directory exists
-    await fs.ensureDir(USER_DATA_DIR);
+    await fs.ensureDir(this.userDataDir);
 
     // Launch persistent context - this is the key to avoiding detection
-    this.context = await chromium.launchPersistentContext(USER_DATA_DIR, {
+    this.context = await chromium.launchPersistentContext(this.userDataDir, {
       headless: false, // MUST be false for Google OAuth to work
       slowMo: this.config.playwright?.slowMo || 100,
       viewport: { width: 1920, height: 1080 },
@@ -131,8 +145,8 @@ export class AuthManagerPersistent {
     // Set longer timeouts
     this.page.setDefaultTimeout(this.config.playwright?.timeout || 60000);
 
-    console.log('✅ Persistent browser context initialized');
-    console.log('📁 Profile location:', USER_DATA_DIR);
+    logger.info('✅ Persistent browser context initialized');
+    logger.info('📁 Profile location:', this.userDataDir);
   }
 
   /**
@@ -157,7 +171,7 @@ export class AuthManagerPersistent {
       'WAITING': '⏳'
     };
 
-    console.log(`[Step ${stepNumber}] ${statusEmoji[status] || ''} ${message}`);
+    logger.info(`[Step ${stepNumber}] ${statusEmoji[status] || ''} ${message}`);
 
     // Send to frontend via callback
     if (this.statusCallback) {
@@ -322,7 +336,7 @@ export class AuthManagerPersistent {
 
   async checkIfLoggedIn() {
     try {
-      console.log('Checking if already logged in...');
+      logger.info('Checking if already logged in...');
       await this.page.goto(`${this.config.suno.baseUrl}/create`, {
         waitUntil: 'domcontentloaded',
         timeout: 30000
@@ -333,30 +347,27 @@ export class AuthManagerPersistent {
 
       // Check if we're on the create page (logged in) or redirected to login
       const currentUrl = this.page.url();
-      console.log('Current URL:', currentUrl);
+      logger.info('Current URL:', currentUrl);
 
       // Look for signs of being logged in
       const isLoggedIn = currentUrl.includes('/create') ||
-                        await this.page.locator('text=Lyrics').isVisible().catch(() => false) ||
-                        await this.page.locator('[data-testid="user-menu"]').isVisible().catch(() => false);
+                        await selectors.find(this.page, 'loggedInIndicator') !== null;
 
       if (isLoggedIn) {
-        console.log('✅ Already logged in!');
+        logger.info('✅ Already logged in!');
       } else {
-        console.log('❌ Not logged in');
+        logger.info('❌ Not logged in');
       }
 
       return isLoggedIn;
     } catch (error) {
-      console.error('Error checking login status:', error.message);
+      logger.error('Error checking login status:', error);
       return false;
     }
   }
 
   async loginWithGoogle(email = null, password = null) {
-    console.log('\n' + '='.repeat(60));
-    console.log('🔐 Starting Automated Google OAuth login...');
-    console.log('='.repeat(60));
+    logger.info('🔐 Starting Automated Google OAuth login...');
 
     this.loginSteps = []; // Reset steps
 
@@ -493,13 +504,13 @@ export class AuthManagerPersistent {
         // Step 10: Wait for redirect back to Suno
         this.logStep(10, 'Waiting for redirect to Suno.com', 'WAITING');
         try {
-          await this.page.waitForURL(/suno\.com/, { timeout: 30000 });
+          await this.page.waitForURL(url => isOnSite(url.href, this.config.suno.baseUrl), { timeout: 30000 });
           this.logStep(10, 'Successfully redirected to Suno.com', 'SUCCESS');
         } catch (error) {
           this.logStep(10, 'Redirect timeout - checking if login succeeded', 'WARNING');
           // Check if we're already on Suno
           const currentUrl = this.page.url();
-          if (currentUrl.includes('suno.com')) {
+          if (isOnSite(currentUrl, this.config.suno.baseUrl)) {
             this.logStep(10, 'Already on Suno.com - login may have succeeded', 'SUCCESS');
           } else {
             throw new Error('Failed to redirect to Suno.com after login');
@@ -510,8 +521,8 @@ export class AuthManagerPersistent {
         await this.page.waitForTimeout(3000);
 
         this.logStep(11, 'Automated Google login completed successfully!', 'SUCCESS');
-        console.log('✅ Google OAuth automated login completed!');
-        console.log('📝 Session saved for future use');
+        logger.info('✅ Google OAuth automated login completed!');
+        logger.info('📝 Session saved for future use');
 
         return { success: true, automated: true, steps: this.loginSteps };
 
@@ -523,7 +534,7 @@ export class AuthManagerPersistent {
 
     } catch (error) {
       this.logStep('ERROR', `Google login failed: ${error.message}`, 'ERROR');
-      console.error('❌ Google login error:', error.message);
+      logger.error('❌ Google login error:', error);
       return { success: false, error: error.message, steps: this.loginSteps };
     }
   }
@@ -532,20 +543,17 @@ export class AuthManagerPersistent {
    * Wait for user to complete manual login (for 2FA or when automation fails)
    */
   async waitForManualLogin() {
-    console.log('\n' + '='.repeat(60));
-    console.log('👤 MANUAL ACTION REQUIRED');
-    console.log('='.repeat(60));
-    console.log('Please complete the Google login in the browser window:');
-    console.log('1. Complete any verification steps (2FA, etc.)');
-    console.log('2. Accept any permissions Suno.com requests');
-    console.log('\n⏳ Waiting for you to complete login (timeout: 5 minutes)...');
-    console.log('='.repeat(60) + '\n');
+    logger.info('👤 MANUAL ACTION REQUIRED');
+    logger.info('Please complete the Google login in the browser window:');
+    logger.info('1. Complete any verification steps (2FA, etc.)');
+    logger.info('2. Accept any permissions Suno.com requests');
+    logger.info('⏳ Waiting for you to complete login (timeout: 5 minutes)...');
 
     try {
       // Wait for navigation back to Suno (indicates successful login)
-      await this.page.waitForURL(/suno\.com/, { timeout: 300000 });
+      await this.page.waitForURL(url => isOnSite(url.href, this.config.suno.baseUrl), { timeout: 300000 });
 
-      console.log('✅ Returned to Suno.com after manual completion');
+      logger.info('✅ Returned to Suno.com after manual completion');
       await this.page.waitForTimeout(3000);
 
       this.logStep('MANUAL', 'Manual login completed successfully', 'SUCCESS');
@@ -558,20 +566,18 @@ export class AuthManagerPersistent {
   }
 
   async loginWithPassword(email, password) {
-    console.log('\n' + '='.repeat(60));
-    console.log('🔐 Starting email/password login...');
-    console.log('='.repeat(60));
+    logger.info('🔐 Starting email/password login...');
 
     try {
       // Navigate to Suno.com
-      console.log('📍 Navigating to Suno.com...');
+      logger.info('📍 Navigating to Suno.com...');
       await this.page.goto(this.config.suno.baseUrl, { waitUntil: 'domcontentloaded' });
       await this.page.waitForTimeout(2000);
 
       // Click sign in
       const signInButton = this.page.locator('text=Sign In, text=Sign in, text=Log In').first();
       if (await signInButton.isVisible().catch(() => false)) {
-        console.log('🖱️  Clicking sign in button...');
+        logger.info('🖱️  Clicking sign in button...');
         await signInButton.click();
         await this.page.waitForTimeout(2000);
       }
@@ -588,44 +594,44 @@ export class AuthManagerPersistent {
       for (const selector of emailLoginSelectors) {
         emailButton = this.page.locator(selector).first();
         if (await emailButton.isVisible().catch(() => false)) {
-          console.log(`✅ Found email login with selector: ${selector}`);
+          logger.info(`✅ Found email login with selector: ${selector}`);
           break;
         }
       }
 
       if (emailButton && await emailButton.isVisible().catch(() => false)) {
-        console.log('🖱️  Clicking email login option...');
+        logger.info('🖱️  Clicking email login option...');
         await emailButton.click();
         await this.page.waitForTimeout(1000);
       }
 
       // Fill in email
-      console.log('📧 Filling in email...');
+      logger.info('📧 Filling in email...');
       const emailInput = this.page.locator('input[type="email"], input[name="email"]').first();
       await emailInput.fill(email);
       await this.page.waitForTimeout(500);
 
       // Fill in password
-      console.log('🔑 Filling in password...');
+      logger.info('🔑 Filling in password...');
       const passwordInput = this.page.locator('input[type="password"], input[name="password"]').first();
       await passwordInput.fill(password);
       await this.page.waitForTimeout(500);
 
       // Click submit
-      console.log('🖱️  Clicking submit button...');
+      logger.info('🖱️  Clicking submit button...');
       const submitButton = this.page.locator('button[type="submit"], button:has-text("Sign in"), button:has-text("Log in")').first();
       await submitButton.click();
 
       // Wait for navigation
-      console.log('⏳ Waiting for login to complete...');
-      await this.page.waitForURL(/suno\.com/, { timeout: 30000 });
+      logger.info('⏳ Waiting for login to complete...');
+      await this.page.waitForURL(url => isOnSite(url.href, this.config.suno.baseUrl), { timeout: 30000 });
       await this.page.waitForTimeout(5000);
 
-      console.log('✅ Email/password login completed successfully!');
+      logger.info('✅ Email/password login completed successfully!');
 
       return true;
     } catch (error) {
-      console.error('❌ Password login error:', error.message);
+      logger.error('❌ Password login error:', error);
       throw error;
     }
   }
@@ -634,11 +640,11 @@ export class AuthManagerPersistent {
     const isLoggedIn = await this.checkIfLoggedIn();
 
     if (isLoggedIn) {
-      console.log('✅ Already logged in - skipping authentication!');
+      logger.info('✅ Already logged in - skipping authentication!');
       return true;
     }
 
-    console.log('🔓 Not logged in, proceeding with authentication...');
+    logger.info('🔓 Not logged in, proceeding with authentication...');
 
     if (this.config.authMethod === 'google') {
       // Try to load credentials from credential manager
@@ -646,19 +652,26 @@ export class AuthManagerPersistent {
       let password = null;
 
       try {
-        // Import credential manager dynamically
-        const { default: credentialManager } = await import('../config/credentials.js');
-        const credentials = await credentialManager.loadCredentials();
+        let credentials;
+        if (this.account) {
+          // Import account manager dynamically
+          const { default: accountManager } = await import('../config/accounts.js');
+          credentials = await accountManager.getCredentials(this.account);
+        } else {
+          // Import credential manager dynamically
+          const { default: credentialManager } = await import('../config/credentials.js');
+          credentials = await credentialManager.loadCredentials();
+        }
 
         if (credentials) {
           email = credentials.email;
           password = credentials.password;
-          console.log('📧 Loaded credentials from secure storage');
+          logger.info(`📧 Loaded credentials from secure storage${this.account ? ` (account: ${this.account.name})` : ''}`);
         } else {
-          console.log('ℹ️  No saved credentials found - manual login required');
+          logger.info('ℹ️  No saved credentials found - manual login required');
         }
       } catch (error) {
-        console.log('⚠️  Could not load credentials:', error.message);
+        logger.warn('⚠️  Could not load credentials:', error.message);
       }
 
       return await this.loginWithGoogle(email, password);
@@ -675,7 +688,7 @@ export class AuthManagerPersistent {
 
   async close() {
     // Don't close the context - keep it persistent for future runs
-    console.log('💾 Saving browser state for future use...');
+    logger.info('💾 Saving browser state for future use...');
     if (this.context) {
       await this.context.close();
     }
@@ -2,10 +2,15 @@ import { chromium } from 'playwright';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/logger.js';
+import { isOnSite } from './utils.js';
+import selectors from './selector-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('AuthManager');
+
 const AUTH_STATE_FILE = path.join(__dirname, '../../playwright/.auth/state.json');
 const USER_DATA_DIR = path.join(__dirname, '../../playwright/.auth/user-data');
 
@@ -18,7 +23,7 @@ export class AuthManager {
   }
 
   async initialize() {
-    console.log('Initializing browser...');
+    logger.info('Initializing browser...');
 
     // Launch with arguments to avoid detection
     this.browser = await chromium.launch({
@@ -46,11 +51,11 @@ export class AuthManager {
     };
 
     if (await fs.pathExists(AUTH_STATE_FILE)) {
-      console.log('Loading existing authentication state...');
+      logger.info('Loading existing authentication state...');
       try {
         contextOptions.storageState = AUTH_STATE_FILE;
       } catch (error) {
-        console.warn('Could not load auth state, will need to login:', error.message);
+        logger.warn('Could not load auth state, will need to login:', error.message);
       }
     }
 
@@ -85,7 +90,7 @@ export class AuthManager {
 
   async checkIfLoggedIn() {
     try {
-      console.log('Checking if already logged in...');
+      logger.info('Checking if already logged in...');
       await this.page.goto(`${this.config.suno.baseUrl}/create`, {
         waitUntil: 'domcontentloaded',
         timeout: 30000
@@ -96,22 +101,21 @@ export class AuthManager {
 
       // Check if we're on the create page (logged in) or redirected to login
       const currentUrl = this.page.url();
-      console.log('Current URL:', currentUrl);
+      logger.info('Current URL:', currentUrl);
 
       // Look for signs of being logged in
       const isLoggedIn = currentUrl.includes('/create') ||
-                         await this.page.locator('text=Lyrics').isVisible().catch(() => false) ||
-                         await this.page.locator('[data-testid="user-menu"]').isVisible().catch(() => false);
+                         await selectors.find(this.page, 'loggedInIndicator') !== null;
 
       return isLoggedIn;
     } catch (error) {
-      console.error('Error checking login status:', error.message);
+      logger.error('Error checking login status:', error);
       return false;
     }
   }
 
   async loginWithGoogle() {
-    console.log('Starting Google OAuth login...');
+    logger.info('Starting Google OAuth login...');
 
     try {
       // Navigate to Suno.com
@@ -139,7 +143,7 @@ export class AuthManager {
       }
 
       if (signInButton && await signInButton.isVisible().catch(() => false)) {
-        console.log('Clicking sign in button...');
+        logger.info('Clicking sign in button...');
         await signInButton.click();
         await this.page.waitForTimeout(2000);
       }
@@ -156,23 +160,23 @@ export class AuthManager {
       for (const selector of googleSelectors) {
         googleButton = this.page.locator(selector).first();
         if (await googleButton.isVisible().catch(() => false)) {
-          console.log('Found Google button with selector:', selector);
+          logger.info('Found Google button with selector:', selector);
           break;
         }
       }
 
       if (googleButton && await googleButton.isVisible().catch(() => false)) {
-        console.log('Clicking Google login button...');
+        logger.info('Clicking Google login button...');
         await googleButton.click();
 
         // Wait for Google OAuth popup or redirect
-        console.log('Waiting for Google login page...');
-        console.log('Please complete the Google login in the browser...');
+        logger.info('Waiting for Google login page...');
+        logger.info('Please complete the Google login in the browser...');
 
         // Wait for navigation back to Suno (indicates successful login)
-        await this.page.waitForURL(/suno\.com/, { timeout: 120000 });
+        await this.page.waitForURL(url => isOnSite(url.href, this.config.suno.baseUrl), { timeout: 120000 });
 
-        console.log('Returned to Suno.com after Google login');
+        logger.info('Returned to Suno.com after Google login');
 
         // Wait for the page to fully load
         await this.page.waitForTimeout(5000);
@@ -185,13 +189,13 @@ export class AuthManager {
         throw new Error('Could not find Google login button');
       }
     } catch (error) {
-      console.error('Google login error:', error.message);
+      logger.error('Google login error:', error);
       throw error;
     }
   }
 
   async loginWithPassword(email, password) {
-    console.log('Starting password-based login...');
+    logger.info('Starting password-based login...');
 
     try {
       // Navigate to Suno.com
@@ -239,7 +243,7 @@ export class AuthManager {
       await submitButton.click();
 
       // Wait for navigation
-      await this.page.waitForURL(/suno\.com/, { timeout: 30000 });
+      await this.page.waitForURL(url => isOnSite(url.href, this.config.suno.baseUrl), { timeout: 30000 });
       await this.page.waitForTimeout(5000);
 
       // Save authentication state
@@ -247,7 +251,7 @@ export class AuthManager {
 
       return true;
     } catch (error) {
-      console.error('Password login error:', error.message);
+      logger.error('Password login error:', error);
       throw error;
     }
   }
@@ -256,11 +260,11 @@ export class AuthManager {
     const isLoggedIn = await this.checkIfLoggedIn();
 
     if (isLoggedIn) {
-      console.log('Already logged in!');
+      logger.info('Already logged in!');
       return true;
     }
 
-    console.log('Not logged in, proceeding with authentication...');
+    logger.info('Not logged in, proceeding with authentication...');
 
     if (this.config.authMethod === 'google') {
       return await this.loginWithGoogle();
@@ -279,9 +283,9 @@ export class AuthManager {
     try {
       await fs.ensureDir(path.dirname(AUTH_STATE_FILE));
       await this.context.storageState({ path: AUTH_STATE_FILE });
-      console.log('Authentication state saved successfully');
+      logger.info('Authentication state saved successfully');
     } catch (error) {
-      console.error('Error saving auth state:', error);
+      logger.error('Error saving auth state:', error);
     }
   }
 
@@ -0,0 +1,119 @@
+/**
+ * Thrown when an operation stops because its token was cancelled
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Operation cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+/**
+ * CancellationToken - Cooperative stop and pause signal for long-running automation
+ *
+ * Nothing is interrupted mid-call: the automation checks the token between
+ * steps (throwIfCancelled), sleeps through it (sleep), and holds at safe
+ * boundaries such as the start of the next song (waitIfPaused). This keeps
+ * downloads whole and the browser session alive.
+ */
+export class CancellationToken {
+  constructor() {
+    this.cancelled = false;
+    this.reason = null;
+    this.paused = false;
+    this.cancelListeners = new Set();
+    this.resumeListeners = new Set();
+  }
+
+  get isCancelled() {
+    return this.cancelled;
+  }
+
+  get isPaused() {
+    return this.paused;
+  }
+
+  cancel(reason = 'Cancelled by user') {
+    if (this.cancelled) {
+      return;
+    }
+
+    this.cancelled = true;
+    this.reason = reason;
+    this.paused = false;
+
+    // Wake anything sleeping or paused so it can stop
+    this.cancelListeners.forEach(listener => listener());
+    this.resumeListeners.forEach(listener => listener());
+  }
+
+  pause() {
+    if (!this.cancelled) {
+      this.paused = true;
+    }
+  }
+
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this.resumeListeners.forEach(listener => listener());
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new CancelledError(this.reason);
+    }
+  }
+
+  /**
+   * Wait for the given time, waking early (and throwing) if cancelled
+   */
+  async sleep(ms) {
+    this.throwIfCancelled();
+
+    await new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.cancelListeners.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      this.cancelListeners.add(done);
+    });
+
+    this.throwIfCancelled();
+  }
+
+  /**
+   * Hold here while paused. Call only at points where holding is safe.
+   * @param {Function} onPause - Called once if this call actually has to wait
+   * @returns {Promise<boolean>} True if execution was held
+   */
+  async waitIfPaused(onPause = null) {
+    this.throwIfCancelled();
+
+    if (!this.paused) {
+      return false;
+    }
+
+    if (onPause) {
+      onPause();
+    }
+
+    while (this.paused) {
+      await new Promise((resolve) => {
+        const done = () => {
+          this.resumeListeners.delete(done);
+          resolve();
+        };
+        this.resumeListeners.add(done);
+      });
+    }
+
+    this.throwIfCancelled();
+    return true;
+  }
+}
@@ -0,0 +1,199 @@
+import { createLogger } from '../logging/logger.js';
+import { isOnSite } from './utils.js';
+
+const logger = createLogger('ClipCapture');
+
+export const CLIP_STATUS = {
+  GENERATING: 'generating',
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+};
+
+// Clip statuses the Suno web app receives, and what they mean for us
+const SUNO_STATUSES = {
+  submitted: CLIP_STATUS.GENERATING,
+  queued: CLIP_STATUS.GENERATING,
+  streaming: CLIP_STATUS.GENERATING,
+  generating: CLIP_STATUS.GENERATING,
+  complete: CLIP_STATUS.COMPLETE,
+  error: CLIP_STATUS.FAILED,
+  failed: CLIP_STATUS.FAILED
+};
+
+// Requests that start a generation (the response lists the new clips)
+const GENERATE_URL = /\/api\/generate\b/;
+
+// Clips are at most this deep in a response (e.g. { project: { clips: [...] } })
+const MAX_DEPTH = 4;
+
+// Larger responses aren't clip data
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * A Suno clip object in the shape the rest of the app uses, or null if the
+ * value doesn't look like a clip
+ * @param {Object} raw - Clip as sent by Suno's API
+ * @returns {Object|null} { id, status, sunoStatus, title, audioUrl, imageUrl, videoUrl, duration, style, lyrics, createdAt }
+ */
+export function normalizeClip(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.id !== 'string' || typeof raw.status !== 'string') {
+    return null;
+  }
+
+  const status = SUNO_STATUSES[raw.status.toLowerCase()];
+  if (!status) {
+    return null;
+  }
+
+  const metadata = raw.metadata || {};
+  return {
+    id: raw.id,
+    status,
+    sunoStatus: raw.status,
+    title: raw.title ?? null,
+    // While streaming, audio_url points at a live stream rather than the finished file
+    audioUrl: status === CLIP_STATUS.COMPLETE ? raw.audio_url || null : null,
+    imageUrl: raw.image_large_url || raw.image_url || null,
+    videoUrl: status === CLIP_STATUS.COMPLETE ? raw.video_url || null : null,
+    duration: metadata.duration ?? raw.duration ?? null,
+    style: metadata.tags ?? raw.tags ?? null,
+    lyrics: metadata.prompt ?? raw.prompt ?? null,
+    createdAt: raw.created_at || null
+  };
+}
+
+/**
+ * Every clip in a JSON response, wherever the endpoint nests them
+ */
+export function extractClips(body, depth = 0) {
+  if (!body || typeof body !== 'object' || depth > MAX_DEPTH) {
+    return [];
+  }
+
+  if (Array.isArray(body)) {
+    return body.flatMap(item => extractClips(item, depth + 1));
+  }
+
+  const clip = normalizeClip(body);
+  if (clip) {
+    return [clip];
+  }
+
+  return Object.values(body).flatMap(value => extractClips(value, depth + 1));
+}
+
+/**
+ * ClipCapture - Reads the clip data the Suno web app fetches for itself
+ *
+ * Listens to the page's JSON responses from the Suno site and its API
+ * subdomains and keeps the latest state of every clip seen: status, audio
+ * and cover URLs, style and lyrics. Creating a song is recorded as a
+ * generation with the IDs of the clips it started. Nothing is requested on
+ * our side - if Suno changes its API the capture just stays empty and
+ * callers fall back to reading the page.
+ */
+export class ClipCapture {
+  constructor(config) {
+    this.config = config;
+    this.clips = new Map();
+    this.generations = [];
+    this.waiters = new Set();
+  }
+
+  /**
+   * Start listening to a page's responses
+   * @param {Page} page - Playwright page
+   */
+  attach(page) {
+    page.on('response', (response) => {
+      this.handleResponse(response).catch((error) => {
+        logger.debug(`Could not read ${response.url()}: ${error.message}`);
+      });
+    });
+  }
+
+  async handleResponse(response) {
+    const request = response.request();
+    if (!['fetch', 'xhr'].includes(request.resourceType()) || !isOnSite(response.url(), this.config.suno.baseUrl)) {
+      return;
+    }
+
+    const headers = response.headers();
+    if (!(headers['content-type'] || '').includes('json') || Number(headers['content-length'] || 0) > MAX_BODY_BYTES) {
+      return;
+    }
+
+    const clips = extractClips(await response.json());
+    if (clips.length === 0) {
+      return;
+    }
+
+    for (const clip of clips) {
+      this.update(clip);
+    }
+
+    if (request.method() === 'POST' && GENERATE_URL.test(response.url())) {
+      this.addGeneration(clips.map(c => c.id));
+    }
+  }
+
+  update(clip) {
+    const previous = this.clips.get(clip.id);
+    if (previous && previous.status !== clip.status) {
+      logger.info(`🎶 Clip ${clip.id}: ${previous.status} → ${clip.status}`);
+    }
+
+    // Keep what an earlier response knew but this one left out
+    const merged = { ...previous };
+    for (const [key, value] of Object.entries(clip)) {
+      if (value !== null || !previous) {
+        merged[key] = value;
+      }
+    }
+    merged.seenAt = Date.now();
+    this.clips.set(clip.id, merged);
+  }
+
+  addGeneration(clipIds) {
+    const generation = { clipIds, at: Date.now() };
+    this.generations.push(generation);
+    logger.info(`🆕 Suno started ${clipIds.length} clips: ${clipIds.join(', ')}`);
+    this.waiters.forEach(waiter => waiter(generation));
+  }
+
+  /**
+   * Latest state of a clip
+   * @returns {Object|null} See normalizeClip(), plus seenAt
+   */
+  getClip(id) {
+    return this.clips.get(id) || null;
+  }
+
+  /**
+   * The first generation started at or after `since`
+   * @param {number} since - Timestamp (ms), e.g. just before clicking Create
+   * @param {number} timeout - ms to wait for it
+   * @returns {Promise<{ clipIds: Array<string>, at: number }|null>} null if none was seen in time
+   */
+  waitForGeneration(since, timeout = 15000) {
+    const existing = this.generations.find(g => g.at >= since);
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve) => {
+      const waiter = (generation) => {
+        if (generation.at >= since) {
+          done(generation);
+        }
+      };
+      const done = (generation) => {
+        clearTimeout(timer);
+        this.waiters.delete(waiter);
+        resolve(generation);
+      };
+      const timer = setTimeout(() => done(null), timeout);
+      this.waiters.add(waiter);
+    });
+  }
+}
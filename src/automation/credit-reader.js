@@ -0,0 +1,77 @@
+import { createLogger } from '../logging/logger.js';
+import selectors from './selector-registry.js';
+
+const logger = createLogger('CreditReader');
+
+// Suno charges per generation; every generation produces two clips
+export const CREDITS_PER_CLIP = 5;
+export const CLIPS_PER_GENERATION = 2;
+export const CREDITS_PER_GENERATION = CREDITS_PER_CLIP * CLIPS_PER_GENERATION;
+
+/**
+ * Thrown when the account does not have enough credits for the next generation
+ */
+export class InsufficientCreditsError extends Error {
+  constructor(available, required, message = null) {
+    super(message || `Not enough Suno credits: ${available} left, ${required} needed for the next song`);
+    this.name = 'InsufficientCreditsError';
+    this.available = available;
+    this.required = required;
+  }
+}
+
+/**
+ * CreditReader - Reads the remaining credit balance from the Suno UI
+ *
+ * Suno shows the balance in the sidebar (e.g. "2,450 Credits"). Reading it
+ * never fails the caller: if the balance can't be found, null is returned
+ * and credit checks are skipped.
+ */
+export class CreditReader {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+  }
+
+  async readCredits() {
+    let credits = await this.readFromPage();
+
+    // The balance is only shown on the app pages - load Create if it isn't on screen
+    if (credits === null && !this.page.url().includes('/create')) {
+      try {
+        await this.page.goto(`${this.config.suno.baseUrl}/create`, {
+          waitUntil: 'domcontentloaded',
+          timeout: 30000
+        });
+        await this.page.waitForTimeout(2000);
+        credits = await this.readFromPage();
+      } catch (error) {
+        logger.warn('⚠️  Could not load Create page to read credits:', error.message);
+      }
+    }
+
+    if (credits === null) {
+      logger.warn('⚠️  Could not find the credit balance on the page');
+    } else {
+      logger.info(`💳 Credits remaining: ${credits}`);
+    }
+
+    return credits;
+  }
+
+  async readFromPage() {
+    let credits = null;
+    await selectors.find(this.page, 'creditBalance', {
+      accept: async (element) => {
+        credits = this.parseCredits(await element.textContent().catch(() => ''));
+        return credits !== null;
+      }
+    });
+    return credits;
+  }
+
+  parseCredits(text) {
+    const match = (text || '').match(/(\d[\d,]*)\s*credits?/i);
+    return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Formats a clip can be downloaded in
+ *
+ * `menuItem` is the selector registry target of the format's entry in a
+ * song's Download submenu, and `extension` what the file is saved as.
+ * `apiField` names the URL in Suno's clip data (see ClipCapture) that serves
+ * the finished file directly, for formats that have one. WAV, video and stems
+ * are prepared by Suno on request, so their menu items may first open a
+ * dialog with a download button that enables once the file is ready.
+ */
+export const DOWNLOAD_FORMATS = {
+  mp3: { label: 'MP3 Audio', extension: 'mp3', menuItem: 'mp3MenuItem', apiField: 'audioUrl' },
+  wav: { label: 'WAV Audio', extension: 'wav', menuItem: 'wavMenuItem', apiField: null },
+  mp4: { label: 'Video', extension: 'mp4', menuItem: 'videoMenuItem', apiField: 'videoUrl' },
+  stems: { label: 'Stems', extension: 'zip', menuItem: 'stemsMenuItem', apiField: null }
+};
+
+export const FORMAT_NAMES = Object.keys(DOWNLOAD_FORMATS);
+
+// Formats publishSong() can turn into a video - the rest have no audio track of their own
+export const AUDIO_FORMATS = ['mp3', 'wav'];
+
+// What a song is downloaded as unless the batch, song or settings say otherwise
+export const DEFAULT_FORMATS = ['mp3'];
+
+// JSON schema of a format list, for config.json and the API
+export const FORMATS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  uniqueItems: true,
+  items: { type: 'string', enum: FORMAT_NAMES }
+};
+
+/**
+ * Read a format list as typed in a manifest cell ("mp3, wav" or "mp3;mp4")
+ * or sent as a JSON array. Names are case-insensitive; "video" means mp4.
+ * @param {string|Array<string>} value
+ * @returns {{ formats: Array<string>|null, unknown: Array<string> }} formats is null when the value is empty
+ */
+export function parseFormats(value) {
+  const names = (Array.isArray(value) ? value : String(value ?? '').split(/[\s,;|]+/))
+    .map(name => String(name).trim().toLowerCase().replace(/^\./, ''))
+    .map(name => (name === 'video' ? 'mp4' : name))
+    .filter(Boolean);
+
+  return {
+    formats: names.length > 0 ? [...new Set(names.filter(name => DOWNLOAD_FORMATS[name]))] : null,
+    unknown: names.filter(name => !DOWNLOAD_FORMATS[name])
+  };
+}
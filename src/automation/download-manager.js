@@ -1,71 +1,168 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { createLogger } from '../logging/logger.js';
+import { captchaEncounters } from '../metrics/metrics.js';
+import { isOnSite } from './utils.js';
+import selectors from './selector-registry.js';
+import { CLIPS_PER_GENERATION } from './credit-reader.js';
+import { CLIP_STATUS } from './clip-capture.js';
+import { DOWNLOAD_FORMATS } from './download-formats.js';
+import { coverExtension, songUrl, writeSongMetadata } from './song-metadata.js';
+import { tagSongFile } from './song-tags.js';
+
+const logger = createLogger('DownloadManager');
+
+// How long Suno may take to prepare a WAV, video or stems file
+const PREPARE_TIMEOUT_MS = 180000;
+
+// File name of a clip's downloads without the extension, e.g. "Night_Drive-v1-2026-10-19T08-30-00"
+function fileBaseName(songTitle, version) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
+  return `${songTitle || 'suno-song'}-v${version}-${timestamp}`;
+}
+
+/**
+ * Thrown when a generation's clips failed on Suno or didn't finish in time
+ */
+export class GenerationFailedError extends Error {
+  constructor(message, clips = [], timedOut = false) {
+    super(message);
+    this.name = 'GenerationFailedError';
+    this.clips = clips;
+    this.timedOut = timedOut;
+  }
+}
 
 export class DownloadManager {
-  constructor(page, config) {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {Object} config - Settings
+   * @param {ClipCapture} clipCapture - Clip data from Suno's API responses (optional)
+   */
+  constructor(page, config, clipCapture = null) {
     this.page = page;
     this.config = config;
+    this.clipCapture = clipCapture;
+    this.statusCallback = null;
   }
 
-  async waitForSongCompletion(songTitle, maxWaitTime = null) {
+  /**
+   * Set status callback for CAPTCHA updates
+   */
+  setStatusCallback(callback) {
+    this.statusCallback = callback;
+  }
+
+  /**
+   * Wait until the clips of the generation we just started are all finished.
+   * With the clip IDs Suno returned for Create, exactly those are watched.
+   * Otherwise clips already in the library before Create (knownClipIds) are
+   * ignored, so older songs are never mistaken for ours; without either the
+   * newest rows are watched. Fails as soon as Suno marks a clip as failed.
+   * @param {string} songTitle - For logs and errors
+   * @param {number} maxWaitTime - ms (default: suno.maxWaitTime)
+   * @param {Object} options
+   * @param {Array<string>} options.clipIds - Clip IDs of the generation
+   * @param {Array<string>} options.knownClipIds - Clip IDs in the library before Create
+   * @param {number} options.count - Clips per generation
+   * @param {CancellationToken} options.token - Stops the wait between polls
+   * @returns {Promise<{ clipIds: Array<string>, seconds: number }>}
+   * @throws {GenerationFailedError} If Suno failed a clip or it didn't finish in time
+   */
+  async waitForSongCompletion(songTitle, maxWaitTime = null, { clipIds = null, knownClipIds = null, count = CLIPS_PER_GENERATION, token = null } = {}) {
     const maxWait = maxWaitTime || this.config.suno.maxWaitTime;
     const pollInterval = this.config.suno.pollInterval;
     const startTime = Date.now();
+    let clips = [];
+    let lastProgress = null;
+    if (clipIds) {
+      count = clipIds.length;
+    }
 
-    console.log(`Waiting for song "${songTitle}" to complete...`);
-    console.log(`Max wait time: ${maxWait / 1000} seconds`);
+    logger.info(`Waiting for the ${count} clips of "${songTitle}" to finish (up to ${Math.round(maxWait / 1000)} seconds)...`);
 
     while (Date.now() - startTime < maxWait) {
+      token?.throwIfCancelled();
+
       try {
         // Check if page/context is still open
         if (this.page.isClosed()) {
           throw new Error('Browser page was closed unexpectedly');
         }
 
+        // Reload until our clips show up; after that the library updates by itself
+        await this.openLibrary({ reload: clips.length < count });
+
         // Check for CAPTCHA
-        const hasCaptcha = await this.checkForCaptcha();
-        if (hasCaptcha) {
-          console.log('\n' + '='.repeat(60));
-          console.log('⚠️  CAPTCHA DETECTED');
-          console.log('='.repeat(60));
-          console.log('Please solve the CAPTCHA in the browser window');
-          console.log('The automation will continue automatically after you solve it');
-          console.log('='.repeat(60) + '\n');
+        if (await this.checkForCaptcha()) {
+          logger.warn('⚠️  CAPTCHA DETECTED');
+          logger.info('Please solve the CAPTCHA in the browser window');
+          logger.info('The automation will continue automatically after you solve it');
 
           // Wait for user to solve CAPTCHA
           await this.waitForCaptchaSolution();
         }
 
-        // Check if song is complete
-        const isComplete = await this.checkSongStatus(songTitle);
-
-        if (isComplete) {
-          console.log('Song generation completed!');
-          return true;
-        }
-
-        // Wait before polling again
-        console.log(`Checking again in ${pollInterval / 1000} seconds...`);
-        await this.safeWaitForTimeout(pollInterval);
-
+        clips = clipIds
+          ? await this.getClipsById(clipIds)
+          : await this.getNewClips(knownClipIds, count);
       } catch (error) {
-        console.warn('Error checking song status:', error.message);
+        logger.warn('Error checking song status:', error.message);
 
         // If page is closed, we can't continue
         if (error.message.includes('closed') || error.message.includes('Target')) {
           throw error;
         }
+      }
 
-        // Otherwise, try to wait and continue
-        try {
-          await this.safeWaitForTimeout(pollInterval);
-        } catch (waitError) {
-          throw new Error('Browser connection lost');
+      const failed = clips.filter(c => c.status === 'failed');
+      if (failed.length > 0) {
+        throw new GenerationFailedError(
+          `Suno could not generate "${songTitle}" (failed clip: ${failed.map(c => c.clipId).join(', ')})`,
+          clips
+        );
+      }
+
+      // Report only when a clip appears or changes status
+      const ready = clips.filter(c => c.status === 'complete').length;
+      const progress = clips.map(c => `${c.clipId} ${c.status}`).join(', ');
+      if (progress !== lastProgress) {
+        lastProgress = progress;
+        logger.info(`🎶 ${ready}/${count} clips ready${clips.length < count ? ` (${clips.length} in the library so far)` : ''}: ${progress || 'none yet'}`);
+        if (this.statusCallback) {
+          this.statusCallback({
+            status: 'generation_progress',
+            message: `${ready}/${count} clips ready`,
+            ready,
+            total: count,
+            clipIds: clips.map(c => c.clipId)
+          });
         }
       }
+
+      if (clips.length === count && ready === count) {
+        const seconds = Math.round((Date.now() - startTime) / 1000);
+        logger.info(`Song generation completed in ${seconds} seconds!`);
+        return { clipIds: clips.map(c => c.clipId), seconds };
+      }
+
+      // Wait before polling again
+      logger.debug(`Checking again in ${pollInterval / 1000} seconds...`);
+      if (token) {
+        await token.sleep(Math.min(pollInterval, maxWait - (Date.now() - startTime)));
+      } else {
+        await this.safeWaitForTimeout(pollInterval);
+      }
     }
 
-    throw new Error(`Song generation timed out after ${maxWait / 1000} seconds`);
+    const ready = clips.filter(c => c.status === 'complete').length;
+    throw new GenerationFailedError(
+      clips.length === 0
+        ? `Song generation timed out after ${Math.round(maxWait / 1000)} seconds: no new clips of "${songTitle}" appeared in the library`
+        : `Song generation timed out after ${Math.round(maxWait / 1000)} seconds: ${ready}/${count} clips of "${songTitle}" finished (raise suno.maxWaitMinutes if Suno is slow)`,
+      clips,
+      true
+    );
   }
 
   /**
@@ -79,20 +176,14 @@ export class DownloadManager {
       await this.page.waitForTimeout(timeout);
     } catch (error) {
       if (error.message.includes('closed') || error.message.includes('Target')) {
-        console.log('\n' + '='.repeat(60));
-        console.log('❌ BROWSER CLOSED UNEXPECTEDLY');
-        console.log('='.repeat(60));
-        console.log('The browser window was closed while waiting for song completion.');
-        console.log('');
-        console.log('⚠️  IMPORTANT: Do NOT close the browser window manually!');
-        console.log('');
-        console.log('The automation needs the browser to stay open for:');
-        console.log('1. Creating the song (30 seconds)');
-        console.log('2. Waiting for generation (2-3 minutes)');
-        console.log('3. Downloading the MP3 (30 seconds)');
-        console.log('');
-        console.log('💡 TIP: Minimize the window instead of closing it.');
-        console.log('='.repeat(60) + '\n');
+        logger.error('❌ BROWSER CLOSED UNEXPECTEDLY');
+        logger.info('The browser window was closed while waiting for song completion.');
+        logger.info('⚠️  IMPORTANT: Do NOT close the browser window manually!');
+        logger.info('The automation needs the browser to stay open for:');
+        logger.info('1. Creating the song (30 seconds)');
+        logger.info('2. Waiting for generation (2-3 minutes)');
+        logger.info('3. Downloading the MP3 (30 seconds)');
+        logger.info('💡 TIP: Minimize the window instead of closing it.');
         throw new Error('Browser closed - Please keep browser open during entire process');
       }
       throw error;
@@ -104,31 +195,14 @@ export class DownloadManager {
    */
   async checkForCaptcha() {
     try {
-      const captchaIndicators = [
-        'iframe[src*="recaptcha"]',
-        'iframe[src*="captcha"]',
-        '.g-recaptcha',
-        '#captcha',
-        'text=verify you are human',
-        'text=I\'m not a robot',
-        '[data-callback*="captcha"]'
-      ];
-
-      for (const indicator of captchaIndicators) {
-        try {
-          const element = this.page.locator(indicator).first();
-          if (await element.isVisible({ timeout: 2000 })) {
-            return true;
-          }
-        } catch (e) {
-          continue;
-        }
+      if (await selectors.find(this.page, 'captcha')) {
+        return true;
       }
 
       // Check for 404 or error pages
       const url = this.page.url();
       if (url.includes('404') || url.includes('error')) {
-        console.log('⚠️  Error page detected:', url);
+        logger.warn('⚠️  Error page detected:', url);
         return true; // Treat as CAPTCHA-like issue
       }
 
@@ -143,7 +217,8 @@ export class DownloadManager {
    */
   async waitForCaptchaSolution(maxWait = 600000) {
     const timeoutMinutes = 10;
-    console.log(`\n⏳ Waiting for you to solve CAPTCHA (timeout: ${timeoutMinutes} minutes)...`);
+    captchaEncounters.inc({ stage: 'download' });
+    logger.info(`⏳ Waiting for you to solve CAPTCHA (timeout: ${timeoutMinutes} minutes)...`);
 
     // Update status via callback if available
     if (this.statusCallback) {
@@ -166,13 +241,13 @@ export class DownloadManager {
         const remainingSeconds = Math.floor((maxWait - elapsed) / 1000);
         const remainingMinutes = Math.floor(remainingSeconds / 60);
         const seconds = remainingSeconds % 60;
-        console.log(`⏳ Time remaining: ${remainingMinutes}m ${seconds}s`);
+        logger.info(`⏳ Time remaining: ${remainingMinutes}m ${seconds}s`);
         lastProgressUpdate = Date.now();
       }
 
       const stillHasCaptcha = await this.checkForCaptcha();
       if (!stillHasCaptcha) {
-        console.log('✅ CAPTCHA solved! Continuing automation...');
+        logger.info('✅ CAPTCHA solved! Continuing automation...');
 
         if (this.statusCallback) {
           this.statusCallback({
@@ -187,8 +262,8 @@ export class DownloadManager {
 
       // Check if we're back on Suno
       const url = this.page.url();
-      if (url.includes('suno.com') && !url.includes('404') && !url.includes('error')) {
-        console.log('✅ Back on Suno.com - assuming CAPTCHA solved');
+      if (isOnSite(url, this.config.suno.baseUrl) && !url.includes('404') && !url.includes('error')) {
+        logger.info('✅ Back on Suno.com - assuming CAPTCHA solved');
 
         if (this.statusCallback) {
           this.statusCallback({
@@ -204,9 +279,7 @@ export class DownloadManager {
 
     // CAPTCHA timeout - log and exit
     const errorMessage = `❌ CAPTCHA not solved within ${timeoutMinutes} minutes - Stopping automation`;
-    console.log('\n' + '='.repeat(60));
-    console.log(errorMessage);
-    console.log('='.repeat(60) + '\n');
+    logger.error(errorMessage);
 
     // Update status via callback
     if (this.statusCallback) {
@@ -221,382 +294,299 @@ export class DownloadManager {
     throw new Error(`CAPTCHA timeout - User did not solve CAPTCHA within ${timeoutMinutes} minutes`);
   }
 
-  async checkSongStatus(songTitle) {
-    try {
-      console.log('\n' + '='.repeat(60));
-      console.log('🔍 CHECK SONG STATUS - Step 1: Navigation to /me');
-      console.log('='.repeat(60));
-
-      const currentUrl = this.page.url();
-      console.log(`📍 Current URL: ${currentUrl}`);
-
-      // Navigate to /me page to see songs with Edit and Publish buttons
-      if (!currentUrl.includes('/me')) {
-        console.log('🌐 Navigating to /me page...');
-        await this.page.goto(`${this.config.suno.baseUrl}/me`, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-        console.log('✅ Navigated to /me');
-      } else {
-        console.log('✅ Already on /me page');
-      }
-
-      console.log('⏳ Waiting 3 seconds for page to load...');
-      await this.page.waitForTimeout(3000);
-
-      console.log('\n' + '='.repeat(60));
-      console.log('🔍 CHECK SONG STATUS - Step 2: Finding Song Containers');
-      console.log('='.repeat(60));
-      console.log('📋 Looking for song cards on /me page...');
-
-      // Take diagnostic screenshot
-      await this.takeDebugScreenshot('me-page-status-check');
-
-      // Get all song containers on /me page
-      // Each song row contains: thumbnail image, title, Edit/Publish buttons, and three-dot menu
-      let allSongs = [];
-      const containerSelectors = [
-        // Look for rows that have both an image and Edit button (completed songs)
-        'div:has(img):has(button:has-text("Edit"))',
-        // Alternative: rows with image and duration time
-        'div:has(img):has-text(/\\d+:\\d+/)',
-        // Fallback: any div with Edit and Publish buttons together
-        'div:has(button:has-text("Edit")):has(button:has-text("Publish"))',
-        'article',  // Generic article elements
-        '[data-testid="song-card"]',
-        'a[href^="/song/"]',  // Song links
-      ];
-
-      for (const selector of containerSelectors) {
-        console.log(`🔎 Trying selector: ${selector}`);
-        allSongs = await this.page.locator(selector).all();
-        if (allSongs.length > 0) {
-          console.log(`✅ Found ${allSongs.length} song containers using selector: ${selector}`);
-          break;
-        } else {
-          console.log(`   No containers found with this selector`);
-        }
-      }
-
-      if (allSongs.length === 0) {
-        console.log('\n❌ No song containers found with any selector!');
-        console.log('🔧 Running diagnostics...');
+  /**
+   * Go to /me, or reload it
+   */
+  async openLibrary({ reload = false } = {}) {
+    if (!reload && this.page.url().includes('/me')) {
+      return;
+    }
 
-        // Debug: Try to find any elements that might be songs
-        const debugSelectors = [
-          { selector: 'button:has-text("Edit")', description: 'Edit buttons' },
-          { selector: 'button:has-text("Publish")', description: 'Publish buttons' },
-          { selector: 'a[href*="song"]', description: 'Links containing "song"' },
-          { selector: 'article', description: 'Article elements' },
-          { selector: 'img[src*="image"]', description: 'Images' },
-        ];
+    await this.page.goto(`${this.config.suno.baseUrl}/me`, {
+      waitUntil: 'domcontentloaded',
+      timeout: 30000
+    });
+    await this.page.waitForTimeout(3000);
+  }
 
-        for (const { selector, description } of debugSelectors) {
-          const count = await this.page.locator(selector).count();
-          console.log(`   ${description}: ${count} found`);
-        }
+  /**
+   * Clip IDs in the library, newest first
+   * @returns {Promise<Array<string>>}
+   */
+  async listClipIds() {
+    await this.openLibrary({ reload: true });
+    const rows = await this.getClipRows();
+    logger.info(`📋 ${rows.length} clips in the library`);
+    return rows.map(row => row.clipId);
+  }
 
-        console.log('❌ No songs found - returning false');
-        return false;
-      }
-
-      console.log('\n' + '='.repeat(60));
-      console.log('🔍 CHECK SONG STATUS - Step 3: Finding First COMPLETED Song');
-      console.log('='.repeat(60));
-
-      // Find the first song that is NOT generating
-      let mostRecentSong = null;
-      let songIndex = -1;
-
-      const loadingIndicators = [
-        'svg[class*="animate"]',  // Animated spinner SVG
-        'svg[class*="spin"]',
-        '[aria-busy="true"]',
-        '.loading',
-        '.spinner',
-      ];
-
-      console.log(`📊 Checking ${allSongs.length} songs to find first completed one...`);
-
-      for (let i = 0; i < Math.min(allSongs.length, 10); i++) {
-        const song = allSongs[i];
-        const songText = await song.textContent().catch(() => '');
-        console.log(`\n🔍 Checking song ${i}: "${songText.substring(0, 80)}..."`);
-
-        // Check if this song is still generating
-        let isGenerating = false;
-        for (const indicator of loadingIndicators) {
-          const hasLoading = await song.locator(indicator).isVisible().catch(() => false);
-          if (hasLoading) {
-            console.log(`   ⏳ Still generating (found: ${indicator})`);
-            isGenerating = true;
-            break;
-          }
-        }
+  /**
+   * Visible song rows on /me with their clip IDs, newest first
+   * @returns {Promise<Array<{ element: Locator, clipId: string }>>}
+   */
+  async getClipRows() {
+    const { elements } = await selectors.findAll(this.page, 'songRow');
+    const rows = [];
 
-        if (!isGenerating) {
-          // Check if it has completion indicators
-          const hasEdit = await song.locator('button:has-text("Edit")').isVisible().catch(() => false);
-          const hasPublish = await song.locator('button:has-text("Publish")').isVisible().catch(() => false);
-          const hasDuration = /\d+:\d+/.test(songText);
-
-          console.log(`   ✅ Not generating - Edit:${hasEdit} Publish:${hasPublish} Duration:${hasDuration}`);
-
-          if (hasEdit || hasPublish || hasDuration) {
-            mostRecentSong = song;
-            songIndex = i;
-            console.log(`\n🎉 Found completed song at index ${i}!`);
-            break;
-          } else {
-            console.log(`   ⚠️  No completion indicators found`);
-          }
-        }
+    for (const element of elements) {
+      if (!await element.isVisible().catch(() => false)) {
+        continue;
       }
-
-      if (!mostRecentSong) {
-        console.log('\n❌ No completed songs found - all are still generating');
-        return false;
-      }
-
-      const songText = await mostRecentSong.textContent().catch(() => '');
-      console.log(`\n📄 Using song at index ${songIndex}: "${songText.substring(0, 150)}..."`);
-      console.log('✅ Song is complete - has Edit/Publish buttons');
-
-      // Check for completion indicators
-      const completionIndicators = [
-        // Check for Edit button (visible when complete)
-        { type: 'edit-button', selector: 'button:has-text("Edit")' },
-        // Check for Publish button (visible when complete)
-        { type: 'publish-button', selector: 'button:has-text("Publish")' },
-        // Check for duration pattern (e.g., "1:19", "0:45")
-        { type: 'duration', pattern: /\d+:\d+/ },
-        // Check for play button
-        { type: 'play-button', selector: 'button[aria-label*="play" i]' },
-        { type: 'play-button2', selector: 'button:has-text("Play")' },
-      ];
-
-      // Check each indicator
-      console.log('🔍 Checking completion indicators:');
-      for (const indicator of completionIndicators) {
-        if (indicator.pattern) {
-          // Pattern matching (e.g., duration)
-          console.log(`   Checking for ${indicator.type} pattern...`);
-          if (indicator.pattern.test(songText)) {
-            const match = songText.match(indicator.pattern)[0];
-            console.log(`   ✅ Found ${indicator.type}: ${match}`);
-            console.log('\n🎉 SONG IS COMPLETE!');
-            console.log('='.repeat(60) + '\n');
-            return true;
-          } else {
-            console.log(`   ❌ ${indicator.type} pattern not found`);
-          }
-        } else if (indicator.selector) {
-          // Element visibility check
-          console.log(`   Checking for ${indicator.type}...`);
-          const element = mostRecentSong.locator(indicator.selector).first();
-          const isVisible = await element.isVisible().catch(() => false);
-          if (isVisible) {
-            console.log(`   ✅ Found ${indicator.type}`);
-            console.log('\n🎉 SONG IS COMPLETE!');
-            console.log('='.repeat(60) + '\n');
-            return true;
-          } else {
-            console.log(`   ❌ ${indicator.type} not visible`);
-          }
-        }
+      const clipId = await element.getAttribute('data-clip-id').catch(() => null);
+      if (clipId) {
+        rows.push({ element, clipId });
       }
+    }
 
-      // Debug: List all buttons in the song container
-      console.log('\n🔧 DEBUG: Listing all buttons in song container...');
-      const allButtons = await mostRecentSong.locator('button').all();
-      console.log(`📊 Total buttons found: ${allButtons.length}`);
-      for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
-        const text = await allButtons[i].textContent().catch(() => '');
-        const ariaLabel = await allButtons[i].getAttribute('aria-label').catch(() => '');
-        const isVisible = await allButtons[i].isVisible().catch(() => false);
-        console.log(`   Button ${i}: Text="${text.trim()}" | aria-label="${ariaLabel}" | Visible=${isVisible}`);
-      }
-
-      // If no loading and no clear completion indicators, log details and assume still processing
-      console.log('\n⚠️  Song status unclear!');
-      console.log('📄 Full song text (first 300 chars):');
-      console.log('─'.repeat(60));
-      console.log(songText.substring(0, 300));
-      console.log('─'.repeat(60));
-      console.log('❌ Assuming still processing...');
-      console.log('='.repeat(60) + '\n');
-      return false;
+    return rows;
+  }
 
-    } catch (error) {
-      console.warn('Error checking song status:', error.message);
-      return false;
+  /**
+   * Wait until the clips a Create started show up in the library
+   * @param {Array<string>} knownClipIds - Clip IDs in the library before Create
+   * @param {number} count - Clips per generation
+   * @param {number} timeout - ms to wait for them
+   * @returns {Promise<Array<string>|null>} The newest `count` new clip IDs, or null if fewer appeared in time
+   */
+  async waitForNewClipIds(knownClipIds, count = CLIPS_PER_GENERATION, timeout = 30000) {
+    const known = new Set(knownClipIds);
+    const startTime = Date.now();
+    let newClipIds = [];
+
+    while (true) {
+      await this.openLibrary({ reload: true });
+      newClipIds = (await this.getClipRows()).map(row => row.clipId).filter(id => !known.has(id));
+
+      if (newClipIds.length >= count) {
+        logger.info(`🆕 New clips in the library: ${newClipIds.slice(0, count).join(', ')}`);
+        return newClipIds.slice(0, count);
+      }
+      if (Date.now() - startTime >= timeout) {
+        logger.warn(`⚠️  Only ${newClipIds.length}/${count} new clips appeared in the library within ${Math.round(timeout / 1000)} seconds`);
+        return null;
+      }
+      await this.page.waitForTimeout(2000);
     }
   }
 
-  async findSongInLibrary(songTitle) {
-    console.log(`Looking for most recent song on /me page...`);
+  /**
+   * Song row of a clip on /me, waiting a little for it to be rendered
+   * @param {string} clipId
+   * @param {number} timeout - ms
+   * @returns {Promise<Locator>}
+   * @throws {Error} If the clip isn't in the library
+   */
+  async findClipRow(clipId, timeout = 10000) {
+    const startTime = Date.now();
 
-    try {
-      const currentUrl = this.page.url();
-      console.log(`Current URL: ${currentUrl}`);
-
-      // Navigate to /me page if not already there
-      if (!currentUrl.includes('/me')) {
-        console.log('Navigating to /me...');
-        await this.page.goto(`${this.config.suno.baseUrl}/me`, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-        console.log('✅ Navigated to /me');
-      }
-
-      await this.page.waitForTimeout(3000);
-
-      // Get all song containers on /me page
-      // Each song row contains: thumbnail image, title, Edit/Publish buttons, and three-dot menu
-      let allSongs = [];
-      const containerSelectors = [
-        // Look for rows that have both an image and Edit button (completed songs)
-        'div:has(img):has(button:has-text("Edit"))',
-        // Alternative: rows with image and duration time
-        'div:has(img):has-text(/\\d+:\\d+/)',
-        // Fallback: any div with Edit and Publish buttons together
-        'div:has(button:has-text("Edit")):has(button:has-text("Publish"))',
-        'article',  // Generic article elements
-        '[data-testid="song-card"]',
-        'a[href^="/song/"]',  // Song links
-      ];
-
-      for (const selector of containerSelectors) {
-        allSongs = await this.page.locator(selector).all();
-        if (allSongs.length > 0) {
-          console.log(`Found ${allSongs.length} songs using selector: ${selector}`);
-          break;
-        }
+    while (true) {
+      const rows = await this.getClipRows();
+      const row = rows.find(r => r.clipId === clipId);
+      if (row) {
+        return row.element;
+      }
+      if (Date.now() - startTime >= timeout) {
+        await this.takeDebugScreenshot('clip-not-found');
+        throw new Error(`Clip ${clipId} not found in the library (${rows.length} songs listed)`);
       }
+      await this.page.waitForTimeout(1000);
+    }
+  }
+
+  /**
+   * Status of the newest clips that weren't in the library before Create
+   * @returns {Promise<Array<{ clipId: string, status: string }>>}
+   */
+  async getNewClips(knownClipIds, count) {
+    const known = new Set(knownClipIds || []);
+    const rows = (await this.getClipRows()).filter(row => !known.has(row.clipId)).slice(0, count);
+
+    const clips = [];
+    for (const row of rows) {
+      clips.push({ clipId: row.clipId, status: await this.getClipStatus(row.element) });
+    }
+    return clips;
+  }
 
-      if (allSongs.length === 0) {
-        // Debug output
-        console.log('No songs found. Debugging...');
-        const editCount = await this.page.locator('button:has-text("Edit")').count();
-        const linkCount = await this.page.locator('a[href*="song"]').count();
-        console.log(`Found ${editCount} Edit buttons`);
-        console.log(`Found ${linkCount} links containing "song"`);
+  /**
+   * Status of specific clips, from Suno's API responses when they have been
+   * seen there. A clip the API last reported as generating is also checked on
+   * its song row, in case the page learned it was done some other way.
+   * @returns {Promise<Array<{ clipId: string, status: string, source: string }>>}
+   */
+  async getClipsById(clipIds) {
+    const rows = await this.getClipRows();
+    const clips = [];
+
+    for (const clipId of clipIds) {
+      const captured = this.clipCapture?.getClip(clipId);
+      if (captured && captured.status !== CLIP_STATUS.GENERATING) {
+        clips.push({ clipId, status: captured.status, source: 'api' });
+        continue;
+      }
 
-        await this.takeDebugScreenshot('find-song-no-results');
-        throw new Error('No songs found on /me page');
+      const row = rows.find(r => r.clipId === clipId);
+      const status = row ? await this.getClipStatus(row.element) : 'unknown';
+      if (status !== 'unknown') {
+        clips.push({ clipId, status, source: 'page' });
+      } else if (captured) {
+        clips.push({ clipId, status: captured.status, source: 'api' });
       }
+    }
+
+    return clips;
+  }
 
-      // Return the first (most recent) song
-      const mostRecentSong = allSongs[0];
-      const songText = await mostRecentSong.textContent().catch(() => '');
-      console.log(`Found most recent song. Preview: "${songText.substring(0, 80)}..."`);
+  /**
+   * Where a song row stands: 'generating', 'failed', 'complete' or 'unknown'
+   * (no indicator yet - treated as still generating)
+   */
+  async getClipStatus(row) {
+    const loading = await selectors.find(row, 'songLoading');
+    if (loading) {
+      logger.debug(`⏳ Still generating (found: ${loading.selector})`);
+      return 'generating';
+    }
 
-      return mostRecentSong;
+    if (await selectors.find(row, 'songFailed')) {
+      return 'failed';
+    }
 
-    } catch (error) {
-      console.error('Error finding song on /me page:', error.message);
-      throw error;
+    // Duration (e.g. "1:19"), Edit, Publish or Play only show once a clip is playable
+    const text = await row.textContent().catch(() => '');
+    if (/\d+:\d+/.test(text)) {
+      return 'complete';
+    }
+    for (const target of ['songEditButton', 'songPublishButton', 'songPlayButton']) {
+      if (await selectors.find(row, target)) {
+        return 'complete';
+      }
     }
+
+    return 'unknown';
   }
 
-  async downloadBothSongs(songTitle) {
-    console.log('\n' + '='.repeat(60));
-    console.log('💾 DOWNLOAD BOTH SONGS - Starting Process');
-    console.log('='.repeat(60));
-    console.log(`📝 Song title: ${songTitle}`);
-    console.log('ℹ️  Suno creates 2 versions - downloading both...\n');
+  /**
+   * Download both versions Suno generates, in every requested format. The
+   * cancellation token is checked before each file, never while one is
+   * being saved.
+   * @param {string} songTitle - Used in the file names
+   * @param {CancellationToken} token
+   * @param {Object} options
+   * @param {Array<string>} options.clipIds - Clips of the generation; without them
+   *   the newest clips in the library are taken, which is only right if nothing
+   *   else was created since
+   * @param {Array<string>} options.formats - See DOWNLOAD_FORMATS (default: downloads.formats)
+   * @param {Object} options.song - What the song was created with, for the metadata sidecar:
+   *   { title, lyrics, style, presetId, presetName }
+   * @returns {Promise<Object>} { success, downloads (one per file, with the clip's metadataPath
+   *   and coverPath), count (clips), clipIds, formats }
+   */
+  async downloadBothSongs(songTitle, token = null, { clipIds = null, formats = null, song = null } = {}) {
+    logger.info('💾 DOWNLOAD BOTH SONGS - Starting Process');
+    logger.info(`📝 Song title: ${songTitle}`);
+    formats = formats?.length ? formats : this.config.downloads.formats;
+    logger.info(`🎚️  Formats: ${formats.join(', ')}`);
+
+    if (!clipIds || clipIds.length === 0) {
+      clipIds = (await this.listClipIds()).slice(0, CLIPS_PER_GENERATION);
+      logger.warn(`⚠️  No clip IDs for "${songTitle}" - downloading the newest clips in the library: ${clipIds.join(', ')}`);
+    }
+    logger.info(`ℹ️  Suno created ${clipIds.length} versions - downloading ${clipIds.join(', ')}...`);
 
     const downloads = [];
 
     try {
-      // Download first song (version 1) - from first song container
-      console.log('📥 Downloading Version 1 (from first song container)...');
-      const download1 = await this.downloadSingleSong(songTitle, 1, 0);
-      downloads.push(download1);
-
-      console.log('\n⏳ Waiting 3 seconds before downloading version 2...');
-      await this.page.waitForTimeout(3000);
-
-      // Download second song (version 2) - from second song container
-      console.log('📥 Downloading Version 2 (from second song container)...');
-      const download2 = await this.downloadSingleSong(songTitle, 2, 1);
-      downloads.push(download2);
-
-      console.log('\n' + '='.repeat(60));
-      console.log('🎉 BOTH SONGS DOWNLOADED SUCCESSFULLY!');
-      console.log('='.repeat(60));
-      console.log(`📁 Version 1: ${download1.filename}`);
-      console.log(`📁 Version 2: ${download2.filename}`);
-      console.log('='.repeat(60) + '\n');
+      for (const [index, clipId] of clipIds.entries()) {
+        if (index > 0) {
+          logger.info(`⏳ Waiting 3 seconds before downloading version ${index + 1}...`);
+          await this.page.waitForTimeout(3000);
+        }
+
+        // Every file of a clip shares one base name with its sidecar and cover
+        const version = index + 1;
+        const baseName = fileBaseName(songTitle, version);
+        const clipDownloads = [];
+
+        for (const format of formats) {
+          token?.throwIfCancelled();
+          logger.info(`📥 Downloading Version ${version} (clip ${clipId}) as ${format}...`);
+          clipDownloads.push(await this.downloadSingleSong(songTitle, version, clipId, format, baseName));
+        }
+
+        const { metadataPath, coverPath } = await this.saveClipMetadata({ clipId, version, baseName, files: clipDownloads, song });
+        await this.tagDownloads(clipDownloads);
+        downloads.push(...clipDownloads.map(d => ({ ...d, metadataPath, coverPath })));
+      }
+
+      logger.info('🎉 BOTH SONGS DOWNLOADED SUCCESSFULLY!');
+      downloads.forEach(d => logger.info(`📁 Version ${d.version} (${d.clipId}, ${d.format}): ${d.filename}`));
 
       return {
         success: true,
         downloads: downloads,
-        count: downloads.length
+        count: clipIds.length,
+        clipIds,
+        formats
       };
 
     } catch (error) {
-      console.log('\n' + '='.repeat(60));
-      console.log('❌ DOWNLOAD FAILED');
-      console.log('='.repeat(60));
-      console.error(`Error: ${error.message}`);
-      console.log('='.repeat(60) + '\n');
+      logger.error('❌ DOWNLOAD FAILED:', error);
       throw error;
     }
   }
 
-  async downloadSingleSong(songTitle, version = 1, songIndex = 0) {
-    console.log(`\n${'─'.repeat(60)}`);
-    console.log(`💾 Downloading Version ${version}`);
-    console.log(`📍 Song Container Index: ${songIndex}`);
-    console.log('─'.repeat(60));
+  /**
+   * Download one clip in one format: straight from its URL when Suno's API
+   * gave one, otherwise through its song row's Download menu on /me
+   * @param {string} songTitle - Used in the file name
+   * @param {number} version - Used in the file name (-v1, -v2)
+   * @param {string} clipId - Clip to download (default: the newest clip in the library)
+   * @param {string} format - See DOWNLOAD_FORMATS
+   * @param {string} baseName - File name without the extension (default: title, version and time)
+   * @returns {Promise<Object>} { success, path, size, filename, source, clipId, version, format }
+   */
+  async downloadSingleSong(songTitle, version = 1, clipId = null, format = 'mp3', baseName = null) {
+    const spec = DOWNLOAD_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unknown download format: ${format}`);
+    }
+    logger.info(`💾 Downloading Version ${version} (${spec.label})`);
 
     try {
-      console.log(`\n📍 Step 1: Finding song container ${songIndex} in workspace...`);
-      // Find songs on /me page
-      await this.page.goto(`${this.config.suno.baseUrl}/me`, {
-        waitUntil: 'domcontentloaded',
-        timeout: 30000
-      });
-      await this.page.waitForTimeout(3000);
-
-      // Use more specific selector: look for song rows with unique data-clip-id
-      console.log('🔍 Finding all song containers...');
-      const allSongsRaw = await this.page.locator('[data-testid="song-row"][data-clip-id]').all();
-      console.log(`📊 Total song elements in DOM: ${allSongsRaw.length}`);
-
-      // Filter to only visible songs (prevents timeout on hidden/off-screen elements)
-      const allSongs = [];
-      for (const song of allSongsRaw) {
-        const isVisible = await song.isVisible().catch(() => false);
-        if (isVisible) {
-          allSongs.push(song);
+      if (!clipId) {
+        [clipId] = await this.listClipIds();
+        if (!clipId) {
+          throw new Error('No songs found on /me page');
         }
+        logger.warn(`⚠️  No clip ID given - downloading the newest clip in the library (${clipId})`);
       }
-      console.log(`✅ Visible song containers: ${allSongs.length}`);
+      logger.info(`📍 Clip ID: ${clipId}`);
 
-      // Debug: Log the clip IDs to verify we have different songs
-      for (let i = 0; i < Math.min(allSongs.length, 3); i++) {
-        const clipId = await allSongs[i].getAttribute('data-clip-id').catch(() => 'no-id');
-        const imgSrc = await allSongs[i].locator('img').first().getAttribute('src').catch(() => 'no-img');
-        console.log(`   Song ${i}: clip-id="${clipId}" | img="${imgSrc?.substring(0, 60)}..."`);
-      }
+      const filename = `${baseName || fileBaseName(songTitle, version)}.${spec.extension}`;
+      const downloadPath = path.join(this.config.downloadPath, filename);
 
-      if (allSongs.length <= songIndex) {
-        throw new Error(`Song at index ${songIndex} not found (only ${allSongs.length} songs found)`);
+      // Suno's API already said where the finished file is - fetch it without the menus
+      const url = spec.apiField ? this.clipCapture?.getClip(clipId)?.[spec.apiField] : null;
+      if (url) {
+        try {
+          return { ...await this.downloadFromUrl(url, filename), clipId, version, format };
+        } catch (error) {
+          logger.warn(`⚠️  Direct download of clip ${clipId} failed (${error.message}) - using the Download menu instead`);
+        }
       }
 
-      const songContainer = allSongs[songIndex];
-      console.log(`✅ Song container found at index ${songIndex}`);
+      logger.info(`📍 Step 1: Finding the song row of clip ${clipId}...`);
+      await this.openLibrary({ reload: true });
+      const songContainer = await this.findClipRow(clipId);
+      logger.info('✅ Song row found');
 
       // Verify container is visible before attempting scroll
       const isContainerVisible = await songContainer.isVisible().catch(() => false);
-      console.log(`🔍 Container visibility check: ${isContainerVisible}`);
+      logger.info(`🔍 Container visibility check: ${isContainerVisible}`);
 
       if (!isContainerVisible) {
-        console.log('⚠️  Container not visible, attempting to make it visible...');
+        logger.info('⚠️  Container not visible, attempting to make it visible...');
         // Reset scroll position to top of page
         await this.page.evaluate(() => window.scrollTo(0, 0));
         await this.page.waitForTimeout(1000);
@@ -604,235 +594,236 @@ export class DownloadManager {
         // Re-check visibility
         const recheckVisible = await songContainer.isVisible().catch(() => false);
         if (!recheckVisible) {
-          throw new Error(`Song container at index ${songIndex} is still not visible after scroll reset`);
+          throw new Error(`Song row of clip ${clipId} is still not visible after scroll reset`);
         }
-        console.log('✅ Container is now visible');
+        logger.info('✅ Container is now visible');
       }
 
       // CRITICAL FIX: Scroll into view and hover to make buttons visible
-      console.log('\n📍 Making buttons visible...');
-      console.log('🔄 Scrolling song container into view...');
+      logger.info('📍 Making buttons visible...');
+      logger.info('🔄 Scrolling song container into view...');
       await songContainer.scrollIntoViewIfNeeded();
       await this.page.waitForTimeout(500);
-      console.log('✅ Scrolled into view');
+      logger.info('✅ Scrolled into view');
 
-      console.log('🔄 Hovering over song container to reveal buttons...');
+      logger.info('🔄 Hovering over song container to reveal buttons...');
       await songContainer.hover();
       await this.page.waitForTimeout(500);
-      console.log('✅ Hover applied - buttons should now be visible');
+      logger.info('✅ Hover applied - buttons should now be visible');
 
       // Skip screenshot to avoid page refresh during download process
       // console.log(`\n📸 Taking screenshot before download (v${version})...`);
       // await this.takeDebugScreenshot(`before-download-v${version}`);
 
       // Look for three-dot menu button (more options)
-      // Prioritize the selectors we found in debug output
-      console.log('\n📍 Step 2: Looking for menu button (three dots)...');
-      const menuButtonSelectors = [
-        'button[aria-label="More Options"]',  // Found in debug output
-        'button[aria-label="More Actions"]',  // Found in debug output
-        'button[aria-label*="more" i]',       // Case-insensitive "more"
-        'button[aria-label*="options" i]',    // Case-insensitive "options"
-        'button:has-text("⋮")',               // Vertical ellipsis (most likely based on screenshot)
-        'button[aria-label*="menu" i]',
-        'button:has-text("⋯")',               // Horizontal ellipsis
-        'button:has-text("...")',
-        'button:has-text("•••")',
-        '[data-testid="song-menu"]',
-        'button.more-options',
-        'button[class*="menu"]',
-        // Look for button that comes after Edit/Publish buttons (rightmost button)
-        'button:right-of(button:has-text("Publish"))',
-        'svg[class*="dots"] >> xpath=..',     // Find button containing dots SVG
-        'svg[class*="ellipsis"] >> xpath=..'  // Find button containing ellipsis SVG
-      ];
-
+      logger.info('📍 Step 2: Looking for menu button (three dots)...');
+      const menuMatch = await selectors.find(songContainer, 'menuButton');
       let menuButton = null;
-      for (const selector of menuButtonSelectors) {
-        console.log(`🔎 Trying selector: ${selector}`);
-        const buttons = await songContainer.locator(selector).all();
-        console.log(`   Found ${buttons.length} buttons`);
-        for (const btn of buttons) {
-          const isVisible = await btn.isVisible().catch(() => false);
-          if (isVisible) {
-            menuButton = btn;
-            console.log(`✅ Found visible menu button with selector: ${selector}`);
-            break;
-          }
-        }
-        if (menuButton) break;
+      if (menuMatch) {
+        menuButton = menuMatch.locator;
+        logger.info(`✅ Found visible menu button with selector: ${menuMatch.selector}`);
       }
 
       // If still not found, try waiting explicitly for "More" button to become visible
       if (!menuButton) {
-        console.log('⚠️  Buttons found in DOM but not visible yet, waiting for visibility...');
+        logger.info('⚠️  Buttons found in DOM but not visible yet, waiting for visibility...');
         await this.page.waitForTimeout(1000);
 
-        // Try to wait for any "More" button to become visible
-        const moreButtonLocator = songContainer.locator('button[aria-label*="More"]').first();
+        // Try to wait for any menu button to become visible
         try {
-          await moreButtonLocator.waitFor({ state: 'visible', timeout: 5000 });
-          if (await moreButtonLocator.isVisible()) {
-            menuButton = moreButtonLocator;
-            console.log('✅ Found menu button after explicit wait');
-          }
+          ({ locator: menuButton } = await selectors.waitFor(songContainer, 'menuButton', { timeout: 5000 }));
+          logger.info('✅ Found menu button after explicit wait');
         } catch (waitError) {
-          console.log(`⚠️  Wait for visibility failed: ${waitError.message}`);
+          logger.warn(`⚠️  Wait for visibility failed: ${waitError.message}`);
         }
       }
 
       if (!menuButton) {
-        console.log('\n❌ Could not find three-dot menu button!');
-        console.log('🔧 Debugging: Listing all buttons in song container...');
+        logger.info('❌ Could not find three-dot menu button!');
+        logger.info('🔧 Debugging: Listing all buttons in song container...');
         const allButtons = await songContainer.locator('button').all();
-        console.log(`📊 Total buttons found: ${allButtons.length}`);
+        logger.info(`📊 Total buttons found: ${allButtons.length}`);
         for (let i = 0; i < allButtons.length; i++) {
           const text = await allButtons[i].textContent().catch(() => '');
           const ariaLabel = await allButtons[i].getAttribute('aria-label').catch(() => '');
           const isVisible = await allButtons[i].isVisible().catch(() => false);
-          console.log(`   Button ${i}: Text="${text}" | aria-label="${ariaLabel}" | Visible=${isVisible}`);
+          logger.debug(`Button ${i}: Text="${text}" | aria-label="${ariaLabel}" | Visible=${isVisible}`);
         }
         await this.takeDebugScreenshot('menu-button-not-found');
         throw new Error('Could not find song menu button');
       }
 
       // Click the menu button
-      console.log('\n📍 Step 3: Clicking menu button...');
+      logger.info('📍 Step 3: Clicking menu button...');
       await menuButton.click({ timeout: 8000 });
-      console.log('✅ Menu button clicked');
+      logger.info('✅ Menu button clicked');
 
       // Wait for Radix menu portal to be fully open (data-state="open")
-      console.log('⏳ Waiting for menu portal to open...');
-      const rootMenu = this.page.locator('[data-radix-menu-content][data-state="open"]').last();
-      await rootMenu.waitFor({ state: 'visible', timeout: 8000 });
-      console.log('✅ Menu portal opened');
+      logger.info('⏳ Waiting for menu portal to open...');
+      const { locator: rootMenu } = await selectors.waitFor(this.page, 'menuContent', { timeout: 8000, last: true });
+      logger.info('✅ Menu portal opened');
 
       // Set up download path and directory
-      console.log('\n📍 Step 4: Preparing download...');
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-      const filename = `${songTitle || 'suno-song'}-v${version}-${timestamp}.mp3`;
-      const downloadPath = path.join(this.config.downloadPath, filename);
-      console.log(`📁 Download path: ${downloadPath}`);
+      logger.info('📍 Step 4: Preparing download...');
+      logger.info(`📁 Download path: ${downloadPath}`);
 
       await fs.ensureDir(this.config.downloadPath);
-      console.log('✅ Directory ready');
+      logger.info('✅ Directory ready');
 
       // ROBUST KEYBOARD NAVIGATION APPROACH (avoids hover/detachment issues)
-      console.log('\n📍 Step 5: Using keyboard navigation to open Download submenu...');
+      logger.info('📍 Step 5: Using keyboard navigation to open Download submenu...');
 
       // Find the Download menu item (sub-trigger)
-      const downloadTrigger = this.page
-        .locator('[data-testid="download-sub-trigger"]')
-        .or(rootMenu.getByRole('menuitem', { name: /^Download$/i }))
-        .first();
+      const { locator: downloadTrigger } = await selectors.waitFor(rootMenu, 'downloadSubTrigger', { timeout: 4000 });
 
       // Focus it (don't hover - keyboard is more stable)
-      console.log('⌨️  Focusing Download menu item...');
+      logger.info('⌨️  Focusing Download menu item...');
       await downloadTrigger.focus();
-      console.log('✅ Download item focused');
+      logger.info('✅ Download item focused');
 
       // Open submenu with Enter key (activates the Download trigger)
-      console.log('⌨️  Pressing Enter to open submenu...');
+      logger.info('⌨️  Pressing Enter to open submenu...');
       await this.page.keyboard.press('Enter');
-      console.log('✅ Enter pressed');
+      logger.info('✅ Enter pressed');
 
       // Wait for submenu portal to be open and stable
-      console.log('⏳ Waiting for submenu portal...');
-      const subMenu = this.page.locator('[data-radix-menu-content][data-state="open"]').last();
-      await subMenu.waitFor({ state: 'visible', timeout: 8000 });
-      console.log('✅ Submenu portal opened');
+      logger.info('⏳ Waiting for submenu portal...');
+      const { locator: subMenu } = await selectors.waitFor(this.page, 'menuContent', { timeout: 8000, last: true });
+      logger.info('✅ Submenu portal opened');
 
       // Small wait for animations to finish
       await this.page.waitForTimeout(150);
 
-      // DUAL APPROACH: Try Enter (first item = MP3), then explicit click as fallback
-      console.log('\n📍 Step 6: Attempting to activate MP3 Audio...');
+      // DUAL APPROACH for MP3: Try Enter (first item = MP3), then explicit click as fallback
+      logger.info(`📍 Step 6: Attempting to activate ${spec.label}...`);
 
       let download = null;
 
       // Attempt A: Press Enter immediately (first item in submenu should be MP3 Audio)
-      console.log('🔄 Attempt 1: Pressing Enter to activate first item (MP3 Audio)...');
-      try {
-        [download] = await Promise.all([
-          this.page.waitForEvent('download', { timeout: 5000 }),
-          this.page.keyboard.press('Enter')
-        ]);
-        console.log('✅ Download triggered via Enter key!');
-      } catch (error) {
-        console.log('⚠️  Enter key didn\'t trigger download, trying explicit click...');
-
-        // Attempt B: Explicitly click "MP3 Audio" with tolerant selector
-        console.log('🔄 Attempt 2: Finding and clicking MP3 Audio explicitly...');
+      if (format === 'mp3') {
+        logger.info('🔄 Attempt 1: Pressing Enter to activate first item (MP3 Audio)...');
         try {
-          const mp3Item = subMenu.locator(
-            '[role="menuitem"]:has-text("MP3 Audio"), ' +
-            'button[aria-label*="mp3" i], ' +
-            'button:has-text("MP3 Audio"), ' +
-            '[data-radix-collection-item]:has-text("MP3 Audio")'
-          ).first();
-
-          await mp3Item.waitFor({ state: 'visible', timeout: 4000 });
-          console.log('✅ Found MP3 Audio item');
-
           [download] = await Promise.all([
-            this.page.waitForEvent('download', { timeout: 15000 }),
-            mp3Item.click()
+            this.page.waitForEvent('download', { timeout: 5000 }),
+            this.page.keyboard.press('Enter')
           ]);
-          console.log('✅ Download triggered via explicit click!');
-        } catch (error2) {
-          console.log('❌ Both attempts failed');
-          throw new Error(`Failed to download: ${error2.message}`);
+          logger.info('✅ Download triggered via Enter key!');
+        } catch (error) {
+          logger.info('⚠️  Enter key didn\'t trigger download, trying explicit click...');
         }
       }
 
+      // Attempt B: Explicitly click the format's item with tolerant selector
       if (!download) {
-        throw new Error('MP3 menu item not found or no download started');
+        logger.info(`🔄 Finding and clicking ${spec.label} explicitly...`);
+        try {
+          const { locator: menuItem } = await selectors.waitFor(subMenu, spec.menuItem, { timeout: 4000 });
+          logger.info(`✅ Found ${spec.label} item`);
+
+          download = await this.clickForDownload(menuItem, spec);
+          logger.info('✅ Download triggered via explicit click!');
+        } catch (error2) {
+          logger.info('❌ Download could not be started');
+          throw new Error(`Failed to download: ${error2.message}`);
+        }
       }
 
       // Save the download
-      console.log('💾 Saving file...');
+      logger.info('💾 Saving file...');
       await download.saveAs(downloadPath);
-      console.log('✅ File saved to disk');
+      logger.info('✅ File saved to disk');
 
       // Verify the file exists and has content
-      console.log('🔍 Verifying downloaded file...');
+      logger.info('🔍 Verifying downloaded file...');
       const stats = await fs.stat(downloadPath);
       const fileSizeMB = (stats.size / 1024 / 1024).toFixed(2);
 
       if (stats.size === 0) {
-        console.log('❌ Downloaded file is empty!');
+        logger.info('❌ Downloaded file is empty!');
         throw new Error('Downloaded file is empty');
       }
 
-      console.log(`✅ File verification passed`);
-      console.log(`📊 File size: ${fileSizeMB} MB`);
-      console.log(`📁 Saved to: ${downloadPath}`);
+      logger.info(`✅ File verification passed`);
+      logger.info(`📊 File size: ${fileSizeMB} MB`);
+      logger.info(`📁 Saved to: ${downloadPath}`);
 
-      console.log('\n' + '='.repeat(60));
-      console.log('🎉 DOWNLOAD COMPLETED SUCCESSFULLY!');
-      console.log('='.repeat(60) + '\n');
+      logger.info('🎉 DOWNLOAD COMPLETED SUCCESSFULLY!');
 
       return {
         success: true,
         path: downloadPath,
         size: stats.size,
-        filename
+        filename,
+        source: 'menu',
+        clipId,
+        version,
+        format
       };
 
     } catch (error) {
-      console.log('\n' + '='.repeat(60));
-      console.log('❌ DOWNLOAD FAILED');
-      console.log('='.repeat(60));
-      console.error(`Error: ${error.message}`);
-      console.error(`Stack: ${error.stack}`);
+      logger.error('❌ DOWNLOAD FAILED:', error);
+      logger.error(`Stack: ${error.stack}`);
       // Skip error screenshot to avoid page refresh
       // console.log('📸 Taking error screenshot...');
       // await this.takeDebugScreenshot('download-error');
-      console.log('='.repeat(60) + '\n');
       throw error;
     }
   }
 
+  /**
+   * Click a Download submenu item and wait for the file. Suno may first show
+   * a dialog while it prepares WAV, video or stems; its download button is
+   * clicked once Suno enables it.
+   * @param {Locator} menuItem - Format item in the Download submenu
+   * @param {Object} spec - Entry of DOWNLOAD_FORMATS
+   * @returns {Promise<Download>}
+   * @throws {Error} If no download started
+   */
+  async clickForDownload(menuItem, spec) {
+    let download = null;
+    let failed = null;
+    this.page.waitForEvent('download', { timeout: PREPARE_TIMEOUT_MS + 30000 })
+      .then(d => { download = d; }, e => { failed = e; });
+
+    await menuItem.click();
+
+    // Time for the download, or the preparing dialog, to appear
+    let deadline = Date.now() + 15000;
+    let preparing = false;
+    let clicked = false;
+
+    while (!download && !failed && Date.now() < deadline) {
+      const button = await selectors.find(this.page, 'preparedDownloadButton');
+      if (button && !preparing) {
+        preparing = true;
+        deadline = Date.now() + PREPARE_TIMEOUT_MS;
+        logger.info(`⏳ Suno is preparing the ${spec.label} file (up to ${PREPARE_TIMEOUT_MS / 60000} minutes)...`);
+      }
+      if (button && !clicked && await button.locator.isEnabled().catch(() => false)) {
+        logger.info('✅ File ready - clicking its download button');
+        await button.locator.click();
+        clicked = true;
+        deadline = Date.now() + 15000;
+      }
+      await this.page.waitForTimeout(500);
+    }
+
+    if (preparing) {
+      // Close the dialog if Suno leaves it open
+      await this.page.keyboard.press('Escape').catch(() => {});
+    }
+
+    if (!download) {
+      if (failed) {
+        throw failed;
+      }
+      throw new Error(preparing && !clicked
+        ? `${spec.label} was not ready after ${PREPARE_TIMEOUT_MS / 60000} minutes`
+        : `No download started after choosing ${spec.label}`);
+    }
+    return download;
+  }
+
   /**
    * Take screenshot for debugging
    */
@@ -846,41 +837,153 @@ export class DownloadManager {
 
       const filepath = path.join(debugDir, filename);
       await this.page.screenshot({ path: filepath, fullPage: true });
-      console.log(`📸 Screenshot saved: ${filepath}`);
+      logger.info(`📸 Screenshot saved: ${filepath}`);
     } catch (error) {
-      console.warn('Could not take screenshot:', error.message);
+      logger.warn('Could not take screenshot:', error.message);
     }
   }
 
-  async downloadFromUrl(downloadUrl, filename) {
-    console.log('Downloading from direct URL:', downloadUrl);
-
+  /**
+   * Save a clip's cover art and sidecar JSON next to its downloaded files.
+   * Text and cover come from Suno's clip data where it was captured, else
+   * from what the song was created with and the cover in its library row.
+   * A failure is only logged - the downloads themselves are what counts.
+   * @param {Object} clip
+   * @param {string} clip.clipId
+   * @param {number} clip.version
+   * @param {string} clip.baseName - Shared file name of the clip's downloads
+   * @param {Array<Object>} clip.files - Results of downloadSingleSong()
+   * @param {Object} clip.song - { title, lyrics, style, presetId, presetName } (optional)
+   * @returns {Promise<{ metadataPath: string|null, coverPath: string|null }>}
+   */
+  async saveClipMetadata({ clipId, version, baseName, files, song = null }) {
     try {
-      const downloadPath = path.join(this.config.downloadPath, filename);
-      await fs.ensureDir(this.config.downloadPath);
+      const captured = this.clipCapture?.getClip(clipId) || {};
+      const cover = await this.saveCover(clipId, captured.imageUrl, baseName);
+      const metadataPath = path.join(this.config.downloadPath, `${baseName}.json`);
+
+      await writeSongMetadata(metadataPath, {
+        title: song?.title || captured.title || baseName,
+        version,
+        clipId,
+        songUrl: songUrl(this.config.suno.baseUrl, clipId),
+        // Suno's own copy is what the clip was actually generated from
+        style: captured.style ?? song?.style ?? null,
+        lyrics: captured.lyrics ?? song?.lyrics ?? null,
+        presetId: song?.presetId || null,
+        presetName: song?.presetName || null,
+        duration: captured.duration ?? null,
+        cover: cover?.filename || null,
+        coverUrl: cover?.url || null,
+        files: Object.fromEntries(files.map(f => [f.format, f.filename])),
+        createdAt: captured.createdAt || null,
+        downloadedAt: new Date().toISOString()
+      });
 
-      // Navigate to the URL to trigger download
-      const downloadPromise = this.page.waitForEvent('download', { timeout: 60000 });
+      logger.info(`🗂️  Saved metadata${cover ? ' and cover art' : ''} of clip ${clipId}: ${path.basename(metadataPath)}`);
+      return { metadataPath, coverPath: cover?.path || null };
+    } catch (error) {
+      logger.warn(`⚠️  Could not save the metadata of clip ${clipId}: ${error.message}`);
+      return { metadataPath: null, coverPath: null };
+    }
+  }
 
-      await this.page.goto(downloadUrl, { timeout: 60000 });
+  /**
+   * Write ID3 tags into the MP3s among a clip's downloads, from the sidecar
+   * saved with them (off with downloads.tags.enabled). A failure is only
+   * logged, like a missing sidecar.
+   * @param {Array<Object>} files - Results of downloadSingleSong()
+   */
+  async tagDownloads(files) {
+    const tagSettings = this.config.downloads.tags;
+    if (!tagSettings.enabled) {
+      return;
+    }
 
-      const download = await downloadPromise;
-      await download.saveAs(downloadPath);
+    for (const file of files.filter(f => f.format === 'mp3')) {
+      try {
+        const tags = await tagSongFile(file.path, tagSettings);
+        logger.info(`🏷️  Tagged ${file.filename}: "${tags.title}"${tags.genre ? ` (${tags.genre})` : ''}${tags.cover ? ' with cover art' : ''}`);
+      } catch (error) {
+        logger.warn(`⚠️  Could not write ID3 tags into ${file.filename}: ${error.message}`);
+      }
+    }
+  }
 
-      const stats = await fs.stat(downloadPath);
+  /**
+   * Save a clip's cover art as <baseName>.<extension>
+   * @param {string} imageUrl - From Suno's clip data (default: the image in the clip's library row)
+   * @returns {Promise<{ path: string, filename: string, url: string }|null>} null if there is none
+   */
+  async saveCover(clipId, imageUrl, baseName) {
+    const url = imageUrl || await this.findCoverUrl(clipId);
+    if (!url) {
+      logger.warn(`⚠️  No cover art found for clip ${clipId}`);
+      return null;
+    }
 
-      console.log(`Download completed! Size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
+    try {
+      const response = await this.page.request.get(url, { timeout: 30000 });
+      if (!response.ok()) {
+        throw new Error(`HTTP ${response.status()} from ${url}`);
+      }
 
-      return {
-        success: true,
-        path: downloadPath,
-        size: stats.size,
-        filename
-      };
+      const filename = `${baseName}.${coverExtension(response.headers()['content-type'], url)}`;
+      const coverPath = path.join(this.config.downloadPath, filename);
+      await fs.writeFile(coverPath, await response.body());
+      return { path: coverPath, filename, url };
+    } catch (error) {
+      logger.warn(`⚠️  Could not save the cover art of clip ${clipId}: ${error.message}`);
+      return null;
+    }
+  }
 
+  /**
+   * Cover image URL shown in a clip's library row, or null
+   */
+  async findCoverUrl(clipId) {
+    try {
+      await this.openLibrary();
+      const row = await this.findClipRow(clipId, 5000);
+      const cover = await selectors.find(row, 'songCover');
+      const src = cover ? await cover.locator.getAttribute('src') : null;
+      return src ? new URL(src, this.page.url()).href : null;
     } catch (error) {
-      console.error('URL download failed:', error.message);
-      throw error;
+      logger.debug(`No cover in the library row of clip ${clipId}: ${error.message}`);
+      return null;
     }
   }
+
+  /**
+   * Save a file straight from its URL, with the browser's cookies
+   * @returns {Promise<Object>} { success, path, size, filename, source: 'api' }
+   */
+  async downloadFromUrl(downloadUrl, filename) {
+    logger.info('Downloading from direct URL:', downloadUrl);
+
+    const response = await this.page.request.get(downloadUrl, { timeout: 60000 });
+    if (!response.ok()) {
+      throw new Error(`HTTP ${response.status()} from ${downloadUrl}`);
+    }
+
+    const body = await response.body();
+    if (body.length === 0) {
+      throw new Error('Downloaded file is empty');
+    }
+
+    const downloadPath = path.join(this.config.downloadPath, filename);
+    await fs.ensureDir(this.config.downloadPath);
+    await fs.writeFile(downloadPath, body);
+
+    logger.info(`Download completed! Size: ${(body.length / 1024 / 1024).toFixed(2)} MB`);
+    logger.info(`📁 Saved to: ${downloadPath}`);
+
+    return {
+      success: true,
+      path: downloadPath,
+      size: body.length,
+      filename,
+      source: 'api'
+    };
+  }
 }
@@ -0,0 +1,171 @@
+import fs from 'fs-extra';
+
+/**
+ * Minimal ID3v2.3 writer (and reader) for the MP3s we download
+ *
+ * Writes the frames players and distributors look at: TIT2 title, TPE1
+ * artist, TALB album, TCON genre, COMM comment, USLT unsynced lyrics and
+ * APIC front cover. Text is UTF-16, which every ID3v2.3 reader supports.
+ * Writing replaces an ID3v2 tag already at the start of the file; the audio
+ * frames after it are left untouched.
+ */
+
+const HEADER_SIZE = 10;
+const ENCODING_LATIN1 = 0x00;
+const ENCODING_UTF16 = 0x01;
+const PICTURE_FRONT_COVER = 0x03;
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+function readSyncsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+function utf16(text, terminated = false) {
+  const parts = [Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')];
+  if (terminated) {
+    parts.push(Buffer.alloc(2));
+  }
+  return Buffer.concat(parts);
+}
+
+function frame(id, body) {
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32BE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+function textFrame(id, text) {
+  return frame(id, Buffer.concat([Buffer.from([ENCODING_UTF16]), utf16(text)]));
+}
+
+// COMM and USLT share a layout: encoding, language, short description, text
+function languageTextFrame(id, text, description = '') {
+  return frame(id, Buffer.concat([
+    Buffer.from([ENCODING_UTF16]),
+    Buffer.from('eng', 'latin1'),
+    utf16(description, true),
+    utf16(text)
+  ]));
+}
+
+function pictureFrame({ data, mimeType }) {
+  return frame('APIC', Buffer.concat([
+    Buffer.from([ENCODING_LATIN1]),
+    Buffer.from(`${mimeType}\0`, 'latin1'),
+    Buffer.from([PICTURE_FRONT_COVER, 0x00]), // picture type, empty description
+    data
+  ]));
+}
+
+/**
+ * Length of the ID3v2 tag at the start of a file (0 if there is none)
+ */
+export function id3TagLength(buffer) {
+  if (buffer.length < HEADER_SIZE || buffer.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return HEADER_SIZE + readSyncsafe(buffer, 6) + (hasFooter ? HEADER_SIZE : 0);
+}
+
+/**
+ * Encode an ID3v2.3 tag. Empty values are left out.
+ * @param {Object} tags
+ * @param {string} tags.title
+ * @param {string} tags.artist
+ * @param {string} tags.album
+ * @param {string} tags.genre
+ * @param {string} tags.comment
+ * @param {string} tags.lyrics
+ * @param {{ data: Buffer, mimeType: string }} tags.cover
+ * @returns {Buffer}
+ */
+export function buildId3Tag({ title, artist, album, genre, comment, lyrics, cover } = {}) {
+  const frames = [
+    title && textFrame('TIT2', title),
+    artist && textFrame('TPE1', artist),
+    album && textFrame('TALB', album),
+    genre && textFrame('TCON', genre),
+    comment && languageTextFrame('COMM', comment),
+    lyrics && languageTextFrame('USLT', lyrics),
+    cover?.data?.length && pictureFrame(cover)
+  ].filter(Boolean);
+
+  const body = Buffer.concat(frames);
+  const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([3, 0, 0]), syncsafe(body.length)]);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Write tags into an MP3, replacing its existing ID3v2 tag
+ * @param {string} filePath
+ * @param {Object} tags - See buildId3Tag()
+ */
+export async function writeId3Tag(filePath, tags) {
+  const file = await fs.readFile(filePath);
+  const audio = file.subarray(id3TagLength(file));
+
+  // Write next to it first, so a crash never leaves a half-written song
+  const tempPath = `${filePath}.tagging`;
+  await fs.writeFile(tempPath, Buffer.concat([buildId3Tag(tags), audio]));
+  await fs.move(tempPath, filePath, { overwrite: true });
+}
+
+function decodeText(encoding, data) {
+  let text;
+  if (encoding === 0x01 || encoding === 0x02) {
+    const even = data.subarray(0, data.length - (data.length % 2));
+    const bigEndian = encoding === 0x02 || (even[0] === 0xfe && even[1] === 0xff);
+    text = (bigEndian ? Buffer.from(even).swap16() : even).toString('utf16le');
+  } else {
+    text = data.toString(encoding === 0x03 ? 'utf8' : 'latin1');
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\0+$/, '');
+}
+
+/**
+ * Text frames of an MP3's ID3v2 tag (v2.3 or v2.4)
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} Frame ID → text (COMM/USLT: their text, APIC: the MIME type), or null without a tag
+ */
+export async function readId3Tag(filePath) {
+  const file = await fs.readFile(filePath);
+  const length = id3TagLength(file);
+  if (length === 0) {
+    return null;
+  }
+
+  const majorVersion = file[3];
+  const frames = {};
+  let offset = HEADER_SIZE;
+
+  while (offset + HEADER_SIZE <= length) {
+    const id = file.toString('latin1', offset, offset + 4);
+    if (!/^[A-Z0-9]{4}$/.test(id)) {
+      break; // Padding
+    }
+    const size = majorVersion >= 4 ? readSyncsafe(file, offset + 4) : file.readUInt32BE(offset + 4);
+    const body = file.subarray(offset + HEADER_SIZE, offset + HEADER_SIZE + size);
+    offset += HEADER_SIZE + size;
+
+    if (id.startsWith('T')) {
+      frames[id] = decodeText(body[0], body.subarray(1));
+    } else if (id === 'COMM' || id === 'USLT') {
+      // Skip the language and the terminated description
+      const terminator = body[0] === 0x00 || body[0] === 0x03 ? [0] : [0, 0];
+      let end = 4;
+      while (end < body.length && !terminator.every((byte, i) => body[end + i] === byte)) {
+        end += terminator.length;
+      }
+      frames[id] = decodeText(body[0], body.subarray(end + terminator.length));
+    } else if (id === 'APIC') {
+      frames[id] = body.toString('latin1', 1, body.indexOf(0, 1));
+    }
+  }
+
+  return frames;
+}
@@ -0,0 +1,243 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logging/logger.js';
+import selectors from './selector-registry.js';
+
+const logger = createLogger('Diagnostics');
+
+// Let client-side rendering finish before probing a page
+const PAGE_SETTLE_MS = 3000;
+
+// Targets checked on each page, in the order a song run uses them
+export const DIAGNOSTIC_TARGETS = {
+  create: ['customTab', 'lyricsInput', 'styleInput', 'titleButton', 'titleInput', 'createButton'],
+  library: ['songRow', 'menuButton', 'menuContent', 'downloadSubTrigger', 'mp3MenuItem', 'wavMenuItem', 'videoMenuItem', 'stemsMenuItem']
+};
+
+// Song runs carry on without these (already in Custom mode, title input always
+// shown, and only songs downloaded in those formats use the other menu items)
+const OPTIONAL_TARGETS = ['customTab', 'titleButton', 'wavMenuItem', 'videoMenuItem', 'stemsMenuItem'];
+
+/**
+ * SelectorDiagnostics - Checks the selector chains against the live Suno UI
+ *
+ * Loads /create and /me in the bot's browser and tries every selector of
+ * each target a song run depends on. Nothing is submitted: the Create form
+ * is switched to Custom mode and the first song's menu is opened, then
+ * closed again. Each page is screenshotted into <downloadPath>/debug so a
+ * failing target can be compared with what the browser showed.
+ *
+ * Target status is 'pass', 'warn' (an optional target is missing), 'fail'
+ * or 'skipped' (an earlier step it needs failed).
+ */
+export class SelectorDiagnostics {
+  constructor(page, config) {
+    this.page = page;
+    this.config = config;
+  }
+
+  /**
+   * @returns {Promise<Object>} { passed, checkedAt, registryVersion, summary, pages, targets }
+   */
+  async run() {
+    const checkedAt = new Date().toISOString();
+    const stamp = checkedAt.replace(/[:.]/g, '-');
+    logger.info(`🩺 Checking selectors (registry v${selectors.version})...`);
+
+    const create = await this.checkPage('create', '/create', stamp, (probe) => this.checkCreatePage(probe));
+    const library = await this.checkPage('library', '/me', stamp, (probe) => this.checkLibraryPage(probe));
+
+    const targets = [...create.targets, ...library.targets];
+    const summary = { pass: 0, warn: 0, fail: 0, skipped: 0 };
+    targets.forEach(t => summary[t.status]++);
+
+    // A skipped target means something before it failed
+    const passed = summary.fail === 0 && summary.skipped === 0;
+    logger.info(`${passed ? '✅' : '❌'} Selector check: ${summary.pass} passed, ${summary.warn} warnings, ${summary.fail} failed, ${summary.skipped} skipped`);
+
+    return {
+      passed,
+      checkedAt,
+      registryVersion: selectors.version,
+      summary,
+      pages: [create.page, library.page],
+      targets
+    };
+  }
+
+  /**
+   * Load a page, run its checks and screenshot it. Targets the checks didn't
+   * reach are reported as skipped with the reason they stopped.
+   */
+  async checkPage(name, pathname, stamp, check) {
+    const url = `${this.config.suno.baseUrl}${pathname}`;
+    const targets = [];
+    let error = null;
+
+    const probe = async (target, { scope = this.page, last = false } = {}) => {
+      const result = await this.probeTarget(name, target, scope);
+      targets.push(result);
+      return result.status === 'pass' ? selectors.find(scope, target, { last }) : null;
+    };
+
+    let stopReason = null;
+    try {
+      await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      await this.page.waitForTimeout(PAGE_SETTLE_MS);
+      stopReason = await check(probe);
+    } catch (e) {
+      error = e.message.split('\n')[0];
+      stopReason = `Not checked: ${error}`;
+      logger.warn(`⚠️  Selector check of ${pathname} stopped: ${error}`);
+    }
+
+    for (const target of DIAGNOSTIC_TARGETS[name]) {
+      if (!targets.some(t => t.target === target)) {
+        targets.push(this.skipped(name, target, stopReason || 'Not checked'));
+      }
+    }
+
+    const screenshot = await this.screenshot(`diagnostics-${stamp}-${name}`);
+    await this.page.keyboard.press('Escape').catch(() => {});
+
+    return {
+      page: { name, url, finalUrl: this.page.url(), screenshot, error },
+      targets
+    };
+  }
+
+  /**
+   * Custom mode, lyrics, styles, title and Create, without filling anything in
+   * @returns {Promise<string|null>} Why the remaining targets weren't checked
+   */
+  async checkCreatePage(probe) {
+    const customTab = await probe('customTab');
+    if (customTab) {
+      await customTab.locator.click();
+      await this.page.waitForTimeout(1000);
+    }
+
+    await probe('lyricsInput');
+    await probe('styleInput');
+
+    const titleButton = await probe('titleButton');
+    if (titleButton) {
+      await titleButton.locator.click();
+      await this.page.waitForTimeout(500);
+    }
+
+    await probe('titleInput');
+    await probe('createButton');
+    return null;
+  }
+
+  /**
+   * First song row, its menu and the Download submenu. The menus are closed
+   * again without choosing anything.
+   * @returns {Promise<string|null>} Why the remaining targets weren't checked
+   */
+  async checkLibraryPage(probe) {
+    const row = await probe('songRow');
+    if (!row) {
+      return 'Needs a song row - create a song first if the library is empty';
+    }
+
+    await row.locator.scrollIntoViewIfNeeded();
+    await row.locator.hover();
+    await this.page.waitForTimeout(500);
+
+    const menuButton = await probe('menuButton', { scope: row.locator });
+    if (!menuButton) {
+      return 'Needs the song menu button';
+    }
+    await menuButton.locator.click({ timeout: 8000 });
+    await this.page.waitForTimeout(500);
+
+    const rootMenu = await probe('menuContent', { last: true });
+    if (!rootMenu) {
+      return 'Needs the song menu to open';
+    }
+
+    const downloadTrigger = await probe('downloadSubTrigger', { scope: rootMenu.locator });
+    if (!downloadTrigger) {
+      return 'Needs the Download menu item';
+    }
+
+    // Same keyboard route the download uses
+    await downloadTrigger.locator.focus();
+    await this.page.keyboard.press('Enter');
+    await this.page.waitForTimeout(500);
+
+    const subMenu = await selectors.find(this.page, 'menuContent', { last: true });
+    for (const target of ['mp3MenuItem', 'wavMenuItem', 'videoMenuItem', 'stemsMenuItem']) {
+      await probe(target, { scope: subMenu ? subMenu.locator : this.page });
+    }
+
+    // Closes the submenu; checkPage() closes the root menu after the screenshot
+    await this.page.keyboard.press('Escape');
+    return null;
+  }
+
+  async probeTarget(page, target, scope) {
+    const results = await selectors.probe(scope, target);
+    const index = results.findIndex(r => r.visible > 0);
+    const result = {
+      target,
+      page,
+      description: selectors.targets[target].description || null,
+      source: selectors.targets[target].source,
+      status: 'pass',
+      index,
+      selector: index === -1 ? null : results[index].selector,
+      message: null,
+      selectors: results
+    };
+
+    if (index === -1) {
+      const found = results.some(r => r.count > 0);
+      result.status = OPTIONAL_TARGETS.includes(target) ? 'warn' : 'fail';
+      result.message = found
+        ? `Selectors match only hidden elements (${results.length} tried)`
+        : `None of ${results.length} selectors matched`;
+    } else if (index > 0) {
+      result.message = `Only fallback ${index + 1}/${results.length} matched - the first selectors may be out of date`;
+    }
+
+    const icon = { pass: '✅', warn: '⚠️ ', fail: '❌' }[result.status];
+    logger.info(`${icon} ${target}: ${result.selector || result.message}`);
+    return result;
+  }
+
+  skipped(page, target, reason) {
+    return {
+      target,
+      page,
+      description: selectors.targets[target]?.description || null,
+      source: selectors.targets[target]?.source || null,
+      status: 'skipped',
+      index: -1,
+      selector: null,
+      message: reason,
+      selectors: []
+    };
+  }
+
+  /**
+   * Full-page screenshot in <downloadPath>/debug
+   * @returns {Promise<string|null>} Path relative to the download folder
+   */
+  async screenshot(name) {
+    try {
+      const debugDir = path.join(this.config.downloadPath, 'debug');
+      await fs.ensureDir(debugDir);
+
+      const filename = `${name}.png`;
+      await this.page.screenshot({ path: path.join(debugDir, filename), fullPage: true });
+      logger.info(`📸 Screenshot saved: ${path.join(debugDir, filename)}`);
+      return `debug/${filename}`;
+    } catch (error) {
+      logger.warn('Could not take screenshot:', error.message);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,329 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { formatErrors } from '../api/validation.js';
+import { createLogger } from '../logging/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('Selectors');
+
+const DEFAULTS_FILE = path.join(__dirname, 'selectors.json');
+const OVERRIDES_FILE = path.join(__dirname, '../../config/selectors.json');
+
+// Re-check the overrides file at most this often while automation runs
+const RELOAD_CHECK_MS = 5000;
+
+const REGISTRY_SCHEMA = {
+  type: 'object',
+  required: ['targets'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'string' },
+    description: { type: 'string' },
+    targets: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['selectors'],
+        additionalProperties: false,
+        properties: {
+          description: { type: 'string' },
+          selectors: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 }
+          }
+        }
+      }
+    }
+  }
+};
+
+const validateRegistry = new Ajv({ allErrors: true, strict: false }).compile(REGISTRY_SCHEMA);
+
+/**
+ * A selectors file that can't be used; `errors` is a list of { field, message }
+ */
+export class SelectorRegistryError extends Error {
+  constructor(source, errors) {
+    super(`Invalid selectors in ${source}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    this.name = 'SelectorRegistryError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * SelectorRegistry - Named page targets, each with an ordered fallback chain
+ *
+ * The chains ship in src/automation/selectors.json. Targets listed in
+ * config/selectors.json replace the shipped chain, so a Suno UI change can
+ * be patched without a new release: edit the file and the next lookup picks
+ * it up. Every lookup logs which fallback matched, and a match on anything
+ * but the first selector is logged at info level as a hint that the chain
+ * needs updating.
+ */
+export class SelectorRegistry {
+  constructor(defaultsPath = DEFAULTS_FILE, overridesPath = OVERRIDES_FILE) {
+    this.defaultsPath = defaultsPath;
+    this.overridesPath = overridesPath;
+    this.targets = {};
+    this.version = null;
+    this.overridesVersion = null;
+    this.overridesMtime = null;
+    this.lastCheck = 0;
+    this.loaded = false;
+  }
+
+  /**
+   * (Re)load the shipped chains and the overrides file
+   * @returns {Promise<Object>} Same as getAll()
+   * @throws {SelectorRegistryError} If either file is invalid
+   */
+  async load() {
+    const defaults = await this.readFile(this.defaultsPath);
+    const targets = {};
+    for (const [name, target] of Object.entries(defaults.targets)) {
+      targets[name] = { ...target, source: 'default' };
+    }
+
+    let overrides = null;
+    let mtime = null;
+    if (await fs.pathExists(this.overridesPath)) {
+      overrides = await this.readFile(this.overridesPath);
+      mtime = (await fs.stat(this.overridesPath)).mtimeMs;
+
+      const unknown = Object.keys(overrides.targets).filter(name => !targets[name]);
+      if (unknown.length > 0) {
+        throw new SelectorRegistryError(this.overridesPath, unknown.map(name => ({
+          field: `targets.${name}`,
+          message: `is unknown - expected one of: ${Object.keys(targets).join(', ')}`
+        })));
+      }
+
+      for (const [name, target] of Object.entries(overrides.targets)) {
+        targets[name] = {
+          description: target.description || targets[name].description,
+          selectors: target.selectors,
+          source: 'override'
+        };
+      }
+    }
+
+    this.targets = targets;
+    this.version = defaults.version || null;
+    this.overridesVersion = overrides ? overrides.version || null : null;
+    this.overridesMtime = mtime;
+    this.lastCheck = Date.now();
+    this.loaded = true;
+
+    const overridden = Object.values(targets).filter(t => t.source === 'override').length;
+    logger.info(`Selector registry v${this.version} loaded: ${Object.keys(targets).length} targets` +
+      (overrides ? `, ${overridden} overridden by ${this.overridesPath}${this.overridesVersion ? ` (${this.overridesVersion})` : ''}` : ''));
+
+    return this.getAll();
+  }
+
+  async readFile(filePath) {
+    let data;
+    try {
+      data = await fs.readJSON(filePath);
+    } catch (error) {
+      throw new SelectorRegistryError(filePath, [{ field: 'file', message: `is not valid JSON (${error.message.replace(`${filePath}: `, '')})` }]);
+    }
+
+    if (!validateRegistry(data)) {
+      throw new SelectorRegistryError(filePath, formatErrors(null, validateRegistry.errors));
+    }
+    return data;
+  }
+
+  /**
+   * Pick up edits to the overrides file. A broken edit is logged and the
+   * chains already loaded stay in use, so a running batch isn't stopped.
+   */
+  async reloadIfChanged() {
+    if (this.loaded && Date.now() - this.lastCheck < RELOAD_CHECK_MS) {
+      return;
+    }
+    this.lastCheck = Date.now();
+
+    const mtime = await fs.stat(this.overridesPath).then(s => s.mtimeMs).catch(() => null);
+    if (this.loaded && mtime === this.overridesMtime) {
+      return;
+    }
+
+    try {
+      await this.load();
+    } catch (error) {
+      // Don't retry the same broken file on every lookup
+      this.overridesMtime = mtime;
+      logger.error(`${error.message} - keeping the selectors already loaded`);
+      if (!this.loaded) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Fallback chain of a target
+   * @param {string} target - e.g. 'createButton'
+   * @returns {Array<string>}
+   */
+  chain(target) {
+    const entry = this.targets[target];
+    if (!entry) {
+      throw new Error(`Unknown selector target: ${target}`);
+    }
+    return entry.selectors;
+  }
+
+  /**
+   * First visible element of a target, trying the chain in order
+   * @param {Page|Locator} scope - Page or element to search in
+   * @param {string} target - Registry target
+   * @param {Object} options
+   * @param {Function} options.accept - async (locator) => boolean, to skip matches (e.g. disabled buttons)
+   * @param {boolean} options.last - Prefer the last visible match of a selector (e.g. the newest menu)
+   * @returns {Promise<{ locator: Locator, selector: string, index: number }|null>}
+   */
+  async find(scope, target, { accept = null, last = false } = {}) {
+    await this.reloadIfChanged();
+    const selectors = this.chain(target);
+
+    for (let index = 0; index < selectors.length; index++) {
+      const selector = selectors[index];
+      let elements;
+      try {
+        elements = await scope.locator(selector).all();
+      } catch (error) {
+        logger.debug(`${target}: selector ${index + 1} failed (${selector}): ${error.message}`);
+        continue;
+      }
+
+      if (last) {
+        elements.reverse();
+      }
+
+      for (const element of elements) {
+        if (!await element.isVisible().catch(() => false)) {
+          continue;
+        }
+        if (accept && !await accept(element)) {
+          continue;
+        }
+
+        this.logMatch(target, index, selector);
+        return { locator: element, selector, index };
+      }
+    }
+
+    logger.debug(`${target}: none of ${selectors.length} selectors matched`);
+    return null;
+  }
+
+  /**
+   * All elements of the first selector in the chain that matches anything,
+   * visible or not
+   * @param {Page|Locator} scope - Page or element to search in
+   * @param {string} target - Registry target
+   * @returns {Promise<{ elements: Array<Locator>, selector: string|null, index: number }>}
+   */
+  async findAll(scope, target) {
+    await this.reloadIfChanged();
+    const selectors = this.chain(target);
+
+    for (let index = 0; index < selectors.length; index++) {
+      const selector = selectors[index];
+      const elements = await scope.locator(selector).all().catch(() => []);
+      if (elements.length > 0) {
+        this.logMatch(target, index, selector, ` (${elements.length} elements)`);
+        return { elements, selector, index };
+      }
+    }
+
+    logger.debug(`${target}: none of ${selectors.length} selectors matched`);
+    return { elements: [], selector: null, index: -1 };
+  }
+
+  /**
+   * Wait until a target is visible
+   * @param {Page|Locator} scope - Page or element to search in
+   * @param {string} target - Registry target
+   * @param {Object} options
+   * @param {number} options.timeout - ms (default: 8000)
+   * @param {boolean} options.last - See find()
+   * @returns {Promise<{ locator: Locator, selector: string, index: number }>}
+   * @throws {Error} If nothing in the chain became visible in time
+   */
+  async waitFor(scope, target, { timeout = 8000, last = false } = {}) {
+    const start = Date.now();
+
+    while (true) {
+      const match = await this.find(scope, target, { last });
+      if (match) {
+        return match;
+      }
+      if (Date.now() - start >= timeout) {
+        throw new Error(`Timed out after ${timeout}ms waiting for ${target} (tried ${this.chain(target).length} selectors)`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
+  /**
+   * Try every selector of a target, not just the first that matches
+   * @param {Page|Locator} scope - Page or element to search in
+   * @param {string} target - Registry target
+   * @returns {Promise<Array<{ selector: string, count: number, visible: number, error?: string }>>}
+   */
+  async probe(scope, target) {
+    await this.reloadIfChanged();
+    const results = [];
+
+    for (const selector of this.chain(target)) {
+      try {
+        const elements = await scope.locator(selector).all();
+        let visible = 0;
+        for (const element of elements) {
+          if (await element.isVisible().catch(() => false)) {
+            visible++;
+          }
+        }
+        results.push({ selector, count: elements.length, visible });
+      } catch (error) {
+        results.push({ selector, count: 0, visible: 0, error: error.message.split('\n')[0] });
+      }
+    }
+
+    return results;
+  }
+
+  logMatch(target, index, selector, extra = '') {
+    const total = this.targets[target].selectors.length;
+    if (index === 0) {
+      logger.debug(`🎯 ${target} matched selector 1/${total}: ${selector}${extra}`);
+    } else {
+      logger.info(`🎯 ${target} matched fallback ${index + 1}/${total}: ${selector}${extra}`);
+    }
+  }
+
+  /**
+   * Every target with its chain and where it came from
+   * @returns {Object} { version, overridesVersion, overridesFile, targets: { name: { description, selectors, source } } }
+   */
+  getAll() {
+    return {
+      version: this.version,
+      overridesVersion: this.overridesVersion,
+      overridesFile: this.overridesMtime !== null ? this.overridesPath : null,
+      targets: this.targets
+    };
+  }
+}
+
+// Export singleton instance
+export default new SelectorRegistry();
@@ -1,7 +1,31 @@
+import { createLogger } from '../logging/logger.js';
+import { captchaEncounters } from '../metrics/metrics.js';
+import { isOnSite } from './utils.js';
+import selectors from './selector-registry.js';
+import { CLIPS_PER_GENERATION } from './credit-reader.js';
+
+const logger = createLogger('SongCreator');
+
 export class SongCreator {
-  constructor(page, config) {
+  /**
+   * @param {Page} page - Playwright page
+   * @param {Object} config - Settings
+   * @param {ClipCapture} clipCapture - Clip data from Suno's API responses (optional)
+   * @param {DownloadManager} library - Reads clip IDs off the library page (optional)
+   */
+  constructor(page, config, clipCapture = null, library = null) {
     this.page = page;
     this.config = config;
+    this.clipCapture = clipCapture;
+    this.library = library;
+    this.statusCallback = null;
+  }
+
+  /**
+   * Set status callback for CAPTCHA updates
+   */
+  setStatusCallback(callback) {
+    this.statusCallback = callback;
   }
 
   /**
@@ -75,7 +99,7 @@ export class SongCreator {
   }
 
   async navigateToCreate() {
-    console.log('Navigating to Create page...');
+    logger.info('Navigating to Create page...');
     await this.page.goto(`${this.config.suno.baseUrl}/create`, {
       waitUntil: 'domcontentloaded',
       timeout: 30000
@@ -86,137 +110,90 @@ export class SongCreator {
   }
 
   async selectCustomMode() {
-    console.log('Selecting Custom mode...');
+    logger.info('Selecting Custom mode...');
 
     try {
       // Look for "Custom" button/tab
-      const customSelectors = [
-        'text=Custom',
-        'button:has-text("Custom")',
-        '[role="tab"]:has-text("Custom")',
-        '.custom-mode'
-      ];
-
-      let customButton = null;
-      for (const selector of customSelectors) {
-        customButton = this.page.locator(selector).first();
-        if (await customButton.isVisible().catch(() => false)) {
-          console.log('Found Custom button with selector:', selector);
-          break;
-        }
-      }
+      const customButton = await selectors.find(this.page, 'customTab');
 
-      if (customButton && await customButton.isVisible().catch(() => false)) {
-        await this.humanClick(customButton);
-        console.log('Clicked Custom mode button');
+      if (customButton) {
+        logger.info('Found Custom button with selector:', customButton.selector);
+        await this.humanClick(customButton.locator);
+        logger.info('Clicked Custom mode button');
       } else {
-        console.log('Custom button not found, may already be in custom mode');
+        logger.info('Custom button not found, may already be in custom mode');
       }
     } catch (error) {
-      console.warn('Error selecting custom mode:', error.message);
+      logger.warn('Error selecting custom mode:', error.message);
     }
   }
 
   async fillLyrics(lyrics) {
-    console.log('Filling in lyrics...');
+    logger.info('Filling in lyrics...');
 
     try {
       // Look for lyrics textarea
-      const lyricsSelectors = [
-        'textarea[placeholder*="lyrics" i]',
-        'textarea[placeholder*="Write" i]',
-        'textarea[name="lyrics"]',
-        '[data-testid="lyrics-input"]',
-        'textarea'
-      ];
-
-      let lyricsInput = null;
-      for (const selector of lyricsSelectors) {
-        lyricsInput = this.page.locator(selector).first();
-        if (await lyricsInput.isVisible().catch(() => false)) {
-          console.log('Found lyrics input with selector:', selector);
-          break;
-        }
-      }
+      const lyricsInput = await selectors.find(this.page, 'lyricsInput');
 
-      if (lyricsInput && await lyricsInput.isVisible().catch(() => false)) {
-        await this.humanType(lyricsInput, lyrics);
-        console.log('Lyrics filled successfully');
+      if (lyricsInput) {
+        logger.info('Found lyrics input with selector:', lyricsInput.selector);
+        await this.humanType(lyricsInput.locator, lyrics);
+        logger.info('Lyrics filled successfully');
       } else {
         throw new Error('Could not find lyrics input field');
       }
     } catch (error) {
-      console.error('Error filling lyrics:', error.message);
+      logger.error('Error filling lyrics:', error);
       throw error;
     }
   }
 
   async fillStyles(style) {
-    console.log('Filling in music style...');
+    logger.info('Filling in music style...');
 
     try {
       // Wait a moment for the page to be ready
       await this.page.waitForTimeout(1000);
 
-      // Look for the Styles textarea - it's a textarea with specific characteristics
-      const styleSelectors = [
-        // The exact textarea with Hip-hop placeholder
-        'textarea[placeholder*="Hip-hop" i]',
-        'textarea[placeholder*="R&B" i]',
-        'textarea[placeholder*="upbeat" i]',
-        // Textarea with maxlength 1000 (styles field characteristic)
-        'textarea[maxlength="1000"]',
-        // Generic textarea that's NOT for lyrics
-        'textarea:not([placeholder*="lyric" i]):not([placeholder*="Write some" i])',
-      ];
+      // Look for the Styles textarea, skipping the lyrics field and anything in Advanced Options
+      const match = await selectors.find(this.page, 'styleInput', {
+        accept: async (textarea) => {
+          const placeholder = await textarea.getAttribute('placeholder').catch(() => '');
+          const maxlength = await textarea.getAttribute('maxlength').catch(() => '');
 
-      let styleInput = null;
-      for (const selector of styleSelectors) {
-        try {
-          const textareas = await this.page.locator(selector).all();
-
-          for (const textarea of textareas) {
-            if (await textarea.isVisible().catch(() => false)) {
-              const placeholder = await textarea.getAttribute('placeholder').catch(() => '');
-              const maxlength = await textarea.getAttribute('maxlength').catch(() => '');
-
-              console.log('Checking textarea - Placeholder:', placeholder, '| Maxlength:', maxlength);
-
-              // Skip lyrics field (usually has different placeholder and no maxlength limit or different one)
-              if (placeholder && (placeholder.toLowerCase().includes('write some lyrics') ||
-                                  placeholder.toLowerCase().includes('leave empty for instrumental'))) {
-                console.log('Skipping lyrics textarea');
-                continue;
-              }
-
-              // Skip if it's inside Advanced Options
-              const parentText = await textarea.locator('xpath=ancestor::*[contains(., "Advanced Options")]').count().catch(() => 0);
-              if (parentText > 0) {
-                console.log('Skipping textarea inside Advanced Options');
-                continue;
-              }
-
-              // This is the styles textarea!
-              styleInput = textarea;
-              console.log('✅ Found Styles textarea with selector:', selector);
-              console.log('   Placeholder:', placeholder);
-              console.log('   Maxlength:', maxlength);
-              break;
-            }
+          logger.debug('Checking textarea - Placeholder:', placeholder, '| Maxlength:', maxlength);
+
+          // Skip lyrics field (usually has different placeholder and no maxlength limit or different one)
+          if (placeholder && (placeholder.toLowerCase().includes('write some lyrics') ||
+                              placeholder.toLowerCase().includes('leave empty for instrumental'))) {
+            logger.debug('Skipping lyrics textarea');
+            return false;
+          }
+
+          // Skip if it's inside Advanced Options
+          const parentText = await textarea.locator('xpath=ancestor::*[contains(., "Advanced Options")]').count().catch(() => 0);
+          if (parentText > 0) {
+            logger.debug('Skipping textarea inside Advanced Options');
+            return false;
           }
-          if (styleInput) break;
-        } catch (e) {
-          console.log('Selector failed:', selector, e.message);
-          continue;
+
+          return true;
         }
+      });
+
+      let styleInput = null;
+      if (match) {
+        // This is the styles textarea!
+        styleInput = match.locator;
+        logger.info('✅ Found Styles textarea with selector:', match.selector);
       }
 
       if (!styleInput) {
         // Fallback: Find all textareas and identify by position/attributes
-        console.log('Trying fallback approach - finding all textareas...');
+        logger.info('Trying fallback approach - finding all textareas...');
 
         const allTextareas = await this.page.locator('textarea').all();
-        console.log(`Found ${allTextareas.length} textareas on page`);
+        logger.info(`Found ${allTextareas.length} textareas on page`);
 
         for (let i = 0; i < allTextareas.length; i++) {
           const textarea = allTextareas[i];
@@ -225,13 +202,13 @@ export class SongCreator {
             const placeholder = await textarea.getAttribute('placeholder').catch(() => '');
             const maxlength = await textarea.getAttribute('maxlength').catch(() => '');
 
-            console.log(`Textarea ${i}: Placeholder="${placeholder}" | Maxlength="${maxlength}"`);
+            logger.debug(`Textarea ${i}: Placeholder="${placeholder}" | Maxlength="${maxlength}"`);
 
             // The Styles textarea has maxlength="1000"
             // The Lyrics textarea typically has a different or no maxlength
             if (maxlength === '1000' && !placeholder.toLowerCase().includes('lyric')) {
               styleInput = textarea;
-              console.log('✅ Found Styles textarea by maxlength attribute!');
+              logger.info('✅ Found Styles textarea by maxlength attribute!');
               break;
             }
           }
@@ -240,98 +217,69 @@ export class SongCreator {
 
       if (styleInput && await styleInput.isVisible().catch(() => false)) {
         await this.humanType(styleInput, style);
-        console.log('Style filled successfully:', style);
+        logger.info('Style filled successfully:', style);
       } else {
         throw new Error('Could not find style input field - Check screenshot in downloads/debug/');
       }
     } catch (error) {
-      console.error('Error filling style:', error.message);
+      logger.error('Error filling style:', error);
       await this.takeDebugScreenshot('style-fill-error');
       throw error;
     }
   }
 
   async addSongTitle(title) {
-    console.log('Adding song title...');
+    logger.info('Adding song title...');
 
     try {
-      // Look for "Add a song title" section
-      const titleSelectors = [
-        'input[placeholder*="title" i]',
-        'input[name="title"]',
-        '[data-testid="song-title"]',
-        'button:has-text("Add a song title")'
-      ];
-
       // First check if there's a button to enable title input
-      const titleButton = this.page.locator('button:has-text("Add a song title")').first();
-      if (await titleButton.isVisible().catch(() => false)) {
-        await this.humanClick(titleButton);
+      const titleButton = await selectors.find(this.page, 'titleButton');
+      if (titleButton) {
+        await this.humanClick(titleButton.locator);
       }
 
-      let titleInput = null;
-      for (const selector of titleSelectors) {
-        titleInput = this.page.locator(selector).first();
-        if (await titleInput.isVisible().catch(() => false)) {
-          console.log('Found title input with selector:', selector);
-          break;
-        }
-      }
-
-      if (titleInput && await titleInput.isVisible().catch(() => false)) {
-        await this.humanType(titleInput, title);
-        console.log('Title filled successfully:', title);
+      const titleInput = await selectors.find(this.page, 'titleInput');
+      if (titleInput) {
+        logger.info('Found title input with selector:', titleInput.selector);
+        await this.humanType(titleInput.locator, title);
+        logger.info('Title filled successfully:', title);
       } else {
-        console.warn('Could not find title input field, continuing without title');
+        logger.warn('Could not find title input field, continuing without title');
       }
     } catch (error) {
-      console.warn('Error adding title:', error.message);
+      logger.warn('Error adding title:', error.message);
       // Don't throw, title is optional
     }
   }
 
   async clickCreate() {
-    console.log('Clicking Create button...');
+    logger.info('Clicking Create button...');
 
     try {
       // Wait for form validation to complete and Create button to enable
-      console.log('⏳ Waiting for Create button to become enabled...');
+      logger.info('⏳ Waiting for Create button to become enabled...');
       await this.page.waitForTimeout(this.randomDelay(2000, 3000));
 
       // Take screenshot before looking for button
       await this.takeDebugScreenshot('before-create-click');
 
-      // Look for Create/Generate button
-      const createSelectors = [
-        'button:has-text("Create")',
-        'button:has-text("Generate")',
-        'button[type="submit"]',
-        '[data-testid="create-button"]',
-        '.create-button',
-        '#create-button'
-      ];
-
-      let createButton = null;
-      for (const selector of createSelectors) {
-        createButton = this.page.locator(selector).first();
-        if (await createButton.isVisible().catch(() => false)) {
-          // Make sure it's not disabled
-          const isDisabled = await createButton.isDisabled().catch(() => false);
-          if (!isDisabled) {
-            console.log('Found Create button with selector:', selector);
-            break;
-          } else {
-            console.log(`Found Create button (${selector}) but it's DISABLED`);
+      // Look for Create/Generate button that isn't disabled
+      const createButton = await selectors.find(this.page, 'createButton', {
+        accept: async (button) => {
+          const isDisabled = await button.isDisabled().catch(() => false);
+          if (isDisabled) {
+            logger.info('Found a Create button but it\'s DISABLED');
           }
+          return !isDisabled;
         }
-        createButton = null;
-      }
+      });
 
       if (createButton) {
         // Add extra delay before clicking Create (simulate reviewing the form)
         await this.page.waitForTimeout(this.randomDelay(1000, 2000));
-        await this.humanClick(createButton);
-        console.log('Clicked Create button');
+        logger.info('Found Create button with selector:', createButton.selector);
+        await this.humanClick(createButton.locator);
+        logger.info('Clicked Create button');
         await this.page.waitForTimeout(this.randomDelay(3000, 5000));
 
         // Take screenshot after clicking
@@ -346,21 +294,21 @@ export class SongCreator {
         await this.takeDebugScreenshot('create-button-not-found');
 
         // Log all visible buttons for debugging
-        console.log('Debugging: Looking for all buttons on page...');
+        logger.debug('Looking for all buttons on page...');
         const allButtons = await this.page.locator('button').all();
-        console.log(`Found ${allButtons.length} total buttons on page`);
+        logger.info(`Found ${allButtons.length} total buttons on page`);
 
         for (let i = 0; i < Math.min(allButtons.length, 10); i++) {
           const text = await allButtons[i].textContent().catch(() => '');
           const isVisible = await allButtons[i].isVisible().catch(() => false);
           const isDisabled = await allButtons[i].isDisabled().catch(() => false);
-          console.log(`Button ${i}: "${text}" | Visible: ${isVisible} | Disabled: ${isDisabled}`);
+          logger.debug(`Button ${i}: "${text}" | Visible: ${isVisible} | Disabled: ${isDisabled}`);
         }
 
         throw new Error('Could not find enabled Create button - Check screenshot in downloads/debug/');
       }
     } catch (error) {
-      console.error('Error clicking create:', error.message);
+      logger.error('Error clicking create:', error);
       await this.takeDebugScreenshot('create-error');
       throw error;
     }
@@ -381,9 +329,9 @@ export class SongCreator {
 
       const filepath = `${debugDir}/${filename}`;
       await this.page.screenshot({ path: filepath, fullPage: true });
-      console.log(`📸 Screenshot saved: ${filepath}`);
+      logger.info(`📸 Screenshot saved: ${filepath}`);
     } catch (error) {
-      console.warn('Could not take screenshot:', error.message);
+      logger.warn('Could not take screenshot:', error.message);
     }
   }
 
@@ -395,45 +343,21 @@ export class SongCreator {
 
     // Check if redirected to error page
     if (url.includes('404') || url.includes('error')) {
-      console.log('⚠️  Redirected to error page after create:', url);
-      console.log('\n' + '='.repeat(60));
-      console.log('⚠️  RATE LIMIT OR CAPTCHA TRIGGERED');
-      console.log('='.repeat(60));
-      console.log('Suno has blocked the request. This happens when:');
-      console.log('1. You create songs too quickly');
-      console.log('2. Your account is new and untrusted');
-      console.log('3. Rate limits exceeded');
-      console.log('\nPlease wait 1 hour and try again.');
-      console.log('For long-term fix, read CAPTCHA_GUIDE.md');
-      console.log('='.repeat(60) + '\n');
+      logger.warn('⚠️  Redirected to error page after create:', url);
+      logger.warn('⚠️  RATE LIMIT OR CAPTCHA TRIGGERED');
+      logger.info('Suno has blocked the request. This happens when:');
+      logger.info('1. You create songs too quickly');
+      logger.info('2. Your account is new and untrusted');
+      logger.info('3. Rate limits exceeded');
+      logger.info('Please wait 1 hour and try again.');
+      logger.info('For long-term fix, read CAPTCHA_GUIDE.md');
       throw new Error(`Rate limited: ${url}`);
     }
 
     // Check for CAPTCHA
-    const captchaIndicators = [
-      'iframe[src*="recaptcha"]',
-      'iframe[src*="captcha"]',
-      '.g-recaptcha',
-      '#captcha'
-    ];
-
-    for (const indicator of captchaIndicators) {
-      try {
-        const element = this.page.locator(indicator).first();
-        if (await element.isVisible({ timeout: 2000 })) {
-          console.log('⚠️  CAPTCHA detected after creating song');
-
-          // Import DownloadManager methods for CAPTCHA handling
-          await this.waitForCaptchaSolution();
-
-          return; // CAPTCHA solved, continue
-        }
-      } catch (e) {
-        if (e.message.includes('CAPTCHA solved')) {
-          return; // CAPTCHA was solved, continue
-        }
-        continue;
-      }
+    if (await this.checkForCaptchaPresent()) {
+      logger.warn('⚠️  CAPTCHA detected after creating song');
+      await this.waitForCaptchaSolution();
     }
   }
 
@@ -442,14 +366,12 @@ export class SongCreator {
    */
   async waitForCaptchaSolution(maxWait = 600000) {
     const timeoutMinutes = 10;
+    captchaEncounters.inc({ stage: 'create' });
 
-    console.log('\n' + '='.repeat(60));
-    console.log('⚠️  CAPTCHA DETECTED');
-    console.log('='.repeat(60));
-    console.log('Please solve the CAPTCHA in the browser window');
-    console.log('The automation will continue automatically after you solve it');
-    console.log(`\n⏳ Waiting for you to solve CAPTCHA (timeout: ${timeoutMinutes} minutes)...`);
-    console.log('='.repeat(60) + '\n');
+    logger.warn('⚠️  CAPTCHA DETECTED');
+    logger.info('Please solve the CAPTCHA in the browser window');
+    logger.info('The automation will continue automatically after you solve it');
+    logger.info(`⏳ Waiting for you to solve CAPTCHA (timeout: ${timeoutMinutes} minutes)...`);
 
     // Update status via callback if available
     if (this.statusCallback) {
@@ -472,14 +394,14 @@ export class SongCreator {
         const remainingSeconds = Math.floor((maxWait - elapsed) / 1000);
         const remainingMinutes = Math.floor(remainingSeconds / 60);
         const seconds = remainingSeconds % 60;
-        console.log(`⏳ Time remaining: ${remainingMinutes}m ${seconds}s`);
+        logger.info(`⏳ Time remaining: ${remainingMinutes}m ${seconds}s`);
         lastProgressUpdate = Date.now();
       }
 
       // Check if CAPTCHA is still present
       const stillHasCaptcha = await this.checkForCaptchaPresent();
       if (!stillHasCaptcha) {
-        console.log('✅ CAPTCHA solved! Continuing automation...');
+        logger.info('✅ CAPTCHA solved! Continuing automation...');
 
         if (this.statusCallback) {
           this.statusCallback({
@@ -494,8 +416,8 @@ export class SongCreator {
 
       // Check if we're back on Suno create page
       const url = this.page.url();
-      if (url.includes('suno.com/create')) {
-        console.log('✅ Back on Suno create page - assuming CAPTCHA solved');
+      if (isOnSite(url, this.config.suno.baseUrl) && new URL(url).pathname.startsWith('/create')) {
+        logger.info('✅ Back on Suno create page - assuming CAPTCHA solved');
 
         if (this.statusCallback) {
           this.statusCallback({
@@ -511,9 +433,7 @@ export class SongCreator {
 
     // CAPTCHA timeout - log and exit
     const errorMessage = `❌ CAPTCHA not solved within ${timeoutMinutes} minutes - Stopping automation`;
-    console.log('\n' + '='.repeat(60));
-    console.log(errorMessage);
-    console.log('='.repeat(60) + '\n');
+    logger.error(errorMessage);
 
     // Update status via callback
     if (this.statusCallback) {
@@ -532,34 +452,37 @@ export class SongCreator {
    * Check if CAPTCHA is currently present
    */
   async checkForCaptchaPresent() {
-    const captchaIndicators = [
-      'iframe[src*="recaptcha"]',
-      'iframe[src*="captcha"]',
-      '.g-recaptcha',
-      '#captcha'
-    ];
-
-    for (const indicator of captchaIndicators) {
-      try {
-        const element = this.page.locator(indicator).first();
-        if (await element.isVisible({ timeout: 1000 })) {
-          return true;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-    return false;
+    return await selectors.find(this.page, 'captcha') !== null;
   }
 
-  async createSong({ title, lyrics, style }) {
+  /**
+   * Fill in the Create form and submit it. The cancellation token is checked
+   * between form steps; once Create is clicked the song exists and we finish.
+   *
+   * The clips this Create started are taken from Suno's response to it, or
+   * else from the clip IDs that are new in the library compared to just
+   * before. clipIds is null only if neither worked.
+   * @returns {Promise<Object>} { success, timestamp, title, style, clipIds, knownClipIds }
+   */
+  async createSong({ title, lyrics, style }, token = null) {
     try {
-      console.log('Starting song creation process...');
-      console.log('Title:', title);
-      console.log('Style:', style);
-      console.log('Lyrics:', lyrics ? `${lyrics.length} characters` : 'Empty (instrumental mode)');
+      logger.info('Starting song creation process...');
+      logger.info('Title:', title);
+      logger.info('Style:', style);
+      logger.info('Lyrics:', lyrics ? `${lyrics.length} characters` : 'Empty (instrumental mode)');
+
+      // What's in the library now, so the clips this Create adds can be told apart
+      token?.throwIfCancelled();
+      let knownClipIds = null;
+      if (this.library) {
+        knownClipIds = await this.library.listClipIds().catch((error) => {
+          logger.warn('Could not list the library before Create:', error.message);
+          return null;
+        });
+      }
 
       // Navigate to create page
+      token?.throwIfCancelled();
       await this.navigateToCreate();
 
       // Simulate human browsing - small scroll
@@ -572,14 +495,16 @@ export class SongCreator {
       await this.page.waitForTimeout(this.randomDelay(500, 1500));
 
       // Fill in the form - lyrics is optional
+      token?.throwIfCancelled();
       if (lyrics && lyrics.trim()) {
         await this.fillLyrics(lyrics);
         // Pause between fields
         await this.page.waitForTimeout(this.randomDelay(800, 1500));
       } else {
-        console.log('Skipping lyrics (instrumental mode)');
+        logger.info('Skipping lyrics (instrumental mode)');
       }
 
+      token?.throwIfCancelled();
       await this.fillStyles(style);
 
       if (title) {
@@ -590,25 +515,52 @@ export class SongCreator {
       // Small scroll before clicking create
       await this.humanScroll();
 
+      // Last point where a stop leaves nothing behind on Suno
+      token?.throwIfCancelled();
+
       // Click create
+      const submittedAt = Date.now();
       await this.clickCreate();
 
-      console.log('Song creation initiated successfully!');
+      logger.info('Song creation initiated successfully!');
+
+      // Suno answers the Create request with the new clips
+      let clipIds = null;
+      if (this.clipCapture) {
+        const generation = await this.clipCapture.waitForGeneration(submittedAt, 15000);
+        if (generation) {
+          clipIds = generation.clipIds;
+        } else {
+          logger.warn('⚠️  Did not see Suno\'s response to Create - looking for the new clips in the library instead');
+        }
+      }
+
+      if (!clipIds && knownClipIds) {
+        clipIds = await this.library.waitForNewClipIds(knownClipIds, CLIPS_PER_GENERATION);
+      }
+
+      if (clipIds) {
+        logger.info(`🆔 Clips of this song: ${clipIds.join(', ')}`);
+      } else {
+        logger.warn('⚠️  Could not tell which clips this Create started - the newest clips in the library will be used');
+      }
 
       return {
         success: true,
         timestamp: Date.now(),
         title: title || 'Untitled',
-        style
+        style,
+        clipIds,
+        knownClipIds
       };
     } catch (error) {
-      console.error('Song creation failed:', error.message);
+      logger.error('Song creation failed:', error);
       throw error;
     }
   }
 
   async getSongIdFromWorkspace(title, timestamp) {
-    console.log('Attempting to get song ID from workspace...');
+    logger.info('Attempting to get song ID from workspace...');
 
     try {
       // Navigate to workspace/library
@@ -632,7 +584,7 @@ export class SongCreator {
         for (const attr of possibleIdAttributes) {
           const id = await firstSong.getAttribute(attr).catch(() => null);
           if (id) {
-            console.log('Found song ID:', id);
+            logger.info('Found song ID:', id);
             return id;
           }
         }
@@ -643,16 +595,16 @@ export class SongCreator {
         if (href) {
           const match = href.match(/\/song\/([a-zA-Z0-9-]+)/);
           if (match) {
-            console.log('Extracted song ID from URL:', match[1]);
+            logger.info('Extracted song ID from URL:', match[1]);
             return match[1];
           }
         }
       }
 
-      console.warn('Could not extract song ID');
+      logger.warn('Could not extract song ID');
       return null;
     } catch (error) {
-      console.error('Error getting song ID:', error.message);
+      logger.error('Error getting song ID:', error);
       return null;
     }
   }
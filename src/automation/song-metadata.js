@@ -0,0 +1,87 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logging/logger.js';
+
+const logger = createLogger('SongMetadata');
+
+/**
+ * Sidecar files saved next to each downloaded clip
+ *
+ * A clip's files share one base name (`<title>-v<version>-<time>`): its
+ * audio/video/stems, `<base>.json` with what it was generated from and where
+ * to find it on Suno, and `<base>.<jpg|png|...>` with its cover art.
+ * publishSong() reads the sidecar of the audio it is given to fill in what
+ * the caller left out.
+ */
+
+export const SONG_METADATA_VERSION = 1;
+
+// Cover art is saved with the extension of the type Suno served
+const COVER_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Sidecar JSON of a downloaded file (same folder and base name)
+ */
+export function metadataPathFor(filePath) {
+  return path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.json`);
+}
+
+/**
+ * File extension for a cover image, from its content type or else its URL
+ */
+export function coverExtension(contentType, url) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (COVER_EXTENSIONS[type]) {
+    return COVER_EXTENSIONS[type];
+  }
+
+  const extension = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+  return Object.values(COVER_EXTENSIONS).includes(extension) ? extension : 'jpg';
+}
+
+/**
+ * Public page of a clip on Suno
+ */
+export function songUrl(baseUrl, clipId) {
+  return `${baseUrl.replace(/\/+$/, '')}/song/${clipId}`;
+}
+
+export async function writeSongMetadata(metadataPath, metadata) {
+  await fs.writeJSON(metadataPath, {
+    schemaVersion: SONG_METADATA_VERSION,
+    ...metadata
+  }, { spaces: 2 });
+}
+
+/**
+ * The sidecar saved with a downloaded file, if there is one
+ * @param {string} filePath - Audio (or any other) file of the clip
+ * @returns {Promise<Object|null>} Sidecar contents plus metadataPath and coverPath
+ *   (absolute, null if the cover is missing)
+ */
+export async function readSongMetadata(filePath) {
+  const metadataPath = metadataPathFor(filePath);
+  if (!await fs.pathExists(metadataPath)) {
+    return null;
+  }
+
+  try {
+    const metadata = await fs.readJSON(metadataPath);
+    const coverPath = metadata.cover ? path.join(path.dirname(metadataPath), metadata.cover) : null;
+
+    return {
+      ...metadata,
+      metadataPath,
+      coverPath: coverPath && await fs.pathExists(coverPath) ? coverPath : null
+    };
+  } catch (error) {
+    logger.warn(`⚠️  Could not read ${metadataPath}: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,86 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from '../logging/logger.js';
+import stylePresetManager from '../config/style-presets.js';
+import { readSongMetadata } from './song-metadata.js';
+import { writeId3Tag } from './id3.js';
+
+const logger = createLogger('SongTags');
+
+// Cover art types ID3 players show (Suno serves JPEG)
+const COVER_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+/**
+ * Write ID3 tags into a downloaded MP3: title, style (as comment), lyrics
+ * and cover from its metadata sidecar, genre from its style preset's
+ * category, artist and album from the downloads.tags settings
+ * @param {string} filePath - MP3 file
+ * @param {Object} tagSettings - downloads.tags: { artist, album }
+ * @returns {Promise<Object>} { filename, title, artist, album, genre, cover } as written
+ */
+export async function tagSongFile(filePath, tagSettings) {
+  const metadata = await readSongMetadata(filePath);
+  const preset = metadata?.presetId ? stylePresetManager.getPreset(metadata.presetId) : null;
+
+  const coverType = metadata?.coverPath ? COVER_MIME_TYPES[path.extname(metadata.coverPath).toLowerCase()] : null;
+  const cover = coverType ? { data: await fs.readFile(metadata.coverPath), mimeType: coverType } : null;
+
+  const tags = {
+    title: metadata?.title || path.basename(filePath, path.extname(filePath)),
+    artist: tagSettings.artist,
+    album: tagSettings.album,
+    genre: preset?.category || null,
+    comment: metadata?.style || null,
+    lyrics: metadata?.lyrics || null,
+    cover
+  };
+  await writeId3Tag(filePath, tags);
+
+  return {
+    filename: path.basename(filePath),
+    title: tags.title,
+    artist: tags.artist || null,
+    album: tags.album || null,
+    genre: tags.genre,
+    cover: cover ? path.basename(metadata.coverPath) : null
+  };
+}
+
+/**
+ * Tag the MP3s in the download folder again, e.g. after changing the
+ * artist or album. One file failing doesn't stop the others.
+ * @param {string} downloadPath - Download folder
+ * @param {Object} tagSettings - downloads.tags: { artist, album }
+ * @param {Array<string>} filenames - Only these files (default: every MP3 in the folder)
+ * @returns {Promise<{ tagged: Array<Object>, failed: Array<{ filename: string, error: string }> }>}
+ */
+export async function retagDownloads(downloadPath, tagSettings, filenames = null) {
+  await fs.ensureDir(downloadPath);
+  const mp3s = filenames || (await fs.readdir(downloadPath)).filter(f => f.toLowerCase().endsWith('.mp3'));
+
+  const tagged = [];
+  const failed = [];
+
+  for (const filename of mp3s) {
+    // Only plain file names - nothing outside the download folder
+    const filePath = path.join(downloadPath, path.basename(filename));
+    try {
+      if (path.extname(filePath).toLowerCase() !== '.mp3') {
+        throw new Error('Not an MP3 file');
+      }
+      if (!await fs.pathExists(filePath)) {
+        throw new Error('File not found');
+      }
+      tagged.push(await tagSongFile(filePath, tagSettings));
+    } catch (error) {
+      failed.push({ filename, error: error.message });
+    }
+  }
+
+  logger.info(`🏷️  Tagged ${tagged.length} of ${mp3s.length} MP3s${failed.length ? ` (${failed.length} failed)` : ''}`);
+  return { tagged, failed };
+}
@@ -1,21 +1,40 @@
 import { AuthManager } from './auth.js';
 import { AuthManagerPersistent } from './auth-persistent.js';
 import { SongCreator } from './song-creator.js';
-import { DownloadManager } from './download-manager.js';
-import { sanitizeFilename, createLogger } from './utils.js';
+import { DownloadManager, GenerationFailedError } from './download-manager.js';
+import { CreditReader } from './credit-reader.js';
+import { ClipCapture } from './clip-capture.js';
+import { SelectorDiagnostics } from './selector-diagnostics.js';
+import { sanitizeFilename } from './utils.js';
+import { createLogger } from '../logging/logger.js';
+import { songsCreated, downloads, stepDuration } from '../metrics/metrics.js';
+import { CancelledError } from './cancellation.js';
 import settings from '../config/settings.js';
 
 const logger = createLogger('SunoBot');
 
 export class SunoBot {
-  constructor(usePersistent = true) {
+  /**
+   * @param {boolean} usePersistent - Use a persistent Chrome profile (recommended)
+   * @param {Object} account - Suno account to log in with (persistent mode only)
+   */
+  constructor(usePersistent = true, account = null) {
     this.config = null;
     this.authManager = null;
     this.songCreator = null;
     this.downloadManager = null;
+    this.clipCapture = null;
     this.page = null;
     this.statusCallback = null;
     this.usePersistent = usePersistent;
+    this.account = account;
+    this.creditReader = null;
+    this.credits = null; // Last known balance, null if it couldn't be read
+    this.creditsCheckedAt = null;
+    this.knownClipIds = null; // Library before the last Create, to tell our new clips apart
+    this.createdClipIds = null; // Clips the last Create started, null if they couldn't be told apart
+    this.createdSong = null; // Title, lyrics and style of the last Create, for the metadata sidecars
+    this.startedAt = null; // When the browser session was opened
   }
 
   setStatusCallback(callback) {
@@ -40,7 +59,7 @@ export class SunoBot {
       // Use persistent context for better Google OAuth compatibility
       if (this.usePersistent) {
         logger.info('Using persistent browser context (recommended for Google OAuth)');
-        this.authManager = new AuthManagerPersistent(this.config);
+        this.authManager = new AuthManagerPersistent(this.config, this.account);
       } else {
         logger.info('Using standard browser context');
         this.authManager = new AuthManager(this.config);
@@ -54,8 +73,14 @@ export class SunoBot {
       }
 
       this.page = this.authManager.getPage();
-      this.songCreator = new SongCreator(this.page, this.config);
-      this.downloadManager = new DownloadManager(this.page, this.config);
+      this.clipCapture = new ClipCapture(this.config);
+      this.clipCapture.attach(this.page);
+      this.downloadManager = new DownloadManager(this.page, this.config, this.clipCapture);
+      this.downloadManager.setStatusCallback(this.statusCallback);
+      this.songCreator = new SongCreator(this.page, this.config, this.clipCapture, this.downloadManager);
+      this.songCreator.setStatusCallback(this.statusCallback);
+      this.creditReader = new CreditReader(this.page, this.config);
+      this.startedAt = Date.now();
 
       logger.info('SunoBot initialized successfully');
       return true;
@@ -68,9 +93,17 @@ export class SunoBot {
   async login() {
     try {
       this.updateStatus('authenticating');
-      await this.authManager.login();
+      const result = await this.authManager.login();
+
+      // Google login reports failure in its result instead of throwing
+      if (result && result.success === false) {
+        throw new Error(result.error || 'Login failed');
+      }
+
       this.updateStatus('authenticated');
       logger.info('Authentication successful');
+
+      await this.refreshCredits();
       return true;
     } catch (error) {
       this.updateStatus('auth_failed', { error: error.message });
@@ -79,8 +112,54 @@ export class SunoBot {
     }
   }
 
-  async createSong({ title, lyrics, style }) {
+  /**
+   * Whether the browser session is still logged in, without logging in again
+   * @returns {Promise<boolean>}
+   */
+  async checkSession() {
+    return this.authManager.checkIfLoggedIn();
+  }
+
+  /**
+   * Read the remaining credit balance from the Suno UI
+   * @returns {Promise<number|null>} Credits left, or null if the balance couldn't be read
+   */
+  async refreshCredits() {
+    try {
+      this.credits = await this.creditReader.readCredits();
+      this.creditsCheckedAt = new Date().toISOString();
+
+      if (this.credits !== null) {
+        this.updateStatus('credits', {
+          message: `${this.credits} credits remaining`,
+          credits: this.credits
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not read credits:', error.message);
+      this.credits = null;
+    }
+
+    return this.credits;
+  }
+
+  /**
+   * Try every selector a song run needs on /create and /me, without
+   * creating or downloading anything
+   * @returns {Promise<Object>} Report from SelectorDiagnostics.run()
+   */
+  async checkSelectors() {
+    return new SelectorDiagnostics(this.page, this.config).run();
+  }
+
+  /**
+   * Create a song. With a cancellation token, a stop takes effect between
+   * form steps but never after Create has been clicked.
+   */
+  async createSong({ title, lyrics, style }, token = null) {
     try {
+      token?.throwIfCancelled();
+
       // Sanitize title for filename
       const sanitizedTitle = sanitizeFilename(title || 'Untitled_Song');
 
@@ -89,15 +168,26 @@ export class SunoBot {
         style
       });
 
+      this.createdClipIds = null;
+      this.knownClipIds = null;
+      this.createdSong = null;
+
+      const stopTimer = stepDuration.startTimer({ step: 'create' });
       const result = await this.songCreator.createSong({
         title,
         lyrics,
         style
-      });
+      }, token);
+      stopTimer();
+      songsCreated.inc();
+      this.createdClipIds = result.clipIds;
+      this.knownClipIds = result.knownClipIds;
+      this.createdSong = { title, lyrics, style };
 
       this.updateStatus('song_created', {
         title: sanitizedTitle,
-        timestamp: result.timestamp
+        timestamp: result.timestamp,
+        clipIds: result.clipIds
       });
 
       return {
@@ -105,34 +195,83 @@ export class SunoBot {
         sanitizedTitle
       };
     } catch (error) {
+      if (error instanceof CancelledError) {
+        throw error;
+      }
       this.updateStatus('creation_failed', { error: error.message });
       logger.error('Song creation failed:', error);
       throw error;
     }
   }
 
-  async waitForCompletion(songTitle, maxWaitTime = null) {
+  /**
+   * Wait until both clips of the last createSong() are finished, polling the
+   * library instead of sleeping for a fixed time
+   * @param {string} songTitle - For logs and status updates
+   * @param {number} maxWaitTime - ms before giving up (default: suno.maxWaitTime)
+   * @param {CancellationToken} token
+   * @param {Array<string>} clipIds - Clips to wait for (default: those of the last createSong())
+   * @returns {Promise<{ clipIds: Array<string>, seconds: number }>}
+   */
+  async waitForCompletion(songTitle, maxWaitTime = null, token = null, clipIds = null) {
     try {
-      this.updateStatus('waiting_for_completion', { title: songTitle });
+      const maxWait = maxWaitTime || this.config.suno.maxWaitTime;
+      this.updateStatus('waiting_for_completion', {
+        title: songTitle,
+        waitMinutes: Math.round(maxWait / 60000)
+      });
 
-      // Simple wait - just wait for the configured time
-      const waitTime = maxWaitTime || this.config.suno.maxWaitTime;
-      await this.page.waitForTimeout(waitTime);
+      const stopTimer = stepDuration.startTimer({ step: 'wait' });
+      const result = await this.downloadManager.waitForSongCompletion(songTitle, maxWait, {
+        clipIds: clipIds || this.createdClipIds,
+        knownClipIds: this.knownClipIds,
+        token
+      });
+      stopTimer();
+      this.createdClipIds = result.clipIds;
 
-      this.updateStatus('song_completed', { title: songTitle });
-      return true;
+      this.updateStatus('song_completed', {
+        title: songTitle,
+        clipIds: result.clipIds,
+        message: `Song generated in ${result.seconds} seconds`
+      });
+      return result;
     } catch (error) {
-      this.updateStatus('completion_timeout', { error: error.message });
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+      const timedOut = error instanceof GenerationFailedError && error.timedOut;
+      this.updateStatus(timedOut ? 'completion_timeout' : 'generation_failed', { error: error.message });
       logger.error('Waiting for completion failed:', error);
       throw error;
     }
   }
 
-  async downloadBothSongs(songTitle) {
+  /**
+   * Download the clips of a song
+   * @param {string} songTitle - Used in the file names
+   * @param {CancellationToken} token
+   * @param {Object} options
+   * @param {Array<string>} options.clipIds - Clips to download (default: those of the last createSong())
+   * @param {Array<string>} options.formats - mp3, wav, mp4 and/or stems (default: downloads.formats)
+   * @param {Object} options.song - { title, lyrics, style, presetId, presetName } for the metadata
+   *   sidecars (default: what the last createSong() sent)
+   * @returns {Promise<Object>} { success, downloads, count, clipIds, formats }
+   */
+  async downloadBothSongs(songTitle, token = null, { clipIds = null, formats = null, song = null } = {}) {
     try {
-      this.updateStatus('downloading', { title: songTitle });
-
-      const result = await this.downloadManager.downloadBothSongs(songTitle);
+      token?.throwIfCancelled();
+      clipIds = clipIds || this.createdClipIds;
+      this.updateStatus('downloading', { title: songTitle, clipIds });
+
+      const stopTimer = stepDuration.startTimer({ step: 'download' });
+      const result = await this.downloadManager.downloadBothSongs(songTitle, token, {
+        clipIds,
+        formats,
+        song: song || this.createdSong
+      });
+      stopTimer();
+      downloads.inc({ result: 'success' }, result.downloads.length);
 
       this.updateStatus('download_complete', {
         title: songTitle,
@@ -142,6 +281,10 @@ export class SunoBot {
 
       return result;
     } catch (error) {
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+      downloads.inc({ result: 'failure' });
       this.updateStatus('download_failed', { error: error.message });
       logger.error('Download failed:', error);
       throw error;
@@ -152,7 +295,10 @@ export class SunoBot {
     try {
       this.updateStatus('downloading', { title: songTitle });
 
-      const result = await this.downloadManager.downloadSingleSong(songTitle, 1, 0);
+      const stopTimer = stepDuration.startTimer({ step: 'download' });
+      const result = await this.downloadManager.downloadSingleSong(songTitle, 1, this.createdClipIds?.[0]);
+      stopTimer();
+      downloads.inc({ result: 'success' });
 
       this.updateStatus('download_complete', {
         title: songTitle,
@@ -162,13 +308,19 @@ export class SunoBot {
 
       return result;
     } catch (error) {
+      downloads.inc({ result: 'failure' });
       this.updateStatus('download_failed', { error: error.message });
       logger.error('Download failed:', error);
       throw error;
     }
   }
 
-  async automateFullProcess({ title, lyrics, style, numberOfRounds = 2 }) {
+  /**
+   * Create, wait for and download songs for the given number of rounds.
+   * With a cancellation token, a stop takes effect between steps and a
+   * pause holds at the start of the next round.
+   */
+  async automateFullProcess({ title, lyrics, style, numberOfRounds = 2, formats = null }, token = null) {
     try {
       logger.info('Starting full automation process...');
 
@@ -180,20 +332,15 @@ export class SunoBot {
       const waitMinutes = this.config.suno.maxWaitMinutes || 3;
       const totalSongs = numberOfRounds * 2; // Each round creates 2 songs
 
-      console.log('\n' + '='.repeat(60));
-      console.log('🎵 SUNO AUTOMATION STARTED');
-      console.log('='.repeat(60));
-      console.log('⚠️  IMPORTANT: Keep the browser window OPEN!');
-      console.log('');
-      console.log(`Total Rounds: ${numberOfRounds} (${totalSongs} songs total)`);
-      console.log(`Estimated time: ${(waitMinutes + 1) * numberOfRounds} minutes`);
-      console.log('  Per round:');
-      console.log('  1. Create song - 30 sec');
-      console.log(`  2. Wait for generation - ${waitMinutes} min`);
-      console.log('  3. Download 2 MP3s - 30 sec');
-      console.log('');
-      console.log('💡 You can MINIMIZE the window but do NOT close it!');
-      console.log('='.repeat(60) + '\n');
+      logger.info('🎵 SUNO AUTOMATION STARTED');
+      logger.info('⚠️  IMPORTANT: Keep the browser window OPEN!');
+      logger.info(`Total Rounds: ${numberOfRounds} (${totalSongs} songs total)`);
+      logger.info(`Longest possible run: ${(waitMinutes + 1) * numberOfRounds} minutes`);
+      logger.debug('Per round:');
+      logger.debug('1. Create song - 30 sec');
+      logger.debug(`2. Wait for generation - until both clips are ready (at most ${waitMinutes} min)`);
+      logger.debug('3. Download 2 MP3s - 30 sec');
+      logger.info('💡 You can MINIMIZE the window but do NOT close it!');
 
       // Login once at the beginning
       await this.login();
@@ -203,9 +350,15 @@ export class SunoBot {
 
       // Loop through rounds
       for (let round = 1; round <= numberOfRounds; round++) {
-        console.log('\n' + '='.repeat(60));
-        console.log(`🎵 ROUND ${round}/${numberOfRounds}`);
-        console.log('='.repeat(60) + '\n');
+        await token?.waitIfPaused(() => {
+          this.updateStatus('paused', {
+            message: `Paused before round ${round}/${numberOfRounds}`,
+            round,
+            totalRounds: numberOfRounds
+          });
+        });
+
+        logger.info(`🎵 ROUND ${round}/${numberOfRounds}`);
 
         this.updateStatus('creating_song', {
           message: `Creating song (Round ${round}/${numberOfRounds})`,
@@ -214,43 +367,32 @@ export class SunoBot {
         });
 
         // Create song
-        const createResult = await this.createSong({ title, lyrics, style });
+        const createResult = await this.createSong({ title, lyrics, style }, token);
 
-        // Wait X minutes before checking for completion (configurable by user)
         const songTitle = createResult.sanitizedTitle;
-        const waitMs = waitMinutes * 60 * 1000;
 
-        console.log('\n' + '='.repeat(60));
-        console.log(`⏳ Round ${round}/${numberOfRounds}: Waiting ${waitMinutes} minute(s) for Suno to generate...`);
-        console.log('='.repeat(60));
-        console.log(`Song will be ready around: ${new Date(Date.now() + waitMs).toLocaleTimeString()}`);
-        console.log('💡 You can minimize the browser but keep it open!');
-        console.log('='.repeat(60) + '\n');
+        logger.info(`⏳ Round ${round}/${numberOfRounds}: Waiting for Suno to generate (up to ${waitMinutes} minute(s))...`);
+        logger.info('💡 You can minimize the browser but keep it open!');
 
         this.updateStatus('waiting_for_generation', {
           title: songTitle,
           waitMinutes: waitMinutes,
-          estimatedReadyTime: new Date(Date.now() + waitMs).toLocaleTimeString(),
           round,
           totalRounds: numberOfRounds
         });
 
-        await this.page.waitForTimeout(waitMs);
+        const { seconds } = await this.waitForCompletion(songTitle, null, token);
 
-        console.log('\n' + '='.repeat(60));
-        console.log(`✅ Round ${round}/${numberOfRounds}: Wait time completed! Starting download...`);
-        console.log('='.repeat(60) + '\n');
+        logger.info(`✅ Round ${round}/${numberOfRounds}: Both clips ready after ${seconds} seconds! Starting download...`);
 
         // Download both versions (Suno creates 2 songs per generation)
-        const downloadResult = await this.downloadBothSongs(songTitle);
+        const downloadResult = await this.downloadBothSongs(songTitle, token, { formats });
 
         totalDownloadCount += downloadResult.count;
         allDownloads.push(...downloadResult.downloads);
 
-        console.log('\n' + '='.repeat(60));
-        console.log(`✅ Round ${round}/${numberOfRounds}: Downloaded ${downloadResult.count} songs`);
-        console.log(`📊 Progress: ${totalDownloadCount}/${totalSongs} total songs downloaded`);
-        console.log('='.repeat(60) + '\n');
+        logger.info(`✅ Round ${round}/${numberOfRounds}: Downloaded ${downloadResult.count} songs`);
+        logger.info(`📊 Progress: ${totalDownloadCount}/${totalSongs} total songs downloaded`);
 
         this.updateStatus('round_complete', {
           round,
@@ -261,11 +403,8 @@ export class SunoBot {
         });
       }
 
-      console.log('\n' + '='.repeat(60));
-      console.log('🎉 ALL ROUNDS COMPLETED!');
-      console.log('='.repeat(60));
-      console.log(`Total songs downloaded: ${totalDownloadCount}`);
-      console.log('='.repeat(60) + '\n');
+      logger.info('🎉 ALL ROUNDS COMPLETED!');
+      logger.info(`Total songs downloaded: ${totalDownloadCount}`);
 
       this.updateStatus('complete', {
         title,
@@ -285,6 +424,10 @@ export class SunoBot {
       };
 
     } catch (error) {
+      if (error instanceof CancelledError) {
+        logger.info('Automation process stopped:', error.message);
+        throw error;
+      }
       this.updateStatus('failed', { error: error.message });
       logger.error('Automation process failed:', error);
       throw error;
@@ -295,6 +438,7 @@ export class SunoBot {
     if (this.authManager) {
       await this.authManager.close();
     }
+    this.startedAt = null;
     logger.info('SunoBot closed');
   }
 
@@ -308,7 +452,7 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
   const bot = new SunoBot();
 
   bot.setStatusCallback((status) => {
-    console.log('Status Update:', JSON.stringify(status, null, 2));
+    logger.info('Status Update:', JSON.stringify(status, null, 2));
   });
 
   bot.automateFullProcess({
@@ -317,11 +461,11 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     style: 'Pop, upbeat'
   })
     .then(result => {
-      console.log('Success!', result);
+      logger.info('Success!', result);
       process.exit(0);
     })
     .catch(error => {
-      console.error('Failed:', error);
+      logger.error('Failed:', error);
       process.exit(1);
     });
 }
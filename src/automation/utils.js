@@ -1,3 +1,7 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { DOWNLOAD_FORMATS } from './download-formats.js';
+
 export function sanitizeFilename(filename) {
   // Remove or replace invalid filename characters
   return filename
@@ -31,16 +35,59 @@ export async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Whether a page URL is on the configured Suno site (suno.baseUrl), subdomains
+ * included, so the checks also hold when baseUrl points at a local stand-in
+ * @param {string} url - Page URL
+ * @param {string} baseUrl - config.suno.baseUrl
+ * @returns {boolean}
+ */
+export function isOnSite(url, baseUrl) {
+  try {
+    const page = new URL(url);
+    const site = new URL(baseUrl);
+    return page.port === site.port &&
+      (page.hostname === site.hostname || page.hostname.endsWith(`.${site.hostname}`));
+  } catch (error) {
+    return false;
+  }
+}
+
 export function generateTimestamp() {
   const now = new Date();
   return now.toISOString().replace(/[:.]/g, '-').substring(0, 19);
 }
 
-export function createLogger(prefix = '') {
-  return {
-    info: (...args) => console.log(`[${prefix}]`, ...args),
-    warn: (...args) => console.warn(`[${prefix}]`, ...args),
-    error: (...args) => console.error(`[${prefix}]`, ...args),
-    debug: (...args) => console.debug(`[${prefix}]`, ...args)
-  };
+/**
+ * Downloaded files in a folder (any format in DOWNLOAD_FORMATS), newest first
+ * @param {string} downloadPath - Download folder (created if missing)
+ * @returns {Promise<Array<Object>>} { filename, format, size, created, modified }
+ */
+export async function listDownloads(downloadPath) {
+  await fs.ensureDir(downloadPath);
+
+  const formatsByExtension = Object.fromEntries(
+    Object.entries(DOWNLOAD_FORMATS).map(([name, spec]) => [`.${spec.extension}`, name])
+  );
+
+  const files = await fs.readdir(downloadPath);
+  const songFiles = files.filter(f => formatsByExtension[path.extname(f).toLowerCase()]);
+
+  const songs = await Promise.all(
+    songFiles.map(async (filename) => {
+      const filepath = path.join(downloadPath, filename);
+      const stats = await fs.stat(filepath);
+
+      return {
+        filename,
+        format: formatsByExtension[path.extname(filename).toLowerCase()],
+        size: stats.size,
+        created: stats.birthtime,
+        modified: stats.mtime
+      };
+    })
+  );
+
+  // Sort by modification time (newest first)
+  return songs.sort((a, b) => b.modified - a.modified);
 }
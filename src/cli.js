@@ -0,0 +1,687 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import path from 'path';
+import fs from 'fs-extra';
+import settings from './config/settings.js';
+import stylePresetManager from './config/style-presets.js';
+import accountManager, { LOGIN_STATUS } from './config/accounts.js';
+import { SunoBot } from './automation/suno-bot.js';
+import { listDownloads } from './automation/utils.js';
+import { CancellationToken, CancelledError } from './automation/cancellation.js';
+import { InsufficientCreditsError, CREDITS_PER_GENERATION } from './automation/credit-reader.js';
+import { planBatch, runBatch, summarizeBatch } from './workflows/batch-create.js';
+import { FORMAT_NAMES, parseFormats } from './automation/download-formats.js';
+import { readSongMetadata } from './automation/song-metadata.js';
+import { retagDownloads } from './automation/song-tags.js';
+import { publishSong } from './workflows/publish-song.js';
+import logManager from './logging/logger.js';
+
+/**
+ * Command-line interface for scripting without the web UI
+ *
+ *   suno create --preset lofi-03 --title "Night Drive"
+ *   suno batch --preset lofi-03 --count 10 --random
+ *   suno publish downloads/song.mp3 --privacy unlisted
+ *   suno presets export --out presets.json
+ *   suno library ls
+ *   suno library tag
+ *   suno auth test --account work
+ *
+ * Every command takes --json (print one JSON object on stdout) and
+ * --verbose (print the automation logs on stderr). Exit codes are listed in
+ * EXIT_CODES. Don't run browser commands while the server has a browser
+ * open for the same account - both would use the same Chrome profile.
+ */
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  PARTIAL: 3, // Batch (or re-tag) finished, but some songs failed
+  AUTH_FAILED: 4,
+  NO_CREDITS: 5,
+  INTERRUPTED: 130 // Ctrl+C
+};
+
+const COMMON_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const LYRICS_OPTIONS = {
+  lyrics: { type: 'string' },
+  'lyrics-file': { type: 'string' }
+};
+
+/**
+ * Thrown for bad arguments - printed with the command's usage, exit code 2
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Shared browser session, reused by every song of a command
+let currentBot = null;
+let interruptToken = null;
+
+const COMMANDS = {
+  create: {
+    usage: 'suno create (--preset <id> | --style <text>) [--title <text>] [--lyrics <text> | --lyrics-file <path>] [--account <id>] [--formats mp3,wav,mp4,stems]',
+    description: 'Create one song, wait for it and download both versions',
+    options: {
+      preset: { type: 'string' },
+      style: { type: 'string' },
+      title: { type: 'string' },
+      account: { type: 'string' },
+      formats: { type: 'string' },
+      ...LYRICS_OPTIONS
+    },
+    run: createCommand
+  },
+
+  batch: {
+    usage: 'suno batch --preset <id> [--count <n>] [--random] [--lyrics <text> | --lyrics-file <path>] [--account <id> | --rotate-accounts] [--allow-partial] [--formats mp3,wav,mp4,stems]',
+    description: 'Create a batch of songs with one preset (or random presets of its category)',
+    options: {
+      preset: { type: 'string' },
+      count: { type: 'string', default: '1' },
+      random: { type: 'boolean', default: false },
+      account: { type: 'string' },
+      'rotate-accounts': { type: 'boolean', default: false },
+      'allow-partial': { type: 'boolean', default: false },
+      formats: { type: 'string' },
+      ...LYRICS_OPTIONS
+    },
+    run: batchCommand
+  },
+
+  publish: {
+    usage: 'suno publish <mp3> [--title <text>] [--style <text>] [--lyrics <text> | --lyrics-file <path>] [--image <path>] [--privacy public|unlisted|private]',
+    description: 'Render a video for an MP3 and upload it to YouTube',
+    positionals: 1,
+    options: {
+      title: { type: 'string' },
+      style: { type: 'string' },
+      image: { type: 'string' },
+      privacy: { type: 'string', default: 'public' },
+      ...LYRICS_OPTIONS
+    },
+    run: publishCommand
+  },
+
+  'presets ls': {
+    usage: 'suno presets ls [--category <name>] [--favorites]',
+    description: 'List style presets',
+    options: {
+      category: { type: 'string' },
+      favorites: { type: 'boolean', default: false }
+    },
+    run: presetsListCommand
+  },
+
+  'presets export': {
+    usage: 'suno presets export [--ids <id,id,...>] [--out <file>]',
+    description: 'Export style presets as JSON (to stdout unless --out is given)',
+    options: {
+      ids: { type: 'string' },
+      out: { type: 'string' }
+    },
+    run: presetsExportCommand
+  },
+
+  'library ls': {
+    usage: 'suno library ls [--limit <n>]',
+    description: 'List downloaded files, newest first',
+    options: {
+      limit: { type: 'string' }
+    },
+    run: libraryListCommand
+  },
+
+  'library tag': {
+    usage: 'suno library tag [<mp3>...]',
+    description: 'Write ID3 tags into downloaded MP3s again (default: all of them)',
+    positionals: Infinity,
+    options: {},
+    run: libraryTagCommand
+  },
+
+  'auth test': {
+    usage: 'suno auth test [--account <id>]',
+    description: 'Open the browser, log in and read the credit balance',
+    options: {
+      account: { type: 'string' }
+    },
+    run: authTestCommand
+  }
+};
+
+// ========================================
+// Commands
+// ========================================
+
+async function createCommand({ values }, output) {
+  let style = values.style;
+  let title = values.title;
+  let preset = null;
+
+  if (values.preset) {
+    preset = getPresetOrThrow(values.preset);
+    style = style || preset.style;
+    title = title || preset.name;
+    await stylePresetManager.incrementUsage(preset.id);
+  }
+
+  if (!style) {
+    throw new UsageError('Pass --preset or --style');
+  }
+
+  const lyrics = await readLyrics(values);
+  const formats = readFormats(values);
+  const token = newInterruptToken();
+  const bot = await openBot(values.account);
+
+  output.progress(`Creating "${title || 'Untitled'}"...`);
+  const created = await bot.createSong({ title, lyrics, style }, token);
+
+  output.progress('Waiting for Suno to generate...');
+  await bot.waitForCompletion(created.sanitizedTitle, null, token);
+
+  output.progress('Downloading...');
+  const result = await bot.downloadBothSongs(created.sanitizedTitle, token, {
+    clipIds: created.clipIds,
+    formats,
+    song: { title, lyrics, style, presetId: preset?.id || null, presetName: preset?.name || null }
+  });
+
+  return {
+    title: created.sanitizedTitle,
+    style,
+    accountId: bot.account?.id || null,
+    clipIds: result.clipIds,
+    downloads: result.downloads.map(d => d.path)
+  };
+}
+
+async function batchCommand({ values }, output) {
+  if (!values.preset) {
+    throw new UsageError('--preset is required');
+  }
+
+  const numberOfSongs = parseCount(values.count, '--count');
+  if (numberOfSongs > 50) {
+    throw new UsageError('--count must be between 1 and 50');
+  }
+
+  const preset = getPresetOrThrow(values.preset);
+  const categoryPresets = values.random
+    ? stylePresetManager.getAllPresets().filter(p => p.category === preset.category)
+    : [preset];
+  const lyrics = await readLyrics(values);
+  const formats = readFormats(values);
+
+  const checkpoint = planBatch({
+    preset,
+    categoryPresets,
+    numberOfSongs,
+    randomStylePresets: values.random
+  });
+
+  const songAccounts = values['rotate-accounts']
+    ? accountManager.getRotation(numberOfSongs)
+    : checkpoint.songs.map(() => getAccountOrThrow(values.account).id);
+  checkpoint.songs.forEach((song, i) => {
+    song.accountId = songAccounts[i];
+  });
+
+  for (const song of checkpoint.songs) {
+    await stylePresetManager.incrementUsage(song.presetId);
+  }
+
+  const token = newInterruptToken();
+  const bot = await openBot(checkpoint.songs[0].accountId);
+
+  // Same up-front credit check as the server's batch job
+  const creditsNeeded = checkpoint.songs.filter(s => s.accountId === bot.account.id).length * CREDITS_PER_GENERATION;
+  if (bot.credits !== null && bot.credits < creditsNeeded && !values['allow-partial']) {
+    throw new InsufficientCreditsError(
+      bot.credits,
+      creditsNeeded,
+      `Not enough Suno credits: ${bot.credits} left, ${creditsNeeded} needed (pass --allow-partial to create what they cover)`
+    );
+  }
+
+  let stoppedEarly = null;
+  try {
+    await runBatch(bot, checkpoint, {
+      creditsPerSong: CREDITS_PER_GENERATION,
+      getBot: (song) => openBot(song.accountId),
+      lyrics,
+      randomStylePresets: values.random,
+      formats,
+      onProgress: (progress) => output.progress(progress.message),
+      token
+    });
+  } catch (error) {
+    if (!(error instanceof InsufficientCreditsError || error instanceof CancelledError)) {
+      throw error;
+    }
+    stoppedEarly = error;
+  }
+
+  const summary = summarizeBatch(checkpoint);
+  const result = {
+    preset: preset.id,
+    ...summary,
+    stoppedEarly: stoppedEarly?.message || null,
+    songs: checkpoint.songs.map(song => ({
+      title: song.title,
+      presetId: song.presetId,
+      accountId: song.accountId,
+      step: song.step,
+      clipIds: song.clipIds,
+      downloads: song.downloads,
+      error: song.error
+    }))
+  };
+
+  let exitCode = EXIT_CODES.OK;
+  if (stoppedEarly instanceof CancelledError) {
+    exitCode = EXIT_CODES.INTERRUPTED;
+  } else if (stoppedEarly) {
+    exitCode = EXIT_CODES.NO_CREDITS;
+  } else if (summary.failed > 0) {
+    exitCode = summary.success > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILED;
+  }
+
+  return { result, exitCode };
+}
+
+async function publishCommand({ values, positionals }, output) {
+  const [audioPath] = positionals;
+  if (!audioPath) {
+    throw new UsageError('Pass the MP3 to publish');
+  }
+  if (!['public', 'unlisted', 'private'].includes(values.privacy)) {
+    throw new UsageError('--privacy must be public, unlisted or private');
+  }
+  if (!await fs.pathExists(audioPath)) {
+    throw new UsageError(`File not found: ${audioPath}`);
+  }
+
+  // Lyrics, style and image left out come from the download's metadata sidecar
+  const sidecar = await readSongMetadata(audioPath);
+  const result = await publishSong({
+    audioPath: path.resolve(audioPath),
+    title: values.title || sidecar?.title || path.basename(audioPath, path.extname(audioPath)),
+    lyrics: await readLyrics(values),
+    style: values.style || '',
+    imagePath: values.image ? path.resolve(values.image) : null
+  }, {
+    downloadPath: settings.get('downloadPath'),
+    privacy: values.privacy,
+    onProgress: (progress) => output.progress(`[${progress.percent}%] ${progress.message}`)
+  });
+
+  return {
+    videoId: result.videoId,
+    youtubeUrl: result.youtubeUrl,
+    title: result.metadata.title,
+    privacy: result.privacy
+  };
+}
+
+async function presetsListCommand({ values }, output) {
+  let presets = stylePresetManager.getAllPresets();
+  if (values.category) {
+    presets = presets.filter(p => p.category.toLowerCase() === values.category.toLowerCase());
+  }
+  if (values.favorites) {
+    presets = presets.filter(p => p.favorite);
+  }
+
+  output.table(presets, [
+    ['ID', p => p.id],
+    ['CATEGORY', p => p.category],
+    ['NAME', p => `${p.favorite ? '⭐ ' : ''}${p.name}`]
+  ]);
+
+  return { count: presets.length, presets };
+}
+
+async function presetsExportCommand({ values }, output) {
+  const ids = values.ids ? values.ids.split(',').map(id => id.trim()).filter(Boolean) : null;
+  const data = await stylePresetManager.exportPresets(ids);
+
+  if (values.out) {
+    await fs.writeJSON(values.out, data, { spaces: 2 });
+    output.progress(`Exported ${data.presets.length} presets to ${values.out}`);
+    return { count: data.presets.length, file: path.resolve(values.out) };
+  }
+
+  // The export itself is the output - JSON either way
+  output.raw(JSON.stringify(data, null, 2));
+  return null;
+}
+
+async function libraryListCommand({ values }, output) {
+  const limit = values.limit ? parseCount(values.limit, '--limit') : null;
+  const downloadPath = settings.get('downloadPath');
+
+  let songs = await listDownloads(downloadPath);
+  if (limit) {
+    songs = songs.slice(0, limit);
+  }
+
+  output.table(songs, [
+    ['MODIFIED', s => new Date(s.modified).toLocaleString()],
+    ['SIZE', s => `${(s.size / (1024 * 1024)).toFixed(1)} MB`],
+    ['FILE', s => s.filename]
+  ]);
+
+  return { downloadPath, count: songs.length, songs };
+}
+
+async function libraryTagCommand({ positionals }, output) {
+  const downloadPath = settings.get('downloadPath');
+  const { tagged, failed } = await retagDownloads(
+    downloadPath,
+    settings.get('downloads.tags'),
+    positionals.length > 0 ? positionals : null
+  );
+
+  output.table(tagged, [
+    ['TITLE', t => t.title],
+    ['GENRE', t => t.genre || '-'],
+    ['COVER', t => (t.cover ? 'yes' : 'no')],
+    ['FILE', t => t.filename]
+  ]);
+  failed.forEach(f => output.progress(`Could not tag ${f.filename}: ${f.error}`));
+
+  let exitCode = EXIT_CODES.OK;
+  if (failed.length > 0) {
+    exitCode = tagged.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILED;
+  }
+  return { result: { downloadPath, count: tagged.length, tagged, failed }, exitCode };
+}
+
+async function authTestCommand({ values }, output) {
+  const bot = await openBot(values.account);
+  output.progress(`Logged in as ${bot.account.name}`);
+
+  return {
+    authenticated: true,
+    accountId: bot.account.id,
+    credits: bot.credits
+  };
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function getPresetOrThrow(id) {
+  const preset = stylePresetManager.getPreset(id);
+  if (!preset) {
+    throw new UsageError(`Style preset not found: ${id} (see "suno presets ls")`);
+  }
+  return preset;
+}
+
+function getAccountOrThrow(id) {
+  const account = accountManager.getAccount(id);
+  if (!account) {
+    throw new UsageError(`Account not found: ${id}`);
+  }
+  return account;
+}
+
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`${name} must be a positive whole number`);
+  }
+  return count;
+}
+
+async function readLyrics(values) {
+  if (values['lyrics-file']) {
+    return await fs.readFile(values['lyrics-file'], 'utf8');
+  }
+  return values.lyrics || '';
+}
+
+// --formats, or null for the downloads.formats setting
+function readFormats(values) {
+  const { formats, unknown } = parseFormats(values.formats);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown format(s) ${unknown.join(', ')} - expected ${FORMAT_NAMES.join(', ')}`);
+  }
+  return formats;
+}
+
+function newInterruptToken() {
+  interruptToken = new CancellationToken();
+  return interruptToken;
+}
+
+/**
+ * Log in with an account, reusing the open browser when it's the same one
+ */
+async function openBot(accountId) {
+  const account = getAccountOrThrow(accountId);
+
+  if (currentBot && currentBot.account?.id === account.id) {
+    return currentBot;
+  }
+  await closeBot();
+
+  const bot = new SunoBot(true, account);
+  currentBot = bot;
+  bot.setStatusCallback((status) => {
+    if (status.status === 'credits') {
+      accountManager.setCredits(account.id, status.credits).catch(() => {});
+    }
+  });
+
+  await bot.initialize();
+
+  try {
+    await bot.login();
+  } catch (error) {
+    await accountManager.setLoginStatus(account.id, LOGIN_STATUS.FAILED, error.message);
+    error.exitCode = EXIT_CODES.AUTH_FAILED;
+    throw error;
+  }
+
+  await accountManager.setLoginStatus(account.id, LOGIN_STATUS.LOGGED_IN);
+  return bot;
+}
+
+async function closeBot() {
+  if (currentBot) {
+    const bot = currentBot;
+    currentBot = null;
+    await bot.close().catch(() => {});
+  }
+}
+
+/**
+ * Human output goes to stderr (progress) and stdout (tables); with --json,
+ * stdout only gets the final result object
+ */
+function createOutput(json) {
+  let printed = false; // Whether a table or raw output already showed the result
+
+  return {
+    progress(message) {
+      if (!json && message) {
+        console.error(message);
+      }
+    },
+    table(rows, columns) {
+      if (json) return;
+      printed = true;
+      if (rows.length === 0) {
+        console.log('(none)');
+        return;
+      }
+
+      const cells = rows.map(row => columns.map(([, get]) => String(get(row) ?? '')));
+      const widths = columns.map(([title], i) => Math.max(title.length, ...cells.map(c => c[i].length)));
+      const format = (values) => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+
+      console.log(format(columns.map(([title]) => title)));
+      cells.forEach(c => console.log(format(c)));
+    },
+    raw(text) {
+      printed = true;
+      console.log(text);
+    },
+    result(result) {
+      if (json && result !== null) {
+        console.log(JSON.stringify(result, null, 2));
+      } else if (!json && result && !printed) {
+        // Commands without a table print their result as key: value lines
+        for (const [key, value] of Object.entries(result)) {
+          if (value !== null && typeof value !== 'object') {
+            console.log(`${key}: ${value}`);
+          } else if (Array.isArray(value) && value.every(v => typeof v === 'string')) {
+            value.forEach(v => console.log(`${key}: ${v}`));
+          }
+        }
+      }
+    },
+    error(error, exitCode) {
+      if (json) {
+        console.log(JSON.stringify({ error: error.message, exitCode }, null, 2));
+      } else {
+        console.error(`❌ ${error.message}`);
+      }
+    }
+  };
+}
+
+function printHelp() {
+  console.log('Usage: suno <command> [options]\n');
+  console.log('Commands:');
+  for (const command of Object.values(COMMANDS)) {
+    console.log(`  ${command.usage}`);
+    console.log(`      ${command.description}\n`);
+  }
+  console.log('Options for every command:');
+  console.log('  --json        Print one JSON object on stdout (errors too)');
+  console.log('  -v, --verbose Print automation logs on stderr');
+  console.log('  -h, --help    Show this help\n');
+  console.log('Exit codes:');
+  console.log('  0 ok, 1 failed, 2 bad arguments, 3 batch partly failed, 4 login failed, 5 out of credits, 130 interrupted');
+}
+
+/**
+ * Find the command in argv ("batch", "presets export", ...) and parse its options
+ */
+function parseCommand(argv) {
+  const [first, second] = argv;
+  const name = COMMANDS[`${first} ${second}`] ? `${first} ${second}` : first;
+  const command = COMMANDS[name];
+
+  if (!command) {
+    return { name: null, command: null, args: null };
+  }
+
+  const { values, positionals } = parseArgs({
+    args: argv.slice(name.split(' ').length),
+    options: { ...COMMON_OPTIONS, ...command.options },
+    allowPositionals: true,
+    strict: true
+  });
+
+  if (positionals.length > (command.positionals || 0)) {
+    throw new UsageError(`Unexpected argument: ${positionals[command.positionals || 0]}`);
+  }
+
+  return { name, command, args: { values, positionals } };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const json = argv.includes('--json');
+  const output = createOutput(json);
+  let parsed;
+
+  try {
+    parsed = parseCommand(argv);
+  } catch (error) {
+    // parseArgs throws TypeErrors for unknown options and missing values
+    output.error(error, EXIT_CODES.USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { command, args } = parsed;
+
+  if (!command) {
+    if (argv.length === 0 || argv.includes('--help') || argv.includes('-h')) {
+      printHelp();
+      return EXIT_CODES.OK;
+    }
+    output.error(new Error(`Unknown command: ${argv.join(' ')} (see "suno --help")`), EXIT_CODES.USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (args.values.help) {
+    console.log(`Usage: ${command.usage}\n\n${command.description}`);
+    return EXIT_CODES.OK;
+  }
+
+  try {
+    await settings.load();
+  } catch (error) {
+    output.error(error, EXIT_CODES.FAILED);
+    return EXIT_CODES.FAILED;
+  }
+  logManager.configure({ ...settings.get('logging'), console: args.values.verbose, stderr: true });
+
+  // First Ctrl+C stops after the current step, like the Stop button; the second one exits
+  process.on('SIGINT', () => {
+    if (interruptToken && !interruptToken.isCancelled) {
+      output.progress('Stopping after the current step... (Ctrl+C again to quit now)');
+      interruptToken.cancel('Interrupted');
+      return;
+    }
+    closeBot().finally(() => process.exit(EXIT_CODES.INTERRUPTED));
+  });
+
+  try {
+    const returned = await command.run(args, output);
+    const { result, exitCode } = returned && 'exitCode' in returned
+      ? returned
+      : { result: returned, exitCode: EXIT_CODES.OK };
+
+    output.result(result);
+    return exitCode;
+  } catch (error) {
+    let exitCode = error.exitCode || EXIT_CODES.FAILED;
+    if (error instanceof UsageError) {
+      exitCode = EXIT_CODES.USAGE;
+    } else if (error instanceof InsufficientCreditsError) {
+      exitCode = EXIT_CODES.NO_CREDITS;
+    } else if (error instanceof CancelledError) {
+      exitCode = EXIT_CODES.INTERRUPTED;
+    }
+
+    output.error(error, exitCode);
+    if (error instanceof UsageError && !json) {
+      console.error(`Usage: ${command.usage}`);
+    }
+    return exitCode;
+  } finally {
+    await closeBot();
+  }
+}
+
+// Exit explicitly - Playwright can leave handles open after the browser is closed
+process.exit(await main());
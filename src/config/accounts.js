@@ -0,0 +1,331 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import credentialManager from './credentials.js';
+import { createLogger } from '../logging/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('Accounts');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const ACCOUNTS_FILE = path.join(ROOT_DIR, 'config/accounts.json');
+
+// The original single-account profile - the default account keeps using it
+const DEFAULT_PROFILE_DIR = 'playwright/.auth/chrome-profile';
+const PROFILES_DIR = 'playwright/.auth/profiles';
+
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+export const LOGIN_STATUS = {
+  UNKNOWN: 'unknown',
+  LOGGED_IN: 'logged_in',
+  FAILED: 'failed'
+};
+
+/**
+ * AccountManager - Named Suno accounts, each with its own Chrome profile
+ *
+ * Every account gets a separate persistent profile directory, so each one
+ * keeps its own Suno session. Credentials are encrypted per account with the
+ * same key as the CredentialManager. The default account uses the original
+ * profile directory and falls back to the original .credentials.enc file,
+ * so existing single-account setups keep working unchanged.
+ */
+export class AccountManager {
+  constructor(accountsFile = ACCOUNTS_FILE) {
+    this.accountsFile = accountsFile;
+    this.accounts = [];
+    this.defaultAccountId = DEFAULT_ACCOUNT_ID;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.accountsFile)) {
+        const data = await fs.readJSON(this.accountsFile);
+        this.accounts = data.accounts || [];
+        this.defaultAccountId = data.defaultAccountId || DEFAULT_ACCOUNT_ID;
+      } else {
+        this.accounts = [];
+      }
+    } catch (error) {
+      logger.error('Error loading accounts:', error);
+      this.accounts = [];
+    }
+
+    if (this.accounts.length === 0) {
+      this.accounts.push(this.buildAccount(DEFAULT_ACCOUNT_ID, 'Default', DEFAULT_PROFILE_DIR));
+      await this.save();
+    }
+
+    if (!this.getAccount(this.defaultAccountId)) {
+      this.defaultAccountId = this.accounts[0].id;
+    }
+
+    return this.accounts;
+  }
+
+  async save() {
+    try {
+      await fs.ensureDir(path.dirname(this.accountsFile));
+      await fs.writeJSON(this.accountsFile, {
+        accounts: this.accounts,
+        defaultAccountId: this.defaultAccountId,
+        lastUpdated: new Date().toISOString()
+      }, { spaces: 2 });
+    } catch (error) {
+      logger.error('Error saving accounts:', error);
+      throw error;
+    }
+  }
+
+  buildAccount(id, name, profileDir) {
+    return {
+      id,
+      name,
+      email: null,
+      credentials: null, // Encrypted { email, password }
+      profileDir,
+      loginStatus: LOGIN_STATUS.UNKNOWN,
+      loginCheckedAt: null,
+      loginError: null,
+      lastUsedAt: null,
+      creditBalance: null, // Last balance read from the Suno UI
+      creditsCheckedAt: null,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get an account by id, or the default account when no id is given
+   */
+  getAccount(id = null) {
+    return this.accounts.find(a => a.id === (id || this.defaultAccountId)) || null;
+  }
+
+  getAllAccounts() {
+    return this.accounts;
+  }
+
+  getDefaultAccount() {
+    return this.getAccount(this.defaultAccountId);
+  }
+
+  /**
+   * Absolute path of an account's Chrome profile directory
+   */
+  getProfileDir(account) {
+    return path.resolve(ROOT_DIR, account.profileDir);
+  }
+
+  /**
+   * Account info that is safe to send to the client (no credentials)
+   */
+  async toPublic(account) {
+    const { credentials, ...rest } = account;
+    let email = account.email;
+    let hasCredentials = !!credentials;
+
+    if (!credentials && account.id === DEFAULT_ACCOUNT_ID) {
+      const legacy = await credentialManager.loadCredentials();
+      email = legacy?.email || null;
+      hasCredentials = !!legacy;
+    }
+
+    return {
+      ...rest,
+      email,
+      hasCredentials,
+      isDefault: account.id === this.defaultAccountId
+    };
+  }
+
+  /**
+   * Create an account with its own profile directory
+   * @param {Object} data
+   * @param {string} data.name - Display name, also used to derive the id
+   * @param {string} data.email - Google email (optional, for automated login)
+   * @param {string} data.password - Google password (optional)
+   */
+  async createAccount({ name, email, password }) {
+    if (!name || !name.trim()) {
+      throw new Error('Account name is required');
+    }
+
+    const id = this.generateId(name);
+    const account = this.buildAccount(id, name.trim(), `${PROFILES_DIR}/${id}`);
+    this.accounts.push(account);
+
+    if (email && password) {
+      this.setCredentials(account, email, password);
+    }
+
+    await fs.ensureDir(this.getProfileDir(account));
+    await this.save();
+
+    return account;
+  }
+
+  async updateAccount(id, { name, email, password }) {
+    const account = this.accounts.find(a => a.id === id);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    if (name) {
+      account.name = name.trim();
+    }
+
+    if (email && password) {
+      this.setCredentials(account, email, password);
+    }
+
+    account.updatedAt = new Date().toISOString();
+    await this.save();
+
+    return account;
+  }
+
+  /**
+   * Delete an account. Its profile directory is left on disk, so the
+   * session is not lost if the account is added again with the same name.
+   */
+  async deleteAccount(id) {
+    if (this.accounts.length === 1) {
+      throw new Error('Cannot delete the only account');
+    }
+
+    const index = this.accounts.findIndex(a => a.id === id);
+    if (index === -1) {
+      throw new Error('Account not found');
+    }
+
+    this.accounts.splice(index, 1);
+
+    if (this.defaultAccountId === id) {
+      this.defaultAccountId = this.accounts[0].id;
+    }
+
+    await this.save();
+  }
+
+  async setDefaultAccount(id) {
+    if (!this.accounts.find(a => a.id === id)) {
+      throw new Error('Account not found');
+    }
+
+    this.defaultAccountId = id;
+    await this.save();
+  }
+
+  setCredentials(account, email, password) {
+    account.email = email;
+    account.credentials = credentialManager.encrypt(JSON.stringify({
+      email,
+      password,
+      savedAt: new Date().toISOString()
+    }));
+  }
+
+  async clearCredentials(id) {
+    const account = this.accounts.find(a => a.id === id);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    account.email = null;
+    account.credentials = null;
+    await this.save();
+  }
+
+  /**
+   * Decrypted credentials of an account
+   * @returns {Promise<Object|null>} { email, password, savedAt }, or null if none are saved
+   */
+  async getCredentials(account) {
+    if (account.credentials) {
+      try {
+        return JSON.parse(credentialManager.decrypt(account.credentials));
+      } catch (error) {
+        logger.error(`Error decrypting credentials for account "${account.id}":`, error.message);
+        return null;
+      }
+    }
+
+    // The default account falls back to the original single-account credentials
+    if (account.id === DEFAULT_ACCOUNT_ID) {
+      return await credentialManager.loadCredentials();
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the result of the latest login attempt for an account
+   */
+  async setLoginStatus(id, status, error = null) {
+    const account = this.accounts.find(a => a.id === id);
+    if (!account) {
+      return;
+    }
+
+    account.loginStatus = status;
+    account.loginError = error;
+    account.loginCheckedAt = new Date().toISOString();
+    if (status === LOGIN_STATUS.LOGGED_IN) {
+      account.lastUsedAt = account.loginCheckedAt;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Record the latest credit balance read for an account
+   */
+  async setCredits(id, creditBalance) {
+    const account = this.accounts.find(a => a.id === id);
+    if (!account) {
+      return;
+    }
+
+    account.creditBalance = creditBalance;
+    account.creditsCheckedAt = new Date().toISOString();
+    await this.save();
+  }
+
+  /**
+   * Split songs across accounts for a rotating batch. Songs are handed out in
+   * contiguous blocks, so the browser only switches profiles between blocks.
+   * @param {number} count - Number of songs
+   * @param {Array<string>} accountIds - Accounts to rotate across (default: all)
+   * @returns {Array<string>} Account id for each song
+   */
+  getRotation(count, accountIds = null) {
+    const ids = accountIds && accountIds.length > 0
+      ? accountIds
+      : this.accounts.map(a => a.id);
+
+    return Array.from({ length: count }, (_, i) => ids[Math.floor(i * ids.length / count)]);
+  }
+
+  generateId(name) {
+    const base = name.toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'account';
+
+    let id = base;
+    let suffix = 2;
+    while (this.accounts.some(a => a.id === id)) {
+      id = `${base}-${suffix++}`;
+    }
+
+    return id;
+  }
+}
+
+// Export singleton instance
+const accountManager = new AccountManager();
+await accountManager.load();
+
+export default accountManager;
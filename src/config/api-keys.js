@@ -0,0 +1,189 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('ApiKeys');
+
+const API_KEYS_FILE = path.join(__dirname, '../../config/api-keys.json');
+
+// Prefix makes keys easy to recognize (and to grep for in leaked logs)
+const KEY_PREFIX = 'sak_';
+
+/**
+ * ApiKeyManager - API keys for the HTTP API and WebSocket
+ *
+ * Auth is off until it is enabled, and it can only be enabled once at least
+ * one key exists. Only a SHA-256 hash of each key is stored; the key itself
+ * is shown once, when it is created. To recover from a lost key, stop the
+ * server and delete config/api-keys.json.
+ */
+export class ApiKeyManager {
+  constructor(keysFile = API_KEYS_FILE) {
+    this.keysFile = keysFile;
+    this.enabled = false;
+    this.keys = [];
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.keysFile)) {
+        const data = await fs.readJSON(this.keysFile);
+        this.enabled = !!data.enabled;
+        this.keys = data.keys || [];
+      }
+    } catch (error) {
+      logger.error('Error loading API keys:', error);
+      this.enabled = false;
+      this.keys = [];
+    }
+
+    // Never lock everyone out with an empty key list
+    if (this.enabled && this.keys.length === 0) {
+      this.enabled = false;
+    }
+
+    return this.keys;
+  }
+
+  async save() {
+    try {
+      await fs.ensureDir(path.dirname(this.keysFile));
+      await fs.writeJSON(this.keysFile, {
+        enabled: this.enabled,
+        keys: this.keys,
+        lastUpdated: new Date().toISOString()
+      }, { spaces: 2 });
+    } catch (error) {
+      logger.error('Error saving API keys:', error);
+      throw error;
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  async setEnabled(enabled) {
+    if (enabled && this.keys.length === 0) {
+      throw new Error('Create an API key before enabling authentication');
+    }
+
+    this.enabled = !!enabled;
+    await this.save();
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a key
+   * @param {string} name - What the key is for (e.g. "Browser", "Cron script")
+   * @returns {Promise<Object>} { key, info } - key is the plain key, only returned here
+   */
+  async createKey(name) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+    const info = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name || 'API key',
+      hash: this.hash(key),
+      preview: `${key.slice(0, KEY_PREFIX.length + 4)}…${key.slice(-4)}`,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.keys.push(info);
+    await this.save();
+
+    return { key, info: this.toPublic(info) };
+  }
+
+  /**
+   * Delete a key. Deleting the last key turns auth off again.
+   */
+  async deleteKey(id) {
+    const index = this.keys.findIndex(k => k.id === id);
+    if (index === -1) {
+      throw new Error('API key not found');
+    }
+
+    this.keys.splice(index, 1);
+
+    if (this.keys.length === 0) {
+      this.enabled = false;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Check a key against the stored hashes
+   * @returns {Object|null} The matching key info, or null
+   */
+  verify(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+
+    const hash = Buffer.from(this.hash(key), 'hex');
+    const match = this.keys.find(k =>
+      crypto.timingSafeEqual(hash, Buffer.from(k.hash, 'hex'))
+    );
+
+    if (match) {
+      // Not saved on every request - persisted with the next write
+      match.lastUsedAt = new Date().toISOString();
+    }
+
+    return match || null;
+  }
+
+  getAllKeys() {
+    return this.keys.map(k => this.toPublic(k));
+  }
+
+  /**
+   * Key info that is safe to send to the client (no hash)
+   */
+  toPublic(info) {
+    const { hash, ...rest } = info;
+    return rest;
+  }
+}
+
+/**
+ * Get the key a request was sent with: "Authorization: Bearer <key>",
+ * "X-API-Key: <key>", or - where headers can't be set, like the WebSocket
+ * handshake and download links - an "apiKey" query parameter
+ * @param {http.IncomingMessage} req
+ * @param {boolean} allowQuery - Also accept the key from the query string
+ */
+export function getRequestKey(req, allowQuery = false) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  if (allowQuery) {
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('apiKey');
+  }
+
+  return null;
+}
+
+// Export singleton instance
+const apiKeyManager = new ApiKeyManager();
+await apiKeyManager.load();
+
+export default apiKeyManager;
@@ -2,10 +2,13 @@ import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('Credentials');
+
 /**
  * CredentialManager - Secure credential storage with encryption
  *
@@ -83,10 +86,10 @@ export class CredentialManager {
 
       await fs.writeFile(this.credentialsFile, encrypted, 'utf8');
 
-      console.log('Credentials saved successfully (encrypted)');
+      logger.info('Credentials saved successfully (encrypted)');
       return { success: true, message: 'Credentials saved' };
     } catch (error) {
-      console.error('Error saving credentials:', error);
+      logger.error('Error saving credentials:', error);
       throw error;
     }
   }
@@ -105,7 +108,7 @@ export class CredentialManager {
       const decrypted = this.decrypt(encrypted);
       const data = JSON.parse(decrypted);
 
-      console.log('Credentials loaded successfully');
+      logger.info('Credentials loaded successfully');
 
       return {
         email: data.email,
@@ -113,7 +116,7 @@ export class CredentialManager {
         savedAt: data.savedAt
       };
     } catch (error) {
-      console.error('Error loading credentials:', error);
+      logger.error('Error loading credentials:', error);
       // If decryption fails, return null (file might be corrupted)
       return null;
     }
@@ -126,11 +129,11 @@ export class CredentialManager {
     try {
       if (await fs.pathExists(this.credentialsFile)) {
         await fs.remove(this.credentialsFile);
-        console.log('Credentials cleared');
+        logger.info('Credentials cleared');
       }
       return { success: true, message: 'Credentials cleared' };
     } catch (error) {
-      console.error('Error clearing credentials:', error);
+      logger.error('Error clearing credentials:', error);
       throw error;
     }
   }
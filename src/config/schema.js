@@ -0,0 +1,94 @@
+import { FORMATS_SCHEMA } from '../automation/download-formats.js';
+
+/**
+ * Schema of config.json
+ *
+ * Used to validate the file when it is loaded and every change made through
+ * the API (POST /api/settings reuses it as its request body schema). Sections
+ * reject unknown keys, so a typo like "maxWaitMinute" is reported instead of
+ * silently ignored. Nothing is required here - missing values come from
+ * DEFAULT_CONFIG in settings.js.
+ */
+
+const LOG_LEVEL = { type: 'string', enum: ['debug', 'info', 'warn', 'error', 'silent'] };
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 0, description: 'Managed by src/migrations - changes are ignored' },
+    authMethod: { type: 'string', enum: ['google', 'password'] },
+    credentials: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        email: { type: 'string' },
+        password: { type: 'string' }
+      }
+    },
+    downloadPath: { type: 'string', pattern: '\\S' },
+    downloads: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        formats: FORMATS_SCHEMA,
+        tags: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            artist: { type: 'string', maxLength: 200 },
+            album: { type: 'string', maxLength: 200 }
+          }
+        }
+      }
+    },
+    playwright: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        headless: { type: 'boolean' },
+        slowMo: { type: 'integer', minimum: 0, maximum: 5000 },
+        timeout: { type: 'integer', minimum: 1000, maximum: 600000 }
+      }
+    },
+    suno: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        baseUrl: { type: 'string', pattern: '^https?://\\S+$' },
+        pollInterval: { type: 'integer', minimum: 1000, maximum: 600000 },
+        maxWaitMinutes: { type: 'integer', minimum: 1, maximum: 30 },
+        maxWaitTime: { type: 'integer', minimum: 0, description: 'Always maxWaitMinutes in ms' }
+      }
+    },
+    logging: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        level: LOG_LEVEL,
+        modules: { type: 'object', additionalProperties: LOG_LEVEL },
+        maxFileSizeMB: { type: 'number', exclusiveMinimum: 0, maximum: 1024 },
+        maxFiles: { type: 'integer', minimum: 1, maximum: 100 }
+      }
+    }
+  }
+};
+
+/**
+ * Environment variables that override config.json (also read from .env).
+ * Overrides apply for the life of the process and are never written back
+ * to the file. `aliases` are the older names from .env.example.
+ */
+export const ENV_OVERRIDES = [
+  { name: 'SUNO_AUTH_METHOD', aliases: ['AUTH_METHOD'], path: 'authMethod', type: 'string' },
+  { name: 'SUNO_EMAIL', path: 'credentials.email', type: 'string' },
+  { name: 'SUNO_PASSWORD', path: 'credentials.password', type: 'string' },
+  { name: 'SUNO_DOWNLOAD_PATH', aliases: ['DOWNLOAD_PATH'], path: 'downloadPath', type: 'path' },
+  { name: 'SUNO_HEADLESS', aliases: ['HEADLESS'], path: 'playwright.headless', type: 'boolean' },
+  { name: 'SUNO_SLOW_MO', aliases: ['SLOW_MO'], path: 'playwright.slowMo', type: 'integer' },
+  { name: 'SUNO_BROWSER_TIMEOUT', path: 'playwright.timeout', type: 'integer' },
+  { name: 'SUNO_BASE_URL', path: 'suno.baseUrl', type: 'string' },
+  { name: 'SUNO_POLL_INTERVAL', path: 'suno.pollInterval', type: 'integer' },
+  { name: 'SUNO_MAX_WAIT_MINUTES', path: 'suno.maxWaitMinutes', type: 'integer' }
+];
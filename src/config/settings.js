@@ -1,20 +1,39 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { CONFIG_SCHEMA, ENV_OVERRIDES } from './schema.js';
+import { formatErrors } from '../api/validation.js';
+import migrator, { getLatestVersion } from '../migrations/migrator.js';
+import { CONFIG_MIGRATIONS } from '../migrations/steps.js';
+import { DEFAULT_FORMATS } from '../automation/download-formats.js';
+import { createLogger } from '../logging/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const CONFIG_FILE = path.join(__dirname, '../../config.json');
+const logger = createLogger('Settings');
+
+const PROJECT_ROOT = path.join(__dirname, '../..');
+const CONFIG_FILE = path.join(PROJECT_ROOT, 'config.json');
 
 // Default configuration
 const DEFAULT_CONFIG = {
+  schemaVersion: getLatestVersion(CONFIG_MIGRATIONS),
   authMethod: 'google', // 'google' or 'password'
   credentials: {
     email: '',
     password: ''
   },
-  downloadPath: path.join(__dirname, '../../downloads'),
+  downloadPath: path.join(PROJECT_ROOT, 'downloads'),
+  downloads: {
+    formats: DEFAULT_FORMATS, // Files saved per clip: mp3, wav, mp4 and/or stems
+    tags: {
+      enabled: true, // Write ID3 tags into downloaded MP3s
+      artist: 'Suno AI',
+      album: 'Suno Sessions'
+    }
+  },
   playwright: {
     headless: false,
     slowMo: 50,
@@ -23,44 +42,195 @@ const DEFAULT_CONFIG = {
   suno: {
     baseUrl: 'https://suno.com',
     pollInterval: 30000, // Check song status every 30 seconds
-    maxWaitTime: 120000, // Max wait 2 minutes for song completion (in milliseconds)
-    maxWaitMinutes: 2 // Max wait time in minutes (user-friendly setting)
+    maxWaitTime: 600000, // Give up on a generation after 10 minutes (in milliseconds)
+    maxWaitMinutes: 10 // Same limit in minutes (user-friendly setting)
+  },
+  logging: {
+    level: 'info', // debug, info, warn, error or silent
+    modules: {}, // Per-module overrides, e.g. { "DownloadManager": "debug" }
+    maxFileSizeMB: 5, // Rotate logs/app.jsonl at this size
+    maxFiles: 5 // Log files kept, including the current one
   }
 };
 
+/**
+ * A config.json or environment variable that doesn't match the schema.
+ * `errors` uses the same { field, message } shape as API validation errors.
+ */
+export class ConfigValidationError extends Error {
+  constructor(source, errors) {
+    super(`Invalid configuration in ${source}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    this.name = 'ConfigValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+const validateConfig = new Ajv({ allErrors: true, strict: false }).compile(CONFIG_SCHEMA);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge `override` into a copy of `base`; nested objects are merged key by
+ * key, everything else (arrays included) is replaced
+ */
+function deepMerge(base, override) {
+  const result = structuredClone(base);
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : structuredClone(value);
+  }
+  return result;
+}
+
+function setPath(obj, key, value) {
+  const keys = key.split('.');
+  let target = obj;
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (!isPlainObject(target[keys[i]])) {
+      target[keys[i]] = {};
+    }
+    target = target[keys[i]];
+  }
+
+  target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Fill in defaults and check the result against the schema
+ * @throws {ConfigValidationError}
+ */
+function resolveConfig(data, source) {
+  if (!isPlainObject(data)) {
+    throw new ConfigValidationError(source, [{ field: 'config', message: 'must be a JSON object' }]);
+  }
+
+  const config = deepMerge(DEFAULT_CONFIG, data);
+  if (!validateConfig(config)) {
+    throw new ConfigValidationError(source, formatErrors(null, validateConfig.errors));
+  }
+
+  config.schemaVersion = DEFAULT_CONFIG.schemaVersion;
+  return syncWaitTime(config);
+}
+
+// maxWaitMinutes is what users edit; the millisecond value is kept in step with it
+function syncWaitTime(config) {
+  config.suno.maxWaitTime = config.suno.maxWaitMinutes * 60 * 1000;
+  return config;
+}
+
+function parseEnvValue(raw, type) {
+  switch (type) {
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new Error('must be true or false');
+    case 'integer':
+      if (!/^-?\d+$/.test(raw)) throw new Error('must be a whole number');
+      return Number(raw);
+    case 'path':
+      return path.resolve(PROJECT_ROOT, raw);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Apply the SUNO_* variables (see ENV_OVERRIDES) on top of `config`.
+ * Empty variables are ignored, so a blank line in .env changes nothing.
+ * @throws {ConfigValidationError} Naming the variable, not the config key
+ */
+function applyEnvOverrides(config, env = process.env) {
+  const overrides = [];
+  const errors = [];
+  const data = structuredClone(config);
+
+  for (const { name, aliases = [], path: key, type } of ENV_OVERRIDES) {
+    const variable = [name, ...aliases].find(n => env[n] !== undefined && env[n].trim() !== '');
+    if (!variable) {
+      continue;
+    }
+
+    try {
+      setPath(data, key, parseEnvValue(env[variable].trim(), type));
+      overrides.push({ name: variable, key });
+    } catch (error) {
+      errors.push({ field: variable, message: error.message });
+    }
+  }
+
+  if (!validateConfig(data)) {
+    for (const error of formatErrors(null, validateConfig.errors)) {
+      const override = overrides.find(o => o.key === error.field);
+      errors.push({ field: override ? override.name : error.field, message: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError('environment', errors);
+  }
+
+  return { config: syncWaitTime(data), overrides };
+}
+
 class SettingsManager {
   constructor() {
-    this.config = null;
+    this.stored = null; // What config.json holds, with defaults filled in
+    this.config = null; // What the app uses: stored + environment overrides
+    this.envOverrides = [];
   }
 
+  /**
+   * Read config.json (created with the defaults if missing, upgraded if it
+   * was written by an older version) and apply the environment overrides
+   * @throws {ConfigValidationError} If the file or a variable is invalid
+   * @throws {MigrationError} If the file is from a newer version of the app
+   */
   async load() {
-    try {
-      if (await fs.pathExists(CONFIG_FILE)) {
-        const data = await fs.readJSON(CONFIG_FILE);
-        this.config = { ...DEFAULT_CONFIG, ...data };
-      } else {
-        this.config = { ...DEFAULT_CONFIG };
-        await this.save();
+    const exists = await fs.pathExists(CONFIG_FILE);
+    let data = {};
+
+    if (exists) {
+      try {
+        data = await fs.readJSON(CONFIG_FILE);
+      } catch (error) {
+        throw new ConfigValidationError(CONFIG_FILE, [{ field: 'config', message: `is not valid JSON (${error.message.replace(`${CONFIG_FILE}: `, '')})` }]);
+      }
+      if (isPlainObject(data)) {
+        data = await migrator.migrateFile(CONFIG_FILE, CONFIG_MIGRATIONS, data);
       }
-      return this.config;
-    } catch (error) {
-      console.error('Error loading config:', error);
-      this.config = { ...DEFAULT_CONFIG };
-      return this.config;
     }
-  }
 
-  async save(newConfig = null) {
-    if (newConfig) {
-      this.config = { ...this.config, ...newConfig };
+    this.apply(resolveConfig(data, CONFIG_FILE));
+
+    if (!exists) {
+      await this.save();
     }
+    return this.config;
+  }
+
+  apply(stored) {
+    const { config, overrides } = applyEnvOverrides(stored);
+    this.stored = stored;
+    this.config = config;
+    this.envOverrides = overrides;
+  }
 
+  /**
+   * Write the stored settings - environment overrides are never saved
+   */
+  async save() {
     try {
       await fs.ensureFile(CONFIG_FILE);
-      await fs.writeJSON(CONFIG_FILE, this.config, { spaces: 2 });
+      await fs.writeJSON(CONFIG_FILE, this.stored, { spaces: 2 });
       return true;
     } catch (error) {
-      console.error('Error saving config:', error);
+      logger.error('Error saving config:', error);
       return false;
     }
   }
@@ -84,29 +254,45 @@ class SettingsManager {
     return value;
   }
 
+  /**
+   * Replace one value (dotted key) and save
+   * @throws {ConfigValidationError} Nothing is saved if the result is invalid
+   */
   async set(key, value) {
     if (!this.config) {
       await this.load();
     }
 
-    const keys = key.split('.');
-    let obj = this.config;
+    const data = structuredClone(this.stored);
+    setPath(data, key, value);
+    this.apply(resolveConfig(data, 'settings'));
+    await this.save();
+  }
 
-    for (let i = 0; i < keys.length - 1; i++) {
-      const k = keys[i];
-      if (!(k in obj)) {
-        obj[k] = {};
-      }
-      obj = obj[k];
+  /**
+   * Deep-merge `changes` into the stored settings and save
+   * @throws {ConfigValidationError} Nothing is saved if the result is invalid
+   */
+  async update(changes) {
+    if (!this.config) {
+      await this.load();
     }
 
-    obj[keys[keys.length - 1]] = value;
+    this.apply(resolveConfig(deepMerge(this.stored, changes), 'settings'));
     await this.save();
   }
 
   getAll() {
     return this.config;
   }
+
+  /**
+   * Settings currently coming from the environment
+   * @returns {Array<{ name: string, key: string }>} e.g. { name: 'SUNO_HEADLESS', key: 'playwright.headless' }
+   */
+  getEnvOverrides() {
+    return this.envOverrides;
+  }
 }
 
 // Export singleton instance
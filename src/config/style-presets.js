@@ -2,10 +2,15 @@ import fs from 'fs-extra';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import migrator, { migrateData, getLatestVersion, MigrationError } from '../migrations/migrator.js';
+import { STYLE_PRESETS_MIGRATIONS } from '../migrations/steps.js';
+import { createLogger } from '../logging/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('StylePresets');
+
 /**
  * StylePresetManager - Manages music style presets for consistent batch generation
  */
@@ -18,15 +23,19 @@ export class StylePresetManager {
   async load() {
     try {
       if (await fs.pathExists(this.configPath)) {
-        const data = await fs.readJSON(this.configPath);
-        this.presets = data.presets || [];
+        const data = await migrator.migrateFile(this.configPath, STYLE_PRESETS_MIGRATIONS);
+        this.presets = data.presets;
       } else {
         // Initialize with default presets
         this.presets = this.getDefaultPresets();
         await this.save();
       }
     } catch (error) {
-      console.error('Error loading style presets:', error);
+      // Falling back to the defaults would overwrite a newer file on the next save
+      if (error instanceof MigrationError) {
+        throw error;
+      }
+      logger.error('Error loading style presets:', error);
       this.presets = this.getDefaultPresets();
     }
     return this.presets;
@@ -38,10 +47,11 @@ export class StylePresetManager {
       await fs.writeJSON(this.configPath, {
         presets: this.presets,
         version: '1.0.0',
+        schemaVersion: getLatestVersion(STYLE_PRESETS_MIGRATIONS),
         lastUpdated: new Date().toISOString()
       }, { spaces: 2 });
     } catch (error) {
-      console.error('Error saving style presets:', error);
+      logger.error('Error saving style presets:', error);
       throw error;
     }
   }
@@ -601,6 +611,7 @@ export class StylePresetManager {
 
     return {
       version: '1.0.0',
+      schemaVersion: getLatestVersion(STYLE_PRESETS_MIGRATIONS),
       exportedAt: new Date().toISOString(),
       presets: presetsToExport
     };
@@ -612,6 +623,9 @@ export class StylePresetManager {
       throw new Error('Invalid import data');
     }
 
+    // Exports from older versions are upgraded like the presets file
+    data = migrateData(STYLE_PRESETS_MIGRATIONS, data, 'Import').data;
+
     if (merge) {
       // Merge with existing presets (avoid duplicates by name)
       const existingNames = new Set(this.presets.map(p => p.name));
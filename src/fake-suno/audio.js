@@ -0,0 +1,129 @@
+/**
+ * Silent audio files for the fake Suno site's downloads. They are real
+ * MP3/WAV files (players and taggers accept them), just short and quiet.
+ * The video and stems downloads are a bare MP4 container and a ZIP of
+ * silent WAVs.
+ */
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, joint stereo: 417-byte frames, ~26 ms each
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0x64]);
+const MP3_FRAME_SIZE = 417;
+const MP3_FRAMES_PER_SECOND = 38;
+
+const WAV_SAMPLE_RATE = 8000;
+
+/**
+ * @param {number} seconds - Length of the file
+ * @returns {Buffer}
+ */
+export function silentMp3(seconds = 1) {
+  const frame = Buffer.alloc(MP3_FRAME_SIZE);
+  MP3_FRAME_HEADER.copy(frame);
+
+  const frames = Math.max(1, Math.round(seconds * MP3_FRAMES_PER_SECOND));
+  return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+/**
+ * 16-bit mono PCM
+ * @param {number} seconds - Length of the file
+ * @returns {Buffer}
+ */
+export function silentWav(seconds = 1) {
+  const dataSize = Math.round(seconds * WAV_SAMPLE_RATE) * 2;
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);               // fmt chunk size
+  header.writeUInt16LE(1, 20);                // PCM
+  header.writeUInt16LE(1, 22);                // mono
+  header.writeUInt32LE(WAV_SAMPLE_RATE, 24);
+  header.writeUInt32LE(WAV_SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);                // block align
+  header.writeUInt16LE(16, 34);               // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+
+  return Buffer.concat([header, Buffer.alloc(dataSize)]);
+}
+
+/**
+ * MP4 container with only a file type box - recognized as video, no frames
+ * @returns {Buffer}
+ */
+export function placeholderMp4() {
+  const ftyp = Buffer.alloc(24);
+  ftyp.writeUInt32BE(24, 0);
+  ftyp.write('ftyp', 4);
+  ftyp.write('isom', 8);                      // major brand
+  ftyp.writeUInt32BE(0x200, 12);              // minor version
+  ftyp.write('isommp41', 16);                 // compatible brands
+  return ftyp;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * ZIP (stored, no compression) with a silent WAV per stem, like Suno's stems download
+ * @param {number} seconds - Length of each stem
+ * @returns {Buffer}
+ */
+export function stemsZip(seconds = 1) {
+  const files = ['Vocals.wav', 'Instrumental.wav'].map(name => ({ name: Buffer.from(name), data: silentWav(seconds) }));
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const crc = crc32(file.data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);      // local file header
+    header.writeUInt16LE(20, 4);              // version needed
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(file.data.length, 18);
+    header.writeUInt32LE(file.data.length, 22);
+    header.writeUInt16LE(file.name.length, 26);
+    local.push(header, file.name, file.data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);       // central directory entry
+    entry.writeUInt16LE(20, 4);               // version made by
+    entry.writeUInt16LE(20, 6);               // version needed
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(file.data.length, 20);
+    entry.writeUInt32LE(file.data.length, 24);
+    entry.writeUInt16LE(file.name.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, file.name);
+
+    offset += header.length + file.name.length + file.data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);           // end of central directory
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...local, directory, end]);
+}
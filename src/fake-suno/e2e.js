@@ -0,0 +1,309 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { startFakeSuno } from './server.js';
+import { SunoBot } from '../automation/suno-bot.js';
+import { readSongMetadata } from '../automation/song-metadata.js';
+import { readId3Tag } from '../automation/id3.js';
+
+/**
+ * End-to-end run of the real automation against the fake Suno site
+ *
+ * Starts the fake site on a free port, points the app at it through SUNO_*
+ * variables (headless browser, short polling, a temporary download folder)
+ * and runs each scenario in a fresh browser. Exits 1 if any scenario fails.
+ *
+ *   npm run test:e2e
+ *   npm run test:e2e -- captcha      (only scenarios whose name contains "captcha")
+ */
+
+const SCENARIOS = [
+  {
+    name: 'create → wait → download',
+    options: {},
+    async run({ bot, downloadPath }) {
+      await bot.createSong({ title: 'E2E Song', lyrics: 'La la la', style: 'Lo-fi, chill' });
+      await bot.waitForCompletion('E2E Song', 60000);
+      const result = await bot.downloadBothSongs('E2E Song');
+
+      assert(result.count === 2, `expected 2 downloads, got ${result.count}`);
+      for (const download of result.downloads) {
+        assert(download.path.startsWith(downloadPath), `download saved outside the download folder: ${download.path}`);
+        assert((await fs.stat(download.path)).size > 0, `${download.filename} is empty`);
+      }
+    }
+  },
+  {
+    name: 'clips and audio are read from Suno\'s API responses',
+    options: { generationDelayMs: 2000 },
+    async run({ bot, fake }) {
+      const created = await bot.createSong({ title: 'E2E Api', lyrics: '', style: 'Disco' });
+      const ids = fake.state.clips.map(c => c.id);
+      assert(created.clipIds?.length === 2 && created.clipIds.every(id => ids.includes(id)), `createSong returned clip IDs ${created.clipIds}`);
+
+      await bot.waitForCompletion('E2E Api', 30000);
+      assert(bot.clipCapture.getClip(created.clipIds[0])?.status === 'complete', 'clip status was not captured');
+
+      const result = await bot.downloadBothSongs('E2E Api');
+      assert(result.downloads.every(d => d.source === 'api'), `expected direct downloads, got: ${result.downloads.map(d => d.source).join(', ')}`);
+    }
+  },
+  {
+    name: 'songs created in the meantime are not downloaded',
+    options: { generationDelayMs: 2000 },
+    async run({ bot, fake }) {
+      const created = await bot.createSong({ title: 'E2E Ours', lyrics: '', style: 'Soul' });
+
+      // Someone else creates a song in the same account, so it tops the library
+      await fetch(`${fake.url}/api/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'Not Ours', style: 'Metal' })
+      });
+
+      await bot.waitForCompletion('E2E Ours', 30000);
+      const result = await bot.downloadBothSongs('E2E Ours');
+      assert(result.clipIds.join() === created.clipIds.join(), `downloaded clips ${result.clipIds} instead of ${created.clipIds}`);
+      const downloaded = fake.state.downloads.map(d => d.id);
+      assert(downloaded.every(id => created.clipIds.includes(id)), `downloaded someone else's clips: ${downloaded.join(', ')}`);
+      assert(result.downloads.map(d => d.clipId).join() === created.clipIds.join(), 'downloads are missing their clip IDs');
+    }
+  },
+  {
+    name: 'WAV, video and stems are downloaded alongside MP3',
+    options: { generationDelayMs: 1000, prepareMs: 2000 },
+    async run({ bot, fake }) {
+      await bot.createSong({ title: 'E2E Formats', lyrics: '', style: 'Jazz' });
+      await bot.waitForCompletion('E2E Formats', 30000);
+      const result = await bot.downloadBothSongs('E2E Formats', null, { formats: ['mp3', 'wav', 'mp4', 'stems'] });
+
+      assert(result.count === 2 && result.downloads.length === 8, `expected 8 files for 2 clips, got ${result.downloads.length}`);
+      const extensions = result.downloads.map(d => path.extname(d.filename)).sort().join();
+      assert(extensions === '.mp3,.mp3,.mp4,.mp4,.wav,.wav,.zip,.zip', `unexpected files: ${extensions}`);
+
+      // WAV and stems have no URL in the clip data, so they go through the preparing dialog
+      const fromMenu = result.downloads.filter(d => d.source === 'menu').map(d => d.format).sort().join();
+      assert(fromMenu === 'stems,stems,wav,wav', `expected WAV and stems from the menu, got: ${fromMenu}`);
+      const served = fake.state.downloads.map(d => d.format);
+      assert(['wav', 'stems'].every(format => served.includes(format)), `the fake site served ${served.join(', ')}`);
+    }
+  },
+  {
+    name: 'cover art and metadata are saved next to the audio',
+    options: { generationDelayMs: 1000 },
+    async run({ bot, fake }) {
+      const created = await bot.createSong({ title: 'E2E Sidecar', lyrics: 'Hello sidecar', style: 'Funk' });
+      await bot.waitForCompletion('E2E Sidecar', 30000);
+      const result = await bot.downloadBothSongs('E2E Sidecar');
+
+      for (const download of result.downloads) {
+        const metadata = await readSongMetadata(download.path);
+        assert(metadata?.metadataPath === download.metadataPath, `no sidecar for ${download.filename}`);
+        assert(metadata.clipId === download.clipId && created.clipIds.includes(metadata.clipId), `sidecar has clip ${metadata.clipId}`);
+        assert(metadata.songUrl === `${fake.url}/song/${metadata.clipId}`, `unexpected song URL ${metadata.songUrl}`);
+        assert(metadata.style === 'Funk' && metadata.lyrics === 'Hello sidecar', 'style or lyrics missing from the sidecar');
+        assert(metadata.coverPath && (await fs.stat(metadata.coverPath)).size > 0, 'cover art was not saved');
+      }
+    }
+  },
+  {
+    name: 'downloaded MP3s are tagged',
+    options: { generationDelayMs: 1000 },
+    async run({ bot }) {
+      await bot.createSong({ title: 'E2E Tags', lyrics: 'Tagged lyrics', style: 'Reggae' });
+      await bot.waitForCompletion('E2E Tags', 30000);
+      const result = await bot.downloadBothSongs('E2E Tags', null, { formats: ['mp3'] });
+
+      for (const download of result.downloads) {
+        const tags = await readId3Tag(download.path);
+        assert(tags?.TIT2 === 'E2E Tags', `title tag is ${tags?.TIT2}`);
+        assert(tags.TPE1 === bot.config.downloads.tags.artist, `artist tag is ${tags.TPE1}`);
+        assert(tags.COMM === 'Reggae' && tags.USLT === 'Tagged lyrics', 'style comment or lyrics missing from the tags');
+      }
+    }
+  },
+  {
+    name: 'instrumental song (no lyrics)',
+    options: {},
+    async run({ bot, fake }) {
+      await bot.createSong({ title: 'E2E Instrumental', lyrics: '', style: 'Ambient' });
+      await waitFor(() => fake.state.clips.length === 2, 10000, 'the song to be submitted');
+      assert(fake.state.clips.every(c => c.lyrics === ''), 'lyrics were sent for an instrumental');
+    }
+  },
+  {
+    name: 'credits are read from the sidebar',
+    options: { credits: 1250 },
+    async run({ bot }) {
+      const credits = await bot.refreshCredits();
+      assert(credits === 1250, `expected 1250 credits, got ${credits}`);
+    }
+  },
+  {
+    name: 'captcha after Create is waited out',
+    options: { captcha: 'create', captchaAutoSolveMs: 8000 },
+    async run({ bot, fake, statuses }) {
+      await bot.createSong({ title: 'E2E Captcha', lyrics: '', style: 'Pop' });
+      await waitFor(() => fake.state.clips.length === 2, 15000, 'the song to be submitted after the CAPTCHA');
+      assert(statuses.includes('captcha_detected'), 'CAPTCHA was not reported');
+    }
+  },
+  {
+    name: 'captcha on the library is waited out',
+    options: { captcha: 'library', captchaAutoSolveMs: 15000, generationDelayMs: 20000 },
+    async run({ bot, statuses }) {
+      await bot.createSong({ title: 'E2E Library Captcha', lyrics: '', style: 'Pop' });
+      await bot.waitForCompletion('E2E Library Captcha', 60000);
+      assert(statuses.includes('captcha_detected'), 'CAPTCHA was not reported');
+    }
+  },
+  {
+    name: 'rate limit stops creation',
+    options: { failure: 'rate-limit' },
+    async run({ bot }) {
+      await expectFailure(() => bot.createSong({ title: 'E2E Limited', lyrics: '', style: 'Rock' }), /Rate limited/);
+    }
+  },
+  {
+    name: 'disabled Create button fails creation',
+    options: { failure: 'create-disabled' },
+    async run({ bot }) {
+      await expectFailure(() => bot.createSong({ title: 'E2E Disabled', lyrics: '', style: 'Rock' }), /Create button/);
+    }
+  },
+  {
+    name: 'finished clips are picked up without a fixed wait',
+    options: { generationDelayMs: 2000 },
+    async run({ bot, fake }) {
+      await bot.createSong({ title: 'E2E Quick', lyrics: '', style: 'House' });
+      const { clipIds, seconds } = await bot.waitForCompletion('E2E Quick', 60000);
+      assert(seconds < 30, `took ${seconds}s for clips that were ready after 2s`);
+      const created = fake.state.clips.map(c => c.id);
+      assert(clipIds.length === 2 && clipIds.every(id => created.includes(id)), `watched the wrong clips: ${clipIds.join(', ')}`);
+    }
+  },
+  {
+    name: 'older songs are not mistaken for new ones',
+    options: { generationDelayMs: 1000 },
+    async run({ bot, fake }) {
+      await bot.createSong({ title: 'E2E First', lyrics: '', style: 'Blues' });
+      await bot.waitForCompletion('E2E First', 30000);
+
+      fake.setOptions({ generationDelayMs: 600000 });
+      await bot.createSong({ title: 'E2E Second', lyrics: '', style: 'Blues' });
+      await expectFailure(() => bot.waitForCompletion('E2E Second', 8000), /timed out.*0\/2 clips/);
+    }
+  },
+  {
+    name: 'failed generation is reported',
+    options: { failure: 'generation', generationDelayMs: 1000 },
+    async run({ bot, statuses }) {
+      await bot.createSong({ title: 'E2E Failed', lyrics: '', style: 'Jazz' });
+      await expectFailure(() => bot.waitForCompletion('E2E Failed', 30000), /could not generate/);
+      assert(statuses.includes('generation_failed'), 'failure was not reported');
+    }
+  },
+  {
+    name: 'failed download is reported',
+    options: { failure: 'download', generationDelayMs: 1000 },
+    async run({ bot }) {
+      await bot.createSong({ title: 'E2E No Download', lyrics: '', style: 'Funk' });
+      await bot.waitForCompletion('E2E No Download', 30000);
+      await expectFailure(() => bot.downloadBothSongs('E2E No Download'), /Failed to download/);
+    }
+  },
+  {
+    name: 'empty download is rejected',
+    options: { failure: 'empty-download', generationDelayMs: 1000 },
+    async run({ bot }) {
+      await bot.createSong({ title: 'E2E Empty', lyrics: '', style: 'Funk' });
+      await bot.waitForCompletion('E2E Empty', 30000);
+      await expectFailure(() => bot.downloadBothSongs('E2E Empty'), /empty/);
+    }
+  }
+];
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function expectFailure(fn, pattern) {
+  try {
+    await fn();
+  } catch (error) {
+    assert(pattern.test(error.message), `expected an error matching ${pattern}, got: ${error.message}`);
+    return;
+  }
+  throw new Error(`expected an error matching ${pattern}, but it succeeded`);
+}
+
+async function waitFor(check, timeout, what) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+async function main() {
+  const filter = process.argv[2];
+  const scenarios = SCENARIOS.filter(s => !filter || s.name.includes(filter));
+  if (scenarios.length === 0) {
+    console.error(`No scenario matches "${filter}"`);
+    process.exit(2);
+  }
+
+  const fake = await startFakeSuno({ port: 0, generationDelayMs: 3000 });
+  const downloadPath = await fs.mkdtemp(path.join(os.tmpdir(), 'suno-e2e-'));
+
+  // Read by settings.load() when each bot initializes
+  Object.assign(process.env, {
+    SUNO_BASE_URL: fake.url,
+    SUNO_DOWNLOAD_PATH: downloadPath,
+    SUNO_HEADLESS: 'true',
+    SUNO_SLOW_MO: '0',
+    SUNO_POLL_INTERVAL: '1000'
+  });
+
+  console.log(`🧪 Fake Suno at ${fake.url}, downloads in ${downloadPath}\n`);
+
+  const results = [];
+  for (const scenario of scenarios) {
+    fake.reset();
+    fake.setOptions({ ...scenario.options });
+
+    const statuses = [];
+    const bot = new SunoBot(false);
+    bot.setStatusCallback(update => statuses.push(update.status));
+
+    const start = Date.now();
+    try {
+      await bot.initialize();
+      await bot.login();
+      await scenario.run({ bot, fake, downloadPath, statuses });
+      results.push({ name: scenario.name, passed: true, ms: Date.now() - start });
+      console.log(`✅ ${scenario.name} (${((Date.now() - start) / 1000).toFixed(1)}s)`);
+    } catch (error) {
+      results.push({ name: scenario.name, passed: false, error: error.message });
+      console.log(`❌ ${scenario.name}: ${error.message}`);
+    } finally {
+      await bot.close().catch(() => {});
+    }
+  }
+
+  await fake.close();
+  await fs.remove(downloadPath);
+
+  const failed = results.filter(r => !r.passed);
+  console.log(`\n${results.length - failed.length} passed, ${failed.length} failed`);
+  process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ E2E run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,431 @@
+/**
+ * HTML for the fake Suno site
+ *
+ * Only the parts the automation touches are reproduced: the Create form
+ * (Simple/Custom tabs, lyrics and styles textareas, title, Create button),
+ * the library rows on /me with their Radix-style "More Options" menu,
+ * Download submenu and "preparing" dialog, the credit balance in the
+ * sidebar, and a CAPTCHA overlay. Attribute names and texts follow suno.com so the real selectors
+ * are exercised.
+ */
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: system-ui, sans-serif; background: #101014; color: #eee; display: flex; min-height: 100vh; }
+  aside { width: 200px; padding: 20px; background: #18181d; display: flex; flex-direction: column; gap: 12px; }
+  aside a { color: #ccc; text-decoration: none; }
+  main { flex: 1; padding: 24px; max-width: 900px; }
+  textarea, input { width: 100%; background: #222229; color: #eee; border: 1px solid #333; border-radius: 6px; padding: 8px; margin: 6px 0 14px; font: inherit; }
+  button { background: #2c2c35; color: #eee; border: 0; border-radius: 6px; padding: 6px 12px; cursor: pointer; font: inherit; }
+  button:disabled { opacity: .4; cursor: not-allowed; }
+  .tabs { display: flex; gap: 6px; margin-bottom: 16px; }
+  .tabs [aria-selected="true"] { background: #f0f0f0; color: #111; }
+  .hidden { display: none !important; }
+  .create { background: #f97316; width: 100%; padding: 12px; font-weight: 600; }
+  details { margin-bottom: 14px; }
+  .song-row { display: flex; align-items: center; gap: 12px; padding: 8px; border-bottom: 1px solid #222; }
+  .song-row img { width: 48px; height: 48px; border-radius: 4px; }
+  .song-row .meta { flex: 1; display: flex; flex-direction: column; }
+  .song-row .style { color: #888; font-size: 12px; }
+  .song-row .failed { color: #f87171; }
+  .animate-spin { animation: spin 1s linear infinite; }
+  @keyframes spin { to { transform: rotate(360deg); } }
+  [role="menu"] { position: absolute; min-width: 180px; background: #222229; border: 1px solid #333; border-radius: 8px; padding: 4px; z-index: 10; }
+  [role="menuitem"] { padding: 8px 10px; border-radius: 4px; cursor: default; outline: none; }
+  [role="menuitem"]:focus, [role="menuitem"]:hover { background: #333340; }
+  #captcha { position: fixed; inset: 0; background: rgba(0,0,0,.7); display: flex; align-items: center; justify-content: center; z-index: 20; }
+  #captcha .box { background: #fff; color: #111; padding: 24px; border-radius: 8px; }
+  [role="dialog"] { position: fixed; top: 30%; left: 50%; transform: translateX(-50%); background: #222229; border: 1px solid #333; border-radius: 8px; padding: 20px; z-index: 15; min-width: 260px; }
+  #toast { position: fixed; bottom: 20px; right: 20px; background: #7f1d1d; padding: 10px 16px; border-radius: 6px; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function layout(title, credits, body, script = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} | Suno</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <aside>
+    <strong>Suno</strong>
+    <a href="/create">Create</a>
+    <a href="/me">Library</a>
+    <a href="/account">${Number(credits).toLocaleString('en-US')} Credits</a>
+    <div data-testid="user-menu">test-user</div>
+  </aside>
+  <main>${body}</main>
+  <script>
+    ${CLIENT_HELPERS}
+    ${script}
+  </script>
+</body>
+</html>`;
+}
+
+// Shared by every page: the CAPTCHA overlay and error toasts
+const CLIENT_HELPERS = `
+  function showToast(message) {
+    let toast = document.getElementById('toast');
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.id = 'toast';
+      document.body.appendChild(toast);
+    }
+    toast.textContent = message;
+    setTimeout(() => toast.remove(), 4000);
+  }
+
+  // Resolves once the challenge is solved (click, or captchaAutoSolveMs)
+  function showCaptcha(autoSolveMs) {
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.id = 'captcha';
+      overlay.innerHTML = '<div class="box g-recaptcha"><p>Verify you are human</p>' +
+        '<button type="button" id="captcha-solve">I\\'m not a robot</button></div>';
+      document.body.appendChild(overlay);
+
+      let solved = false;
+      const solve = async () => {
+        if (solved) return;
+        solved = true;
+        await fetch('/api/captcha/solve', { method: 'POST' });
+        overlay.remove();
+        resolve();
+      };
+      overlay.querySelector('#captcha-solve').addEventListener('click', solve);
+      if (autoSolveMs > 0) {
+        setTimeout(solve, autoSolveMs);
+      }
+    });
+  }
+`;
+
+/**
+ * /create - starts in Simple mode like the real page
+ */
+export function renderCreatePage({ options, credits, captchaPending }) {
+  const body = `
+  <h1>Create</h1>
+  <div class="tabs" role="tablist">
+    <button type="button" role="tab" id="tab-simple" aria-selected="true">Simple</button>
+    <button type="button" role="tab" id="tab-custom" aria-selected="false">Custom</button>
+  </div>
+  <form id="create-form">
+    <div id="simple-fields">
+      <label>Song description
+        <textarea name="description" rows="3" placeholder="A dreamy synthwave song about driving at night"></textarea>
+      </label>
+    </div>
+    <div id="custom-fields" class="hidden">
+      <label>Lyrics
+        <textarea name="lyrics" rows="8" placeholder="Write some lyrics or a prompt - or leave empty for instrumental"></textarea>
+      </label>
+      <label>Styles
+        <textarea name="style" rows="2" maxlength="1000" placeholder="Hip-hop, R&amp;B, upbeat"></textarea>
+      </label>
+      <details>
+        <summary>Advanced Options</summary>
+        <textarea name="excludeStyles" rows="1" placeholder="Exclude styles"></textarea>
+      </details>
+      <button type="button" id="add-title">Add a song title</button>
+      <input name="title" class="hidden" placeholder="Enter a song title">
+    </div>
+    <p></p>
+    <button type="submit" class="create" data-testid="create-button" disabled>Create</button>
+  </form>`;
+
+  const script = `
+    const config = ${JSON.stringify({
+      captcha: options.captcha === 'create' && captchaPending,
+      captchaAutoSolveMs: options.captchaAutoSolveMs,
+      failure: options.failure
+    })};
+    const form = document.getElementById('create-form');
+    const createButton = form.querySelector('[data-testid="create-button"]');
+    const field = name => form.querySelector('[name="' + name + '"]');
+
+    function selectTab(custom) {
+      document.getElementById('tab-simple').setAttribute('aria-selected', String(!custom));
+      document.getElementById('tab-custom').setAttribute('aria-selected', String(custom));
+      document.getElementById('simple-fields').classList.toggle('hidden', custom);
+      document.getElementById('custom-fields').classList.toggle('hidden', !custom);
+      updateCreateButton();
+    }
+    document.getElementById('tab-simple').addEventListener('click', () => selectTab(false));
+    document.getElementById('tab-custom').addEventListener('click', () => selectTab(true));
+
+    document.getElementById('add-title').addEventListener('click', (event) => {
+      event.target.classList.add('hidden');
+      field('title').classList.remove('hidden');
+      field('title').focus();
+    });
+
+    function updateCreateButton() {
+      const custom = !document.getElementById('custom-fields').classList.contains('hidden');
+      const filled = custom
+        ? field('lyrics').value.trim() || field('style').value.trim()
+        : field('description').value.trim();
+      createButton.disabled = config.failure === 'create-disabled' || !filled;
+    }
+    form.addEventListener('input', updateCreateButton);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+
+      if (config.failure === 'rate-limit') {
+        location.href = '/error?status=429';
+        return;
+      }
+      if (config.captcha) {
+        await showCaptcha(config.captchaAutoSolveMs);
+        config.captcha = false;
+      }
+
+      const custom = !document.getElementById('custom-fields').classList.contains('hidden');
+      const response = await fetch('/api/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(custom
+          ? { title: field('title').value, lyrics: field('lyrics').value, style: field('style').value }
+          : { title: '', lyrics: '', style: field('description').value })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        showToast(data.error || 'Something went wrong');
+      }
+    });
+  `;
+
+  return layout('Create', credits, body, script);
+}
+
+/**
+ * /me - the library. Rows re-render when a clip changes status, like the
+ * live-updating real page, so a poller sitting on /me sees completion.
+ */
+export function renderLibraryPage({ options, credits, clips, captchaPending }) {
+  const body = `
+  <h1>Library</h1>
+  <div id="song-list">${clips.map(renderSongRow).join('')}</div>`;
+
+  const script = `
+    const config = ${JSON.stringify({
+      captcha: options.captcha === 'library' && captchaPending,
+      captchaAutoSolveMs: options.captchaAutoSolveMs,
+      failure: options.failure,
+      prepareMs: options.prepareMs
+    })};
+    const list = document.getElementById('song-list');
+    let signature = ${JSON.stringify(librarySignature(clips))};
+
+    if (config.captcha) {
+      showCaptcha(config.captchaAutoSolveMs);
+    }
+
+    setInterval(async () => {
+      const response = await fetch('/api/clips').catch(() => null);
+      if (!response || !response.ok) return;
+      const data = await response.json();
+      if (data.signature !== signature) {
+        signature = data.signature;
+        list.innerHTML = data.rows;
+      }
+    }, 1000);
+
+    // ---- Radix-style dropdown menu ----
+    function closeMenus() {
+      document.querySelectorAll('[data-radix-menu-content]').forEach(menu => menu.remove());
+    }
+
+    function openMenu(items, anchor, focusFirst) {
+      const menu = document.createElement('div');
+      menu.setAttribute('data-radix-menu-content', '');
+      menu.setAttribute('data-state', 'open');
+      menu.setAttribute('role', 'menu');
+      menu.tabIndex = -1;
+
+      for (const item of items) {
+        const element = document.createElement('div');
+        element.setAttribute('role', 'menuitem');
+        element.setAttribute('data-radix-collection-item', '');
+        element.tabIndex = -1;
+        element.textContent = item.label;
+        if (item.testId) element.setAttribute('data-testid', item.testId);
+        if (item.submenu) element.setAttribute('aria-haspopup', 'menu');
+
+        const activate = () => item.submenu ? openSubmenu(item, element) : item.onSelect();
+        element.addEventListener('click', activate);
+        element.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' || event.key === ' ' || (item.submenu && event.key === 'ArrowRight')) {
+            event.preventDefault();
+            activate();
+          } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const siblings = [...menu.querySelectorAll('[role="menuitem"]')];
+            const index = siblings.indexOf(element) + (event.key === 'ArrowDown' ? 1 : -1);
+            siblings[(index + siblings.length) % siblings.length].focus();
+          } else if (event.key === 'Escape') {
+            closeMenus();
+          }
+        });
+        if (item.submenu) {
+          element.addEventListener('pointerenter', () => openSubmenu(item, element));
+        }
+        menu.appendChild(element);
+      }
+
+      const rect = anchor.getBoundingClientRect();
+      menu.style.left = (rect.right + window.scrollX) + 'px';
+      menu.style.top = (rect.top + window.scrollY) + 'px';
+      document.body.appendChild(menu);
+
+      if (focusFirst) {
+        menu.querySelector('[role="menuitem"]').focus();
+      } else {
+        menu.focus();
+      }
+      return menu;
+    }
+
+    function openSubmenu(item, trigger) {
+      const open = trigger.closest('[role="menu"]').nextElementSibling;
+      if (open && open.matches('[data-radix-menu-content]')) return;
+      openMenu(item.submenu, trigger, true);
+    }
+
+    // Suno converts WAV and stems on request: a dialog offers the file once it is ready
+    function prepareDownload(clipId, format, label) {
+      closeMenus();
+      const dialog = document.createElement('div');
+      dialog.setAttribute('role', 'dialog');
+      dialog.innerHTML = '<p></p><p class="status">Preparing your file...</p>' +
+        '<button type="button" data-testid="download-file-button" disabled>Download File</button> ' +
+        '<button type="button" class="close">Close</button>';
+      dialog.querySelector('p').textContent = 'Download ' + label;
+      const button = dialog.querySelector('[data-testid="download-file-button"]');
+      button.addEventListener('click', () => {
+        dialog.remove();
+        download(clipId, format);
+      });
+      dialog.querySelector('.close').addEventListener('click', () => dialog.remove());
+      document.body.appendChild(dialog);
+
+      setTimeout(() => {
+        dialog.querySelector('.status').textContent = 'Your file is ready';
+        button.disabled = false;
+      }, config.prepareMs);
+    }
+
+    function download(clipId, format) {
+      closeMenus();
+      if (config.failure === 'download') {
+        showToast('Download failed. Please try again.');
+        return;
+      }
+      const link = document.createElement('a');
+      link.href = '/api/clips/' + clipId + '/download?format=' + format;
+      link.download = '';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }
+
+    list.addEventListener('click', (event) => {
+      const button = event.target.closest('button[aria-label="More Options"]');
+      if (!button) return;
+      event.stopPropagation();
+      closeMenus();
+
+      const clipId = button.closest('[data-clip-id]').dataset.clipId;
+      openMenu([
+        { label: 'Add to Playlist', onSelect: closeMenus },
+        { label: 'Download', testId: 'download-sub-trigger', submenu: [
+          { label: 'MP3 Audio', onSelect: () => download(clipId, 'mp3') },
+          { label: 'WAV Audio', onSelect: () => prepareDownload(clipId, 'wav', 'WAV Audio') },
+          { label: 'Video', onSelect: () => download(clipId, 'mp4') },
+          { label: 'All Stems', onSelect: () => prepareDownload(clipId, 'stems', 'Stems') }
+        ] },
+        { label: 'Share', onSelect: closeMenus },
+        { label: 'Move to Trash', onSelect: closeMenus }
+      ], button, false);
+    });
+
+    document.addEventListener('click', (event) => {
+      if (!event.target.closest('[data-radix-menu-content]')) closeMenus();
+    });
+  `;
+
+  return layout('Library', credits, body, script);
+}
+
+/**
+ * One library row; generating clips show a spinner instead of the
+ * duration and Edit/Publish buttons
+ */
+export function renderSongRow(clip) {
+  let status;
+  if (clip.status === 'generating') {
+    status = `<svg class="animate-spin" width="20" height="20" viewBox="0 0 20 20" aria-label="Generating">
+        <circle cx="10" cy="10" r="8" stroke="#888" stroke-width="3" fill="none" stroke-dasharray="30 20"/></svg>`;
+  } else if (clip.status === 'error') {
+    status = '<span class="failed">Generation failed</span>';
+  } else {
+    status = `<span class="duration">${formatDuration(clip.duration)}</span>
+      <button type="button">Edit</button>
+      <button type="button">Publish</button>`;
+  }
+
+  return `
+    <div class="song-row" data-testid="song-row" data-clip-id="${clip.id}">
+      <img src="/images/${clip.id}.svg" alt="">
+      <div class="meta">
+        <a class="title" href="/song/${clip.id}">${escapeHtml(clip.title || 'Untitled')}</a>
+        <span class="style">${escapeHtml(clip.style)}</span>
+      </div>
+      ${status}
+      <button type="button" aria-label="More Options">&#8942;</button>
+    </div>`;
+}
+
+export function librarySignature(clips) {
+  return clips.map(c => `${c.id}:${c.status}`).join(',');
+}
+
+/**
+ * Where a rate-limited Create lands; the automation treats "error" in the URL as blocked
+ */
+export function renderErrorPage({ credits, status }) {
+  const message = status === '429' ? 'Too many requests. Please try again later.' : 'Something went wrong.';
+  return layout('Error', credits, `<h1>Error ${escapeHtml(status)}</h1><p>${message}</p>`);
+}
+
+export function renderAccountPage({ credits }) {
+  return layout('Account', credits, `<h1>Account</h1><p>${Number(credits).toLocaleString('en-US')} credits left this month.</p>`);
+}
+
+/**
+ * Cover art placeholder, a gradient seeded by the clip ID
+ */
+export function renderCoverSvg(id) {
+  const hue = [...id].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 360;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+  <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+    <stop offset="0" stop-color="hsl(${hue},70%,55%)"/><stop offset="1" stop-color="hsl(${(hue + 60) % 360},70%,35%)"/>
+  </linearGradient></defs>
+  <rect width="256" height="256" fill="url(#g)"/>
+</svg>`;
+}
+
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
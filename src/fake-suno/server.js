@@ -0,0 +1,354 @@
+import express from 'express';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/logger.js';
+import { CREDITS_PER_GENERATION, CLIPS_PER_GENERATION } from '../automation/credit-reader.js';
+import { silentMp3, silentWav, placeholderMp4, stemsZip } from './audio.js';
+import {
+  renderCreatePage,
+  renderLibraryPage,
+  renderSongRow,
+  librarySignature,
+  renderErrorPage,
+  renderAccountPage,
+  renderCoverSvg
+} from './pages.js';
+
+const logger = createLogger('FakeSuno');
+
+/**
+ * Fake Suno site for offline end-to-end runs
+ *
+ * Point `suno.baseUrl` (or SUNO_BASE_URL) at it and the real automation
+ * creates, waits for and downloads songs against it. Everything lives in
+ * memory; nothing is sent anywhere. Behaviour is set at start and can be
+ * changed between test cases through the /__fake endpoints.
+ */
+
+export const CAPTCHA_MODES = ['off', 'create', 'library'];
+
+/**
+ * - rate-limit: Create sends the browser to /error?status=429
+ * - create-disabled: the Create button never enables
+ * - generation: clips end up "Generation failed" instead of finishing
+ * - download: the Download submenu items only show an error toast
+ * - empty-download: downloads are 0-byte files
+ */
+export const FAILURE_MODES = ['none', 'rate-limit', 'create-disabled', 'generation', 'download', 'empty-download'];
+
+export const DEFAULT_OPTIONS = {
+  port: 4010,
+  generationDelayMs: 5000,  // From Create until both clips are playable
+  captcha: 'off',           // Where a CAPTCHA is shown once: after Create, or on /me
+  captchaAutoSolveMs: 0,    // Solve the CAPTCHA by itself after this long (0 = wait for a click)
+  failure: 'none',
+  credits: 500,
+  clipSeconds: 2,           // Length of the downloaded audio files
+  prepareMs: 1500           // WAV and stems are "prepared" in a dialog this long before they can be downloaded
+};
+
+// FAKE_SUNO_* variable for each option
+const ENV_OPTIONS = {
+  port: 'FAKE_SUNO_PORT',
+  generationDelayMs: 'FAKE_SUNO_DELAY_MS',
+  captcha: 'FAKE_SUNO_CAPTCHA',
+  captchaAutoSolveMs: 'FAKE_SUNO_CAPTCHA_SOLVE_MS',
+  failure: 'FAKE_SUNO_FAILURE',
+  credits: 'FAKE_SUNO_CREDITS',
+  clipSeconds: 'FAKE_SUNO_CLIP_SECONDS',
+  prepareMs: 'FAKE_SUNO_PREPARE_MS'
+};
+
+// What each Download submenu item serves
+const FILE_FORMATS = {
+  mp3: { extension: 'mp3', type: 'audio/mpeg', build: silentMp3 },
+  wav: { extension: 'wav', type: 'audio/wav', build: silentWav },
+  mp4: { extension: 'mp4', type: 'video/mp4', build: placeholderMp4 },
+  stems: { extension: 'zip', type: 'application/zip', build: stemsZip }
+};
+
+/**
+ * Check and fill in options; unknown modes and negative numbers are errors
+ * @param {Object} options - Partial options
+ * @param {Object} base - Options to start from (default: DEFAULT_OPTIONS)
+ * @returns {Object}
+ */
+export function normalizeOptions(options = {}, base = DEFAULT_OPTIONS) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    if (!(key in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown fake Suno option: ${key}`);
+    }
+
+    if (typeof DEFAULT_OPTIONS[key] === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${key} must be a number of 0 or more, got "${value}"`);
+      }
+      result[key] = number;
+    } else {
+      result[key] = String(value);
+    }
+  }
+
+  if (!CAPTCHA_MODES.includes(result.captcha)) {
+    throw new Error(`captcha must be one of: ${CAPTCHA_MODES.join(', ')}`);
+  }
+  if (!FAILURE_MODES.includes(result.failure)) {
+    throw new Error(`failure must be one of: ${FAILURE_MODES.join(', ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Options from FAKE_SUNO_* environment variables
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object}
+ */
+export function optionsFromEnv(env = process.env) {
+  const options = {};
+  for (const [key, name] of Object.entries(ENV_OPTIONS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      options[key] = env[name];
+    }
+  }
+  return normalizeOptions(options);
+}
+
+/**
+ * Build the fake site
+ * @param {Object} options - See DEFAULT_OPTIONS
+ * @returns {{ app: Express, state: Object, setOptions: Function, reset: Function }}
+ */
+export function createFakeSuno(options = {}) {
+  const initialOptions = normalizeOptions(options);
+  const state = {
+    options: initialOptions,
+    credits: 0,
+    clips: [],
+    captchaPending: true,
+    downloads: []
+  };
+
+  // Back to the options the site was started with, an empty library and full credits
+  const reset = () => {
+    state.options = initialOptions;
+    state.credits = state.options.credits;
+    state.clips = [];
+    state.captchaPending = true;
+    state.downloads = [];
+  };
+  reset();
+
+  // Changing options re-arms the CAPTCHA, so each test case gets its own
+  const setOptions = (changes) => {
+    state.options = normalizeOptions(changes, state.options);
+    state.captchaPending = true;
+    if (changes.credits !== undefined) {
+      state.credits = state.options.credits;
+    }
+    return state.options;
+  };
+
+  // Status is derived from the clock, so no timers need cleaning up
+  const clipStatus = (clip) => {
+    if (Date.now() < clip.readyAt) {
+      return 'generating';
+    }
+    return clip.failed ? 'error' : 'complete';
+  };
+
+  const listClips = () => state.clips.map(clip => ({ ...clip, status: clipStatus(clip) }));
+
+  // A clip as Suno's API sends it to the web app
+  const SUNO_STATUS = { generating: 'streaming', complete: 'complete', error: 'error' };
+  const toApiClip = (clip, req) => {
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const status = clipStatus(clip);
+    return {
+      id: clip.id,
+      title: clip.title,
+      status: SUNO_STATUS[status],
+      audio_url: status === 'complete' ? `${origin}/api/clips/${clip.id}/download?format=mp3` : null,
+      video_url: status === 'complete' ? `${origin}/api/clips/${clip.id}/download?format=mp4` : null,
+      image_url: `${origin}/images/${clip.id}.svg`,
+      created_at: clip.createdAt,
+      metadata: {
+        tags: clip.style,
+        prompt: clip.lyrics,
+        duration: status === 'complete' ? clip.duration : null
+      }
+    };
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/', (req, res) => res.redirect('/create'));
+
+  app.get('/create', (req, res) => {
+    res.send(renderCreatePage(state));
+  });
+
+  app.get('/me', (req, res) => {
+    res.send(renderLibraryPage({ ...state, clips: listClips() }));
+  });
+
+  app.get('/account', (req, res) => {
+    res.send(renderAccountPage(state));
+  });
+
+  app.get('/error', (req, res) => {
+    res.status(Number(req.query.status) || 500).send(renderErrorPage({
+      credits: state.credits,
+      status: String(req.query.status || '500')
+    }));
+  });
+
+  app.get('/images/:id.svg', (req, res) => {
+    res.type('image/svg+xml').send(renderCoverSvg(req.params.id));
+  });
+
+  // What the Create button posts; one generation makes two clips
+  app.post('/api/generate', (req, res) => {
+    const { title = '', lyrics = '', style = '' } = req.body || {};
+
+    if (state.credits < CREDITS_PER_GENERATION) {
+      return res.status(402).json({ error: 'Not enough credits' });
+    }
+    state.credits -= CREDITS_PER_GENERATION;
+
+    const createdAt = Date.now();
+    const clips = Array.from({ length: CLIPS_PER_GENERATION }, () => ({
+      id: crypto.randomUUID(),
+      title: title.trim() || 'Untitled',
+      style: style.trim(),
+      lyrics,
+      duration: 90 + crypto.randomInt(150),
+      createdAt: new Date(createdAt).toISOString(),
+      readyAt: createdAt + state.options.generationDelayMs,
+      failed: state.options.failure === 'generation'
+    }));
+
+    // Newest first, like the library
+    state.clips.unshift(...clips);
+    logger.info(`Generating "${clips[0].title}" (${clips.map(c => c.id).join(', ')}), ready in ${state.options.generationDelayMs}ms`);
+
+    res.json({ clips: clips.map(c => ({ ...toApiClip(c, req), status: 'submitted' })) });
+  });
+
+  // Polled by the /me page to re-render rows when a clip changes status
+  app.get('/api/clips', (req, res) => {
+    const clips = listClips();
+    res.json({
+      clips: state.clips.map(clip => toApiClip(clip, req)),
+      signature: librarySignature(clips),
+      rows: clips.map(renderSongRow).join('')
+    });
+  });
+
+  app.get('/api/clips/:id/download', (req, res) => {
+    const clip = state.clips.find(c => c.id === req.params.id);
+    const format = req.query.format || 'mp3';
+
+    if (!clip || clipStatus(clip) !== 'complete') {
+      return res.status(404).json({ error: 'Clip not found or not ready' });
+    }
+    if (state.options.failure === 'download') {
+      return res.status(500).json({ error: 'Download failed' });
+    }
+    const file = FILE_FORMATS[format];
+    if (!file) {
+      return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+
+    const data = state.options.failure === 'empty-download'
+      ? Buffer.alloc(0)
+      : file.build(state.options.clipSeconds);
+
+    state.downloads.push({ id: clip.id, format, size: data.length, at: new Date().toISOString() });
+    logger.info(`Download ${clip.id}.${file.extension} (${data.length} bytes)`);
+
+    res.attachment(`${clip.title}.${file.extension}`);
+    res.type(file.type).send(data);
+  });
+
+  app.post('/api/captcha/solve', (req, res) => {
+    state.captchaPending = false;
+    logger.info('CAPTCHA solved');
+    res.json({ success: true });
+  });
+
+  // ---- Test controls ----
+
+  app.get('/__fake/state', (req, res) => {
+    res.json({
+      options: state.options,
+      credits: state.credits,
+      captchaPending: state.captchaPending,
+      clips: listClips(),
+      downloads: state.downloads
+    });
+  });
+
+  app.put('/__fake/options', (req, res) => {
+    try {
+      res.json({ options: setOptions(req.body || {}) });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/__fake/reset', (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  return { app, state, setOptions, reset };
+}
+
+/**
+ * Start the fake site
+ * @param {Object} options - See DEFAULT_OPTIONS; port 0 picks a free port
+ * @returns {Promise<{ url: string, state: Object, setOptions: Function, reset: Function, close: Function }>}
+ */
+export function startFakeSuno(options = {}) {
+  const fake = createFakeSuno(options);
+
+  return new Promise((resolve, reject) => {
+    const server = fake.app.listen(fake.state.options.port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        ...fake,
+        url,
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+// Run standalone: npm run fake-suno
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  let options;
+  try {
+    options = optionsFromEnv();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  startFakeSuno(options)
+    .then(({ url, state }) => {
+      logger.info(`🧪 Fake Suno running at ${url}`);
+      logger.info(`Options: ${JSON.stringify(state.options)}`);
+      logger.info(`Point the app at it with SUNO_BASE_URL=${url}`);
+    })
+    .catch(error => {
+      logger.error('Could not start fake Suno:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,159 @@
+/**
+ * Minimal cron expression support for the scheduler
+ *
+ * Standard five fields: minute hour day-of-month month day-of-week.
+ * Each field accepts *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+ * Day-of-week is 0-6 (Sunday = 0, 7 is also accepted as Sunday).
+ * Times are evaluated in the server's local time zone.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Give up looking for a next run after this many days (e.g. "0 0 31 2 *" never fires)
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${name} field`);
+    }
+
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [startText, endText] = range.split('-');
+      start = Number(startText);
+      end = endText === undefined ? (stepText === undefined ? start : max) : Number(endText);
+
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+        throw new Error(`Invalid ${name} value "${part}" (allowed ${min}-${max})`);
+      }
+    }
+
+    for (let i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 2 * * *" (every day at 02:00)
+ * @returns {Object} Parsed fields as sets of allowed values
+ * @throws {Error} If the expression is not valid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 and 0 both mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Classic cron rule: when both day fields are restricted, either one may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.daysOfMonth.has(date.getDate());
+  const dow = cron.daysOfWeek.has(date.getDay());
+  return cron.anyDay ? (dom || dow) : (dom && dow);
+}
+
+/**
+ * Get the next time a cron expression fires, strictly after the given date
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start looking after this time (default: now)
+ * @returns {Date|null} Next run time, or null if it never fires
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+
+  const next = new Date(from.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (next.getTime() <= limit) {
+    if (!cron.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(cron, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return next;
+  }
+
+  return null;
+}
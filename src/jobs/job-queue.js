@@ -0,0 +1,432 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { CancellationToken } from '../automation/cancellation.js';
+import { createLogger, withLogContext } from '../logging/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('JobQueue');
+
+const JOBS_FILE = path.join(__dirname, '../../config/jobs.json');
+
+// Keep the job history bounded - oldest finished jobs are dropped first
+const MAX_FINISHED_JOBS = 200;
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  INTERRUPTED: 'interrupted'
+};
+
+const FINISHED_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.INTERRUPTED
+];
+
+/**
+ * JobQueue - Persistent queue for song creation, batch and publish work
+ *
+ * Every job is written to disk, so the queue and its history survive a server
+ * restart. Jobs belong to a lane: jobs in the same lane run one after another
+ * (e.g. everything that drives the shared Suno browser), while different lanes
+ * (e.g. YouTube publishing) run independently of each other.
+ */
+export class JobQueue {
+  constructor(jobsFile = JOBS_FILE) {
+    this.jobsFile = jobsFile;
+    this.jobs = [];
+    this.handlers = new Map();
+    this.running = new Map(); // lane -> job id
+    this.tokens = new Map(); // running job id -> CancellationToken
+    this.waiters = new Map(); // job id -> [resolve]
+    this.statusCallback = null;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Set status callback for real-time job updates
+   */
+  setStatusCallback(callback) {
+    this.statusCallback = callback;
+  }
+
+  /**
+   * Register the function that runs jobs of a given type
+   * @param {string} type - Job type (e.g. 'create-song')
+   * @param {Function} handler - async (job, token) => result, where token is the
+   *   job's CancellationToken - check it between steps to support stop and pause
+   * @param {Object} options
+   * @param {string} options.lane - Jobs in the same lane never run concurrently
+   */
+  registerHandler(type, handler, { lane = 'default' } = {}) {
+    this.handlers.set(type, { handler, lane });
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.jobsFile)) {
+        const data = await fs.readJSON(this.jobsFile);
+        this.jobs = data.jobs || [];
+      } else {
+        this.jobs = [];
+      }
+    } catch (error) {
+      logger.error('Error loading job queue:', error);
+      this.jobs = [];
+    }
+
+    // Jobs that were running when the server stopped cannot be picked up mid-way
+    let interrupted = 0;
+    for (const job of this.jobs) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.INTERRUPTED;
+        job.error = 'Server stopped while the job was running';
+        job.finishedAt = new Date().toISOString();
+        interrupted++;
+      }
+    }
+
+    if (interrupted > 0) {
+      logger.warn(`⚠️  ${interrupted} job(s) were interrupted by the last shutdown`);
+      await this.save();
+    }
+
+    return this.jobs;
+  }
+
+  async save() {
+    // Serialize writes so concurrent lanes never interleave on disk
+    this.pendingSave = this.pendingSave
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.jobsFile));
+        await fs.writeJSON(this.jobsFile, {
+          jobs: this.jobs,
+          lastUpdated: new Date().toISOString()
+        }, { spaces: 2 });
+      })
+      .catch((error) => {
+        logger.error('Error saving job queue:', error);
+      });
+
+    return this.pendingSave;
+  }
+
+  /**
+   * Add a job to the queue and start it as soon as its lane is free
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue(type, params = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type,
+      lane: registration.lane,
+      status: JOB_STATUS.QUEUED,
+      params,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.push(job);
+    this.prune();
+    await this.save();
+
+    this.notify('job_queued', job, `Job queued: ${type} (${this.getQueuedJobs(job.lane).length} waiting)`);
+
+    this.processNext(job.lane);
+
+    return job;
+  }
+
+  /**
+   * Start processing every lane that has queued jobs (call after registering handlers)
+   */
+  start() {
+    const lanes = new Set(
+      this.jobs
+        .filter(j => j.status === JOB_STATUS.QUEUED)
+        .map(j => j.lane)
+    );
+
+    for (const lane of lanes) {
+      this.processNext(lane);
+    }
+  }
+
+  async processNext(lane) {
+    if (this.running.has(lane)) {
+      return;
+    }
+
+    const job = this.jobs.find(j => j.status === JOB_STATUS.QUEUED && j.lane === lane);
+    if (!job) {
+      return;
+    }
+
+    const registration = this.handlers.get(job.type);
+    if (!registration) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = `No handler registered for job type: ${job.type}`;
+      job.finishedAt = new Date().toISOString();
+      await this.save();
+      return this.processNext(lane);
+    }
+
+    const token = new CancellationToken();
+    this.running.set(lane, job.id);
+    this.tokens.set(job.id, token);
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    job.paused = false;
+    await this.save();
+
+    this.notify('job_started', job, `Job started: ${job.type}`);
+
+    try {
+      // Tag every log entry written while the job runs with its id
+      const result = await withLogContext(
+        { jobId: job.id, jobType: job.type },
+        () => registration.handler(job, token)
+      );
+
+      // A job cancelled while running keeps its cancelled status
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.COMPLETED;
+        job.result = result ?? null;
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      job.paused = false;
+      this.running.delete(lane);
+      this.tokens.delete(job.id);
+      await this.save();
+
+      this.notify(`job_${job.status}`, job, `Job ${job.status}: ${job.type}`);
+      this.resolveWaiters(job);
+
+      this.processNext(lane);
+    }
+  }
+
+  /**
+   * Cancel a job. Queued jobs are removed from the line; a running job has
+   * its token cancelled and stops at the next step boundary.
+   * @returns {Promise<Object|null>} The cancelled job, or null if it cannot be cancelled
+   */
+  async cancel(id, reason = 'Cancelled by user') {
+    const job = this.getJob(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return null;
+    }
+
+    const wasQueued = job.status === JOB_STATUS.QUEUED;
+    job.status = JOB_STATUS.CANCELLED;
+
+    if (wasQueued) {
+      job.finishedAt = new Date().toISOString();
+      await this.save();
+      this.notify('job_cancelled', job, `Job cancelled: ${job.type}`);
+      this.resolveWaiters(job);
+    } else {
+      const token = this.tokens.get(id);
+      if (token) {
+        token.cancel(reason);
+      }
+    }
+
+    return job;
+  }
+
+  /**
+   * Ask a running job to hold at its next safe boundary
+   * @returns {Promise<Object|null>} The job, or null if it is not running
+   */
+  async pause(id) {
+    const job = this.getJob(id);
+    const token = this.tokens.get(id);
+    if (!job || !token || job.status !== JOB_STATUS.RUNNING) {
+      return null;
+    }
+
+    token.pause();
+    job.paused = true;
+    await this.save();
+
+    return job;
+  }
+
+  /**
+   * Let a paused job continue
+   * @returns {Promise<Object|null>} The job, or null if it is not running
+   */
+  async resume(id) {
+    const job = this.getJob(id);
+    const token = this.tokens.get(id);
+    if (!job || !token || job.status !== JOB_STATUS.RUNNING) {
+      return null;
+    }
+
+    token.resume();
+    job.paused = false;
+    await this.save();
+
+    return job;
+  }
+
+  /**
+   * Persist changes a handler made to its job (e.g. progress checkpoints)
+   */
+  async update(job) {
+    job.updatedAt = new Date().toISOString();
+    await this.save();
+    return job;
+  }
+
+  /**
+   * Put a finished job back in the queue, keeping its params and any
+   * progress it recorded, so the handler can pick up where it left off
+   * @returns {Promise<Object|null>} The re-queued job, or null if it is still active
+   */
+  async requeue(id) {
+    const job = this.getJob(id);
+    if (!job || !FINISHED_STATUSES.includes(job.status) || this.isRunning(id)) {
+      return null;
+    }
+
+    job.status = JOB_STATUS.QUEUED;
+    job.error = null;
+    job.finishedAt = null;
+    job.requeuedAt = new Date().toISOString();
+    job.attempts = (job.attempts || 1) + 1;
+
+    // Move to the back of the line
+    this.jobs = this.jobs.filter(j => j.id !== id);
+    this.jobs.push(job);
+    await this.save();
+
+    this.notify('job_queued', job, `Job re-queued: ${job.type}`);
+
+    this.processNext(job.lane);
+
+    return job;
+  }
+
+  /**
+   * Wait until a job has finished (completed, failed, cancelled or interrupted)
+   * @returns {Promise<Object>} The finished job
+   */
+  waitForJob(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      return Promise.reject(new Error(`Job not found: ${id}`));
+    }
+
+    if (FINISHED_STATUSES.includes(job.status) && !this.isRunning(id)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise((resolve) => {
+      const waiters = this.waiters.get(id) || [];
+      waiters.push(resolve);
+      this.waiters.set(id, waiters);
+    });
+  }
+
+  resolveWaiters(job) {
+    const waiters = this.waiters.get(job.id) || [];
+    this.waiters.delete(job.id);
+    waiters.forEach(resolve => resolve(job));
+  }
+
+  getJob(id) {
+    return this.jobs.find(j => j.id === id);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters
+   * @param {string} filters.status - Only jobs with this status
+   * @param {string} filters.type - Only jobs of this type
+   * @param {number} filters.limit - Maximum number of jobs to return
+   */
+  getJobs({ status, type, limit } = {}) {
+    let jobs = [...this.jobs].reverse();
+
+    if (status) {
+      jobs = jobs.filter(j => j.status === status);
+    }
+    if (type) {
+      jobs = jobs.filter(j => j.type === type);
+    }
+    if (limit) {
+      jobs = jobs.slice(0, limit);
+    }
+
+    return jobs;
+  }
+
+  getQueuedJobs(lane) {
+    return this.jobs.filter(j => j.status === JOB_STATUS.QUEUED && (!lane || j.lane === lane));
+  }
+
+  getRunningJob(lane) {
+    const id = this.running.get(lane);
+    return id ? this.getJob(id) : null;
+  }
+
+  isRunning(id) {
+    return [...this.running.values()].includes(id);
+  }
+
+  isBusy(lane) {
+    return this.running.has(lane);
+  }
+
+  /**
+   * Drop the oldest finished jobs once the history grows past MAX_FINISHED_JOBS
+   */
+  prune() {
+    const finished = this.jobs.filter(j => FINISHED_STATUSES.includes(j.status));
+    const excess = finished.length - MAX_FINISHED_JOBS;
+
+    if (excess > 0) {
+      const toDrop = new Set(finished.slice(0, excess).map(j => j.id));
+      this.jobs = this.jobs.filter(j => !toDrop.has(j.id));
+    }
+  }
+
+  notify(status, job, message) {
+    if (this.statusCallback) {
+      this.statusCallback({
+        status,
+        message,
+        jobId: job.id,
+        jobType: job.type,
+        jobStatus: job.status
+      });
+    }
+  }
+}
+
+// Export singleton instance
+export default new JobQueue();
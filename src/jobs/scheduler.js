@@ -0,0 +1,328 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import jobQueue, { JOB_STATUS } from './job-queue.js';
+import { getNextRun, validateCron } from './cron.js';
+import { createLogger } from '../logging/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('Scheduler');
+
+const SCHEDULES_FILE = path.join(__dirname, '../../config/schedules.json');
+
+// Run history kept per schedule - oldest entries are dropped first
+const MAX_HISTORY = 50;
+
+// How often due schedules are checked
+const TICK_INTERVAL = 30 * 1000;
+
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+
+/**
+ * Scheduler - Cron-style recurring batches
+ *
+ * Each schedule stores a cron expression and the batch-create parameters
+ * to use. When a schedule is due, the runner registered by the server
+ * queues a normal batch job, and the schedule records the run in its
+ * history. A run is skipped if the previous run of the same schedule is
+ * still queued or running. Runs missed while the server was down are not
+ * made up - the schedule simply continues from its next run time.
+ */
+export class Scheduler {
+  constructor(schedulesFile = SCHEDULES_FILE) {
+    this.schedulesFile = schedulesFile;
+    this.schedules = [];
+    this.runner = null;
+    this.timer = null;
+    this.statusCallback = null;
+  }
+
+  /**
+   * Set status callback for real-time schedule updates
+   */
+  setStatusCallback(callback) {
+    this.statusCallback = callback;
+  }
+
+  /**
+   * Set the function that starts a scheduled run
+   * @param {Function} runner - async (schedule) => job
+   */
+  setRunner(runner) {
+    this.runner = runner;
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.schedulesFile)) {
+        const data = await fs.readJSON(this.schedulesFile);
+        this.schedules = data.schedules || [];
+      } else {
+        this.schedules = [];
+      }
+    } catch (error) {
+      logger.error('Error loading schedules:', error);
+      this.schedules = [];
+    }
+
+    // Don't make up for runs missed while the server was down
+    const now = new Date();
+    for (const schedule of this.schedules) {
+      this.updateNextRun(schedule, now);
+
+      for (const entry of schedule.history || []) {
+        this.trackRun(schedule, entry);
+      }
+    }
+
+    await this.save();
+    return this.schedules;
+  }
+
+  async save() {
+    try {
+      await fs.ensureDir(path.dirname(this.schedulesFile));
+      await fs.writeJSON(this.schedulesFile, {
+        schedules: this.schedules,
+        lastUpdated: new Date().toISOString()
+      }, { spaces: 2 });
+    } catch (error) {
+      logger.error('Error saving schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => {
+        logger.error('Scheduler error:', error);
+      });
+    }, TICK_INTERVAL);
+
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fire every enabled schedule whose next run time has passed
+   */
+  async tick(now = new Date()) {
+    for (const schedule of this.schedules) {
+      if (!schedule.enabled || !schedule.nextRunAt) {
+        continue;
+      }
+
+      if (new Date(schedule.nextRunAt) <= now) {
+        this.updateNextRun(schedule, now);
+        await this.fire(schedule, 'schedule');
+      }
+    }
+  }
+
+  /**
+   * Start a run of a schedule and record it in the history
+   * @param {Object} schedule
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} The history entry for this run
+   */
+  async fire(schedule, trigger = 'manual') {
+    const entry = {
+      firedAt: new Date().toISOString(),
+      trigger,
+      jobId: null,
+      status: null,
+      error: null
+    };
+
+    const previous = schedule.history?.[0];
+    const previousJob = previous?.jobId ? jobQueue.getJob(previous.jobId) : null;
+
+    if (previousJob && ACTIVE_STATUSES.includes(previousJob.status)) {
+      entry.status = 'skipped';
+      entry.error = `Previous run (job ${previousJob.id}) is still ${previousJob.status}`;
+    } else if (!this.runner) {
+      entry.status = 'failed';
+      entry.error = 'Scheduler has no runner';
+    } else {
+      try {
+        const job = await this.runner(schedule);
+        entry.jobId = job.id;
+        entry.status = job.status;
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+      }
+    }
+
+    schedule.lastRunAt = entry.firedAt;
+    schedule.history = [entry, ...(schedule.history || [])].slice(0, MAX_HISTORY);
+    await this.save();
+
+    logger.info(`⏰ Schedule "${schedule.name}" fired (${trigger}): ${entry.status}${entry.error ? ` - ${entry.error}` : ''}`);
+    this.notify('schedule_fired', schedule, `Schedule "${schedule.name}" ${entry.status === 'skipped' || entry.status === 'failed' ? entry.status : 'started a batch'}`);
+
+    this.trackRun(schedule, entry);
+
+    return entry;
+  }
+
+  /**
+   * Keep a history entry's status in step with its job until the job finishes
+   */
+  trackRun(schedule, entry) {
+    if (!entry.jobId) {
+      return;
+    }
+
+    const job = jobQueue.getJob(entry.jobId);
+    if (!job) {
+      // Dropped from the job history - keep whatever status was recorded last
+      return;
+    }
+
+    entry.status = job.status;
+
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      this.recordResult(entry, job);
+      return;
+    }
+
+    jobQueue.waitForJob(entry.jobId).then(async (finishedJob) => {
+      entry.status = finishedJob.status;
+      this.recordResult(entry, finishedJob);
+      await this.save();
+      this.notify('schedule_run_finished', schedule, `Scheduled run of "${schedule.name}" ${finishedJob.status}`);
+    }).catch((error) => {
+      logger.error('Error tracking scheduled run:', error);
+    });
+  }
+
+  recordResult(entry, job) {
+    entry.error = job.error || null;
+    entry.finishedAt = job.finishedAt;
+
+    const songs = job.checkpoint?.songs;
+    if (songs) {
+      entry.success = songs.filter(s => s.step === 'downloaded').length;
+      entry.failed = songs.filter(s => s.step === 'failed').length;
+    }
+  }
+
+  updateNextRun(schedule, from = new Date()) {
+    const next = schedule.enabled ? getNextRun(schedule.cron, from) : null;
+    schedule.nextRunAt = next ? next.toISOString() : null;
+  }
+
+  getAllSchedules() {
+    return this.schedules;
+  }
+
+  getSchedule(id) {
+    return this.schedules.find(s => s.id === id);
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data
+   * @param {string} data.name - Display name
+   * @param {string} data.cron - Cron expression, e.g. "0 2 * * *"
+   * @param {Object} data.params - batch-create params (stylePresetId, numberOfSongs, lyrics, randomStylePresets)
+   * @param {boolean} data.enabled - Whether the schedule fires (default: true)
+   */
+  async createSchedule({ name, cron, params, enabled = true }) {
+    const cronError = validateCron(cron);
+    if (cronError) {
+      throw new Error(cronError);
+    }
+
+    const schedule = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name || cron,
+      cron: cron.trim(),
+      enabled: !!enabled,
+      params,
+      nextRunAt: null,
+      lastRunAt: null,
+      history: [],
+      createdAt: new Date().toISOString()
+    };
+
+    this.updateNextRun(schedule);
+    this.schedules.push(schedule);
+    await this.save();
+
+    return schedule;
+  }
+
+  async updateSchedule(id, updates) {
+    const schedule = this.getSchedule(id);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    if (updates.cron !== undefined) {
+      const cronError = validateCron(updates.cron);
+      if (cronError) {
+        throw new Error(cronError);
+      }
+      schedule.cron = updates.cron.trim();
+    }
+
+    if (updates.name !== undefined) {
+      schedule.name = updates.name;
+    }
+    if (updates.enabled !== undefined) {
+      schedule.enabled = !!updates.enabled;
+    }
+    if (updates.params !== undefined) {
+      schedule.params = { ...schedule.params, ...updates.params };
+    }
+
+    schedule.updatedAt = new Date().toISOString();
+    this.updateNextRun(schedule);
+    await this.save();
+
+    return schedule;
+  }
+
+  async deleteSchedule(id) {
+    const index = this.schedules.findIndex(s => s.id === id);
+    if (index === -1) {
+      throw new Error('Schedule not found');
+    }
+
+    this.schedules.splice(index, 1);
+    await this.save();
+  }
+
+  notify(status, schedule, message) {
+    if (this.statusCallback) {
+      this.statusCallback({
+        status,
+        message,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name
+      });
+    }
+  }
+}
+
+// Export singleton instance
+export default new Scheduler();
@@ -0,0 +1,304 @@
+import fs from 'fs-extra';
+import path from 'path';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LOG_DIR = path.join(__dirname, '../../logs');
+const LOG_FILE_NAME = 'app.jsonl';
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const DEFAULT_OPTIONS = {
+  level: 'info',
+  modules: {}, // Per-module level overrides, e.g. { DownloadManager: 'debug' }
+  maxFileSizeMB: 5,
+  maxFiles: 5,
+  console: true,
+  stderr: false // Print every level to stderr, keeping stdout free (the CLI's --json output)
+};
+
+// Entries kept in memory for fast /api/logs queries
+const MAX_RECENT = 2000;
+
+/**
+ * LogManager - Leveled, structured logging to the console and JSON-lines files
+ *
+ * Every entry is one JSON object per line in logs/app.jsonl: time, level,
+ * module, message, plus whatever correlation context is active (jobId,
+ * song, accountId). Context is carried with AsyncLocalStorage, so code deep
+ * in the automation doesn't need to be handed job ids - the job queue and
+ * the batch runner set it with withLogContext(). When the file reaches
+ * maxFileSizeMB it is rotated to app.1.jsonl, app.2.jsonl, ... and the
+ * oldest beyond maxFiles is deleted.
+ *
+ * Levels: the global `level` applies unless `modules` has an override for
+ * the logging module. LOG_LEVEL and LOG_MODULES ("SongCreator=debug,AuthManager=warn")
+ * override the settings file.
+ */
+export class LogManager {
+  constructor(logDir = LOG_DIR) {
+    this.logDir = logDir;
+    this.logFile = path.join(logDir, LOG_FILE_NAME);
+    this.options = { ...DEFAULT_OPTIONS };
+    this.context = new AsyncLocalStorage();
+    this.recent = [];
+    this.fileSize = null;
+    this.configure();
+  }
+
+  /**
+   * Apply logging settings (from settings.get('logging')), then env overrides
+   */
+  configure(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      modules: { ...(options.modules || {}) }
+    };
+
+    if (process.env.LOG_LEVEL) {
+      this.options.level = process.env.LOG_LEVEL;
+    }
+
+    for (const pair of (process.env.LOG_MODULES || '').split(',')) {
+      const [module, level] = pair.split('=').map(s => s && s.trim());
+      if (module && level) {
+        this.options.modules[module] = level;
+      }
+    }
+  }
+
+  getOptions() {
+    return this.options;
+  }
+
+  /**
+   * Minimum level a module logs at
+   */
+  getLevel(module) {
+    return this.options.modules[module] || this.options.level;
+  }
+
+  isEnabled(module, level) {
+    return LOG_LEVELS[level] >= (LOG_LEVELS[this.getLevel(module)] ?? LOG_LEVELS.info);
+  }
+
+  /**
+   * Run fn with extra correlation fields on every entry it logs,
+   * e.g. withLogContext({ jobId }, () => handler(job))
+   */
+  withContext(fields, fn) {
+    return this.context.run({ ...this.getContext(), ...fields }, fn);
+  }
+
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  /**
+   * Write an entry. Args work like console.log; an Error is split into
+   * `error` and `stack`, and a trailing plain object becomes `data`.
+   */
+  log(module, level, args) {
+    if (!this.isEnabled(module, level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      module,
+      ...this.getContext(),
+      ...buildMessage(args)
+    };
+
+    this.recent.push(entry);
+    if (this.recent.length > MAX_RECENT) {
+      this.recent.splice(0, this.recent.length - MAX_RECENT);
+    }
+
+    if (this.options.console) {
+      const print = this.options.stderr || level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+      print(`[${module}]`, entry.message);
+    }
+
+    this.writeToFile(entry);
+  }
+
+  writeToFile(entry) {
+    try {
+      const line = JSON.stringify(entry) + '\n';
+
+      if (this.fileSize === null) {
+        fs.ensureDirSync(this.logDir);
+        this.fileSize = fs.existsSync(this.logFile) ? fs.statSync(this.logFile).size : 0;
+      }
+
+      if (this.fileSize + line.length > this.options.maxFileSizeMB * 1024 * 1024) {
+        this.rotate();
+      }
+
+      // Synchronous, so entries logged right before a crash still reach the disk
+      fs.appendFileSync(this.logFile, line);
+      this.fileSize += Buffer.byteLength(line);
+    } catch (error) {
+      // Never let logging break the caller
+      console.error('Error writing log file:', error.message);
+    }
+  }
+
+  rotate() {
+    const maxFiles = Math.max(1, this.options.maxFiles);
+
+    fs.removeSync(this.rotatedFile(maxFiles - 1));
+    for (let i = maxFiles - 2; i >= 1; i--) {
+      if (fs.existsSync(this.rotatedFile(i))) {
+        fs.renameSync(this.rotatedFile(i), this.rotatedFile(i + 1));
+      }
+    }
+    if (maxFiles > 1 && fs.existsSync(this.logFile)) {
+      fs.renameSync(this.logFile, this.rotatedFile(1));
+    } else {
+      fs.removeSync(this.logFile);
+    }
+
+    this.fileSize = 0;
+  }
+
+  rotatedFile(index) {
+    return path.join(this.logDir, LOG_FILE_NAME.replace('.jsonl', `.${index}.jsonl`));
+  }
+
+  /**
+   * Search the logs, newest first. Recent entries come from memory; older
+   * ones are read from the log files (current file first, then rotated ones).
+   * @param {Object} filters
+   * @param {string} filters.level - Minimum level
+   * @param {string} filters.module - Only this module
+   * @param {string} filters.jobId - Only entries logged while this job ran
+   * @param {number} filters.song - Only entries of this batch song (1-based)
+   * @param {string} filters.since - ISO time, only entries after it
+   * @param {string} filters.search - Case-insensitive text in the message
+   * @param {number} filters.limit - Max entries (default: 200)
+   */
+  async query({ level, module, jobId, song, since, search, limit = 200 } = {}) {
+    const minLevel = level ? LOG_LEVELS[level] : 0;
+    const needle = search ? search.toLowerCase() : null;
+
+    const matches = (entry) =>
+      LOG_LEVELS[entry.level] >= minLevel &&
+      (!module || entry.module === module) &&
+      (!jobId || entry.jobId === jobId) &&
+      (!song || entry.song === song) &&
+      (!since || entry.time > since) &&
+      (!needle || entry.message.toLowerCase().includes(needle));
+
+    const results = [];
+    const oldestInMemory = this.recent[0]?.time;
+
+    for (let i = this.recent.length - 1; i >= 0 && results.length < limit; i--) {
+      if (matches(this.recent[i])) {
+        results.push(this.recent[i]);
+      }
+    }
+
+    // Older entries, from before this process started or pushed out of memory
+    const files = [this.logFile];
+    for (let i = 1; i < this.options.maxFiles; i++) {
+      files.push(this.rotatedFile(i));
+    }
+
+    for (const file of files) {
+      if (results.length >= limit || (since && oldestInMemory && since >= oldestInMemory)) {
+        break;
+      }
+      if (!(await fs.pathExists(file))) {
+        continue;
+      }
+
+      const lines = (await fs.readFile(file, 'utf8')).split('\n');
+      for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+        if (!lines[i]) {
+          continue;
+        }
+
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (error) {
+          continue;
+        }
+
+        if ((!oldestInMemory || entry.time < oldestInMemory) && matches(entry)) {
+          results.push(entry);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Modules that have logged since startup
+   */
+  getModules() {
+    return [...new Set(this.recent.map(e => e.module))].sort();
+  }
+}
+
+/**
+ * Turn console-style args into { message, error, stack, data }
+ * @private
+ */
+function buildMessage(args) {
+  const fields = {};
+  let parts = [...args];
+
+  const last = parts[parts.length - 1];
+  if (parts.length > 1 && last && typeof last === 'object' && !(last instanceof Error) && !Array.isArray(last)) {
+    fields.data = last;
+    parts = parts.slice(0, -1);
+  }
+
+  const error = parts.find(p => p instanceof Error);
+  if (error) {
+    fields.error = error.message;
+    fields.stack = error.stack;
+    parts = parts.map(p => (p === error ? error.message : p));
+  }
+
+  const message = util.format(...parts).trim();
+  return { message, ...fields };
+}
+
+// Export singleton instance
+const logManager = new LogManager();
+
+export default logManager;
+
+/**
+ * Logger for one module: logger.info('Downloading', { title })
+ */
+export function createLogger(module) {
+  return {
+    debug: (...args) => logManager.log(module, 'debug', args),
+    info: (...args) => logManager.log(module, 'info', args),
+    warn: (...args) => logManager.log(module, 'warn', args),
+    error: (...args) => logManager.log(module, 'error', args),
+    isDebugEnabled: () => logManager.isEnabled(module, 'debug')
+  };
+}
+
+export function withLogContext(fields, fn) {
+  return logManager.withContext(fields, fn);
+}
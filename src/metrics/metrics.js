@@ -0,0 +1,240 @@
+/**
+ * Minimal Prometheus metrics for GET /metrics
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4). Values live in memory and start
+ * from zero on every restart, which Prometheus handles as a counter reset.
+ * Gauges that describe current state (queue depth, browser session age) are
+ * set by the /metrics route right before rendering.
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - a song step takes from a few seconds (create) to minutes (wait, render, upload)
+const DURATION_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base for one named metric; each distinct label set is its own series
+ * @private
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Label set key -> { labels, ...values }
+  }
+
+  getSeries(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+      }
+    }
+
+    const key = this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: { ...labels }, ...this.initialValues() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    // A metric without labels is reported as 0 before it is first used
+    if (this.series.size === 0 && this.labelNames.length === 0) {
+      this.getSeries();
+    }
+
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  initialValues() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    this.getSeries(labels).value += amount;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  initialValues() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialValues() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to record the elapsed seconds
+   * const stop = histogram.startTimer({ step: 'render' }); ...; stop();
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries({ labels, counts, sum, count }) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    return lines;
+  }
+}
+
+/**
+ * MetricsRegistry - Every metric the app reports, rendered together
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+// Export singleton instance
+const registry = new MetricsRegistry();
+
+export default registry;
+
+// Suno automation
+export const songsCreated = registry.counter(
+  'suno_songs_created_total',
+  'Songs submitted to Suno (each one generates two clips)'
+);
+
+export const downloads = registry.counter(
+  'suno_downloads_total',
+  'Song downloads by result (success counts files in any format, failure counts failed attempts)',
+  ['result']
+);
+
+export const captchaEncounters = registry.counter(
+  'suno_captcha_encounters_total',
+  'CAPTCHAs or error pages that paused the automation',
+  ['stage']
+);
+
+// YouTube publishing
+export const publishes = registry.counter(
+  'suno_publishes_total',
+  'Publish workflows by result',
+  ['result']
+);
+
+// Create, wait and download are measured in SunoBot, render in VideoRenderer, upload in YouTubeUploader
+export const stepDuration = registry.histogram(
+  'suno_step_duration_seconds',
+  'Duration of successful song and publish steps',
+  ['step']
+);
+
+// Current state, set when /metrics is scraped
+export const queueDepth = registry.gauge(
+  'suno_job_queue_depth',
+  'Jobs waiting in the queue, per lane',
+  ['lane']
+);
+
+export const browserSessionAge = registry.gauge(
+  'suno_browser_session_age_seconds',
+  'Seconds since the shared browser session was opened (0 when no browser is open)'
+);
@@ -0,0 +1,121 @@
+/**
+ * Versioned upgrades for the JSON files the app persists
+ *
+ * Every migrated file carries a `schemaVersion` number. A migration target
+ * (see steps.js) knows how to tell the version of files written before that
+ * field existed, and lists its upgrade steps in order. Files are backed up
+ * next to the original before they are rewritten. Files from a newer version
+ * of the app are refused rather than guessed at.
+ */
+
+import fs from 'fs-extra';
+import { createLogger } from '../logging/logger.js';
+
+const logger = createLogger('Migrator');
+
+export class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+/**
+ * Version a target's files are upgraded to (its last step)
+ * @param {Object} target - Migration target from steps.js
+ * @returns {number}
+ */
+export function getLatestVersion(target) {
+  return target.steps.length > 0 ? target.steps[target.steps.length - 1].version : 0;
+}
+
+/**
+ * Run the steps `data` still needs, without touching any file
+ * @param {Object} target - Migration target from steps.js
+ * @param {*} data - Parsed file contents
+ * @param {string} label - What the data is, for error messages (default: the target name)
+ * @returns {{ data: Object, from: number, to: number, applied: Array<string> }}
+ * @throws {MigrationError} If the data is from a newer version of the app
+ */
+export function migrateData(target, data, label = target.name) {
+  const from = target.detectVersion(data);
+  const to = getLatestVersion(target);
+
+  if (from > to) {
+    throw new MigrationError(
+      `${label} has schema version ${from}, but this version of the app only knows up to ${to}. Update the app or restore a backup.`
+    );
+  }
+
+  let result = structuredClone(data);
+  const applied = [];
+
+  for (const step of target.steps) {
+    if (step.version <= from) {
+      continue;
+    }
+    result = step.up(result);
+    result.schemaVersion = step.version;
+    applied.push(step.description);
+  }
+
+  return { data: result, from, to, applied };
+}
+
+/**
+ * Migrator - Upgrades files in place and remembers what it did
+ */
+class Migrator {
+  constructor() {
+    this.history = [];
+  }
+
+  /**
+   * Upgrade one file if it is behind. The original is copied to
+   * `<file>.v<from>.bak` first (an existing backup of the same version is kept).
+   * @param {string} filePath - JSON file to upgrade
+   * @param {Object} target - Migration target from steps.js
+   * @param {*} data - Contents if the caller already read the file
+   * @returns {Promise<Object>} The (possibly upgraded) contents
+   * @throws {MigrationError} If the file is from a newer version of the app
+   */
+  async migrateFile(filePath, target, data = undefined) {
+    if (data === undefined) {
+      data = await fs.readJSON(filePath);
+    }
+
+    const result = migrateData(target, data, filePath);
+    if (result.applied.length === 0) {
+      return result.data;
+    }
+
+    const backupPath = `${filePath}.v${result.from}.bak`;
+    await fs.copy(filePath, backupPath, { overwrite: false });
+    await fs.writeJSON(filePath, result.data, { spaces: 2 });
+
+    const entry = {
+      file: filePath,
+      target: target.name,
+      from: result.from,
+      to: result.to,
+      applied: result.applied,
+      backupPath,
+      migratedAt: new Date().toISOString()
+    };
+    this.history.push(entry);
+    logger.info(`Migrated ${filePath} from v${entry.from} to v${entry.to} (backup: ${backupPath})`);
+
+    return result.data;
+  }
+
+  /**
+   * Files migrated since the process started
+   * @returns {Array<Object>} { file, target, from, to, applied, backupPath, migratedAt }
+   */
+  getHistory() {
+    return this.history;
+  }
+}
+
+// Export singleton instance
+export default new Migrator();
@@ -0,0 +1,95 @@
+/**
+ * Upgrade steps for each persisted file
+ *
+ * Steps run in order, each on the output of the previous one, and must cope
+ * with anything an older version of the app could have written. Never edit a
+ * released step - add a new one with the next version number instead.
+ */
+
+// suno.maxWaitMinutes defaults from when it was a fixed sleep after Create: 2 in
+// config.json, 3 in the settings form. Any other value was picked on purpose.
+const OLD_FIXED_WAIT_MINUTES = [2, 3];
+
+// config.json
+export const CONFIG_MIGRATIONS = {
+  name: 'config.json',
+  detectVersion: (data) => data.schemaVersion ?? 0,
+  steps: [
+    {
+      version: 1,
+      description: 'Add suno.maxWaitMinutes, converted from suno.maxWaitTime',
+      up(config) {
+        const suno = config.suno;
+        if (suno && suno.maxWaitMinutes === undefined && typeof suno.maxWaitTime === 'number') {
+          suno.maxWaitMinutes = Math.min(30, Math.max(1, Math.round(suno.maxWaitTime / 60000)));
+        }
+        return config;
+      }
+    },
+    {
+      version: 2,
+      description: 'Raise suno.maxWaitMinutes from the old fixed-wait default to 10 - it is now a time limit for generation',
+      up(config) {
+        const suno = config.suno;
+        if (suno && OLD_FIXED_WAIT_MINUTES.includes(suno.maxWaitMinutes)) {
+          suno.maxWaitMinutes = 10;
+        }
+        return config;
+      }
+    }
+  ]
+};
+
+// config/style-presets.json (and preset exports, which share the format)
+export const STYLE_PRESETS_MIGRATIONS = {
+  name: 'style-presets.json',
+  detectVersion(data) {
+    if (Array.isArray(data)) {
+      return 0;
+    }
+    return data.schemaVersion ?? (data.version === '1.0.0' ? 1 : 0);
+  },
+  steps: [
+    {
+      version: 1,
+      description: 'Wrap a bare preset list in { presets }',
+      up(data) {
+        const presets = Array.isArray(data) ? data : data.presets;
+        return { ...(Array.isArray(data) ? {} : data), presets: presets || [], version: '1.0.0' };
+      }
+    },
+    {
+      version: 2,
+      description: 'Fill in missing preset fields (category, favorite, usageCount, createdAt)',
+      up(data) {
+        const createdAt = data.lastUpdated || data.exportedAt || new Date().toISOString();
+        data.presets = data.presets.map(preset => ({
+          category: 'Custom',
+          favorite: false,
+          usageCount: 0,
+          createdAt,
+          ...preset
+        }));
+        return data;
+      }
+    }
+  ]
+};
+
+// <downloadPath>/published/<videoId>.json
+export const PUBLISHED_RECORD_MIGRATIONS = {
+  name: 'published record',
+  detectVersion: (data) => data.schemaVersion ?? 0,
+  steps: [
+    {
+      version: 1,
+      description: 'Add publishedAt (the YouTube upload time) used by the published list',
+      up(record) {
+        if (!record.publishedAt) {
+          record.publishedAt = record.uploadedAt || record.recordCreated || record.timestamp;
+        }
+        return record;
+      }
+    }
+  ]
+};
@@ -2,10 +2,13 @@ import OpenAI from 'openai';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../logging/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('SEOGenerator');
+
 /**
  * SEOGenerator class for creating YouTube metadata using GPT-4o-mini
  * Cost-effective SEO generation for music videos
@@ -65,7 +68,7 @@ export class SEOGenerator {
       return this.validateMetadata(metadata, songData);
 
     } catch (error) {
-      console.error('OpenAI API error:', error);
+      logger.error('OpenAI API error:', error);
 
       // Fallback to basic metadata if API fails
       return this.generateFallbackMetadata(songData);
@@ -268,7 +271,7 @@ ${lyricsPreview}
         await new Promise(resolve => setTimeout(resolve, 1000));
 
       } catch (error) {
-        console.error(`Failed to generate metadata for ${songData.title}:`, error);
+        logger.error(`Failed to generate metadata for ${songData.title}:`, error);
         results.push({
           ...songData,
           metadata: this.generateFallbackMetadata(songData),
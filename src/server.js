@@ -1,72 +1,772 @@
+import 'dotenv/config';
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
-import settings from './config/settings.js';
+import settings, { ConfigValidationError } from './config/settings.js';
 import { SunoBot } from './automation/suno-bot.js';
+import selectorRegistry, { SelectorRegistryError } from './automation/selector-registry.js';
+import { listDownloads } from './automation/utils.js';
+import { retagDownloads } from './automation/song-tags.js';
 import credentialManager from './config/credentials.js';
-import { publishSong, getPublishedSongs, getPublishedSong } from './workflows/publish-song.js';
+import accountManager, { LOGIN_STATUS } from './config/accounts.js';
+import apiKeyManager, { getRequestKey } from './config/api-keys.js';
+import openApiSpec from './api/openapi.js';
+import { validateRequest, sendValidationError } from './api/validation.js';
+import eventHistory from './api/event-history.js';
+import webhookManager, { WEBHOOK_EVENTS } from './webhooks/webhook-manager.js';
+import { publishSong, getPublishedSongs, getPublishedSong, migratePublishedRecords } from './workflows/publish-song.js';
 import stylePresetManager from './config/style-presets.js';
+import jobQueue from './jobs/job-queue.js';
+import scheduler from './jobs/scheduler.js';
+import { validateCron } from './jobs/cron.js';
+import { CancelledError } from './automation/cancellation.js';
+import { planBatch, runBatch, getResumeIndex, summarizeBatch, SONG_STEP } from './workflows/batch-create.js';
+import { parseManifest, validateManifest, planManifestBatch, buildBatchReport, ManifestError } from './workflows/batch-manifest.js';
+import { InsufficientCreditsError, CREDITS_PER_GENERATION } from './automation/credit-reader.js';
+import logManager, { createLogger } from './logging/logger.js';
+import migrator, { MigrationError } from './migrations/migrator.js';
+import metrics, { CONTENT_TYPE as METRICS_CONTENT_TYPE, queueDepth, browserSessionAge } from './metrics/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('Server');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Without API keys the server only listens on this machine.
+// Set HOST to override (e.g. HOST=0.0.0.0 to expose it on the LAN).
+const HOST = process.env.HOST || (apiKeyManager.isEnabled() ? '0.0.0.0' : '127.0.0.1');
+
 // Middleware
-app.use(express.json());
+// Manifests carry the lyrics of every song, so allow more than the 100kb default
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Global bot instance
+// API key auth on every /api route, once enabled in the settings modal
+app.use('/api', (req, res, next) => {
+  if (!apiKeyManager.isEnabled() || req.path === '/health') {
+    return next();
+  }
+
+  // Download links can't send headers, so they may carry the key in the URL
+  const allowQuery = req.method === 'GET' && req.path.startsWith('/download/');
+
+  if (apiKeyManager.verify(getRequestKey(req, allowQuery))) {
+    return next();
+  }
+
+  res.status(401).json({ error: 'Valid API key required' });
+});
+
+// Check params, query and body of every /api request against the OpenAPI spec
+app.use('/api', validateRequest);
+
+// Shared bot instance - reused by every job in the 'suno' lane
 let currentBot = null;
-let isProcessing = false;
-let isPublishing = false;
 
-// Initialize settings on startup
-await settings.load();
+// Initialize settings, job queue and schedules on startup
+try {
+  await settings.load();
+} catch (error) {
+  if (error instanceof MigrationError) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (!(error instanceof ConfigValidationError)) {
+    throw error;
+  }
+  console.error(`❌ Invalid configuration (${error.source}):`);
+  error.errors.forEach(e => console.error(`   ${e.field} ${e.message}`));
+  process.exit(1);
+}
+logManager.configure(settings.get('logging'));
+try {
+  await selectorRegistry.load();
+} catch (error) {
+  if (!(error instanceof SelectorRegistryError)) {
+    throw error;
+  }
+  console.error(`❌ Invalid selectors (${error.source}):`);
+  error.errors.forEach(e => console.error(`   ${e.field} ${e.message}`));
+  process.exit(1);
+}
+await migratePublishedRecords(settings.get('downloadPath'));
+await jobQueue.load();
+await scheduler.load();
+
+// List the files upgraded from an older version during startup
+function reportMigrations() {
+  const migrations = migrator.getHistory();
+  if (migrations.length === 0) {
+    return;
+  }
+
+  console.log(`🔄 Migrated ${migrations.length} file(s) from an older version:`);
+  for (const { file, from, to, applied, backupPath } of migrations) {
+    console.log(`   ${path.relative(process.cwd(), file)}: v${from} → v${to} (backup: ${path.basename(backupPath)})`);
+    applied.forEach(description => console.log(`     - ${description}`));
+  }
+}
 
 // Create HTTP server
-const server = app.listen(PORT, () => {
+const server = app.listen(PORT, HOST, () => {
   console.log(`\n${'='.repeat(50)}`);
   console.log(`🎵 Suno Automation Server Started`);
   console.log(`${'='.repeat(50)}`);
   console.log(`\n📍 Server URL: http://localhost:${PORT}`);
+  console.log(`🌐 Listening on: ${HOST}${HOST === '127.0.0.1' ? ' (this machine only - enable API keys to allow LAN access)' : ''}`);
+  if (!apiKeyManager.isEnabled() && HOST !== '127.0.0.1' && HOST !== 'localhost') {
+    console.log('⚠️  API key auth is OFF - anyone who can reach this port can use the API');
+  }
   console.log(`📁 Download Path: ${settings.get('downloadPath')}`);
   console.log(`🔐 Auth Method: ${settings.get('authMethod')}`);
+  const { version: selectorsVersion, overridesFile, targets } = selectorRegistry.getAll();
+  const overridden = Object.values(targets).filter(t => t.source === 'override').length;
+  console.log(`🎯 Selectors: v${selectorsVersion}${overridesFile ? ` (${overridden} overridden in ${path.relative(process.cwd(), overridesFile)})` : ''}`);
+  reportMigrations();
   console.log(`\n✅ Ready to create songs!\n`);
 });
 
 // WebSocket server for real-time updates
-const wss = new WebSocketServer({ server });
+// Browsers can't set headers on the WebSocket handshake, so the key comes as ?apiKey=
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }, done) => {
+    if (!apiKeyManager.isEnabled() || apiKeyManager.verify(getRequestKey(req, true))) {
+      return done(true);
+    }
+    done(false, 401, 'Valid API key required');
+  }
+});
 
 const clients = new Set();
 
-wss.on('connection', (ws) => {
+// On connect every client gets a snapshot of the current state plus the
+// recent event history. Query params:
+//   ?since=<seq>  - only replay events after this seq (for reconnects)
+//   ?jobId=<id>   - subscribe to a single job's events from the start
+// Afterwards a client can send { "action": "subscribe" | "unsubscribe", "jobId": "..." }.
+// A client with no subscriptions receives every event.
+wss.on('connection', (ws, req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const since = parseInt(url.searchParams.get('since')) || 0;
+  const jobId = url.searchParams.get('jobId');
+
+  ws.subscriptions = new Set(jobId ? [jobId] : []);
   clients.add(ws);
   console.log(`🔌 WebSocket client connected (${clients.size} active)`);
 
+  sendToClient(ws, {
+    status: 'snapshot',
+    state: getStateSnapshot(),
+    // A seq from before a server restart means nothing now - send everything
+    history: eventHistory.getEvents({ since: since <= eventHistory.seq ? since : 0, jobId }),
+    seq: eventHistory.seq
+  });
+
+  ws.on('message', (data) => {
+    handleClientMessage(ws, data);
+  });
+
   ws.on('close', () => {
     clients.delete(ws);
     console.log(`🔌 WebSocket client disconnected (${clients.size} active)`);
   });
 
   ws.on('error', (error) => {
-    console.error('❌ WebSocket error:', error.message);
+    logger.error('❌ WebSocket error:', error);
     clients.delete(ws);
   });
 });
 
+function sendToClient(client, data) {
+  if (client.readyState === 1) { // WebSocket.OPEN
+    client.send(JSON.stringify(data));
+  }
+}
+
+function handleClientMessage(ws, data) {
+  let request;
+  try {
+    request = JSON.parse(data.toString());
+  } catch (error) {
+    return sendToClient(ws, { status: 'ws_error', message: 'Messages must be JSON' });
+  }
+
+  const { action, jobId } = request || {};
+
+  if (action === 'subscribe') {
+    if (!jobId || typeof jobId !== 'string') {
+      return sendToClient(ws, { status: 'ws_error', message: 'subscribe needs a jobId' });
+    }
+
+    ws.subscriptions.add(jobId);
+    sendToClient(ws, {
+      status: 'subscribed',
+      jobId,
+      job: jobQueue.getJob(jobId) || null,
+      history: eventHistory.getEvents({ jobId })
+    });
+  } else if (action === 'unsubscribe') {
+    // Without a jobId, go back to receiving everything
+    if (jobId) {
+      ws.subscriptions.delete(jobId);
+    } else {
+      ws.subscriptions.clear();
+    }
+    sendToClient(ws, { status: 'unsubscribed', jobId: jobId || null });
+  } else {
+    sendToClient(ws, { status: 'ws_error', message: `Unknown action: ${action}` });
+  }
+}
+
+/**
+ * What a freshly connected client needs to rebuild the UI
+ */
+function getStateSnapshot() {
+  return {
+    ...getProcessingStatus(),
+    isPublishing: jobQueue.isBusy('publish'),
+    activeAccountId: currentBot?.account?.id || null,
+    runningJobs: jobQueue.getJobs({ status: 'running' }).map(job => ({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      paused: !!job.paused,
+      startedAt: job.startedAt,
+      progress: job.checkpoint ? summarizeBatch(job.checkpoint) : null
+    })),
+    resumableBatches: getResumableBatches().length
+  };
+}
+
+/**
+ * Send a status event to every subscribed client and keep it in the history.
+ * Lifecycle events also go out to webhooks.
+ */
 function broadcastStatus(status) {
-  const message = JSON.stringify(status);
+  const event = eventHistory.record(status);
+  const message = JSON.stringify(event);
+
+  webhookManager.handleEvent(event);
+
   clients.forEach((client) => {
-    if (client.readyState === 1) { // WebSocket.OPEN
+    const subscribed = client.subscriptions.size === 0 || client.subscriptions.has(event.jobId);
+    if (subscribed && client.readyState === 1) { // WebSocket.OPEN
       client.send(message);
     }
   });
 }
 
+// ========================================
+// Job Queue
+// ========================================
+
+/**
+ * Get the shared bot, launching the browser and logging in on first use.
+ * Only one account's browser is open at a time - asking for a different
+ * account closes the current browser and opens that account's profile.
+ * @param {string} accountId - Account to use (default: the default account)
+ */
+async function getBot(accountId = null) {
+  const account = accountManager.getAccount(accountId);
+  if (!account) {
+    throw new Error(`Account not found: ${accountId}`);
+  }
+
+  if (currentBot && currentBot.account?.id === account.id) {
+    logger.info('🔄 Reusing existing browser session...');
+    return currentBot;
+  }
+
+  if (currentBot) {
+    logger.info(`🔀 Switching from account "${currentBot.account?.name}" to "${account.name}"...`);
+    await closeBot();
+  }
+
+  logger.info(`🌐 Creating new browser session (account: ${account.name})...`);
+  const bot = new SunoBot(true, account);
+  bot.setStatusCallback((status) => {
+    if (status.status === 'credits') {
+      accountManager.setCredits(account.id, status.credits).catch(() => {});
+    }
+    // The bot doesn't know about jobs - tag its events for job subscribers
+    const runningJob = jobQueue.getRunningJob('suno');
+    broadcastStatus({ jobId: runningJob?.id, ...status, accountId: account.id });
+  });
+
+  await bot.initialize();
+
+  try {
+    await bot.login();
+  } catch (error) {
+    await accountManager.setLoginStatus(account.id, LOGIN_STATUS.FAILED, error.message);
+    throw error;
+  }
+
+  await accountManager.setLoginStatus(account.id, LOGIN_STATUS.LOGGED_IN);
+
+  currentBot = bot;
+  return bot;
+}
+
+async function closeBot() {
+  if (currentBot) {
+    const bot = currentBot;
+    currentBot = null;
+    await bot.close();
+  }
+}
+
+async function runTestAuthJob(job) {
+  const { accountId } = job.params;
+  const account = accountManager.getAccount(accountId);
+
+  broadcastStatus({ status: 'testing_auth', message: `Testing authentication${account ? ` for ${account.name}` : ''}...`, jobId: job.id, accountId });
+
+  try {
+    // A new session is logged in by getBot(); a reused one only needs checking
+    const existingBot = currentBot;
+    const bot = await getBot(accountId);
+    if (bot === existingBot && !await bot.checkSession()) {
+      logger.info('🔓 Session expired, logging in again...');
+      await bot.login();
+    }
+
+    broadcastStatus({ status: 'auth_test_success', message: 'Authentication successful!', jobId: job.id, accountId: bot.account.id });
+    return { authenticated: true, accountId: bot.account.id };
+  } catch (error) {
+    broadcastStatus({ status: 'auth_test_failed', message: error.message, jobId: job.id, accountId });
+    await closeBot();
+    throw error;
+  }
+}
+
+async function runSelectorCheckJob(job) {
+  const { accountId } = job.params;
+
+  broadcastStatus({ status: 'checking_selectors', message: 'Checking selectors on the Create and library pages...', jobId: job.id, accountId });
+
+  const bot = await getBot(accountId);
+  const report = await bot.checkSelectors();
+
+  const { pass, warn, fail, skipped } = report.summary;
+  broadcastStatus({
+    status: report.passed ? 'selector_check_passed' : 'selector_check_failed',
+    message: `Selector check: ${pass} passed, ${warn} warnings, ${fail} failed, ${skipped} skipped`,
+    jobId: job.id,
+    accountId: bot.account.id
+  });
+
+  return { accountId: bot.account.id, ...report };
+}
+
+async function runCreateSongJob(job, token) {
+  const { title, lyrics, style, numberOfRounds, accountId, formats } = job.params;
+
+  try {
+    const bot = await getBot(accountId);
+
+    const result = await bot.automateFullProcess({
+      title,
+      lyrics,
+      style,
+      numberOfRounds,
+      formats
+    }, token);
+
+    broadcastStatus({
+      status: 'complete',
+      message: 'Song created and downloaded successfully!',
+      jobId: job.id,
+      result
+    });
+
+    return result;
+  } catch (error) {
+    // Stopped between steps - the browser session is still good
+    if (error instanceof CancelledError) {
+      broadcastStatus({ status: 'stopped', message: 'Process stopped by user', jobId: job.id });
+      throw error;
+    }
+
+    broadcastStatus({
+      status: 'error',
+      message: error.message,
+      jobId: job.id,
+      error: error.stack
+    });
+
+    // Keep browser open on error for debugging
+    logger.warn('⚠️  ERROR OCCURRED - Browser will stay open for 30 seconds for debugging');
+    logger.info('Check downloads/debug/ folder for screenshots');
+    await new Promise(resolve => setTimeout(resolve, 30000));
+
+    await closeBot();
+    throw error;
+  }
+}
+
+async function runBatchJob(job, token) {
+  const { stylePresetId, lyrics, randomStylePresets, accountId, rotateAccounts, allowPartial, formats } = job.params;
+  let outOfCredits = false;
+  let crashed = false;
+
+  try {
+    // Plan every song on the first run; a resumed job keeps its original plan
+    if (!job.checkpoint) {
+      if (job.params.songs) {
+        // Manifest batch - the rows were validated and their styles resolved when it was queued
+        job.checkpoint = planManifestBatch(job.params.songs);
+      } else {
+        const preset = stylePresetManager.getPreset(stylePresetId);
+        if (!preset) {
+          throw new Error(`Style preset not found: ${stylePresetId}`);
+        }
+
+        // Get all presets in the same category for random selection
+        let categoryPresets = [preset];
+        if (randomStylePresets) {
+          const allPresets = stylePresetManager.getAllPresets();
+          categoryPresets = allPresets.filter(p => p.category === preset.category);
+          logger.info(`Random mode: Found ${categoryPresets.length} presets in category "${preset.category}"`);
+        }
+
+        job.checkpoint = planBatch({
+          preset,
+          categoryPresets,
+          numberOfSongs: job.params.numberOfSongs,
+          randomStylePresets
+        });
+
+        // Increment usage for randomly selected presets
+        for (const song of job.checkpoint.songs) {
+          if (song.presetId !== stylePresetId) {
+            await stylePresetManager.incrementUsage(song.presetId);
+          }
+        }
+      }
+
+      // Pin each song to an account, so a resumed batch uses the same ones
+      const songAccounts = rotateAccounts
+        ? accountManager.getRotation(job.checkpoint.songs.length, job.params.accountIds)
+        : job.checkpoint.songs.map(() => accountManager.getAccount(accountId)?.id);
+      job.checkpoint.songs.forEach((song, i) => {
+        song.accountId = songAccounts[i];
+      });
+
+      await jobQueue.update(job);
+    }
+
+    // Open the first song's account up front, so a login problem fails the whole batch
+    const firstSong = job.checkpoint.songs[Math.max(getResumeIndex(job.checkpoint), 0)];
+    const bot = await getBot(firstSong?.accountId);
+
+    // Credit estimate for the songs this account still has to create
+    const songsToCreate = job.checkpoint.songs.filter(song =>
+      song.step === SONG_STEP.PENDING && (song.accountId || bot.account.id) === bot.account.id
+    ).length;
+    const creditsNeeded = songsToCreate * CREDITS_PER_GENERATION;
+
+    if (bot.credits !== null && bot.credits < creditsNeeded) {
+      const affordable = Math.floor(bot.credits / CREDITS_PER_GENERATION);
+      const message = `${bot.account.name} has ${bot.credits} credits, ${creditsNeeded} needed for ${songsToCreate} songs (enough for ${affordable})`;
+
+      if (!allowPartial) {
+        outOfCredits = true;
+        broadcastStatus({ status: 'batch_refused', message: `Batch not started: ${message}`, jobId: job.id, credits: bot.credits, creditsNeeded });
+        throw new InsufficientCreditsError(bot.credits, creditsNeeded, `Not enough Suno credits: ${message}`);
+      }
+
+      broadcastStatus({ status: 'batch_credits_warning', message: `${message} - the batch will stop when credits run out`, jobId: job.id, credits: bot.credits, creditsNeeded });
+    }
+
+    await runBatch(bot, job.checkpoint, {
+      creditsPerSong: CREDITS_PER_GENERATION,
+      getBot: (song) => getBot(song.accountId),
+      lyrics,
+      randomStylePresets,
+      formats,
+      onCheckpoint: () => jobQueue.update(job),
+      onSongDownloaded: queueSongPublish,
+      onProgress: (progress) => broadcastStatus({ ...progress, jobId: job.id }),
+      token
+    });
+
+  } catch (error) {
+    // Stopped between steps - keep the browser open, the batch can be resumed later
+    if (error instanceof CancelledError) {
+      const { success, total } = summarizeBatch(job.checkpoint);
+      broadcastStatus({
+        status: 'stopped',
+        message: `Batch stopped by user after ${success} of ${total} songs`,
+        jobId: job.id
+      });
+      throw error;
+    }
+
+    // Out of credits - not a crash, the browser stays open and the batch can be resumed after a top-up
+    if (error instanceof InsufficientCreditsError) {
+      if (!outOfCredits) {
+        outOfCredits = true;
+        const { success, total } = summarizeBatch(job.checkpoint);
+        broadcastStatus({
+          status: 'batch_out_of_credits',
+          message: `Batch stopped after ${success} of ${total} songs: ${error.message}`,
+          jobId: job.id,
+          credits: error.available
+        });
+      }
+      throw error;
+    }
+
+    crashed = true;
+    logger.error('Batch process error:', error);
+    broadcastStatus({
+      status: 'batch_error',
+      message: `Batch process failed: ${error.message}`,
+      jobId: job.id
+    });
+    // Close browser on critical error
+    await closeBot();
+    throw error;
+  } finally {
+    // Keep browser open after batch completion
+    // Browser will only close on server shutdown (Ctrl+C)
+    // A stopped or failed batch already reported where it stopped
+    if (!token.isCancelled && !outOfCredits && !crashed) {
+      const { total, success, failed } = summarizeBatch(job.checkpoint);
+
+      broadcastStatus({
+        status: 'batch_complete',
+        message: `Batch complete: ${success} songs created, ${failed} failed. Browser kept open for next batch.`,
+        jobId: job.id,
+        total,
+        success,
+        failed
+      });
+
+      logger.info(`✅ Batch generation complete! ${success} succeeded, ${failed} failed`);
+      logger.info('🌐 Browser kept open for next batch');
+    }
+  }
+
+  return summarizeBatch(job.checkpoint);
+}
+
+/**
+ * Queue publishing for a downloaded manifest song that asked for it (first
+ * version's audio only). A failure to queue is noted on the song, not the batch.
+ */
+async function queueSongPublish(song) {
+  if (!song.publish || song.publishJobId) {
+    return;
+  }
+
+  const audioPath = song.downloads.find(file => /\.(mp3|wav)$/i.test(file));
+  if (!audioPath) {
+    // e.g. the batch only downloaded video or stems
+    song.publishError = 'No MP3 or WAV was downloaded to publish';
+    return;
+  }
+
+  try {
+    const publishJob = await jobQueue.enqueue('publish-song', {
+      audioPath,
+      title: song.title,
+      lyrics: song.lyrics || '',
+      style: song.style || null,
+      // None given: publishSong() picks up the cover from the download's metadata sidecar
+      imagePath: null,
+      privacy: song.publish.privacy
+    });
+    song.publishJobId = publishJob.id;
+  } catch (error) {
+    logger.error(`Could not queue publishing for "${song.title}":`, error);
+    song.publishError = error.message;
+  }
+}
+
+/**
+ * Whether a Suno job is running, for /api/status and WebSocket snapshots
+ */
+function getProcessingStatus() {
+  const currentJob = jobQueue.getRunningJob('suno');
+
+  return {
+    isProcessing: jobQueue.isBusy('suno'),
+    isPaused: currentJob ? !!currentJob.paused : false,
+    hasActiveBot: currentBot !== null,
+    currentJobId: currentJob ? currentJob.id : null,
+    queuedJobs: jobQueue.getQueuedJobs('suno').length
+  };
+}
+
+/**
+ * Batch jobs that stopped before every song was attempted
+ */
+function getResumableBatches() {
+  return jobQueue.getJobs({ type: 'batch-create' })
+    .filter(job => ['interrupted', 'failed', 'cancelled'].includes(job.status))
+    .filter(job => !job.checkpoint || getResumeIndex(job.checkpoint) !== -1)
+    .map(job => {
+      const resumeIndex = job.checkpoint ? getResumeIndex(job.checkpoint) : 0;
+      return {
+        jobId: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        stylePresetId: job.params.stylePresetId,
+        randomStylePresets: job.params.randomStylePresets,
+        resumeFrom: resumeIndex + 1,
+        ...summarizeBatch(job.checkpoint || { songs: [] }),
+        total: job.params.numberOfSongs
+      };
+    });
+}
+
+async function runPublishJob(job) {
+  const { audioPath, title, lyrics, style, imagePath, privacy } = job.params;
+
+  try {
+    const downloadPath = settings.get('downloadPath');
+
+    const result = await publishSong({
+      audioPath,
+      title,
+      lyrics,
+      style,
+      imagePath
+    }, {
+      downloadPath,
+      privacy,
+      onProgress: (progress) => {
+        broadcastStatus({
+          status: progress.status,
+          message: progress.message,
+          percent: progress.percent,
+          jobId: job.id,
+          phase: 'publishing'
+        });
+      }
+    });
+
+    broadcastStatus({
+      status: 'publish_complete',
+      message: 'Song published successfully to YouTube!',
+      jobId: job.id,
+      result: {
+        videoId: result.videoId,
+        youtubeUrl: result.youtubeUrl,
+        title: result.metadata.title
+      },
+      percent: 100
+    });
+
+    return {
+      videoId: result.videoId,
+      youtubeUrl: result.youtubeUrl,
+      title: result.metadata.title,
+      recordPath: result.recordPath
+    };
+
+  } catch (error) {
+    logger.error('Publish error:', error);
+    broadcastStatus({
+      status: 'publish_error',
+      message: error.message,
+      jobId: job.id,
+      error: error.stack,
+      percent: 0
+    });
+    throw error;
+  }
+}
+
+// Everything that drives the shared Suno browser runs in the 'suno' lane, one job at a time.
+// Publishing doesn't touch the browser, so it gets its own lane.
+jobQueue.registerHandler('test-auth', runTestAuthJob, { lane: 'suno' });
+jobQueue.registerHandler('check-selectors', runSelectorCheckJob, { lane: 'suno' });
+jobQueue.registerHandler('create-song', runCreateSongJob, { lane: 'suno' });
+jobQueue.registerHandler('batch-create', runBatchJob, { lane: 'suno' });
+jobQueue.registerHandler('publish-song', runPublishJob, { lane: 'publish' });
+
+jobQueue.setStatusCallback(broadcastStatus);
+
+// Offer to resume batches that were cut short by a crash or restart
+const resumableBatches = getResumableBatches();
+if (resumableBatches.length > 0) {
+  console.log(`\n⚠️  ${resumableBatches.length} unfinished batch(es) can be resumed:`);
+  resumableBatches.forEach(b => {
+    console.log(`   - Job ${b.jobId}: ${b.success}/${b.total} songs done, resume from song ${b.resumeFrom}`);
+  });
+  console.log('   Resume from the UI or via POST /api/jobs/:id/resume\n');
+}
+
+jobQueue.start();
+
+// ========================================
+// Scheduler
+// ========================================
+
+/**
+ * Check batch-create params shared by the batch endpoint and schedules
+ * @returns {string|null} Error message, or null when valid
+ */
+function getBatchParamsError({ stylePresetId, numberOfSongs, accountId, accountIds } = {}) {
+  if (!stylePresetId || !numberOfSongs) {
+    return 'Style preset and number of songs required';
+  }
+
+  const unknownAccount = [accountId, ...(accountIds || [])]
+    .find(id => id && !accountManager.getAccount(id));
+  if (unknownAccount) {
+    return `Account not found: ${unknownAccount}`;
+  }
+
+  if (!stylePresetManager.getPreset(stylePresetId)) {
+    return `Style preset not found: ${stylePresetId}`;
+  }
+
+  const songsCount = parseInt(numberOfSongs);
+  if (!(songsCount >= 1 && songsCount <= 50)) {
+    return 'Number of songs must be between 1 and 50';
+  }
+
+  return null;
+}
+
+// A scheduled run queues the same batch job the UI does
+scheduler.setRunner(async (schedule) => {
+  const paramsError = getBatchParamsError(schedule.params);
+  if (paramsError) {
+    throw new Error(paramsError);
+  }
+
+  const { stylePresetId, numberOfSongs, lyrics, randomStylePresets, accountId, rotateAccounts, accountIds, formats } = schedule.params;
+
+  await stylePresetManager.incrementUsage(stylePresetId);
+
+  return jobQueue.enqueue('batch-create', {
+    stylePresetId,
+    numberOfSongs: parseInt(numberOfSongs),
+    lyrics: lyrics || '',
+    randomStylePresets: !!randomStylePresets,
+    accountId: accountId || null,
+    rotateAccounts: !!rotateAccounts,
+    accountIds: accountIds || null,
+    formats: formats || null,
+    scheduleId: schedule.id
+  });
+});
+
+scheduler.setStatusCallback(broadcastStatus);
+scheduler.start();
+
 // API Routes
 
 // Get current settings
@@ -79,7 +779,8 @@ app.get('/api/settings', async (req, res) => {
       credentials: {
         email: config.credentials.email,
         password: config.credentials.password ? '********' : ''
-      }
+      },
+      envOverrides: settings.getEnvOverrides()
     };
     res.json(safeConfig);
   } catch (error) {
@@ -90,275 +791,736 @@ app.get('/api/settings', async (req, res) => {
 // Update settings
 app.post('/api/settings', async (req, res) => {
   try {
-    const { authMethod, credentials, downloadPath } = req.body;
-
-    if (authMethod) {
-      await settings.set('authMethod', authMethod);
-    }
+    const { credentials, downloadPath, ...changes } = req.body;
 
+    // The modal sends the masked password back, and a blank email when none was typed
     if (credentials) {
+      changes.credentials = {};
       if (credentials.email) {
-        await settings.set('credentials.email', credentials.email);
+        changes.credentials.email = credentials.email;
       }
       if (credentials.password && credentials.password !== '********') {
-        await settings.set('credentials.password', credentials.password);
+        changes.credentials.password = credentials.password;
       }
     }
 
+    if (downloadPath) {
+      changes.downloadPath = downloadPath;
+    }
+
+    await settings.update(changes);
+    logManager.configure(settings.get('logging'));
+
     if (downloadPath) {
       // Ensure the directory exists
       await fs.ensureDir(downloadPath);
-      await settings.set('downloadPath', downloadPath);
     }
 
     res.json({ success: true, message: 'Settings updated successfully' });
   } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      return sendValidationError(res, error.errors.map(e => ({ ...e, field: `body.${e.field}` })), error.message);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 // Test authentication
 app.post('/api/test-auth', async (req, res) => {
-  if (isProcessing) {
-    return res.status(409).json({ error: 'Another process is running' });
+  try {
+    const { accountId } = req.body || {};
+    if (accountId && !accountManager.getAccount(accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    // Runs in the same lane as song creation, so it waits for any running job
+    const job = await jobQueue.enqueue('test-auth', { accountId: accountId || null });
+    const finished = await jobQueue.waitForJob(job.id);
+
+    if (finished.status !== 'completed') {
+      return res.status(500).json({ error: finished.error || `Authentication test ${finished.status}` });
+    }
+
+    res.json({ success: true, message: 'Authentication successful' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create song
+app.post('/api/create-song', async (req, res) => {
+  const { title, lyrics, style, numberOfRounds, accountId, formats } = req.body;
+
+  if (accountId && !accountManager.getAccount(accountId)) {
+    return res.status(404).json({ error: 'Account not found' });
   }
 
   try {
-    isProcessing = true;
-    broadcastStatus({ status: 'testing_auth', message: 'Testing authentication...' });
+    const job = await jobQueue.enqueue('create-song', {
+      title: title || 'Untitled Song',
+      lyrics,
+      style,
+      numberOfRounds,
+      accountId: accountId || null,
+      formats: formats || null
+    });
+
+    // Respond immediately
+    res.json({
+      success: true,
+      jobId: job.id,
+      queuePosition: jobQueue.getQueuedJobs(job.lane).length,
+      message: 'Song creation queued. Check status via WebSocket.'
+    });
 
-    const bot = new SunoBot();
-    bot.setStatusCallback(broadcastStatus);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await bot.initialize();
-    await bot.login();
+// Get processing status
+app.get('/api/status', (req, res) => {
+  res.json(getProcessingStatus());
+});
 
-    await bot.close();
+// Recent status events (the same history WebSocket clients get on connect)
+app.get('/api/events', (req, res) => {
+  const { since, jobId, limit } = req.query;
+
+  const events = eventHistory.getEvents({ since, jobId, limit });
+  res.json({ success: true, count: events.length, seq: eventHistory.seq, events });
+});
+
+// Stop current process
+// The running job stops cleanly at its next step boundary and the browser stays open.
+// Pass { "force": true } to also close the browser right away.
+app.post('/api/stop', async (req, res) => {
+  try {
+    const force = req.body?.force === true;
+    const currentJob = jobQueue.getRunningJob('suno');
+
+    if (currentJob) {
+      await jobQueue.cancel(currentJob.id, 'Process stopped by user');
+    }
+
+    if (force) {
+      await closeBot();
+    }
+
+    if (currentJob && !force) {
+      broadcastStatus({
+        status: 'stopping',
+        message: 'Stop requested - finishing the current step...',
+        jobId: currentJob.id
+      });
+    } else {
+      broadcastStatus({
+        status: 'stopped',
+        message: 'Process stopped by user'
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: currentJob ? currentJob.id : null,
+      message: currentJob && !force ? 'Stop requested' : 'Process stopped'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause the running job at its next song boundary (browser session stays open)
+app.post('/api/pause', async (req, res) => {
+  try {
+    const currentJob = jobQueue.getRunningJob('suno');
+    if (!currentJob) {
+      return res.status(409).json({ error: 'No running job to pause' });
+    }
+
+    await jobQueue.pause(currentJob.id);
+
+    broadcastStatus({
+      status: 'pause_requested',
+      message: 'Pause requested - holding before the next song...',
+      jobId: currentJob.id
+    });
+
+    res.json({ success: true, jobId: currentJob.id, message: 'Pause requested' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused job
+app.post('/api/resume', async (req, res) => {
+  try {
+    const currentJob = jobQueue.getRunningJob('suno');
+    if (!currentJob || !currentJob.paused) {
+      return res.status(409).json({ error: 'No paused job to resume' });
+    }
+
+    await jobQueue.resume(currentJob.id);
+
+    broadcastStatus({
+      status: 'resumed',
+      message: 'Resumed',
+      jobId: currentJob.id
+    });
+
+    res.json({ success: true, jobId: currentJob.id, message: 'Resumed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================================
+// Job Endpoints
+// ========================================
+
+// List jobs (newest first)
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+
+    const jobs = jobQueue.getJobs({
+      status,
+      type,
+      limit
+    });
+
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single job
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+// List unfinished batches that can be resumed
+app.get('/api/batches/resumable', (req, res) => {
+  try {
+    const batches = getResumableBatches();
+    res.json({ success: true, count: batches.length, batches });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume an unfinished batch from its first incomplete song
+app.post('/api/jobs/:id/resume', async (req, res) => {
+  try {
+    const job = jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!getResumableBatches().some(b => b.jobId === job.id)) {
+      return res.status(409).json({ error: 'Only unfinished batch jobs can be resumed' });
+    }
+
+    await jobQueue.requeue(job.id);
+
+    const resumeIndex = job.checkpoint ? getResumeIndex(job.checkpoint) : 0;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      resumeFrom: resumeIndex + 1,
+      message: `Batch re-queued, resuming from song ${resumeIndex + 1} of ${job.params.numberOfSongs}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List downloaded songs
+app.get('/api/downloads', async (req, res) => {
+  try {
+    const songs = await listDownloads(settings.get('downloadPath'));
+    res.json(songs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download a specific song
+app.get('/api/download/:filename', async (req, res) => {
+  try {
+    const downloadPath = settings.get('downloadPath');
+    const filepath = path.join(downloadPath, req.params.filename);
+
+    // Security check: make sure the file is in the download directory
+    const resolvedPath = path.resolve(filepath);
+    const resolvedDownloadPath = path.resolve(downloadPath);
+
+    if (!resolvedPath.startsWith(resolvedDownloadPath)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!await fs.pathExists(filepath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.download(filepath);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Write the ID3 tags of downloaded MP3s again (all of them, or the listed files)
+app.post('/api/downloads/tags', async (req, res) => {
+  try {
+    const { filenames } = req.body || {};
+    const { tagged, failed } = await retagDownloads(
+      settings.get('downloadPath'),
+      settings.get('downloads.tags'),
+      Array.isArray(filenames) && filenames.length > 0 ? filenames : null
+    );
+
+    res.json({ success: failed.length === 0, count: tagged.length, tagged, failed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Credential Management API Endpoints
+
+// Save Google credentials
+app.post('/api/credentials/save', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    await credentialManager.saveCredentials(email, password);
+
+    res.json({
+      success: true,
+      message: 'Credentials saved securely'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Load Google credentials
+app.get('/api/credentials/load', async (req, res) => {
+  try {
+    const credentials = await credentialManager.loadCredentials();
+
+    if (!credentials) {
+      return res.json({
+        hasCredentials: false,
+        email: null
+      });
+    }
+
+    // Return email but mask password
+    res.json({
+      hasCredentials: true,
+      email: credentials.email,
+      savedAt: credentials.savedAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear saved credentials
+app.delete('/api/credentials/clear', async (req, res) => {
+  try {
+    await credentialManager.clearCredentials();
+    res.json({
+      success: true,
+      message: 'Credentials cleared'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================================
+// Account Endpoints
+// ========================================
+
+/**
+ * Account email and password only make sense together
+ * @returns {Object|null} Field error, or null if both or neither were sent
+ */
+function getCredentialsPairError(email, password) {
+  if (email && !password) {
+    return { field: 'body.password', message: 'is required when email is set' };
+  }
+  if (!email && password) {
+    return { field: 'body.email', message: 'is required when password is set' };
+  }
+  return null;
+}
+
+// List accounts with their login status
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const accounts = await Promise.all(
+      accountManager.getAllAccounts().map(account => accountManager.toPublic(account))
+    );
+
+    res.json({
+      success: true,
+      accounts,
+      defaultAccountId: accountManager.defaultAccountId,
+      activeAccountId: currentBot?.account?.id || null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add account (gets its own Chrome profile)
+app.post('/api/accounts', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const credentialsError = getCredentialsPairError(email, password);
+    if (credentialsError) {
+      return sendValidationError(res, [credentialsError]);
+    }
+
+    const account = await accountManager.createAccount({ name, email, password });
+    res.json({ success: true, account: await accountManager.toPublic(account) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rename account or replace its credentials
+app.put('/api/accounts/:id', async (req, res) => {
+  try {
+    if (!accountManager.getAccount(req.params.id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { name, email, password } = req.body;
+
+    const credentialsError = getCredentialsPairError(email, password);
+    if (credentialsError) {
+      return sendValidationError(res, [credentialsError]);
+    }
+
+    const account = await accountManager.updateAccount(req.params.id, { name, email, password });
+    res.json({ success: true, account: await accountManager.toPublic(account) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete account (its profile directory is kept on disk)
+app.delete('/api/accounts/:id', async (req, res) => {
+  try {
+    if (!accountManager.getAccount(req.params.id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (currentBot?.account?.id === req.params.id) {
+      return res.status(409).json({ error: 'Account is in use by the open browser - stop it first' });
+    }
+
+    await accountManager.deleteAccount(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Credit balance of an account (default: the account of the open browser, else the default account).
+// Pass ?refresh=true to read it from the Suno UI again - only while no job is using the browser.
+app.get('/api/account/credits', async (req, res) => {
+  try {
+    const { accountId, refresh } = req.query;
+    const account = accountManager.getAccount(accountId || currentBot?.account?.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const isOpen = currentBot?.account?.id === account.id;
+
+    if (refresh === 'true') {
+      if (!isOpen) {
+        return res.status(409).json({ error: 'Account is not logged in in the open browser - run a job or test authentication first' });
+      }
+      if (jobQueue.isBusy('suno')) {
+        return res.status(409).json({ error: 'Browser is busy with a job - try again when it is idle' });
+      }
+      await currentBot.refreshCredits();
+    }
+
+    res.json({
+      success: true,
+      accountId: account.id,
+      credits: account.creditBalance ?? null,
+      checkedAt: account.creditsCheckedAt || null,
+      live: isOpen,
+      creditsPerSong: CREDITS_PER_GENERATION
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make an account the one used when a request doesn't name one
+app.post('/api/accounts/:id/default', async (req, res) => {
+  try {
+    if (!accountManager.getAccount(req.params.id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await accountManager.setDefaultAccount(req.params.id);
+    res.json({ success: true, defaultAccountId: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear an account's saved credentials (its browser session stays)
+app.delete('/api/accounts/:id/credentials', async (req, res) => {
+  try {
+    if (!accountManager.getAccount(req.params.id)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    await accountManager.clearCredentials(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================================
+// API Key Endpoints
+// ========================================
 
-    isProcessing = false;
-    broadcastStatus({ status: 'auth_test_success', message: 'Authentication successful!' });
+// List API keys and whether auth is on
+app.get('/api/auth/keys', (req, res) => {
+  res.json({
+    success: true,
+    enabled: apiKeyManager.isEnabled(),
+    host: HOST,
+    keys: apiKeyManager.getAllKeys()
+  });
+});
 
-    res.json({ success: true, message: 'Authentication successful' });
+// Create an API key - the key itself is only returned in this response
+app.post('/api/auth/keys', async (req, res) => {
+  try {
+    const { name } = req.body;
+    const { key, info } = await apiKeyManager.createKey(name);
+    res.json({ success: true, key, info });
   } catch (error) {
-    isProcessing = false;
-    broadcastStatus({ status: 'auth_test_failed', message: error.message });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create song
-app.post('/api/create-song', async (req, res) => {
-  if (isProcessing) {
-    return res.status(409).json({ error: 'Another song is being processed' });
-  }
-
-  const { title, lyrics, style, numberOfRounds } = req.body;
-
-  if (!style) {
-    return res.status(400).json({ error: 'Style is required' });
-  }
+// Delete an API key (deleting the last one turns auth off)
+app.delete('/api/auth/keys/:id', async (req, res) => {
+  try {
+    if (!apiKeyManager.getAllKeys().some(k => k.id === req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
 
-  const rounds = parseInt(numberOfRounds) || 2;
-  if (rounds < 1 || rounds > 50) {
-    return res.status(400).json({ error: 'Number of rounds must be between 1 and 50' });
+    await apiKeyManager.deleteKey(req.params.id);
+    res.json({ success: true, enabled: apiKeyManager.isEnabled() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
+// Turn API key auth on or off. The network binding changes on the next restart.
+app.post('/api/auth/enabled', async (req, res) => {
   try {
-    isProcessing = true;
-
-    // Start the process asynchronously
-    (async () => {
-      const bot = new SunoBot();
-      currentBot = bot;
-
-      bot.setStatusCallback(broadcastStatus);
-
-      try {
-        const result = await bot.automateFullProcess({
-          title: title || 'Untitled Song',
-          lyrics,
-          style,
-          numberOfRounds: rounds
-        });
-
-        broadcastStatus({
-          status: 'complete',
-          message: 'Song created and downloaded successfully!',
-          result
-        });
-      } catch (error) {
-        broadcastStatus({
-          status: 'error',
-          message: error.message,
-          error: error.stack
-        });
+    const enabled = !!req.body.enabled;
 
-        // Keep browser open on error for debugging
-        console.log('\n⚠️  ERROR OCCURRED - Browser will stay open for 30 seconds for debugging');
-        console.log('Check downloads/debug/ folder for screenshots\n');
-        await new Promise(resolve => setTimeout(resolve, 30000));
-      } finally {
-        await bot.close();
-        currentBot = null;
-        isProcessing = false;
-      }
-    })();
+    // The request enabling auth must already carry a valid key, so the caller can't lock itself out
+    if (enabled && !apiKeyManager.verify(getRequestKey(req))) {
+      return res.status(400).json({ error: 'Send one of your API keys with this request to enable authentication' });
+    }
 
-    // Respond immediately
+    await apiKeyManager.setEnabled(enabled);
     res.json({
       success: true,
-      message: 'Song creation started. Check status via WebSocket.'
+      enabled: apiKeyManager.isEnabled(),
+      message: `API key auth ${enabled ? 'enabled' : 'disabled'}. Restart the server to change which network interfaces it listens on.`
     });
-
   } catch (error) {
-    isProcessing = false;
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Get processing status
-app.get('/api/status', (req, res) => {
+// ========================================
+// Webhook Endpoints
+// ========================================
+
+// List webhooks and the events they can subscribe to
+app.get('/api/webhooks', (req, res) => {
   res.json({
-    isProcessing,
-    hasActiveBot: currentBot !== null
+    success: true,
+    events: WEBHOOK_EVENTS,
+    webhooks: webhookManager.getAllWebhooks()
   });
 });
 
-// Stop current process
-app.post('/api/stop', async (req, res) => {
+// Add a webhook - a generated secret is only returned in this response
+app.post('/api/webhooks', async (req, res) => {
   try {
-    if (currentBot) {
-      await currentBot.close();
-      currentBot = null;
-    }
-    isProcessing = false;
-
-    broadcastStatus({
-      status: 'stopped',
-      message: 'Process stopped by user'
-    });
-
-    res.json({ success: true, message: 'Process stopped' });
+    const { webhook, secret } = await webhookManager.createWebhook(req.body);
+    res.json({ success: true, webhook, secret });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// List downloaded songs
-app.get('/api/downloads', async (req, res) => {
+// Change a webhook's URL, events, secret or enabled state
+app.put('/api/webhooks/:id', async (req, res) => {
   try {
-    const downloadPath = settings.get('downloadPath');
-    await fs.ensureDir(downloadPath);
-
-    const files = await fs.readdir(downloadPath);
-    const mp3Files = files.filter(f => f.endsWith('.mp3'));
-
-    const songs = await Promise.all(
-      mp3Files.map(async (filename) => {
-        const filepath = path.join(downloadPath, filename);
-        const stats = await fs.stat(filepath);
-
-        return {
-          filename,
-          size: stats.size,
-          created: stats.birthtime,
-          modified: stats.mtime
-        };
-      })
-    );
-
-    // Sort by modification time (newest first)
-    songs.sort((a, b) => b.modified - a.modified);
+    if (!webhookManager.getWebhook(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
 
-    res.json(songs);
+    const webhook = await webhookManager.updateWebhook(req.params.id, req.body);
+    res.json({ success: true, webhook });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Download a specific song
-app.get('/api/download/:filename', async (req, res) => {
+// Delete a webhook (pending retries to it are dropped)
+app.delete('/api/webhooks/:id', async (req, res) => {
   try {
-    const downloadPath = settings.get('downloadPath');
-    const filepath = path.join(downloadPath, req.params.filename);
-
-    // Security check: make sure the file is in the download directory
-    const resolvedPath = path.resolve(filepath);
-    const resolvedDownloadPath = path.resolve(downloadPath);
-
-    if (!resolvedPath.startsWith(resolvedDownloadPath)) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!webhookManager.getWebhook(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    if (!await fs.pathExists(filepath)) {
-      return res.status(404).json({ error: 'File not found' });
+    await webhookManager.deleteWebhook(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a "ping" event and report the first attempt
+app.post('/api/webhooks/:id/test', async (req, res) => {
+  try {
+    if (!webhookManager.getWebhook(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    res.download(filepath);
+    const { payload, ...delivery } = await webhookManager.sendTest(req.params.id);
+    res.json({ success: true, delivery });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Credential Management API Endpoints
+// Delivery log, newest first
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const { webhookId, limit } = req.query;
 
-// Save Google credentials
-app.post('/api/credentials/save', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  const deliveries = webhookManager.getDeliveries({ webhookId, limit });
+  res.json({ success: true, count: deliveries.length, deliveries });
+});
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+// Send a logged delivery again
+app.post('/api/webhooks/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    if (!webhookManager.getDeliveries().some(d => d.id === req.params.id)) {
+      return res.status(404).json({ error: 'Delivery not found' });
     }
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
+    const { payload, ...delivery } = await webhookManager.redeliver(req.params.id);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    await credentialManager.saveCredentials(email, password);
+// Server log entries (newest first) - backs the "Server Logs" tab of the Activity Log
+app.get('/api/logs', async (req, res) => {
+  try {
+    const { level, module, jobId, song, since, search, limit } = req.query;
 
-    res.json({
-      success: true,
-      message: 'Credentials saved securely'
-    });
+    const entries = await logManager.query({ level, module, jobId, song, since, search, limit });
+    res.json({ success: true, count: entries.length, entries, modules: logManager.getModules() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Load Google credentials
-app.get('/api/credentials/load', async (req, res) => {
+// Log levels in effect (after LOG_LEVEL / LOG_MODULES overrides)
+app.get('/api/logs/levels', (req, res) => {
+  const { level, modules } = logManager.getOptions();
+  res.json({ success: true, level, modules });
+});
+
+// Change log levels without a restart
+app.put('/api/logs/levels', async (req, res) => {
   try {
-    const credentials = await credentialManager.loadCredentials();
+    const logging = { ...settings.get('logging'), ...req.body };
+    await settings.set('logging', logging);
+    logManager.configure(logging);
 
-    if (!credentials) {
-      return res.json({
-        hasCredentials: false,
-        email: null
-      });
+    const { level, modules } = logManager.getOptions();
+    res.json({ success: true, level, modules });
+  } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      return sendValidationError(res, error.errors, error.message);
     }
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Return email but mask password
-    res.json({
-      hasCredentials: true,
-      email: credentials.email,
-      savedAt: credentials.savedAt
-    });
+// Selector chains the automation uses, and where each came from
+app.get('/api/selectors', (req, res) => {
+  res.json({ success: true, ...selectorRegistry.getAll() });
+});
+
+// Apply an edited config/selectors.json right away
+app.post('/api/selectors/reload', async (req, res) => {
+  try {
+    await selectorRegistry.load();
+    res.json({ success: true, ...selectorRegistry.getAll() });
   } catch (error) {
+    if (error instanceof SelectorRegistryError) {
+      return sendValidationError(res, error.errors, error.message);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Clear saved credentials
-app.delete('/api/credentials/clear', async (req, res) => {
+// Try every selector a song run needs against the live Suno UI
+app.post('/api/diagnostics/selectors', async (req, res) => {
   try {
-    await credentialManager.clearCredentials();
-    res.json({
-      success: true,
-      message: 'Credentials cleared'
-    });
+    const { accountId } = req.body || {};
+    if (accountId && !accountManager.getAccount(accountId)) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    // Needs the browser, so it waits for any running job like test-auth
+    const job = await jobQueue.enqueue('check-selectors', { accountId: accountId || null });
+    const finished = await jobQueue.waitForJob(job.id);
+
+    if (finished.status !== 'completed') {
+      return res.status(500).json({ error: finished.error || `Selector check ${finished.status}` });
+    }
+
+    res.json({ success: true, jobId: job.id, ...finished.result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -373,81 +1535,52 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// OpenAPI 3 description of every /api route - also drives request validation
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// Prometheus scrape endpoint - outside /api, but still behind API keys once they are enabled
+app.get('/metrics', (req, res) => {
+  if (apiKeyManager.isEnabled() && !apiKeyManager.verify(getRequestKey(req))) {
+    return res.status(401).json({ error: 'Valid API key required' });
+  }
+
+  for (const lane of ['suno', 'publish']) {
+    queueDepth.set({ lane }, jobQueue.getQueuedJobs(lane).length);
+  }
+  browserSessionAge.set({}, currentBot?.startedAt ? (Date.now() - currentBot.startedAt) / 1000 : 0);
+
+  res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
 // ========================================
 // YouTube Publishing Endpoints
 // ========================================
 
 // Publish a song to YouTube
 app.post('/api/publish-song', async (req, res) => {
-  if (isPublishing) {
-    return res.status(409).json({ error: 'A publish operation is already in progress' });
-  }
-
   const { audioPath, title, lyrics, style, imagePath, privacy } = req.body;
 
-  if (!audioPath) {
-    return res.status(400).json({ error: 'audioPath is required' });
-  }
-
-  try {
-    isPublishing = true;
-
-    // Start the publish process asynchronously
-    (async () => {
-      try {
-        const downloadPath = settings.get('downloadPath');
-
-        const result = await publishSong({
-          audioPath,
-          title: title || 'Untitled Song',
-          lyrics: lyrics || '',
-          style: style || 'Music',
-          imagePath: imagePath || null
-        }, {
-          downloadPath,
-          privacy: privacy || 'public',
-          onProgress: (progress) => {
-            broadcastStatus({
-              status: progress.status,
-              message: progress.message,
-              percent: progress.percent,
-              phase: 'publishing'
-            });
-          }
-        });
-
-        broadcastStatus({
-          status: 'publish_complete',
-          message: 'Song published successfully to YouTube!',
-          result: {
-            videoId: result.videoId,
-            youtubeUrl: result.youtubeUrl,
-            title: result.metadata.title
-          },
-          percent: 100
-        });
-
-      } catch (error) {
-        console.error('Publish error:', error);
-        broadcastStatus({
-          status: 'publish_error',
-          message: error.message,
-          error: error.stack,
-          percent: 0
-        });
-      } finally {
-        isPublishing = false;
-      }
-    })();
+  try {
+    // Left empty, they are taken from the download's metadata sidecar
+    const job = await jobQueue.enqueue('publish-song', {
+      audioPath,
+      title: title || null,
+      lyrics: lyrics || '',
+      style: style || null,
+      imagePath: imagePath || null,
+      privacy: privacy || 'public'
+    });
 
     // Respond immediately
     res.json({
       success: true,
-      message: 'Publishing started. Check status via WebSocket.'
+      jobId: job.id,
+      message: 'Publishing queued. Check status via WebSocket.'
     });
 
   } catch (error) {
-    isPublishing = false;
     res.status(500).json({ error: error.message });
   }
 });
@@ -489,9 +1622,11 @@ app.get('/api/published/:videoId', async (req, res) => {
 // Get publishing status
 app.get('/api/publish-status', (req, res) => {
   res.json({
-    isPublishing,
-    isProcessing,
-    canPublish: !isPublishing && !isProcessing
+    isPublishing: jobQueue.isBusy('publish'),
+    isProcessing: jobQueue.isBusy('suno'),
+    // Publish requests are queued, so one can always be submitted
+    canPublish: true,
+    queuedPublishes: jobQueue.getQueuedJobs('publish').length
   });
 });
 
@@ -514,10 +1649,6 @@ app.post('/api/style-presets', async (req, res) => {
   try {
     const { name, style, category } = req.body;
 
-    if (!name || !style) {
-      return res.status(400).json({ error: 'Name and style are required' });
-    }
-
     const preset = await stylePresetManager.createPreset(name, style, category);
     res.json({ success: true, preset });
   } catch (error) {
@@ -589,190 +1720,290 @@ app.post('/api/style-presets/import', async (req, res) => {
     const count = await stylePresetManager.importPresets(data, merge !== false);
     res.json({ success: true, count });
   } catch (error) {
+    if (error instanceof MigrationError) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Batch generation with locked style
-app.post('/api/batch-create', async (req, res) => {
-  if (isProcessing) {
-    return res.status(409).json({ error: 'Another process is running' });
+// ========================================
+// Schedule Endpoints
+// ========================================
+
+/**
+ * Pick the batch params out of a schedule request body
+ */
+function getScheduleParams(body) {
+  const { stylePresetId, numberOfSongs, lyrics, randomStylePresets, accountId, rotateAccounts, accountIds, formats } = body;
+  return {
+    stylePresetId,
+    numberOfSongs,
+    lyrics: lyrics || '',
+    randomStylePresets: !!randomStylePresets,
+    accountId: accountId || null,
+    rotateAccounts: !!rotateAccounts,
+    accountIds: Array.isArray(accountIds) && accountIds.length > 0 ? accountIds : null,
+    formats: formats || null
+  };
+}
+
+// List schedules
+app.get('/api/schedules', (req, res) => {
+  try {
+    const schedules = scheduler.getAllSchedules();
+    res.json({ success: true, count: schedules.length, schedules });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single schedule with its run history
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = scheduler.getSchedule(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  res.json({ success: true, schedule });
+});
+
+// Create schedule
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { name, cron, enabled } = req.body;
+    const params = getScheduleParams(req.body);
+
+    const cronError = validateCron(cron);
+    if (cronError) {
+      return sendValidationError(res, [{ field: 'body.cron', message: cronError }]);
+    }
+
+    const paramsError = getBatchParamsError(params);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
+    }
+
+    const schedule = await scheduler.createSchedule({ name, cron, params, enabled: enabled !== false });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update schedule
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    const existing = scheduler.getSchedule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { name, cron, enabled } = req.body;
+
+    if (cron !== undefined) {
+      const cronError = validateCron(cron);
+      if (cronError) {
+        return sendValidationError(res, [{ field: 'body.cron', message: cronError }]);
+      }
+    }
+
+    // Only touch the batch params that were sent
+    const paramKeys = ['stylePresetId', 'numberOfSongs', 'lyrics', 'randomStylePresets', 'accountId', 'rotateAccounts', 'accountIds', 'formats'];
+    let params;
+    if (paramKeys.some(key => req.body[key] !== undefined)) {
+      params = getScheduleParams({ ...existing.params, ...req.body });
+
+      const paramsError = getBatchParamsError(params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError });
+      }
+    }
+
+    const schedule = await scheduler.updateSchedule(req.params.id, { name, cron, enabled, params });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Delete schedule (its past jobs stay in the job history)
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    if (!scheduler.getSchedule(req.params.id)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    await scheduler.deleteSchedule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Run a schedule right now, outside its normal times
+app.post('/api/schedules/:id/run', async (req, res) => {
   try {
-    const { stylePresetId, numberOfSongs, lyrics, randomStylePresets } = req.body;
+    const schedule = scheduler.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const run = await scheduler.fire(schedule, 'manual');
 
-    if (!stylePresetId || !numberOfSongs) {
-      return res.status(400).json({ error: 'Style preset and number of songs required' });
+    if (run.status === 'skipped' || run.status === 'failed') {
+      return res.status(409).json({ error: run.error, run });
     }
 
+    res.json({ success: true, run, jobId: run.jobId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run history of a schedule, newest first
+app.get('/api/schedules/:id/history', (req, res) => {
+  const schedule = scheduler.getSchedule(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  res.json({ success: true, count: schedule.history.length, history: schedule.history });
+});
+
+// Batch generation with locked style
+app.post('/api/batch-create', async (req, res) => {
+  try {
+    const { stylePresetId, numberOfSongs, lyrics, randomStylePresets, accountId, rotateAccounts, accountIds, allowPartial, formats } = req.body;
+
     const preset = stylePresetManager.getPreset(stylePresetId);
     if (!preset) {
       return res.status(404).json({ error: 'Style preset not found' });
     }
 
-    const songsCount = parseInt(numberOfSongs);
-    if (songsCount < 1 || songsCount > 50) {
-      return res.status(400).json({ error: 'Number of songs must be between 1 and 50' });
-    }
-
-    // Get all presets in the same category for random selection
-    let categoryPresets = [preset];
-    if (randomStylePresets) {
-      const allPresets = stylePresetManager.getAllPresets();
-      categoryPresets = allPresets.filter(p => p.category === preset.category);
-      console.log(`Random mode: Found ${categoryPresets.length} presets in category "${preset.category}"`);
+    const unknownAccount = [accountId, ...(accountIds || [])]
+      .find(id => id && !accountManager.getAccount(id));
+    if (unknownAccount) {
+      return res.status(404).json({ error: `Account not found: ${unknownAccount}` });
     }
 
     // Increment usage for the selected preset
     await stylePresetManager.incrementUsage(stylePresetId);
 
-    // Start batch process asynchronously
-    isProcessing = true;
-
-    (async () => {
-      let successCount = 0;
-      let failCount = 0;
-      let bot = null;
-
-      try {
-        // Reuse existing bot if available, otherwise create new one
-        if (currentBot) {
-          console.log('🔄 Reusing existing browser session...');
-          bot = currentBot;
-        } else {
-          console.log('🌐 Creating new browser session...');
-          bot = new SunoBot();
-          currentBot = bot;
-          bot.setStatusCallback(broadcastStatus);
-
-          // Initialize browser once
-          await bot.initialize();
-          await bot.login();
-        }
+    const job = await jobQueue.enqueue('batch-create', {
+      stylePresetId,
+      numberOfSongs,
+      lyrics: lyrics || '',
+      randomStylePresets: !!randomStylePresets,
+      // Either one account for the whole batch, or songs spread across accounts
+      accountId: accountId || null,
+      rotateAccounts: !!rotateAccounts,
+      accountIds: Array.isArray(accountIds) && accountIds.length > 0 ? accountIds : null,
+      // Start even if the credits only cover part of the batch
+      allowPartial: !!allowPartial,
+      // Download formats (default: downloads.formats in settings)
+      formats: formats || null
+    });
 
-        for (let i = 0; i < songsCount; i++) {
-          try {
-            // Select random preset from category if enabled
-            let currentPreset = preset;
-            if (randomStylePresets && categoryPresets.length > 1) {
-              const randomIndex = Math.floor(Math.random() * categoryPresets.length);
-              currentPreset = categoryPresets[randomIndex];
-              // Increment usage for randomly selected preset
-              if (currentPreset.id !== stylePresetId) {
-                await stylePresetManager.incrementUsage(currentPreset.id);
-              }
-              console.log(`Song ${i + 1}: Using random preset "${currentPreset.name}"`);
-            }
-
-            broadcastStatus({
-              status: 'batch_progress',
-              message: `Creating song ${i + 1} of ${songsCount} with style: ${currentPreset.name}`,
-              current: i + 1,
-              total: songsCount,
-              styleName: currentPreset.name,
-              randomMode: randomStylePresets
-            });
-
-            const songTitle = `${currentPreset.name} - Song ${i + 1}`;
-
-            // Create song (without login, browser already open)
-            await bot.createSong({
-              title: songTitle,
-              lyrics: lyrics || '',
-              style: currentPreset.style
-            });
-
-            // Wait for completion
-            await bot.waitForCompletion(songTitle);
-
-            // Download both versions
-            await bot.downloadBothSongs(songTitle);
-
-            successCount++;
-
-            // Small delay between songs to avoid rate limits
-            if (i < songsCount - 1) {
-              broadcastStatus({
-                status: 'batch_waiting',
-                message: `Waiting 10 seconds before next song...`,
-                current: i + 1,
-                total: songsCount
-              });
-              await new Promise(resolve => setTimeout(resolve, 10000));
-            }
-
-          } catch (error) {
-            console.error(`Error creating song ${i + 1}:`, error);
-            failCount++;
-            broadcastStatus({
-              status: 'batch_song_error',
-              message: `Failed to create song ${i + 1}: ${error.message}`,
-              current: i + 1,
-              total: songsCount
-            });
-            // Continue with next song even if one fails
-          }
-        }
+    // Respond immediately
+    res.json({
+      success: true,
+      jobId: job.id,
+      queuePosition: jobQueue.getQueuedJobs(job.lane).length,
+      message: `Batch generation queued: ${numberOfSongs} songs with style "${preset.name}"`
+    });
 
-      } catch (error) {
-        console.error('Batch process error:', error);
-        broadcastStatus({
-          status: 'batch_error',
-          message: `Batch process failed: ${error.message}`
-        });
-        // Close browser on critical error
-        if (bot) {
-          await bot.close();
-          currentBot = null;
-        }
-      } finally {
-        // Keep browser open after batch completion
-        // Browser will only close on server shutdown (Ctrl+C)
-        isProcessing = false;
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        broadcastStatus({
-          status: 'batch_complete',
-          message: `Batch complete: ${successCount} songs created, ${failCount} failed. Browser kept open for next batch.`,
-          total: songsCount,
-          success: successCount,
-          failed: failCount
-        });
+// Batch from a CSV or JSON manifest, one song per row
+app.post('/api/batch-manifest', async (req, res) => {
+  try {
+    const { content, format, accountId, rotateAccounts, accountIds, allowPartial, dryRun, formats } = req.body;
 
-        console.log('\n' + '='.repeat(60));
-        console.log('✅ Batch generation complete!');
-        console.log(`📊 Results: ${successCount} succeeded, ${failCount} failed`);
-        console.log('🌐 Browser kept open for next batch');
-        console.log('🛑 Press Ctrl+C to stop server and close browser');
-        console.log('='.repeat(60) + '\n');
+    let songs;
+    try {
+      songs = validateManifest(parseManifest(content, format), stylePresetManager);
+    } catch (error) {
+      if (error instanceof ManifestError) {
+        return sendValidationError(res, error.errors);
       }
-    })();
+      throw error;
+    }
+
+    const unknownAccount = [accountId, ...(accountIds || [])]
+      .find(id => id && !accountManager.getAccount(id));
+    if (unknownAccount) {
+      return res.status(404).json({ error: `Account not found: ${unknownAccount}` });
+    }
+
+    if (dryRun) {
+      return res.json({ success: true, count: songs.length, songs });
+    }
+
+    for (const presetId of new Set(songs.map(song => song.presetId).filter(Boolean))) {
+      await stylePresetManager.incrementUsage(presetId);
+    }
+
+    const job = await jobQueue.enqueue('batch-create', {
+      songs,
+      numberOfSongs: songs.length,
+      stylePresetId: null,
+      randomStylePresets: false,
+      accountId: accountId || null,
+      rotateAccounts: !!rotateAccounts,
+      accountIds: Array.isArray(accountIds) && accountIds.length > 0 ? accountIds : null,
+      allowPartial: !!allowPartial,
+      // Rows with their own formats column keep them
+      formats: formats || null
+    });
 
-    // Respond immediately
     res.json({
       success: true,
-      message: `Batch generation started: ${songsCount} songs with style "${preset.name}"`
+      jobId: job.id,
+      count: songs.length,
+      songs,
+      queuePosition: jobQueue.getQueuedJobs(job.lane).length,
+      message: `Manifest batch queued: ${songs.length} songs`
     });
 
   } catch (error) {
-    isProcessing = false;
     res.status(500).json({ error: error.message });
   }
 });
 
+// Per-song outcome of a batch as CSV (manifest rows keep their row numbers)
+app.get('/api/batches/:id/report', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job || job.type !== 'batch-create') {
+    return res.status(404).json({ error: 'Batch job not found' });
+  }
+
+  const report = buildBatchReport(job.checkpoint, id => jobQueue.getJob(id));
+  res.type('text/csv')
+    .attachment(`batch-${job.id}.csv`)
+    .send(report);
+});
+
 // Handle graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received, shutting down gracefully...`);
 
+  scheduler.stop();
+  webhookManager.stop();
+
   if (currentBot) {
     console.log('🌐 Closing browser...');
     try {
-      await currentBot.close();
+      await closeBot();
       console.log('✅ Browser closed successfully');
     } catch (error) {
       console.error('❌ Error closing browser:', error.message);
     }
-    currentBot = null;
   }
 
   server.close(() => {
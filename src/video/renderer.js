@@ -2,6 +2,10 @@ import ffmpeg from 'fluent-ffmpeg';
 import path from 'path';
 import fs from 'fs-extra';
 import sharp from 'sharp';
+import { stepDuration } from '../metrics/metrics.js';
+import { createLogger } from '../logging/logger.js';
+
+const logger = createLogger('VideoRenderer');
 
 /**
  * VideoRenderer class for creating videos from audio files using FFmpeg
@@ -80,6 +84,7 @@ export class VideoRenderer {
    */
   async renderVideo(audioPath, outputPath, options = {}) {
     const renderOptions = { ...this.defaultOptions, ...options };
+    const stopTimer = stepDuration.startTimer({ step: 'render' });
 
     // Validate input
     if (!await fs.pathExists(audioPath)) {
@@ -161,8 +166,8 @@ export class VideoRenderer {
 
       // Error handling
       command.on('error', (err, stdout, stderr) => {
-        console.error('FFmpeg error:', err.message);
-        console.error('FFmpeg stderr:', stderr);
+        logger.error('FFmpeg error:', err.message);
+        logger.error('FFmpeg stderr:', stderr);
         reject(new Error(`Video rendering failed: ${err.message}`));
       });
 
@@ -173,9 +178,10 @@ export class VideoRenderer {
           try {
             await fs.remove(imagePath);
           } catch (err) {
-            console.warn('Could not remove temporary background:', err.message);
+            logger.warn('Could not remove temporary background:', err.message);
           }
         }
+        stopTimer();
         resolve(outputPath);
       });
 
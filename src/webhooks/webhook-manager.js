@@ -0,0 +1,449 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import credentialManager from '../config/credentials.js';
+import { createLogger } from '../logging/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('Webhooks');
+
+const WEBHOOKS_FILE = path.join(__dirname, '../../config/webhooks.json');
+const DELIVERIES_FILE = path.join(__dirname, '../../config/webhook-deliveries.json');
+
+// Status events that can be sent to webhooks
+export const WEBHOOK_EVENTS = [
+  'batch_complete',
+  'batch_song_error',
+  'download_complete',
+  'publish_complete',
+  'publish_error',
+  'captcha_detected'
+];
+
+// Wait before each retry - a delivery is given up after the last one
+const RETRY_DELAYS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Delivery log kept across all webhooks - oldest finished entries are dropped first
+const MAX_DELIVERIES = 200;
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * WebhookManager - Outbound webhooks for lifecycle events
+ *
+ * Each webhook has a URL, the events it wants and an HMAC secret. Every
+ * delivery is a JSON POST signed with "X-Suno-Signature: sha256=<hex>",
+ * the HMAC-SHA256 of the raw body with the webhook's secret. Any non-2xx
+ * answer, timeout or network error is retried with growing delays, and
+ * every attempt is kept in the delivery log. Retries that were still
+ * pending when the server stopped are picked up again on the next start.
+ */
+export class WebhookManager {
+  constructor(webhooksFile = WEBHOOKS_FILE, deliveriesFile = DELIVERIES_FILE) {
+    this.webhooksFile = webhooksFile;
+    this.deliveriesFile = deliveriesFile;
+    this.webhooks = [];
+    this.deliveries = [];
+    this.timers = new Map();
+    this.pendingSave = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      if (await fs.pathExists(this.webhooksFile)) {
+        const data = await fs.readJSON(this.webhooksFile);
+        this.webhooks = data.webhooks || [];
+      }
+      if (await fs.pathExists(this.deliveriesFile)) {
+        const data = await fs.readJSON(this.deliveriesFile);
+        this.deliveries = data.deliveries || [];
+      }
+    } catch (error) {
+      logger.error('Error loading webhooks:', error);
+      this.webhooks = [];
+      this.deliveries = [];
+    }
+
+    // Pick up retries that were waiting when the server stopped
+    for (const delivery of this.deliveries) {
+      if (delivery.status === DELIVERY_STATUS.PENDING || delivery.status === DELIVERY_STATUS.RETRYING) {
+        const delay = Math.max(0, new Date(delivery.nextAttemptAt || 0) - Date.now());
+        this.scheduleAttempt(delivery, delay);
+      }
+    }
+
+    return this.webhooks;
+  }
+
+  async save() {
+    try {
+      await fs.ensureDir(path.dirname(this.webhooksFile));
+      await fs.writeJSON(this.webhooksFile, {
+        webhooks: this.webhooks,
+        lastUpdated: new Date().toISOString()
+      }, { spaces: 2 });
+    } catch (error) {
+      logger.error('Error saving webhooks:', error);
+      throw error;
+    }
+  }
+
+  async saveDeliveries() {
+    // Serialize writes so overlapping attempts never interleave on disk
+    this.pendingSave = this.pendingSave
+      .then(async () => {
+        await fs.ensureDir(path.dirname(this.deliveriesFile));
+        await fs.writeJSON(this.deliveriesFile, {
+          deliveries: this.deliveries,
+          lastUpdated: new Date().toISOString()
+        }, { spaces: 2 });
+      })
+      .catch((error) => {
+        logger.error('Error saving webhook deliveries:', error);
+      });
+
+    return this.pendingSave;
+  }
+
+  /**
+   * Stop pending retries (they resume on the next start)
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  getAllWebhooks() {
+    return this.webhooks.map(w => this.toPublic(w));
+  }
+
+  getWebhook(id) {
+    return this.webhooks.find(w => w.id === id);
+  }
+
+  /**
+   * Webhook info that is safe to send to the client (no secret)
+   */
+  toPublic(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, hasSecret: !!secret };
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} data
+   * @param {string} data.name - Display name
+   * @param {string} data.url - http(s) URL to POST events to
+   * @param {Array<string>} data.events - Events to send (empty: all of WEBHOOK_EVENTS)
+   * @param {string} data.secret - HMAC secret (generated when not given)
+   * @param {boolean} data.enabled - Whether events are sent (default: true)
+   * @returns {Promise<Object>} { webhook, secret } - secret is only returned here
+   */
+  async createWebhook({ name, url, events = [], secret, enabled = true }) {
+    this.validateUrl(url);
+
+    const plainSecret = secret || `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+    const webhook = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name || new URL(url).host,
+      url,
+      events,
+      secret: credentialManager.encrypt(plainSecret),
+      enabled: !!enabled,
+      createdAt: new Date().toISOString()
+    };
+
+    this.webhooks.push(webhook);
+    await this.save();
+
+    return { webhook: this.toPublic(webhook), secret: plainSecret };
+  }
+
+  async updateWebhook(id, { name, url, events, secret, enabled }) {
+    const webhook = this.getWebhook(id);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    if (url !== undefined) {
+      this.validateUrl(url);
+      webhook.url = url;
+    }
+    if (name !== undefined) {
+      webhook.name = name;
+    }
+    if (events !== undefined) {
+      webhook.events = events;
+    }
+    if (secret) {
+      webhook.secret = credentialManager.encrypt(secret);
+    }
+    if (enabled !== undefined) {
+      webhook.enabled = !!enabled;
+    }
+
+    webhook.updatedAt = new Date().toISOString();
+    await this.save();
+
+    return this.toPublic(webhook);
+  }
+
+  async deleteWebhook(id) {
+    const index = this.webhooks.findIndex(w => w.id === id);
+    if (index === -1) {
+      throw new Error('Webhook not found');
+    }
+
+    this.webhooks.splice(index, 1);
+
+    // Nothing left to retry against
+    for (const delivery of this.deliveries) {
+      if (delivery.webhookId === id && this.timers.has(delivery.id)) {
+        clearTimeout(this.timers.get(delivery.id));
+        this.timers.delete(delivery.id);
+        delivery.status = DELIVERY_STATUS.FAILED;
+        delivery.error = 'Webhook deleted';
+        delivery.nextAttemptAt = null;
+      }
+    }
+
+    await this.save();
+    await this.saveDeliveries();
+  }
+
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid webhook URL: ${url}`);
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('Webhook URL must be http or https');
+    }
+  }
+
+  wantsEvent(webhook, event) {
+    if (!webhook.enabled) {
+      return false;
+    }
+    return webhook.events.length === 0 ? WEBHOOK_EVENTS.includes(event) : webhook.events.includes(event);
+  }
+
+  /**
+   * Queue deliveries of a status event to every webhook that wants it
+   * @param {Object} event - Status event as broadcast to WebSocket clients
+   */
+  handleEvent(event) {
+    if (!WEBHOOK_EVENTS.includes(event.status)) {
+      return;
+    }
+
+    for (const webhook of this.webhooks) {
+      if (this.wantsEvent(webhook, event.status)) {
+        this.deliver(webhook, event.status, event).catch((error) => {
+          logger.error('Webhook delivery error:', error);
+        });
+      }
+    }
+  }
+
+  /**
+   * Send a "ping" event to check a webhook's URL and secret
+   */
+  async sendTest(id) {
+    const webhook = this.getWebhook(id);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    return this.deliver(webhook, 'ping', {
+      status: 'ping',
+      message: 'Test delivery from Suno Automation'
+    });
+  }
+
+  /**
+   * Create a delivery and make its first attempt right away
+   * @returns {Promise<Object>} The delivery after the first attempt
+   */
+  async deliver(webhook, event, data) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const createdAt = new Date().toISOString();
+
+    const delivery = {
+      id,
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      url: webhook.url,
+      event,
+      status: DELIVERY_STATUS.PENDING,
+      payload: JSON.stringify({ id, event, createdAt, data }),
+      attempts: [],
+      nextAttemptAt: createdAt,
+      error: null,
+      createdAt
+    };
+
+    this.deliveries.unshift(delivery);
+    this.trimDeliveries();
+
+    // On disk before the first attempt, so it is retried if we stop mid-request
+    await this.saveDeliveries();
+
+    await this.attempt(delivery);
+    return delivery;
+  }
+
+  /**
+   * Send a failed delivery again, with a fresh set of retries
+   */
+  async redeliver(deliveryId) {
+    const delivery = this.deliveries.find(d => d.id === deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+
+    const webhook = this.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    return this.deliver(webhook, delivery.event, JSON.parse(delivery.payload).data);
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond MAX_DELIVERIES. Pending and
+   * retrying ones stay, or their next attempt would have nowhere to be saved.
+   */
+  trimDeliveries() {
+    let excess = this.deliveries.length - MAX_DELIVERIES;
+    if (excess <= 0) {
+      return;
+    }
+
+    const finished = [DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.FAILED];
+    for (let i = this.deliveries.length - 1; i >= 0 && excess > 0; i--) {
+      if (finished.includes(this.deliveries[i].status)) {
+        this.deliveries.splice(i, 1);
+        excess--;
+      }
+    }
+  }
+
+  scheduleAttempt(delivery, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery).catch((error) => {
+        logger.error('Webhook delivery error:', error);
+      });
+    }, delay);
+
+    // Never keep the process alive just for a retry
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  async attempt(delivery) {
+    const webhook = this.getWebhook(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.error = 'Webhook deleted';
+      delivery.nextAttemptAt = null;
+      await this.saveDeliveries();
+      return;
+    }
+
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+
+    try {
+      const secret = credentialManager.decrypt(webhook.secret);
+      const signature = crypto.createHmac('sha256', secret).update(delivery.payload).digest('hex');
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'suno-automation-webhooks',
+          'X-Suno-Event': delivery.event,
+          'X-Suno-Delivery': delivery.id,
+          'X-Suno-Signature': `sha256=${signature}`
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+
+      attempt.statusCode = response.status;
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      // fetch() hides the network error (e.g. ECONNREFUSED) in error.cause
+      attempt.error = error.name === 'TimeoutError'
+        ? `Timed out after ${REQUEST_TIMEOUT / 1000}s`
+        : (error.cause?.message || error.message);
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = DELIVERY_STATUS.DELIVERED;
+      delivery.error = null;
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length <= RETRY_DELAYS.length) {
+      const delay = RETRY_DELAYS[delivery.attempts.length - 1];
+      delivery.status = DELIVERY_STATUS.RETRYING;
+      delivery.error = attempt.error;
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.scheduleAttempt(delivery, delay);
+    } else {
+      delivery.status = DELIVERY_STATUS.FAILED;
+      delivery.error = attempt.error;
+      delivery.nextAttemptAt = null;
+      logger.warn(`⚠️  Webhook "${webhook.name}" gave up on ${delivery.event} after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    }
+
+    await this.saveDeliveries();
+  }
+
+  /**
+   * Delivery log, newest first (payloads left out)
+   * @param {Object} filters
+   * @param {string} filters.webhookId - Only deliveries to this webhook
+   * @param {number} filters.limit - Max entries
+   */
+  getDeliveries({ webhookId, limit } = {}) {
+    let deliveries = this.deliveries;
+
+    if (webhookId) {
+      deliveries = deliveries.filter(d => d.webhookId === webhookId);
+    }
+    if (limit) {
+      deliveries = deliveries.slice(0, limit);
+    }
+
+    return deliveries.map(({ payload, ...rest }) => rest);
+  }
+}
+
+// Export singleton instance
+const webhookManager = new WebhookManager();
+await webhookManager.load();
+
+export default webhookManager;
@@ -0,0 +1,310 @@
+import { CancelledError } from '../automation/cancellation.js';
+import { InsufficientCreditsError } from '../automation/credit-reader.js';
+import { createLogger, withLogContext } from '../logging/logger.js';
+
+const logger = createLogger('BatchCreate');
+
+/**
+ * Workflow for batch song generation with a locked style preset
+ * Orchestrates: create → wait for generation → download, once per song,
+ * checkpointing after every step so an interrupted batch can be resumed.
+ */
+
+// Song steps, in the order a song moves through them
+export const SONG_STEP = {
+  PENDING: 'pending',
+  CREATED: 'created',
+  GENERATED: 'generated',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed'
+};
+
+/**
+ * Plan every song of a batch up front, so the preset picked for each song
+ * (including random category picks) is fixed and survives a restart
+ * @param {Object} options
+ * @param {Object} options.preset - Selected style preset
+ * @param {Array<Object>} options.categoryPresets - Presets to pick from in random mode
+ * @param {number} options.numberOfSongs - Number of songs to create
+ * @param {boolean} options.randomStylePresets - Pick a random category preset per song
+ * @returns {Object} Checkpoint with one entry per song
+ */
+export function planBatch({ preset, categoryPresets = [preset], numberOfSongs, randomStylePresets = false }) {
+  const songs = [];
+
+  for (let i = 0; i < numberOfSongs; i++) {
+    let songPreset = preset;
+    if (randomStylePresets && categoryPresets.length > 1) {
+      songPreset = categoryPresets[Math.floor(Math.random() * categoryPresets.length)];
+    }
+
+    songs.push({
+      index: i,
+      title: `${songPreset.name} - Song ${i + 1}`,
+      presetId: songPreset.id,
+      presetName: songPreset.name,
+      style: songPreset.style,
+      step: SONG_STEP.PENDING,
+      clipIds: null,
+      downloads: [],
+      error: null,
+      updatedAt: null
+    });
+  }
+
+  return {
+    songs,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Index of the first song that still has work left, or -1 when the batch is done
+ * @param {Object} checkpoint - Batch checkpoint from planBatch()
+ * @returns {number}
+ */
+export function getResumeIndex(checkpoint) {
+  if (!checkpoint || !checkpoint.songs) {
+    return -1;
+  }
+
+  return checkpoint.songs.findIndex(
+    s => s.step !== SONG_STEP.DOWNLOADED && s.step !== SONG_STEP.FAILED
+  );
+}
+
+/**
+ * Summarize a checkpoint into success/failure counts
+ * @param {Object} checkpoint - Batch checkpoint from planBatch()
+ * @returns {Object} { total, success, failed, remaining }
+ */
+export function summarizeBatch(checkpoint) {
+  const songs = checkpoint?.songs || [];
+  const success = songs.filter(s => s.step === SONG_STEP.DOWNLOADED).length;
+  const failed = songs.filter(s => s.step === SONG_STEP.FAILED).length;
+
+  return {
+    total: songs.length,
+    success,
+    failed,
+    remaining: songs.length - success - failed
+  };
+}
+
+/**
+ * Run (or resume) a planned batch against an initialized, logged-in bot.
+ * Songs that were already created or generated before an interruption
+ * continue from their last completed step instead of being created again.
+ * @param {SunoBot} bot - Initialized and logged-in bot
+ * @param {Object} checkpoint - Batch checkpoint from planBatch(), updated in place
+ * @param {Object} options
+ * @param {string} options.lyrics - Lyrics for every song (empty for instrumental); a song's own
+ *   `lyrics` (manifest batches) takes precedence
+ * @param {boolean} options.randomStylePresets - Whether random mode is on (for status messages)
+ * @param {Array<string>} options.formats - Download formats for every song (default: downloads.formats);
+ *   a song's own `formats` (manifest batches) takes precedence
+ * @param {number} options.delayBetweenSongs - Pause between songs in ms (default: 10000)
+ * @param {Function} options.onCheckpoint - async (checkpoint) => void, called after every step
+ * @param {Function} options.onSongDownloaded - async (song) => void, called once a song's files are
+ *   saved (e.g. to queue publishing); changes it makes to the song are checkpointed
+ * @param {Function} options.onProgress - Status callback for batch events
+ * @param {CancellationToken} options.token - Stops between steps, pauses at song boundaries
+ * @param {Function} options.getBot - async (song) => bot, for batches whose songs use different accounts
+ * @param {number} options.creditsPerSong - Credits one song costs; when set, the batch stops with an
+ *   InsufficientCreditsError before a song the account can't pay for (default: 0, no check)
+ * @returns {Promise<Object>} Summary with total/success/failed counts
+ */
+export async function runBatch(bot, checkpoint, options = {}) {
+  const {
+    lyrics = '',
+    randomStylePresets = false,
+    formats = null,
+    delayBetweenSongs = 10000,
+    onCheckpoint = null,
+    onSongDownloaded = null,
+    onProgress = null,
+    token = null,
+    getBot = null,
+    creditsPerSong = 0
+  } = options;
+
+  const songs = checkpoint.songs;
+  const total = songs.length;
+
+  const saveStep = async (song, step, extra = {}) => {
+    Object.assign(song, extra, { step, updatedAt: new Date().toISOString() });
+    if (onCheckpoint) {
+      await onCheckpoint(checkpoint);
+    }
+  };
+
+  const startIndex = getResumeIndex(checkpoint);
+  if (startIndex > 0) {
+    notify(onProgress, {
+      status: 'batch_resumed',
+      message: `Resuming batch at song ${startIndex + 1} of ${total}`,
+      current: startIndex + 1,
+      total
+    });
+  }
+
+  for (const song of songs) {
+    if (song.step === SONG_STEP.DOWNLOADED || song.step === SONG_STEP.FAILED) {
+      continue;
+    }
+
+    const current = song.index + 1;
+
+    // Song boundary - the only place a pause holds the batch
+    await token?.waitIfPaused(() => {
+      notify(onProgress, {
+        status: 'paused',
+        message: `Batch paused before song ${current} of ${total}`,
+        current,
+        total
+      });
+    });
+
+    // Everything logged while this song runs carries its number (and account)
+    await withLogContext({ song: current, accountId: song.accountId }, async () => {
+      try {
+        const songBot = getBot ? await getBot(song) : bot;
+
+        notify(onProgress, {
+          status: 'batch_progress',
+          message: `Creating song ${current} of ${total} with style: ${song.presetName || song.style}`,
+          current,
+          total,
+          styleName: song.presetName || song.style,
+          accountId: song.accountId,
+          step: song.step,
+          randomMode: randomStylePresets
+        });
+
+        if (song.step === SONG_STEP.PENDING) {
+          await checkCredits(songBot, creditsPerSong);
+
+          // Create song (without login, browser already open)
+          const created = await songBot.createSong({
+            title: song.title,
+            lyrics: song.lyrics ?? (lyrics || ''),
+            style: song.style
+          }, token);
+          // The clip IDs let a resumed batch find this song's clips again
+          await saveStep(song, SONG_STEP.CREATED, { clipIds: created.clipIds });
+        }
+
+        if (song.step === SONG_STEP.CREATED) {
+          const generated = await songBot.waitForCompletion(song.title, null, token, song.clipIds);
+          await saveStep(song, SONG_STEP.GENERATED, { clipIds: generated.clipIds });
+        }
+
+        if (song.step === SONG_STEP.GENERATED) {
+          // Download both versions
+          const downloadResult = await songBot.downloadBothSongs(song.title, token, {
+            clipIds: song.clipIds,
+            formats: song.formats || formats,
+            song: {
+              title: song.title,
+              lyrics: song.lyrics ?? (lyrics || ''),
+              style: song.style,
+              presetId: song.presetId || null,
+              presetName: song.presetName || null
+            }
+          });
+          await saveStep(song, SONG_STEP.DOWNLOADED, {
+            downloads: downloadResult.downloads.map(d => d.path)
+          });
+
+          if (onSongDownloaded) {
+            await onSongDownloaded(song);
+            if (onCheckpoint) {
+              await onCheckpoint(checkpoint);
+            }
+          }
+        }
+
+      } catch (error) {
+        // A stop is not a song failure - leave the song at its last step for resume
+        if (error instanceof CancelledError || error instanceof InsufficientCreditsError) {
+          throw error;
+        }
+
+        // Creation failing because the credits just ran out ends the batch, not just this song
+        if (song.step === SONG_STEP.PENDING && creditsPerSong > 0) {
+          const credits = await getSongBotCredits(getBot, bot, song);
+          if (credits !== null && credits < creditsPerSong) {
+            throw new InsufficientCreditsError(credits, creditsPerSong);
+          }
+        }
+
+        logger.error(`Error creating song ${current}:`, error);
+        await saveStep(song, SONG_STEP.FAILED, { error: error.message });
+
+        notify(onProgress, {
+          status: 'batch_song_error',
+          message: `Failed to create song ${current}: ${error.message}`,
+          current,
+          total
+        });
+        // Continue with next song even if one fails
+      }
+    });
+
+    // Small delay between songs to avoid rate limits
+    if (getResumeIndex(checkpoint) !== -1) {
+      notify(onProgress, {
+        status: 'batch_waiting',
+        message: `Waiting ${Math.round(delayBetweenSongs / 1000)} seconds before next song...`,
+        current,
+        total
+      });
+      if (token) {
+        await token.sleep(delayBetweenSongs);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, delayBetweenSongs));
+      }
+    }
+  }
+
+  return summarizeBatch(checkpoint);
+}
+
+/**
+ * Throw if the bot's account can't pay for the next song. Skipped when the
+ * balance can't be read, so a UI change never blocks a batch.
+ * @private
+ */
+async function checkCredits(bot, creditsPerSong) {
+  if (!creditsPerSong || !bot.refreshCredits) {
+    return;
+  }
+
+  const credits = await bot.refreshCredits();
+  if (credits !== null && credits < creditsPerSong) {
+    throw new InsufficientCreditsError(credits, creditsPerSong);
+  }
+}
+
+/**
+ * Re-read the credits of the bot a song ran on, or null if unknown
+ * @private
+ */
+async function getSongBotCredits(getBot, bot, song) {
+  try {
+    const songBot = getBot ? await getBot(song) : bot;
+    return songBot.refreshCredits ? await songBot.refreshCredits() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Helper function to send batch progress
+ * @private
+ */
+function notify(callback, status) {
+  if (callback && typeof callback === 'function') {
+    callback(status);
+  }
+}
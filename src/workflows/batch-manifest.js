@@ -0,0 +1,321 @@
+import { SONG_STEP } from './batch-create.js';
+import { AUDIO_FORMATS, FORMAT_NAMES, parseFormats } from '../automation/download-formats.js';
+
+/**
+ * Spreadsheet-driven batches
+ * Parses a CSV or JSON manifest (one row per song), validates every row
+ * against the preset store, and plans a batch checkpoint that runBatch()
+ * can run like any other. Also turns a finished batch back into CSV.
+ */
+
+// Same limit as a regular batch
+export const MAX_MANIFEST_ROWS = 50;
+
+export const PRIVACY_VALUES = ['public', 'unlisted', 'private'];
+
+// Header names are matched case-insensitively, ignoring spaces, dashes and underscores
+const COLUMNS = {
+  title: 'title',
+  lyrics: 'lyrics',
+  style: 'style',
+  presetid: 'presetId',
+  stylepresetid: 'presetId',
+  preset: 'presetId',
+  publish: 'publish',
+  privacy: 'privacy',
+  formats: 'formats',
+  format: 'formats'
+};
+
+const REPORT_COLUMNS = ['row', 'title', 'preset', 'style', 'status', 'error', 'clipIds', 'files', 'publish', 'youtubeUrl'];
+
+/**
+ * A manifest that can't be queued; `errors` is a list of { field, message }
+ * with fields like 'row 3.presetId' (rows count songs from 1, header excluded)
+ */
+export class ManifestError extends Error {
+  constructor(errors) {
+    super(`${errors[0].field}: ${errors[0].message}`);
+    this.name = 'ManifestError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * commas, newlines and "" for a quote). Semicolon-separated files, as saved
+ * by Excel in some locales, are detected from the header line.
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ManifestError([{ field: 'content', message: 'has an unclosed quote' }]);
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines (often left at the end by spreadsheet apps)
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Turn a manifest into plain row objects
+ * @param {string} content - CSV text or JSON ([rows] or { songs: [rows] })
+ * @param {string} format - 'csv', 'json', or null to tell from the content
+ * @returns {Array<Object>} Rows keyed by column name
+ * @throws {ManifestError}
+ */
+export function parseManifest(content, format = null) {
+  const type = format || (/^\s*[[{]/.test(content) ? 'json' : 'csv');
+
+  if (type === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ManifestError([{ field: 'content', message: `is not valid JSON (${error.message})` }]);
+    }
+
+    const rows = Array.isArray(data) ? data : data?.songs;
+    if (!Array.isArray(rows)) {
+      throw new ManifestError([{ field: 'content', message: 'must be an array of songs or { "songs": [...] }' }]);
+    }
+    return rows.map(row => normalizeColumns(row && typeof row === 'object' ? row : {}));
+  }
+
+  const [header, ...lines] = parseCsv(content);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')]);
+  const unknown = header.filter((name, i) => !columns[i] && name.trim() !== '');
+  if (unknown.length > 0) {
+    throw new ManifestError([{
+      field: 'columns',
+      message: `unknown column(s) ${unknown.map(n => `"${n}"`).join(', ')} - expected title, lyrics, style, presetId, publish, privacy, formats`
+    }]);
+  }
+
+  return lines.map(cells => {
+    const row = {};
+    columns.forEach((column, i) => {
+      if (column) {
+        row[column] = cells[i] ?? '';
+      }
+    });
+    return row;
+  });
+}
+
+function normalizeColumns(row) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(row)) {
+    normalized[COLUMNS[key.toLowerCase().replace(/[\s_-]/g, '')] || key] = value;
+  }
+  return normalized;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim();
+  if (text === '' || /^(false|no|n|0)$/i.test(text)) return false;
+  if (/^(true|yes|y|1)$/i.test(text)) return true;
+  return null;
+}
+
+function text(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Check every row and resolve its style. All problems are collected, so a
+ * spreadsheet can be fixed in one go.
+ * @param {Array<Object>} rows - From parseManifest()
+ * @param {Object} presetStore - Anything with getPreset(id), e.g. the StylePresetManager
+ * @returns {Array<Object>} One song per row: { row, title, lyrics, style, presetId, presetName, publish, formats }
+ * @throws {ManifestError}
+ */
+export function validateManifest(rows, presetStore) {
+  if (rows.length === 0) {
+    throw new ManifestError([{ field: 'content', message: 'has no songs' }]);
+  }
+  if (rows.length > MAX_MANIFEST_ROWS) {
+    throw new ManifestError([{ field: 'content', message: `has ${rows.length} songs - the limit is ${MAX_MANIFEST_ROWS} per batch` }]);
+  }
+
+  const errors = [];
+  const songs = [];
+
+  rows.forEach((data, i) => {
+    const row = i + 1;
+    const fail = (field, message) => errors.push({ field: `row ${row}.${field}`, message });
+
+    const title = text(data.title);
+    const style = text(data.style);
+    const presetId = text(data.presetId);
+    const privacy = text(data.privacy).toLowerCase();
+    const publish = parseBoolean(data.publish);
+    const { formats, unknown: unknownFormats } = parseFormats(data.formats);
+
+    if (!title) {
+      fail('title', 'is required');
+    }
+
+    let preset = null;
+    if (style && presetId) {
+      fail('style', 'use either style or presetId, not both');
+    } else if (!style && !presetId) {
+      fail('style', 'style or presetId is required');
+    } else if (presetId) {
+      preset = presetStore.getPreset(presetId);
+      if (!preset) {
+        fail('presetId', `style preset not found: ${presetId}`);
+      }
+    }
+
+    if (publish === null) {
+      fail('publish', 'must be yes or no');
+    }
+    if (privacy && !PRIVACY_VALUES.includes(privacy)) {
+      fail('privacy', `must be one of: ${PRIVACY_VALUES.join(', ')}`);
+    } else if (privacy && !publish) {
+      fail('privacy', 'only applies when publish is yes');
+    }
+
+    if (unknownFormats.length > 0) {
+      fail('formats', `unknown format(s) ${unknownFormats.join(', ')} - expected ${FORMAT_NAMES.join(', ')}`);
+    } else if (publish && formats && !formats.some(format => AUDIO_FORMATS.includes(format))) {
+      fail('formats', `publishing needs an audio download - add ${AUDIO_FORMATS.join(' or ')}`);
+    }
+
+    songs.push({
+      row,
+      title,
+      lyrics: typeof data.lyrics === 'string' ? data.lyrics.trim() : '',
+      style: preset ? preset.style : style,
+      presetId: preset ? preset.id : null,
+      presetName: preset ? preset.name : null,
+      publish: publish ? { privacy: privacy || 'public' } : null,
+      formats
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new ManifestError(errors);
+  }
+
+  return songs;
+}
+
+/**
+ * Checkpoint for a manifest batch, in the same shape as planBatch()
+ * @param {Array<Object>} songs - From validateManifest()
+ * @returns {Object}
+ */
+export function planManifestBatch(songs) {
+  return {
+    songs: songs.map((song, index) => ({
+      index,
+      row: song.row,
+      title: song.title,
+      presetId: song.presetId,
+      presetName: song.presetName,
+      style: song.style,
+      lyrics: song.lyrics,
+      publish: song.publish,
+      formats: song.formats || null,
+      step: SONG_STEP.PENDING,
+      clipIds: null,
+      downloads: [],
+      error: null,
+      updatedAt: null
+    })),
+    source: 'manifest',
+    createdAt: new Date().toISOString()
+  };
+}
+
+function csvCell(value) {
+  const cell = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Per-row outcome of a batch as CSV, one line per song
+ * @param {Object} checkpoint - Batch checkpoint
+ * @param {Function} getPublishJob - (jobId) => publish job or undefined
+ * @returns {string}
+ */
+export function buildBatchReport(checkpoint, getPublishJob = () => undefined) {
+  const lines = [REPORT_COLUMNS.join(',')];
+
+  for (const song of checkpoint?.songs || []) {
+    const publishJob = song.publishJobId ? getPublishJob(song.publishJobId) : undefined;
+    let publish = '';
+    if (song.publishError) {
+      publish = `failed: ${song.publishError}`;
+    } else if (publishJob) {
+      publish = publishJob.error ? `${publishJob.status}: ${publishJob.error}` : publishJob.status;
+    } else if (song.publish) {
+      publish = 'not started';
+    }
+
+    lines.push([
+      song.row ?? song.index + 1,
+      song.title,
+      song.presetName,
+      song.style,
+      song.step,
+      song.error,
+      (song.clipIds || []).join('; '),
+      (song.downloads || []).join('; '),
+      publish,
+      publishJob?.result?.youtubeUrl
+    ].map(csvCell).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
@@ -3,6 +3,13 @@ import fs from 'fs-extra';
 import { VideoRenderer } from '../video/renderer.js';
 import { SEOGenerator } from '../seo/generator.js';
 import { YouTubeUploader } from '../youtube/uploader.js';
+import { publishes } from '../metrics/metrics.js';
+import { createLogger } from '../logging/logger.js';
+import migrator, { migrateData, getLatestVersion } from '../migrations/migrator.js';
+import { PUBLISHED_RECORD_MIGRATIONS } from '../migrations/steps.js';
+import { readSongMetadata } from '../automation/song-metadata.js';
+
+const logger = createLogger('PublishSong');
 
 /**
  * Main workflow for publishing a song to YouTube
@@ -10,13 +17,14 @@ import { YouTubeUploader } from '../youtube/uploader.js';
  */
 
 /**
- * Publish a song to YouTube
+ * Publish a song to YouTube. Title, lyrics, style and image left empty are
+ * taken from the metadata sidecar saved with the download, if there is one.
  * @param {Object} songData - Song data
  * @param {string} songData.audioPath - Path to MP3 file
  * @param {string} songData.title - Song title
  * @param {string} songData.lyrics - Song lyrics (optional)
  * @param {string} songData.style - Music style/genre
- * @param {string} songData.imagePath - Custom background image (optional)
+ * @param {string} songData.imagePath - Custom background image (optional, default: the saved cover art)
  * @param {Object} options - Additional options
  * @param {string} options.downloadPath - Base download path (default: ./downloads)
  * @param {string} options.privacy - YouTube privacy ('public', 'private', 'unlisted')
@@ -24,13 +32,7 @@ import { YouTubeUploader } from '../youtube/uploader.js';
  * @returns {Promise<Object>} Result with videoId, URL, and metadata
  */
 export async function publishSong(songData, options = {}) {
-  const {
-    audioPath,
-    title = 'Untitled Song',
-    lyrics = '',
-    style = 'Music',
-    imagePath = null
-  } = songData;
+  const { audioPath } = songData;
 
   const {
     downloadPath = './downloads',
@@ -43,6 +45,16 @@ export async function publishSong(songData, options = {}) {
     throw new Error(`Audio file not found: ${audioPath}`);
   }
 
+  const sidecar = await readSongMetadata(audioPath);
+  if (sidecar) {
+    logger.info(`🗂️  Using the saved metadata of clip ${sidecar.clipId} for what wasn't given`);
+  }
+
+  const title = songData.title || sidecar?.title || 'Untitled Song';
+  const lyrics = songData.lyrics || sidecar?.lyrics || '';
+  const style = songData.style || sidecar?.style || 'Music';
+  const imagePath = songData.imagePath || sidecar?.coverPath || null;
+
   // Setup paths
   const publishedDir = path.join(downloadPath, 'published');
   const videosDir = path.join(publishedDir, 'videos');
@@ -58,6 +70,8 @@ export async function publishSong(songData, options = {}) {
     audioPath,
     title,
     style,
+    clipId: sidecar?.clipId || null,
+    songUrl: sidecar?.songUrl || null,
     timestamp: new Date().toISOString()
   };
 
@@ -134,6 +148,7 @@ export async function publishSong(songData, options = {}) {
     result.videoId = uploadResult.videoId;
     result.youtubeUrl = uploadResult.url;
     result.uploadedAt = uploadResult.uploadedAt;
+    result.publishedAt = uploadResult.uploadedAt;
     result.privacy = uploadResult.privacy;
 
     updateProgress(onProgress, 'upload_complete', 90, 'Video uploaded to YouTube');
@@ -145,18 +160,21 @@ export async function publishSong(songData, options = {}) {
     await fs.writeJSON(recordPath, {
       ...result,
       success: true,
-      recordCreated: new Date().toISOString()
+      recordCreated: new Date().toISOString(),
+      schemaVersion: getLatestVersion(PUBLISHED_RECORD_MIGRATIONS)
     }, { spaces: 2 });
 
     result.recordPath = recordPath;
     result.success = true;
+    publishes.inc({ result: 'success' });
 
     updateProgress(onProgress, 'complete', 100, 'Song published successfully!');
 
     return result;
 
   } catch (error) {
-    console.error('Publish workflow error:', error);
+    logger.error('Publish workflow error:', error);
+    publishes.inc({ result: 'failure' });
 
     // Save error record
     result.success = false;
@@ -184,7 +202,7 @@ function updateProgress(callback, status, percent, message) {
       message
     });
   }
-  console.log(`[${percent}%] ${status}: ${message}`);
+  logger.info(`[${percent}%] ${status}: ${message}`);
 }
 
 /**
@@ -208,11 +226,11 @@ export async function getPublishedSongs(downloadPath = './downloads') {
         const filePath = path.join(publishedDir, filename);
         const data = await fs.readJSON(filePath);
         return {
-          ...data,
+          ...migrateData(PUBLISHED_RECORD_MIGRATIONS, data, filePath).data,
           recordFile: filename
         };
       } catch (error) {
-        console.error(`Error reading ${filename}:`, error);
+        logger.error(`Error reading ${filename}:`, error);
         return null;
       }
     })
@@ -237,7 +255,35 @@ export async function getPublishedSong(videoId, downloadPath = './downloads') {
     return null;
   }
 
-  return await fs.readJSON(recordPath);
+  return migrateData(PUBLISHED_RECORD_MIGRATIONS, await fs.readJSON(recordPath), recordPath).data;
+}
+
+/**
+ * Upgrade the stored records written by older versions (run at startup).
+ * Error records are left as they are.
+ * @param {string} downloadPath - Base download path
+ * @returns {Promise<number>} Records migrated
+ */
+export async function migratePublishedRecords(downloadPath = './downloads') {
+  const publishedDir = path.join(downloadPath, 'published');
+
+  if (!await fs.pathExists(publishedDir)) {
+    return 0;
+  }
+
+  const files = await fs.readdir(publishedDir);
+  const jsonFiles = files.filter(f => f.endsWith('.json') && !f.startsWith('error_'));
+  const before = migrator.getHistory().length;
+
+  for (const filename of jsonFiles) {
+    try {
+      await migrator.migrateFile(path.join(publishedDir, filename), PUBLISHED_RECORD_MIGRATIONS);
+    } catch (error) {
+      logger.error(`Could not migrate ${filename}:`, error);
+    }
+  }
+
+  return migrator.getHistory().length - before;
 }
 
 /**
@@ -269,7 +315,7 @@ export async function publishBatch(songsData, options = {}) {
   for (let i = 0; i < songsData.length; i++) {
     const songData = songsData[i];
 
-    console.log(`\n📤 Publishing song ${i + 1}/${songsData.length}: ${songData.title}`);
+    logger.info(`📤 Publishing song ${i + 1}/${songsData.length}: ${songData.title}`);
 
     try {
       const result = await publishSong(songData, options);
@@ -277,12 +323,12 @@ export async function publishBatch(songsData, options = {}) {
 
       // Delay between uploads to respect YouTube quotas
       if (i < songsData.length - 1) {
-        console.log('⏳ Waiting 10 seconds before next upload...');
+        logger.info('⏳ Waiting 10 seconds before next upload...');
         await new Promise(resolve => setTimeout(resolve, 10000));
       }
 
     } catch (error) {
-      console.error(`❌ Failed to publish ${songData.title}:`, error.message);
+      logger.error(`❌ Failed to publish ${songData.title}:`, error.message);
       results.push({
         success: false,
         title: songData.title,
@@ -3,10 +3,14 @@ import { authenticate } from '@google-cloud/local-auth';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { stepDuration } from '../metrics/metrics.js';
+import { createLogger } from '../logging/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const logger = createLogger('YouTubeUploader');
+
 /**
  * YouTubeUploader class for uploading videos to YouTube
  * Handles OAuth2 authentication and video uploads via YouTube Data API v3
@@ -54,7 +58,7 @@ export class YouTubeUploader {
 
         // Check if token is expired and refresh if needed
         if (token.expiry_date && token.expiry_date < Date.now()) {
-          console.log('Token expired, refreshing...');
+          logger.info('Token expired, refreshing...');
           const newToken = await oauth2Client.refreshAccessToken();
           oauth2Client.setCredentials(newToken.credentials);
           await fs.writeJSON(this.tokenPath, newToken.credentials);
@@ -63,7 +67,7 @@ export class YouTubeUploader {
         this.auth = oauth2Client;
       } else {
         // Perform OAuth flow
-        console.log('No saved token found. Starting OAuth flow...');
+        logger.info('No saved token found. Starting OAuth flow...');
         this.auth = await authenticate({
           scopes: this.scopes,
           keyfilePath: this.credentialsPath,
@@ -71,7 +75,7 @@ export class YouTubeUploader {
 
         // Save the token for future use
         await fs.writeJSON(this.tokenPath, this.auth.credentials);
-        console.log('Authentication successful! Token saved.');
+        logger.info('Authentication successful! Token saved.');
       }
 
       // Initialize YouTube API client
@@ -109,7 +113,7 @@ export class YouTubeUploader {
 
     const fileSize = (await fs.stat(videoPath)).size;
     const fileSizeMB = (fileSize / (1024 * 1024)).toFixed(2);
-    console.log(`Uploading video: ${path.basename(videoPath)} (${fileSizeMB} MB)`);
+    logger.info(`Uploading video: ${path.basename(videoPath)} (${fileSizeMB} MB)`);
 
     // Prepare metadata
     const {
@@ -129,6 +133,7 @@ export class YouTubeUploader {
     }
 
     try {
+      const stopTimer = stepDuration.startTimer({ step: 'upload' });
       const response = await this.youtube.videos.insert({
         part: ['snippet', 'status'],
         requestBody: {
@@ -157,16 +162,18 @@ export class YouTubeUploader {
           if (options.onProgress) {
             options.onProgress(progress);
           }
-          console.log(`Upload progress: ${progress}%`);
+          logger.debug(`Upload progress: ${progress}%`);
         }
       });
 
+      stopTimer();
+
       const videoId = response.data.id;
       const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
 
-      console.log(`✅ Video uploaded successfully!`);
-      console.log(`Video ID: ${videoId}`);
-      console.log(`URL: ${videoUrl}`);
+      logger.info(`✅ Video uploaded successfully!`);
+      logger.info(`Video ID: ${videoId}`);
+      logger.info(`URL: ${videoUrl}`);
 
       return {
         videoId,
@@ -362,7 +369,7 @@ export class YouTubeUploader {
   async clearAuth() {
     if (await fs.pathExists(this.tokenPath)) {
       await fs.remove(this.tokenPath);
-      console.log('Authentication token cleared');
+      logger.info('Authentication token cleared');
     }
     this.auth = null;
     this.youtube = null;